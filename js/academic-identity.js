@@ -0,0 +1,302 @@
+/**
+ * Academic Identity for KillPhilosophy
+ * Permanent IDs, URL slugs and the name keys used to resolve aliases and name variants
+ * ("Foucault, Michel", "M. Foucault", "Zizek" for "Žižek", "Bakhtin" for "Бахтин",
+ * "Mao Tse-tung" for "Mao Zedong") to a single academic, and the collation names are sorted by.
+ * Chinese and Japanese names are matched in Latin romanization only: names written in Han
+ * characters or kana are not transliterated.
+ */
+
+class AcademicIdentity {
+    constructor() {
+        // Lowercase particles that belong to the surname ("de Beauvoir", "von Humboldt")
+        this.surnameParticles = ['de', 'di', 'da', 'du', 'del', 'della', 'der', 'den', 'van', 'von', 'la', 'le', 'bin', 'ibn'];
+
+        // Latin letters that Unicode normalization does not take apart
+        this.specialLetters = {
+            'ß': 'ss', 'æ': 'ae', 'œ': 'oe', 'ø': 'o', 'ł': 'l', 'đ': 'd', 'ð': 'd', 'þ': 'th',
+            'ı': 'i', 'ħ': 'h', 'ŋ': 'ng', 'ĸ': 'k'
+        };
+
+        // Cyrillic and Greek letters (lowercase, after normalization) in common English romanization
+        this.transliterations = {
+            'а': 'a', 'б': 'b', 'в': 'v', 'г': 'g', 'д': 'd', 'е': 'e', 'ж': 'zh', 'з': 'z', 'и': 'i',
+            'й': 'y', 'к': 'k', 'л': 'l', 'м': 'm', 'н': 'n', 'о': 'o', 'п': 'p', 'р': 'r', 'с': 's',
+            'т': 't', 'у': 'u', 'ф': 'f', 'х': 'kh', 'ц': 'ts', 'ч': 'ch', 'ш': 'sh', 'щ': 'shch',
+            'ъ': '', 'ы': 'y', 'ь': '', 'э': 'e', 'ю': 'yu', 'я': 'ya', 'ё': 'e', 'є': 'ye', 'і': 'i',
+            'ї': 'yi', 'ґ': 'g', 'ў': 'u', 'ј': 'j', 'љ': 'lj', 'њ': 'nj', 'ћ': 'c', 'џ': 'dz', 'ђ': 'd',
+            'α': 'a', 'β': 'b', 'γ': 'g', 'δ': 'd', 'ε': 'e', 'ζ': 'z', 'η': 'e', 'θ': 'th', 'ι': 'i',
+            'κ': 'k', 'λ': 'l', 'μ': 'm', 'ν': 'n', 'ξ': 'x', 'ο': 'o', 'π': 'p', 'ρ': 'r', 'σ': 's',
+            'ς': 's', 'τ': 't', 'υ': 'y', 'φ': 'ph', 'χ': 'ch', 'ψ': 'ps', 'ω': 'o'
+        };
+
+        // Wade-Giles initials in Pinyin, longest first; an apostrophe marks aspiration. Before
+        // i and ü (written u once the umlaut is dropped) ch and ch' become j and q.
+        this.wadeGilesInitials = [
+            ["ch'", 'ch'], ["ts'", 'c'], ["tz'", 'c'], ["k'", 'k'], ["p'", 'p'], ["t'", 't'],
+            ['ch', 'zh'], ['hs', 'x'], ['sh', 'sh'], ['ts', 'z'], ['tz', 'z'], ['k', 'g'], ['p', 'b'],
+            ['t', 'd'], ['j', 'r'], ['m', 'm'], ['f', 'f'], ['n', 'n'], ['l', 'l'], ['h', 'h'], ['s', 's'],
+            ['', '']
+        ];
+
+        // Wade-Giles finals in Pinyin. "o" is read as "e" after k and h and as "uo" after most
+        // other initials; "ih" only follows ch, sh and j.
+        this.wadeGilesFinals = {
+            a: 'a', ai: 'ai', an: 'an', ang: 'ang', ao: 'ao', e: 'e', ei: 'ei', en: 'en', eng: 'eng',
+            o: 'o', ou: 'ou', ih: 'i', i: 'i', ia: 'ia', iang: 'iang', iao: 'iao', ieh: 'ie', ien: 'ian',
+            in: 'in', ing: 'ing', iu: 'iu', iung: 'iong', u: 'u', ua: 'ua', uai: 'uai', uan: 'uan',
+            uang: 'uang', ueh: 'ue', uei: 'ui', ui: 'ui', un: 'un', ung: 'ong', uo: 'uo'
+        };
+
+        // Initials that never come before i or ü
+        this.wadeGilesHardInitials = ['k', "k'", 'h', 'ts', "ts'", 's', 'sh', 'j', 'f'];
+
+        // Whole syllables the initial/final split does not cover
+        this.wadeGilesSyllables = {
+            "tzu": 'zi', "tz'u": 'ci', "ssu": 'si', "szu": 'si', "erh": 'er', 'ya': 'ya', 'yai': 'yai',
+            'yang': 'yang', 'yao': 'yao', 'yeh': 'ye', 'yen': 'yan', 'yi': 'yi', 'yin': 'yin',
+            'ying': 'ying', 'yo': 'yo', 'you': 'you', 'yu': 'yu', 'yuan': 'yuan', 'yueh': 'yue',
+            'yun': 'yun', 'yung': 'yong', 'wa': 'wa', 'wai': 'wai', 'wan': 'wan', 'wang': 'wang',
+            'wei': 'wei', 'wen': 'wen', 'weng': 'weng', 'wo': 'wo', 'wu': 'wu'
+        };
+        this.wadeGiles = this._buildWadeGiles();
+
+        // Hepburn words, one mora at a time (syllabic n, doubled consonants); long vowels written
+        // "ou", "oo" or "uu" fold to the unmarked spelling, as "ō" and "ū" do with the diacritics
+        this.hepburnWord = /^(?:(?:[kgsztdnhbpmr]y?|sh|ch|ts|j|f|w|y)?[aiueo]|n(?![aiueoy])|m(?=[bp])|([kgsztdbp])(?=\1)|t(?=ch))+$/;
+        this.hepburnLongVowels = /o[ou]|uu/;
+
+        // Russian given names and surnames ending in -ii/-iy/-ij ("Dostoevskii", "Dmitrij") fold to -y
+        this.slavicEnding = /(?<=\p{L}{2})(ii|iy|ij|yi)$/u;
+
+        // Locale-aware name order: "Élise" sorts with E, "Žižek" with Z
+        this.collator = new Intl.Collator(undefined, { sensitivity: 'base', numeric: true });
+    }
+
+    /**
+     * Write a name in plain lowercase Latin letters: diacritics dropped, special letters spelled
+     * out, Cyrillic and Greek transliterated. Other scripts, Han characters and kana among
+     * them, are kept as they are.
+     * @param {string} name - Name
+     * @returns {string} - Lowercase text, punctuation kept
+     */
+    transliterate(name) {
+        return String(name || '')
+            .normalize('NFKD')
+            .replace(/\p{M}/gu, '')
+            .toLowerCase()
+            .replace(/[^\x00-\x7f]/g, char => this.specialLetters[char] ?? this.transliterations[char] ?? char);
+    }
+
+    /**
+     * Fold a name for comparison: lowercase Latin (see transliterate), no punctuation, single
+     * spaces, alternative romanizations spelled one way. Wade-Giles words become Pinyin, with
+     * hyphenated syllables joined ("Mao Tse-tung" and "Mao Zedong" both fold to "mao zedong"),
+     * and Hepburn long vowels lose their doubling ("Toukyou", "Tōkyō": "tokyo").
+     * Words spelled alike in several systems are read as Wade-Giles first.
+     * @param {string} name - Name
+     * @returns {string} - Folded name
+     */
+    foldName(name) {
+        return this.transliterate(name)
+            .replace(/[\u2018\u2019\u02bb`]/g, "'")
+            .split(/[^\p{L}\p{N}'-]+/u)
+            .flatMap(word => {
+                const syllables = word.split('-').filter(Boolean);
+                const pinyin = syllables.map(syllable => this.wadeGilesToPinyin(syllable, syllables.length > 1));
+                if (syllables.length > 0 && pinyin.every(Boolean)) {
+                    return [pinyin.join('').replace(this.slavicEnding, 'y')];
+                }
+
+                return word.split(/[^\p{L}\p{N}]+/u).filter(Boolean).map(part => {
+                    if (this.hepburnLongVowels.test(part) && this.hepburnWord.test(part)) {
+                        return part.replace(/o[ou]/g, 'o').replace(/uu/g, 'u');
+                    }
+                    return part.replace(this.slavicEnding, 'y');
+                });
+            })
+            .join(' ');
+    }
+
+    /**
+     * Spell one Wade-Giles syllable in Pinyin ("tse" → "ze", "hsiao" → "xiao", "p'ing" → "ping").
+     * Without the apostrophe an initial is read as unaspirated ("ping" → "bing").
+     * @param {string} syllable - Lowercase syllable, apostrophes as "'"
+     * @param {boolean} inCompound - Part of a hyphenated word; only then are lone vowels
+     *                               syllables ("Chün-i"), not initials ("E. P. Thompson")
+     * @returns {string|null} - Pinyin, or null if it is not a Wade-Giles syllable
+     */
+    wadeGilesToPinyin(syllable, inCompound = false) {
+        if (syllable.length === 1) {
+            return inCompound ? ({ a: 'a', e: 'e', o: 'e', i: 'yi' }[syllable] || null) : null;
+        }
+        return this.wadeGiles.get(syllable) || null;
+    }
+
+    /**
+     * Every Wade-Giles syllable with its Pinyin spelling, from the initials and finals
+     * @private
+     * @returns {Map<string, string|null>} - Pinyin by syllable; null where the first initial
+     *          that fits is not allowed before the final
+     */
+    _buildWadeGiles() {
+        const syllables = new Map(Object.entries(this.wadeGilesSyllables));
+
+        this.wadeGilesInitials.forEach(([initial, pinyinInitial]) => {
+            Object.entries(this.wadeGilesFinals).forEach(([final, pinyinFinal]) => {
+                const syllable = initial + final;
+                if (syllables.has(syllable)) return;
+
+                // i-finals (and ü, in "un" and "ueh") only follow initials that allow them
+                const palatal = /^i(?!h)/.test(final) || final === 'un' || final === 'ueh';
+                if ((!initial && /^[iu]/.test(final)) ||
+                    (final === 'ih' && !['ch', "ch'", 'sh', 'j'].includes(initial)) ||
+                    (palatal && this.wadeGilesHardInitials.includes(initial)) ||
+                    (initial === 'hs' && !/^[iu]/.test(final)) ||
+                    initial.startsWith('tz')) {
+                    syllables.set(syllable, null);
+                    return;
+                }
+
+                let pinyin = pinyinFinal;
+                if (final === 'o') {
+                    pinyin = /^[kh]/.test(initial) ? 'e' : /^[pmf]/.test(initial) ? 'o' : 'uo';
+                }
+
+                if (initial.startsWith('ch') && palatal) {
+                    syllables.set(syllable, (initial === 'ch' ? 'j' : 'q') + pinyin);
+                } else {
+                    syllables.set(syllable, pinyinInitial + pinyin);
+                }
+            });
+        });
+
+        return syllables;
+    }
+
+    /**
+     * Compare two names for sorting, following the user's locale
+     * @param {string} a - Name
+     * @param {string} b - Name
+     * @returns {number} - Negative, zero or positive
+     */
+    compareNames(a, b) {
+        return this.collator.compare(String(a || ''), String(b || ''));
+    }
+
+    /**
+     * Letter a name is filed under in an alphabetical index: "É" under E, "Ž" under Z,
+     * "Бахтин" under B, anything else under "#"
+     * @param {string} name - Name
+     * @returns {string} - Uppercase A-Z or "#"
+     */
+    getIndexLetter(name) {
+        const first = this.transliterate(name).replace(/[^\p{L}\p{N}]+/gu, '').charAt(0).toUpperCase();
+        return /^[A-Z]$/.test(first) ? first : '#';
+    }
+
+    /**
+     * Turn "Last, First" into "First Last"; other names are returned unchanged
+     * @param {string} name - Name
+     * @returns {string} - Name in display order
+     */
+    uninvertName(name) {
+        const parts = String(name || '').split(',');
+        if (parts.length !== 2 || !parts[0].trim() || !parts[1].trim()) {
+            return String(name || '');
+        }
+        return `${parts[1].trim()} ${parts[0].trim()}`;
+    }
+
+    /**
+     * Create a URL slug from a name
+     * @param {string} name - Name
+     * @returns {string} - Slug such as "felix-guattari"
+     */
+    slugify(name) {
+        return this.transliterate(name).replace(/[^\p{L}\p{N}]+/gu, ' ').trim().replace(/\s+/g, '-') || 'academic';
+    }
+
+    /**
+     * Create a permanent ID for a new academic
+     * The ID is derived from the name so that the same person added on different
+     * machines (or shipped in data/academics.json) gets the same ID. Callers must
+     * handle the rare collision with a different person.
+     * @param {string} name - Name at creation time
+     * @returns {string} - ID such as "ac-1x9k2m3"
+     */
+    createId(name) {
+        const folded = this.foldName(this.uninvertName(name));
+
+        // 32-bit FNV-1a
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < folded.length; i++) {
+            hash ^= folded.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+
+        return `ac-${(hash >>> 0).toString(36)}`;
+    }
+
+    /**
+     * Create a random ID, used when a name-derived ID is already taken
+     * @returns {string} - ID
+     */
+    createRandomId() {
+        return `ac-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+    }
+
+    /**
+     * Keys that identify a name exactly (full name, in either order)
+     * @param {string} name - Name or alias
+     * @returns {Array<string>} - Lookup keys
+     */
+    nameKeys(name) {
+        const folded = [this.foldName(name), this.foldName(this.uninvertName(name))];
+
+        // Romanized names are written both as one word and as syllables ("Laozi", "Lao Tzu")
+        const keys = new Set([...folded, ...folded.map(key => key.replace(/ /g, ''))]);
+        keys.delete('');
+        return Array.from(keys);
+    }
+
+    /**
+     * Looser keys for partial names: surname alone and initials plus surname
+     * ("foucault", "m foucault", "t w adorno", "levi strauss"). Only trusted when they match one academic.
+     * @param {string} name - Full name
+     * @returns {Array<string>} - Lookup keys
+     */
+    partialNameKeys(name) {
+        const tokens = this.foldName(this.uninvertName(name)).split(' ').filter(Boolean);
+        if (tokens.length < 2) return [];
+
+        // Keep hyphenated surnames whole ("Lévi-Strauss")
+        const lastWord = this.uninvertName(name).trim().split(/\s+/).pop();
+        const lastWordLength = this.foldName(lastWord).split(' ').filter(Boolean).length;
+
+        // Pull surname particles into the surname
+        let surnameStart = Math.max(tokens.length - Math.max(lastWordLength, 1), 1);
+        while (surnameStart > 1 && this.surnameParticles.includes(tokens[surnameStart - 1])) {
+            surnameStart--;
+        }
+
+        const given = tokens.slice(0, surnameStart);
+        const surnameTokens = tokens.slice(surnameStart);
+        const surnames = new Set([surnameTokens.join(' '), surnameTokens[surnameTokens.length - 1]]);
+
+        const keys = new Set();
+        surnames.forEach(surname => {
+            keys.add(surname);
+            keys.add(`${given[0][0]} ${surname}`);
+            keys.add(`${given.map(part => part[0]).join(' ')} ${surname}`);
+        });
+
+        return Array.from(keys);
+    }
+}
+
+// Initialize the academic identity helper
+const academicIdentity = new AcademicIdentity();
+
+// Make it available globally
+window.academicIdentity = academicIdentity;
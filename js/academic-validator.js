@@ -0,0 +1,442 @@
+/**
+ * Academic Validator for KillPhilosophy
+ * Validates academic records against a declared JSON Schema before they are written,
+ * whether they come from contributions, imports, seed data or Deep Search saves
+ */
+
+/**
+ * Error carrying field-level validation problems
+ * Each entry is `{ field, message }`, where `field` is a path such as `papers[0].year`.
+ */
+class ValidationError extends Error {
+    constructor(errors) {
+        super(errors.map(error => error.message).join('; ') || 'Validation failed');
+        this.name = 'ValidationError';
+        this.errors = errors;
+    }
+}
+
+class AcademicValidator {
+    constructor() {
+        const currentYear = new Date().getFullYear();
+
+        // Years: an integer (negative for BCE), an approximate date or range object, or null
+        // when unknown. See js/historical-dates.js.
+        const date = title => ({
+            title,
+            type: ['integer', 'object', 'null'],
+            minimum: -9999,
+            maximum: currentYear,
+            required: ['year'],
+            properties: {
+                year: { title, type: 'integer', minimum: -9999, maximum: currentYear },
+                to: { title: `${title} (end of range)`, type: ['integer', 'null'], minimum: -9999, maximum: currentYear },
+                circa: { title: `${title} (approximate)`, type: 'boolean' },
+                floruit: { title: `${title} (flourished)`, type: 'boolean' }
+            }
+        });
+
+        // Source references, shared by every field that records where a fact comes from
+        const sources = {
+            title: 'Sources',
+            type: 'array',
+            items: {
+                title: 'Source',
+                type: 'object',
+                required: ['type', 'value'],
+                properties: {
+                    type: { title: 'Source type', type: 'string', enum: Object.keys(provenance.types) },
+                    value: { title: 'Source', type: 'string', minLength: 1, maxLength: 1000 },
+                    label: { title: 'Source label', type: ['string', 'null'], maxLength: 500 },
+                    date: { title: 'Source date', type: ['string', 'null'], pattern: '^\\d{4}-\\d{2}-\\d{2}$' }
+                }
+            }
+        };
+
+        // JSON Schema (draft-07 subset) for an academic record.
+        // `title` is used as the human-readable field label in error messages.
+        this.schema = {
+            $schema: 'http://json-schema.org/draft-07/schema#',
+            title: 'Academic',
+            type: 'object',
+            required: ['name'],
+            properties: {
+                id: { title: 'ID', type: 'string', pattern: '^[a-z0-9-]+$', maxLength: 64 },
+                slug: { title: 'Slug', type: 'string', pattern: '^[\\p{L}\\p{N}]+(-[\\p{L}\\p{N}]+)*$', maxLength: 200 },
+                name: { title: 'Name', type: 'string', minLength: 1, maxLength: 200 },
+                aliases: {
+                    title: 'Aliases',
+                    type: 'array',
+                    uniqueItems: true,
+                    items: { title: 'Alias', type: 'string', minLength: 1, maxLength: 200 }
+                },
+                bio: { title: 'Biography', type: ['string', 'null'], maxLength: 20000 },
+                bioSources: { ...sources, title: 'Biography sources' },
+                birthYear: date('Birth year'),
+                deathYear: date('Death year'),
+                taxonomies: {
+                    title: 'Taxonomies',
+                    type: 'object',
+                    additionalProperties: {
+                        title: 'Taxonomy values',
+                        type: 'array',
+                        uniqueItems: true,
+                        items: { title: 'Taxonomy value', type: 'string', minLength: 1, maxLength: 100 }
+                    }
+                },
+                taxonomySources: {
+                    title: 'Taxonomy sources',
+                    type: 'object',
+                    additionalProperties: {
+                        title: 'Taxonomy sources',
+                        type: 'object',
+                        additionalProperties: sources
+                    }
+                },
+                papers: {
+                    title: 'Papers',
+                    type: 'array',
+                    items: {
+                        title: 'Paper',
+                        type: 'object',
+                        required: ['title'],
+                        properties: {
+                            title: { title: 'Paper title', type: 'string', minLength: 1, maxLength: 500 },
+                            year: date('Year'),
+                            coauthors: {
+                                title: 'Co-authors',
+                                type: 'array',
+                                items: { title: 'Co-author', type: 'string', minLength: 1, maxLength: 200 }
+                            },
+                            url: { title: 'URL', type: ['string', 'null'], format: 'uri' },
+                            sources
+                        }
+                    }
+                },
+                events: {
+                    title: 'Events',
+                    type: 'array',
+                    items: {
+                        title: 'Event',
+                        type: 'object',
+                        required: ['title'],
+                        properties: {
+                            title: { title: 'Event title', type: 'string', minLength: 1, maxLength: 500 },
+                            year: date('Year'),
+                            location: { title: 'Location', type: ['string', 'null'], maxLength: 200 },
+                            description: { title: 'Description', type: ['string', 'null'], maxLength: 5000 },
+                            sources
+                        }
+                    }
+                },
+                connections: {
+                    title: 'Connections',
+                    type: 'array',
+                    items: {
+                        title: 'Connection',
+                        type: 'object',
+                        required: ['name', 'type', 'direction'],
+                        properties: {
+                            target: { title: 'Connected academic ID', type: ['string', 'null'], pattern: '^[a-z0-9-]+$' },
+                            name: { title: 'Connected academic', type: 'string', minLength: 1, maxLength: 200 },
+                            type: { title: 'Connection type', type: 'string', enum: Object.keys(connectionTypes.types) },
+                            direction: { title: 'Direction', type: 'string', enum: connectionTypes.directions },
+                            startYear: date('Start year'),
+                            endYear: date('End year'),
+                            description: { title: 'Description', type: ['string', 'null'], maxLength: 2000 },
+                            sources
+                        }
+                    }
+                }
+            }
+        };
+
+        // Record-level rules that JSON Schema cannot express
+        this.rules = [
+            academic => {
+                const errors = [];
+                const checkDate = (value, field, label) => historicalDates.validate(value).forEach(message => {
+                    errors.push({ field, message: `${label} ${message}` });
+                });
+
+                checkDate(academic.birthYear, 'birthYear', 'Birth year');
+                checkDate(academic.deathYear, 'deathYear', 'Death year');
+                ['papers', 'events'].forEach(field => {
+                    (academic[field] || []).forEach((item, index) => checkDate(item.year, `${field}[${index}].year`, 'Year'));
+                });
+                (academic.connections || []).forEach((connection, index) => {
+                    checkDate(connection.startYear, `connections[${index}].startYear`, 'Start year');
+                    checkDate(connection.endYear, `connections[${index}].endYear`, 'End year');
+                });
+
+                if (historicalDates.isBefore(academic.deathYear, academic.birthYear)) {
+                    errors.push({ field: 'deathYear', message: 'Death year cannot be before birth year' });
+                }
+
+                return errors;
+            },
+            academic => {
+                if (!Array.isArray(academic.connections) || typeof academic.name !== 'string') return [];
+
+                const ownName = academicIdentity.foldName(academic.name);
+                const seen = new Set();
+                const errors = [];
+
+                academic.connections.forEach((connection, index) => {
+                    const field = `connections[${index}]`;
+
+                    if ((academic.id && connection.target === academic.id) ||
+                        academicIdentity.foldName(connection.name) === ownName) {
+                        errors.push({ field: `${field}.name`, message: 'An academic cannot be connected to themselves' });
+                    }
+
+                    if (connectionTypes.types[connection.type].symmetric !== (connection.direction === 'mutual')) {
+                        errors.push({
+                            field: `${field}.direction`,
+                            message: `Direction "${connection.direction}" does not fit connection type "${connection.type}"`
+                        });
+                    }
+
+                    if (historicalDates.isBefore(connection.endYear, connection.startYear)) {
+                        errors.push({ field: `${field}.endYear`, message: 'End year cannot be before start year' });
+                    }
+
+                    const key = connectionTypes.getKey(connection);
+                    if (seen.has(key)) {
+                        errors.push({
+                            field,
+                            message: `Connection "${connectionTypes.getLabel(connection)} ${connection.name}" is listed more than once`
+                        });
+                    }
+                    seen.add(key);
+                });
+
+                return errors;
+            },
+            academic => {
+                const errors = [];
+                const checkSources = (list, path) => (list || []).forEach((source, index) => {
+                    if (source.type === 'url' && !this._isUrl(source.value)) {
+                        errors.push({ field: `${path}[${index}].value`, message: 'Source URL must be a valid http(s) URL' });
+                    }
+                });
+
+                checkSources(academic.bioSources, 'bioSources');
+                ['papers', 'events', 'connections'].forEach(field => {
+                    (academic[field] || []).forEach((item, index) => checkSources(item.sources, `${field}[${index}].sources`));
+                });
+                for (const [category, values] of Object.entries(academic.taxonomySources || {})) {
+                    for (const [value, list] of Object.entries(values)) {
+                        checkSources(list, `taxonomySources.${category}.${value}`);
+                    }
+                }
+
+                return errors;
+            }
+        ];
+    }
+
+    /**
+     * Validate a complete academic record
+     * @param {Object} academic - Academic record
+     * @returns {{valid: boolean, errors: Array<{field: string, message: string}>}} - Validation result
+     */
+    validate(academic) {
+        const errors = this._validateValue(academic, this.schema, '');
+
+        // Only run record-level rules on structurally sound records
+        if (errors.length === 0) {
+            this.rules.forEach(rule => errors.push(...rule(academic)));
+        }
+
+        return { valid: errors.length === 0, errors };
+    }
+
+    /**
+     * Validate a single top-level property (e.g. `papers` or `birthYear`) against its sub-schema
+     * @param {string} property - Property name
+     * @param {*} value - Property value
+     * @returns {{valid: boolean, errors: Array<{field: string, message: string}>}} - Validation result
+     */
+    validateProperty(property, value) {
+        const schema = this.schema.properties[property];
+        if (!schema) {
+            return { valid: false, errors: [{ field: property, message: `Unknown field "${property}"` }] };
+        }
+
+        const errors = this._validateValue(value, schema, property);
+        return { valid: errors.length === 0, errors };
+    }
+
+    /**
+     * Validate a record and throw a ValidationError if it is invalid
+     * @param {Object} academic - Academic record
+     * @throws {ValidationError}
+     */
+    assertValid(academic) {
+        const { valid, errors } = this.validate(academic);
+        if (!valid) {
+            throw new ValidationError(errors);
+        }
+    }
+
+    /**
+     * Validate a value against a schema node
+     * @private
+     * @param {*} value - Value to check
+     * @param {Object} schema - Schema node
+     * @param {string} path - Field path for error reporting
+     * @returns {Array<{field: string, message: string}>} - Errors
+     */
+    _validateValue(value, schema, path) {
+        const label = schema.title || path || 'Value';
+        const errors = [];
+        const error = message => errors.push({ field: path, message: `${label} ${message}` });
+
+        // Absent optional values are fine; `required` is checked by the parent object
+        if (value === undefined) return errors;
+
+        if (schema.type) {
+            const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+            if (!types.some(type => this._matchesType(value, type))) {
+                error(this._describeType(types));
+                return errors;
+            }
+        }
+
+        if (value === null) return errors;
+
+        if (typeof value === 'string') {
+            if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+                error(schema.minLength === 1 ? 'is required' : `must be at least ${schema.minLength} characters`);
+            }
+            if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+                error(`must be at most ${schema.maxLength} characters`);
+            }
+            if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+                error('has an invalid format');
+            }
+            if (schema.format === 'uri' && !this._isUrl(value)) {
+                error('must be a valid http(s) URL');
+            }
+        }
+
+        if (typeof value === 'number') {
+            if (schema.minimum !== undefined && value < schema.minimum) {
+                error(`must be ${schema.minimum} or later`);
+            }
+            if (schema.maximum !== undefined && value > schema.maximum) {
+                error(`must be ${schema.maximum} or earlier`);
+            }
+        }
+
+        if (schema.enum && !schema.enum.includes(value)) {
+            error(`must be one of: ${schema.enum.join(', ')}`);
+        }
+
+        if (Array.isArray(value)) {
+            if (schema.items) {
+                value.forEach((item, index) => {
+                    errors.push(...this._validateValue(item, schema.items, `${path}[${index}]`));
+                });
+            }
+            if (schema.uniqueItems) {
+                const seen = new Set();
+                value.forEach((item, index) => {
+                    const key = typeof item === 'string' ? item.trim().toLowerCase() : JSON.stringify(item);
+                    if (seen.has(key)) {
+                        errors.push({ field: `${path}[${index}]`, message: `${label} contains "${item}" more than once` });
+                    }
+                    seen.add(key);
+                });
+            }
+        } else if (typeof value === 'object') {
+            (schema.required || []).forEach(property => {
+                const propertyValue = value[property];
+                if (propertyValue === undefined || propertyValue === null || propertyValue === '') {
+                    const propertySchema = schema.properties?.[property] || {};
+                    errors.push({
+                        field: path ? `${path}.${property}` : property,
+                        message: `${propertySchema.title || property} is required`
+                    });
+                }
+            });
+
+            for (const [property, propertyValue] of Object.entries(value)) {
+                const propertyPath = path ? `${path}.${property}` : property;
+                const propertySchema = schema.properties?.[property] ||
+                    (typeof schema.additionalProperties === 'object' ? schema.additionalProperties : null);
+
+                if (propertySchema) {
+                    errors.push(...this._validateValue(propertyValue, propertySchema, propertyPath));
+                }
+            }
+        }
+
+        // Report each field once (e.g. a blank required string fails both `required` and `minLength`)
+        return errors.filter((entry, index) =>
+            errors.findIndex(other => other.field === entry.field) === index
+        );
+    }
+
+    /**
+     * Check a value against a JSON Schema type name
+     * @private
+     * @param {*} value - Value
+     * @param {string} type - JSON Schema type
+     * @returns {boolean} - True if the value has the type
+     */
+    _matchesType(value, type) {
+        switch (type) {
+            case 'null': return value === null;
+            case 'string': return typeof value === 'string';
+            case 'integer': return Number.isInteger(value);
+            case 'number': return typeof value === 'number' && !isNaN(value);
+            case 'boolean': return typeof value === 'boolean';
+            case 'array': return Array.isArray(value);
+            case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+            default: return false;
+        }
+    }
+
+    /**
+     * Describe the expected types for an error message
+     * @private
+     * @param {Array<string>} types - JSON Schema types
+     * @returns {string} - Message fragment
+     */
+    _describeType(types) {
+        const names = {
+            string: 'text',
+            integer: 'a whole number',
+            number: 'a number',
+            boolean: 'true or false',
+            array: 'a list',
+            object: 'an object'
+        };
+
+        return `must be ${types.filter(type => type !== 'null').map(type => names[type] || type).join(' or ')}`;
+    }
+
+    /**
+     * Check whether a string is an absolute http(s) URL
+     * @private
+     * @param {string} value - Candidate URL
+     * @returns {boolean} - True if valid
+     */
+    _isUrl(value) {
+        try {
+            const url = new URL(value);
+            return url.protocol === 'http:' || url.protocol === 'https:';
+        } catch (error) {
+            return false;
+        }
+    }
+}
+
+// Initialize the academic validator
+const academicValidator = new AcademicValidator();
+
+// Make it available globally
+window.academicValidator = academicValidator;
+window.ValidationError = ValidationError;
@@ -15,6 +15,9 @@ document.addEventListener('DOMContentLoaded', () => {
     // Setup event listeners
     setupEventListeners();
     
+    // Wait for the database cache to load
+    initializeDatabase();
+    
     // Set Search as the default and only visible view
     hideAllSections();
     setActiveNavItem('nav-search');
@@ -39,6 +42,69 @@ document.addEventListener('DOMContentLoaded', () => {
     addVisualizationContainer();
 });
 
+/**
+ * Wait for the database manager to load its cache, merge the bundled seed data,
+ * then refresh the visible view
+ */
+async function initializeDatabase() {
+    if (typeof databaseManager === 'undefined') {
+        displayErrorMessage('Database manager not available', 'database');
+        return;
+    }
+    
+    const persistent = await databaseManager.ready;
+    if (!persistent) {
+        console.warn('Database is running in memory only. Changes will be lost on reload.');
+    }
+    
+    // Merge data/academics.json into the local store
+    if (typeof seedLoader !== 'undefined') {
+        try {
+            await seedLoader.load();
+        } catch (error) {
+            displayErrorMessage(`Could not load bundled data: ${error.message}`, 'database');
+        }
+    }
+    
+    // Taxonomy terms edited by admins, plus any values the data uses that are not registered yet
+    try {
+        await taxonomyRegistry.load();
+    } catch (error) {
+        console.error('Could not load the taxonomy registry:', error);
+    }
+    
+    // The contribution form read its vocabulary before the data was available
+    if (typeof contributionHandler !== 'undefined') {
+        contributionHandler.taxonomyCategories = databaseManager.getAllTaxonomyCategories();
+    }
+    
+    refreshActiveView();
+    
+    // Profile and Database links (#academic/<slug>, #database?…) can only be resolved once the data is loaded
+    openViewFromHash();
+    window.addEventListener('hashchange', openViewFromHash);
+}
+
+/**
+ * Re-render the currently visible data-driven view
+ */
+function refreshActiveView() {
+    const isVisible = id => {
+        const element = document.getElementById(id);
+        return element && element.style.display !== 'none';
+    };
+    
+    if (isVisible('database-container')) {
+        loadDatabaseListing();
+    } else if (isVisible('map-container')) {
+        loadCorpusMap();
+    } else if (isVisible('novelty-tiles-container')) {
+        loadNoveltyTiles();
+    } else if (isVisible('admin-container')) {
+        loadAdminPanel();
+    }
+}
+
 /**
  * Setup global error handling
  */
@@ -133,8 +199,15 @@ function checkFeatureSupport() {
     // Check for localStorage support
     const localStorageSupported = checkLocalStorageSupport();
     if (!localStorageSupported) {
-        console.warn('localStorage not supported. Data will not be saved between sessions.');
-        incompatibilities.push('Local storage is not supported - your data won\'t be saved between sessions.');
+        console.warn('localStorage not supported. Settings will not be saved between sessions.');
+        incompatibilities.push('Local storage is not supported - your settings won\'t be saved between sessions.');
+    }
+    
+    // Check for IndexedDB support
+    const indexedDBSupported = 'indexedDB' in window;
+    if (!indexedDBSupported) {
+        console.warn('IndexedDB not supported. Data will not be saved between sessions.');
+        incompatibilities.push('IndexedDB is not supported - your data won\'t be saved between sessions.');
     }
     
     // Check for Fetch API
@@ -266,6 +339,7 @@ function hideAllSections() {
         'search-container',
         'results-container',
         'database-container',
+        'map-container',
         'novelty-tiles-container',
         'deep-search-container',
         'about-container',
@@ -424,6 +498,7 @@ function setupEventListeners() {
     // Navigation event listeners
     const navSearchEl = document.getElementById('nav-search');
     const navDatabaseEl = document.getElementById('nav-database');
+    const navMapEl = document.getElementById('nav-map');
     const navNoveltyTilesEl = document.getElementById('nav-novelty-tiles');
     const navDeepSearchEl = document.getElementById('nav-deep-search');
     const navAboutEl = document.getElementById('nav-about');
@@ -431,6 +506,7 @@ function setupEventListeners() {
     
     if (navSearchEl) navSearchEl.addEventListener('click', navSearchHandler);
     if (navDatabaseEl) navDatabaseEl.addEventListener('click', navDatabaseHandler);
+    if (navMapEl) navMapEl.addEventListener('click', navMapHandler);
     if (navNoveltyTilesEl) navNoveltyTilesEl.addEventListener('click', navNoveltyHandler);
     if (navDeepSearchEl) navDeepSearchEl.addEventListener('click', navDeepSearchHandler);
     if (navAboutEl) navAboutEl.addEventListener('click', navAboutHandler);
@@ -439,6 +515,9 @@ function setupEventListeners() {
     // Setup search listeners
     setupSearchListeners();
     
+    // Setup admin panel listeners
+    setupAdminListeners();
+    
     // Add keyboard shortcuts
     document.addEventListener('keydown', (e) => {
         // Alt + S for search
@@ -451,6 +530,11 @@ function setupEventListeners() {
             e.preventDefault();
             navDatabaseHandler();
         }
+        // Alt + M for map
+        else if (e.altKey && e.key === 'm') {
+            e.preventDefault();
+            navMapHandler();
+        }
         // Alt + N for novelty tiles
         else if (e.altKey && e.key === 'n') {
             e.preventDefault();
@@ -507,6 +591,14 @@ function navDatabaseHandler() {
     loadDatabaseListing();
 }
 
+function navMapHandler() {
+    hideAllSections();
+    document.getElementById('map-container').style.display = 'block';
+    setActiveNavItem('nav-map');
+    
+    loadCorpusMap();
+}
+
 function navNoveltyHandler() {
     hideAllSections();
     document.getElementById('novelty-tiles-container').style.display = 'block';
@@ -521,6 +613,8 @@ function navDeepSearchHandler() {
     document.getElementById('deep-search-container').style.display = 'block';
     setActiveNavItem('nav-deep-search');
     
+    loadPathFinder();
+    
     // Focus the deep search input
     const deepSearchInput = document.getElementById('deep-search-input');
     if (deepSearchInput) {
@@ -545,119 +639,97 @@ function navAdminHandler() {
     hideAllSections();
     document.getElementById('admin-container').style.display = 'block';
     setActiveNavItem('nav-admin');
+    
+    // Load admin panel data
+    loadAdminPanel();
+    loadTaxonomyEditor();
 }
 
 /**
- * Load database listing
+ * Load database listing: the faceted browser (see js/database-browser.js)
  */
 function loadDatabaseListing() {
     const databaseContent = document.getElementById('database-content');
     if (!databaseContent) return;
     
-    // Clear existing content
-    databaseContent.innerHTML = '';
-    
     // Check if database manager is available
     if (typeof databaseManager === 'undefined') {
         databaseContent.innerHTML = '<div class="error-message">Database manager not available</div>';
         return;
     }
     
-    // Get all academics
-    const academics = databaseManager.getAllAcademics();
+    databaseBrowser.render(databaseContent, {
+        onSelect: academic => {
+            displayAcademic(academic);
+            
+            // Switch to results view
+            hideAllSections();
+            document.getElementById('results-container').style.display = 'block';
+        }
+    });
+}
+
+/**
+ * Load the map of the whole database (see js/corpus-map.js)
+ */
+function loadCorpusMap() {
+    const mapContent = document.getElementById('map-content');
+    if (!mapContent) return;
     
-    if (!academics || academics.length === 0) {
-        databaseContent.innerHTML = '<div class="info-message">No academics found in the database</div>';
+    if (typeof databaseManager === 'undefined') {
+        mapContent.innerHTML = '<div class="error-message">Database manager not available</div>';
         return;
     }
     
-    // Sort academics by name
-    academics.sort((a, b) => a.name.localeCompare(b.name));
+    const showProfile = academic => {
+        displayAcademic(academic);
+        hideAllSections();
+        document.getElementById('results-container').style.display = 'block';
+    };
     
-    // Group academics by first letter
-    const groupedAcademics = {};
-    academics.forEach(academic => {
-        const firstLetter = academic.name.charAt(0).toUpperCase();
-        if (!groupedAcademics[firstLetter]) {
-            groupedAcademics[firstLetter] = [];
+    corpusMap.render(mapContent, {
+        onOpen: showProfile,
+        onShowNetwork: academic => {
+            showProfile(academic);
+            visualizeAcademic(academic);
         }
-        groupedAcademics[firstLetter].push(academic);
     });
     
-    // Create alphabet navigation
-    const alphabetNav = document.createElement('div');
-    alphabetNav.className = 'alphabet-nav';
-    
-    // Get all letters that have academics
-    const letters = Object.keys(groupedAcademics).sort();
+    const analyticsContent = document.getElementById('analytics-content');
+    if (analyticsContent) {
+        graphAnalytics.render(analyticsContent, {
+            onSelect: academic => {
+                corpusMap.focus(academic.id);
+                mapContent.scrollIntoView({ behavior: 'smooth', block: 'start' });
+            }
+        });
+    }
     
-    // Add all letters A-Z with disabled state for those without academics
-    for (let i = 65; i <= 90; i++) {
-        const letter = String.fromCharCode(i);
-        const letterLink = document.createElement('a');
-        letterLink.textContent = letter;
-        letterLink.href = `#letter-${letter}`;
-        
-        if (!letters.includes(letter)) {
-            letterLink.className = 'disabled';
-        }
-        
-        alphabetNav.appendChild(letterLink);
+    const coauthorContent = document.getElementById('coauthor-content');
+    if (coauthorContent) {
+        coauthorNetwork.render(coauthorContent, { onOpen: showProfile });
     }
+}
+
+/**
+ * Load the degrees-of-separation finder on the Deep Search tab (see js/path-finder.js)
+ */
+function loadPathFinder() {
+    const pathFinderContent = document.getElementById('path-finder-content');
+    if (!pathFinderContent || typeof databaseManager === 'undefined') return;
     
-    databaseContent.appendChild(alphabetNav);
+    const showProfile = academic => {
+        displayAcademic(academic);
+        hideAllSections();
+        document.getElementById('results-container').style.display = 'block';
+    };
     
-    // Create academic listings by letter
-    letters.forEach(letter => {
-        const letterSection = document.createElement('div');
-        letterSection.className = 'letter-section';
-        letterSection.id = `letter-${letter}`;
-        
-        const letterHeader = document.createElement('h2');
-        letterHeader.textContent = letter;
-        letterSection.appendChild(letterHeader);
-        
-        const academicsList = document.createElement('div');
-        academicsList.className = 'academics-list';
-        
-        groupedAcademics[letter].forEach(academic => {
-            const academicItem = document.createElement('div');
-            academicItem.className = 'academic-item';
-            
-            const academicLink = document.createElement('a');
-            academicLink.textContent = academic.name;
-            academicLink.href = '#';
-            academicLink.addEventListener('click', (e) => {
-                e.preventDefault();
-                displayAcademic(academic);
-                
-                // Switch to results view
-                hideAllSections();
-                document.getElementById('results-container').style.display = 'block';
-            });
-            
-            academicItem.appendChild(academicLink);
-            
-            // Add discipline tags if available
-            if (academic.taxonomies && academic.taxonomies.discipline) {
-                const tags = document.createElement('div');
-                tags.className = 'taxonomy-tags';
-                
-                academic.taxonomies.discipline.forEach(discipline => {
-                    const tag = document.createElement('span');
-                    tag.className = 'taxonomy-tag';
-                    tag.textContent = discipline;
-                    tags.appendChild(tag);
-                });
-                
-                academicItem.appendChild(tags);
-            }
-            
-            academicsList.appendChild(academicItem);
-        });
-        
-        letterSection.appendChild(academicsList);
-        databaseContent.appendChild(letterSection);
+    pathFinder.render(pathFinderContent, {
+        onOpen: showProfile,
+        onShowPath: path => {
+            showProfile(path.academics[0]);
+            networkVisualization.visualizePath(path);
+        }
     });
 }
 
@@ -717,8 +789,9 @@ function loadNoveltyTiles() {
 /**
  * Display academic profile
  * @param {Object} academic - Academic object
+ * @param {Object} options - `fromResults` to keep the search results and link back to them
  */
-function displayAcademic(academic) {
+function displayAcademic(academic, { fromResults = false } = {}) {
     const resultsContainer = document.getElementById('results-container');
     if (!resultsContainer) return;
     
@@ -726,6 +799,36 @@ function displayAcademic(academic) {
                             document.createElement('div');
     profileContainer.className = 'academic-profile';
     profileContainer.innerHTML = '';
+    profileContainer.style.display = '';
+    setResultsHeading('Academic Profile');
+    
+    // A network stays open only while it is centred on the academic shown
+    if (typeof networkVisualization !== 'undefined' && networkVisualization.centerId !== academic.id) {
+        networkVisualization.close();
+    }
+    if (typeof genealogyTree !== 'undefined' && genealogyTree.rootId !== academic.id) {
+        genealogyTree.close();
+    }
+    
+    // Search results stay behind the profile only when it was opened from them
+    const searchResultsContainer = resultsContainer.querySelector('.search-results');
+    if (searchResultsContainer) {
+        if (fromResults) {
+            searchResultsContainer.style.display = 'none';
+            
+            const backToResults = document.createElement('button');
+            backToResults.className = 'back-to-results';
+            backToResults.textContent = '‹ Back to results';
+            backToResults.addEventListener('click', () => {
+                profileContainer.style.display = 'none';
+                searchResultsContainer.style.display = '';
+                setResultsHeading('Search Results');
+            });
+            profileContainer.appendChild(backToResults);
+        } else {
+            searchResultsContainer.remove();
+        }
+    }
     
     // Create academic header
     const header = document.createElement('div');
@@ -736,6 +839,30 @@ function displayAcademic(academic) {
     name.textContent = academic.name;
     header.appendChild(name);
     
+    // Life dates, e.g. "1926–1984", "c. 428–348 BCE" or "b. 1956"
+    const hasBirth = historicalDates.isKnown(academic.birthYear);
+    const hasDeath = historicalDates.isKnown(academic.deathYear);
+    if (hasBirth || hasDeath) {
+        const lifespan = document.createElement('div');
+        lifespan.className = 'academic-lifespan';
+        if (hasBirth && hasDeath) {
+            lifespan.textContent = historicalDates.formatSpan(academic.birthYear, academic.deathYear);
+        } else {
+            lifespan.textContent = hasBirth
+                ? `b. ${historicalDates.format(academic.birthYear)}`
+                : `d. ${historicalDates.format(academic.deathYear)}`;
+        }
+        header.appendChild(lifespan);
+    }
+    
+    // Other names the academic is known by
+    if (academic.aliases && academic.aliases.length > 0) {
+        const aliases = document.createElement('div');
+        aliases.className = 'academic-aliases';
+        aliases.textContent = `Also known as: ${academic.aliases.join(', ')}`;
+        header.appendChild(aliases);
+    }
+    
     // Add action buttons
     const actionButtons = document.createElement('div');
     actionButtons.className = 'action-buttons';
@@ -748,12 +875,12 @@ function displayAcademic(academic) {
     favoriteButton.addEventListener('click', () => {
         if (typeof databaseManager !== 'undefined') {
             const favorites = databaseManager.getFavorites();
-            if (favorites.includes(academic.name)) {
-                databaseManager.removeFromFavorites(academic.name);
+            if (favorites.includes(academic.id)) {
+                databaseManager.removeFromFavorites(academic.id);
                 favoriteButton.classList.remove('active');
                 favoriteButton.title = 'Add to favorites';
             } else {
-                databaseManager.addToFavorites(academic.name);
+                databaseManager.addToFavorites(academic.id);
                 favoriteButton.classList.add('active');
                 favoriteButton.title = 'Remove from favorites';
             }
@@ -763,7 +890,7 @@ function displayAcademic(academic) {
     // Check if already in favorites
     if (typeof databaseManager !== 'undefined') {
         const favorites = databaseManager.getFavorites();
-        if (favorites.includes(academic.name)) {
+        if (favorites.includes(academic.id)) {
             favoriteButton.classList.add('active');
             favoriteButton.title = 'Remove from favorites';
         }
@@ -781,15 +908,86 @@ function displayAcademic(academic) {
     });
     actionButtons.appendChild(visualizeButton);
     
+    // Genealogy button
+    const genealogyButton = document.createElement('button');
+    genealogyButton.className = 'action-btn genealogy-btn';
+    genealogyButton.innerHTML = '⇅';
+    genealogyButton.title = 'Show teachers, students and influences';
+    genealogyButton.addEventListener('click', () => {
+        showGenealogy(academic);
+    });
+    actionButtons.appendChild(genealogyButton);
+    
     header.appendChild(actionButtons);
     profileContainer.appendChild(header);
     
+    // Profile and History tabs
+    const tabs = document.createElement('div');
+    tabs.className = 'profile-tabs';
+    tabs.setAttribute('role', 'tablist');
+    
+    const profilePanel = document.createElement('div');
+    profilePanel.className = 'profile-panel';
+    profilePanel.id = 'profile-panel';
+    profilePanel.setAttribute('role', 'tabpanel');
+    
+    const historyPanel = document.createElement('div');
+    historyPanel.className = 'profile-panel history-panel';
+    historyPanel.id = 'history-panel';
+    historyPanel.setAttribute('role', 'tabpanel');
+    historyPanel.hidden = true;
+    
+    const tabButtons = [
+        { label: 'Profile', panel: profilePanel },
+        { label: 'History', panel: historyPanel }
+    ].map(({ label, panel }, index) => {
+        const tab = document.createElement('button');
+        tab.type = 'button';
+        tab.className = `profile-tab${index === 0 ? ' active' : ''}`;
+        tab.id = `${panel.id}-tab`;
+        tab.textContent = label;
+        tab.setAttribute('role', 'tab');
+        tab.setAttribute('aria-controls', panel.id);
+        tab.setAttribute('aria-selected', index === 0 ? 'true' : 'false');
+        panel.setAttribute('aria-labelledby', tab.id);
+        tabs.appendChild(tab);
+        return { tab, panel };
+    });
+    
+    let historyLoaded = false;
+    tabButtons.forEach(({ tab, panel }) => {
+        tab.addEventListener('click', () => {
+            tabButtons.forEach(other => {
+                const selected = other.tab === tab;
+                other.tab.classList.toggle('active', selected);
+                other.tab.setAttribute('aria-selected', selected ? 'true' : 'false');
+                other.panel.hidden = !selected;
+            });
+            
+            // The revision log is only read when someone asks for it
+            if (panel === historyPanel && !historyLoaded && typeof revisionHistory !== 'undefined') {
+                historyLoaded = true;
+                revisionHistory.render(historyPanel, academic, {
+                    onRestore: restored => displayAcademic(restored)
+                });
+            }
+        });
+    });
+    
+    profileContainer.appendChild(tabs);
+    profileContainer.appendChild(profilePanel);
+    profileContainer.appendChild(historyPanel);
+    
+    // Facts cite their sources as numbered footnotes, listed at the end of the profile
+    const footnotes = provenance.createFootnotes();
+    
     // Add bio
     if (academic.bio) {
         const bio = document.createElement('div');
         bio.className = 'academic-bio';
         bio.textContent = academic.bio;
-        profileContainer.appendChild(bio);
+        bio.appendChild(footnotes.cite(academic.bioSources));
+        profilePanel.appendChild(bio);
     }
     
     // Add taxonomies
@@ -814,12 +1012,26 @@ function displayAcademic(academic) {
                     const valueTag = document.createElement('span');
                     valueTag.className = 'taxonomy-value';
                     valueTag.textContent = value;
+                    
+                    // Show where the term sits in the registry, e.g. "Phenomenology › Existential Phenomenology"
+                    const term = taxonomyRegistry.getTerm(category, value);
+                    if (term) {
+                        valueTag.title = [taxonomyRegistry.getPath(category, value).join(' › '), term.description]
+                            .filter(Boolean).join('\n');
+                        if (term.deprecated) valueTag.classList.add('deprecated');
+                    }
+                    
                     valueTag.addEventListener('click', () => {
                         const criteria = {};
                         criteria[category] = value;
                         searchByTaxonomy(criteria);
                     });
                     categoryValues.appendChild(valueTag);
+                    
+                    const valueSources = academic.taxonomySources?.[category]?.[value];
+                    if (valueSources && valueSources.length > 0) {
+                        categoryValues.appendChild(footnotes.cite(valueSources));
+                    }
                 });
                 
                 taxonomyCategory.appendChild(categoryValues);
@@ -827,7 +1039,7 @@ function displayAcademic(academic) {
             }
         }
         
-        profileContainer.appendChild(taxonomies);
+        profilePanel.appendChild(taxonomies);
     }
     
     // Add papers
@@ -842,16 +1054,16 @@ function displayAcademic(academic) {
         const papersList = document.createElement('ul');
         papersList.className = 'papers-list';
         
-        // Sort papers by year (descending)
-        const sortedPapers = [...academic.papers].sort((a, b) => b.year - a.year);
+        // Sort papers by year (descending, undated last)
+        const sortedPapers = [...academic.papers].sort((a, b) => historicalDates.compare(b.year, a.year));
         
         sortedPapers.forEach(paper => {
             const paperItem = document.createElement('li');
             paperItem.className = 'paper-item';
             
             let paperText = paper.title;
-            if (paper.year) {
-                paperText += ` (${paper.year})`;
+            if (historicalDates.isKnown(paper.year)) {
+                paperText += ` (${historicalDates.format(paper.year)})`;
             }
             
             if (paper.coauthors && paper.coauthors.length > 0) {
@@ -859,11 +1071,12 @@ function displayAcademic(academic) {
             }
             
             paperItem.textContent = paperText;
+            paperItem.appendChild(footnotes.cite(paper.sources));
             papersList.appendChild(paperItem);
         });
         
         papersSection.appendChild(papersList);
-        profileContainer.appendChild(papersSection);
+        profilePanel.appendChild(papersSection);
     }
     
     // Add events
@@ -878,16 +1091,16 @@ function displayAcademic(academic) {
         const eventsList = document.createElement('ul');
         eventsList.className = 'events-list';
         
-        // Sort events by year (descending)
-        const sortedEvents = [...academic.events].sort((a, b) => b.year - a.year);
+        // Sort events by year (descending, undated last)
+        const sortedEvents = [...academic.events].sort((a, b) => historicalDates.compare(b.year, a.year));
         
         sortedEvents.forEach(event => {
             const eventItem = document.createElement('li');
             eventItem.className = 'event-item';
             
             let eventText = event.title;
-            if (event.year) {
-                eventText += ` (${event.year})`;
+            if (historicalDates.isKnown(event.year)) {
+                eventText += ` (${historicalDates.format(event.year)})`;
             }
             
             if (event.location) {
@@ -895,11 +1108,12 @@ function displayAcademic(academic) {
             }
             
             eventItem.textContent = eventText;
+            eventItem.appendChild(footnotes.cite(event.sources));
             eventsList.appendChild(eventItem);
         });
         
         eventsSection.appendChild(eventsList);
-        profileContainer.appendChild(eventsSection);
+        profilePanel.appendChild(eventsSection);
     }
     
     // Add connections
@@ -911,35 +1125,118 @@ function displayAcademic(academic) {
         connectionsHeader.textContent = 'Connections';
         connectionsSection.appendChild(connectionsHeader);
         
-        const connectionsList = document.createElement('div');
+        const connectionsList = document.createElement('ul');
         connectionsList.className = 'connections-list';
         
-        // Sort connections alphabetically
-        const sortedConnections = [...academic.connections].sort();
+        // Group by relationship (in vocabulary order), then sort by name
+        const optionOrder = connectionTypes.getOptions().map(option => option.value);
+        const sortedConnections = [...academic.connections].sort((a, b) =>
+            optionOrder.indexOf(`${a.type}:${a.direction}`) - optionOrder.indexOf(`${b.type}:${b.direction}`) ||
+            academicIdentity.compareNames(a.name, b.name)
+        );
         
         sortedConnections.forEach(connection => {
-            const connectionItem = document.createElement('span');
-            connectionItem.className = 'connection-item';
-            connectionItem.textContent = connection;
-            connectionItem.addEventListener('click', () => {
-                const connectedAcademic = databaseManager.getAcademic(connection);
-                if (connectedAcademic) {
-                    displayAcademic(connectedAcademic);
-                } else {
-                    displayErrorMessage(`Academic not found: ${connection}`, 'database');
-                }
-            });
+            const connectionItem = document.createElement('li');
+            connectionItem.className = `connection-item connection-type-${connection.type}`;
+            
+            const typeLabel = document.createElement('span');
+            typeLabel.className = 'connection-type';
+            typeLabel.textContent = connectionTypes.getLabel(connection);
+            connectionItem.appendChild(typeLabel);
+            
+            // Link to the connected academic's profile when they are in the database
+            const connectedAcademic = databaseManager.getConnectedAcademic(connection);
+            const nameElement = document.createElement(connectedAcademic ? 'a' : 'span');
+            nameElement.className = 'connection-name';
+            nameElement.textContent = connectedAcademic ? connectedAcademic.name : connection.name;
+            if (connectedAcademic) {
+                nameElement.href = `#academic/${encodeURIComponent(connectedAcademic.slug)}`;
+            } else {
+                nameElement.title = 'Not in the database yet';
+            }
+            connectionItem.appendChild(nameElement);
+            
+            const years = connectionTypes.formatYears(connection);
+            if (years) {
+                const yearsElement = document.createElement('span');
+                yearsElement.className = 'connection-years';
+                yearsElement.textContent = ` (${years})`;
+                connectionItem.appendChild(yearsElement);
+            }
+            
+            connectionItem.appendChild(footnotes.cite(connection.sources));
+            
+            if (connection.description) {
+                const description = document.createElement('div');
+                description.className = 'connection-description';
+                description.textContent = connection.description;
+                connectionItem.appendChild(description);
+            }
+            
             connectionsList.appendChild(connectionItem);
         });
         
         connectionsSection.appendChild(connectionsList);
-        profileContainer.appendChild(connectionsSection);
+        profilePanel.appendChild(connectionsSection);
+    }
+    
+    // Add sources
+    const footnoteList = footnotes.render();
+    if (footnoteList) {
+        const sourcesSection = document.createElement('div');
+        sourcesSection.className = 'academic-section academic-sources';
+        
+        const sourcesHeader = document.createElement('h3');
+        sourcesHeader.textContent = 'Sources';
+        sourcesSection.appendChild(sourcesHeader);
+        
+        sourcesSection.appendChild(footnoteList);
+        profilePanel.appendChild(sourcesSection);
     }
     
     // Append the profile container to the results container
     if (!resultsContainer.querySelector('.academic-profile')) {
         resultsContainer.appendChild(profileContainer);
     }
+    
+    // Give the profile a shareable URL
+    if (academic.slug && window.history && window.location.hash !== `#academic/${academic.slug}`) {
+        window.history.replaceState(null, '', `#academic/${academic.slug}`);
+    }
+}
+
+/**
+ * Open the view the URL hash points to: a profile, the Database with filters or the Map
+ */
+function openViewFromHash() {
+    if (window.location.hash.startsWith('#database')) {
+        navDatabaseHandler();
+    } else if (window.location.hash.startsWith('#map')) {
+        navMapHandler();
+    } else {
+        openAcademicFromHash();
+    }
+}
+
+/**
+ * Open the academic named in the URL hash (#academic/<slug>), if any
+ * @returns {boolean} - True if a profile was opened
+ */
+function openAcademicFromHash() {
+    const match = window.location.hash.match(/^#academic\/(.+)$/);
+    if (!match || typeof databaseManager === 'undefined') return false;
+    
+    const slug = decodeURIComponent(match[1]);
+    const academic = databaseManager.getAcademicBySlug(slug) || databaseManager.getAcademic(slug);
+    if (!academic) {
+        displayErrorMessage(`No academic found for "${slug}"`, 'search');
+        return false;
+    }
+    
+    displayAcademic(academic);
+    hideAllSections();
+    document.getElementById('results-container').style.display = 'block';
+    return true;
 }
 
 /**
@@ -960,54 +1257,134 @@ function searchByTaxonomy(criteria) {
         return;
     }
     
-    // Display the first result
-    displayAcademic(results[0]);
+    // Highlight the searched terms, including the narrower terms they stand for
+    const searched = Object.entries(criteria).filter(([, value]) => value);
+    const words = searched
+        .flatMap(([category, value]) => [].concat(value).flatMap(term =>
+            category === 'name' ? [term] : Array.from(taxonomyRegistry.expand(category, String(term)))
+        ))
+        .flatMap(label => searchIndex.tokenize(label));
+    
+    showSearchResults(
+        `Academics with ${searched.map(([category, value]) => `${category}: ${value}`).join(', ')}`,
+        results.map(academic => ({ academic, matches: [{ field: 'taxonomies', words }] }))
+    );
+}
+
+/**
+ * Show a ranked list of search results in place of the profile
+ * @param {string} heading - What was searched for
+ * @param {Array<Object>} results - `{ academic, score, matches }`, most relevant first (see js/search-results.js)
+ */
+function showSearchResults(heading, results) {
+    const resultsContainer = document.getElementById('results-container');
+    if (!resultsContainer) return;
     
-    // Show all results if there are multiple
-    if (results.length > 1) {
-        const resultsContainer = document.getElementById('results-container');
-        if (resultsContainer) {
-            let relatedContainer = resultsContainer.querySelector('.related-academics');
-            
-            if (!relatedContainer) {
-                relatedContainer = document.createElement('div');
-                relatedContainer.className = 'related-academics';
-                resultsContainer.appendChild(relatedContainer);
-            }
-            
-            relatedContainer.innerHTML = '';
-            
-            const header = document.createElement('h3');
-            header.textContent = `Related Academics (${results.length})`;
-            relatedContainer.appendChild(header);
-            
-            const relatedList = document.createElement('div');
-            relatedList.className = 'related-list';
-            
-            results.slice(1).forEach(academic => {
-                const relatedItem = document.createElement('div');
-                relatedItem.className = 'related-item';
-                relatedItem.textContent = academic.name;
-                relatedItem.addEventListener('click', () => {
-                    displayAcademic(academic);
-                });
-                relatedList.appendChild(relatedItem);
-            });
-            
-            relatedContainer.appendChild(relatedList);
-        }
+    const profileContainer = resultsContainer.querySelector('.academic-profile');
+    if (profileContainer) profileContainer.style.display = 'none';
+    
+    let searchResultsContainer = resultsContainer.querySelector('.search-results');
+    if (!searchResultsContainer) {
+        searchResultsContainer = document.createElement('div');
+        searchResultsContainer.className = 'search-results';
+        resultsContainer.querySelector('.container-content').appendChild(searchResultsContainer);
+    }
+    searchResultsContainer.style.display = '';
+    
+    searchResults.render(searchResultsContainer, { heading, results }, {
+        onSelect: academic => displayAcademic(academic, { fromResults: true })
+    });
+    
+    setResultsHeading('Search Results');
+    
+    // A results page has no profile URL of its own
+    if (window.history && window.location.hash.startsWith('#academic/')) {
+        window.history.replaceState(null, '', window.location.pathname + window.location.search);
     }
     
-    // Switch to results view
     hideAllSections();
-    document.getElementById('results-container').style.display = 'block';
+    resultsContainer.style.display = 'block';
+}
+
+/**
+ * @param {string} text - Title of the results section ("Academic Profile" or "Search Results")
+ */
+function setResultsHeading(text) {
+    const heading = document.querySelector('#results-container .container-header h1');
+    if (heading) heading.textContent = text;
+}
+
+/**
+ * Show a query parse error under the search status, marking the offending part of the query
+ * @param {string} query - Query text
+ * @param {QueryError|null} error - Error, or null to clear it
+ */
+function showQueryError(query, error) {
+    const errorContainer = document.querySelector('.query-error');
+    if (!errorContainer) return;
+    
+    errorContainer.innerHTML = '';
+    errorContainer.hidden = !error;
+    if (!error) return;
+    
+    const message = document.createElement('div');
+    message.className = 'query-error-message';
+    message.textContent = `Query error: ${error.message}`;
+    errorContainer.appendChild(message);
+    
+    // The query with the problem highlighted
+    const code = document.createElement('code');
+    code.className = 'query-error-source';
+    code.appendChild(document.createTextNode(query.slice(0, error.position)));
+    
+    const mark = document.createElement('mark');
+    mark.textContent = query.slice(error.position, error.position + error.length) || ' ';
+    code.appendChild(mark);
+    
+    code.appendChild(document.createTextNode(query.slice(error.position + error.length)));
+    errorContainer.appendChild(code);
+}
+
+/**
+ * Run a structured query (see js/query-language.js) and show its results
+ * @param {string} query - Query text
+ */
+function runStructuredQuery(query) {
+    const searchStatus = document.querySelector('.search-status');
+    const statusText = document.querySelector('.search-status-text');
+    
+    let outcome;
+    try {
+        outcome = queryLanguage.run(query);
+    } catch (error) {
+        if (!(error instanceof QueryError)) throw error;
+        
+        if (searchStatus) searchStatus.style.display = 'none';
+        showQueryError(query, error);
+        return;
+    }
+    
+    const { ast, results } = outcome;
+    
+    if (results.length === 0) {
+        if (searchStatus) {
+            searchStatus.style.display = 'block';
+            statusText.textContent = `No results found for ${queryLanguage.describe(ast)}`;
+        }
+        return;
+    }
+    
+    if (searchStatus) {
+        searchStatus.style.display = 'none';
+    }
+    
+    showSearchResults(`Matches for ${queryLanguage.describe(ast)}`, results);
 }
 
 /**
  * Persistent search history
  */
 let commandHistory = [];
-let historyIndex = -1;
 
 function loadSearchHistory() {
     try {
@@ -1064,7 +1441,6 @@ window.handleSearch = function(query) {
         if (commandHistory.length > 20) {
             commandHistory = commandHistory.slice(-20);
         }
-        historyIndex = -1;
         updateCommandHistoryDisplay();
         
         // Save search history
@@ -1078,14 +1454,23 @@ window.handleSearch = function(query) {
         document.querySelector('.search-status-text').textContent = `Searching for "${query}"...`;
     }
     
+    // Clear the error of a previous query
+    showQueryError(query, null);
+    
     // Simulate search delay for effect (matches the retro aesthetic)
     setTimeout(() => {
+        // Queries with fields, operators, quotes or groups go to the query language
+        if (typeof queryLanguage !== 'undefined' && queryLanguage.isStructured(query)) {
+            runStructuredQuery(query);
+            return;
+        }
+        
         // Search the database
         if (typeof databaseManager !== 'undefined') {
-            const academic = databaseManager.getAcademic(query);
+            const academic = databaseManager.findExactMatch(query);
             
             if (academic) {
-                // Academic found - display profile
+                // Exact name match - go straight to the profile
                 displayAcademic(academic);
                 
                 // Hide search status
@@ -1097,21 +1482,16 @@ window.handleSearch = function(query) {
                 hideAllSections();
                 document.getElementById('results-container').style.display = 'block';
             } else {
-                // No direct match, try a broader search
-                const results = databaseManager.searchAcademics({ name: query });
+                // No direct match, try a full-text search
+                const results = databaseManager.searchFullText(query, { limit: Infinity });
                 
                 if (results && results.length > 0) {
-                    // Matches found - display first result
-                    displayAcademic(results[0]);
-                    
-                    // Hide search status
+                    // Matches found - list them by relevance
                     if (searchStatus) {
                         searchStatus.style.display = 'none';
                     }
                     
-                    // Switch to academic profile view
-                    hideAllSections();
-                    document.getElementById('results-container').style.display = 'block';
+                    showSearchResults(`Results for "${query}"`, results);
                 } else {
                     // No matches found
                     if (searchStatus) {
@@ -1142,7 +1522,7 @@ function debounce(func, delay) {
 }
 
 /**
- * Enhanced search listeners with debouncing
+ * Search box listeners: autocomplete and form submission
  */
 function setupSearchListeners() {
     const searchBox = document.querySelector('.search-box');
@@ -1152,47 +1532,11 @@ function setupSearchListeners() {
     
     if (!searchBox) return;
     
-    // Add debounced input handler for better performance
-    searchBox.addEventListener('input', debounce(() => {
-        const query = searchBox.value.trim();
-        
-        if (query.length < 2) {
-            suggestionsContainer.innerHTML = '';
-            return;
-        }
-        
-        // Get matching academics
-        if (typeof databaseManager !== 'undefined') {
-            const academics = databaseManager.getAllAcademics();
-            const matches = academics.filter(academic => 
-                academic.name.toLowerCase().includes(query.toLowerCase())
-            ).slice(0, 5); // Limit to 5 suggestions
-            
-            // Display suggestions
-            if (matches.length > 0) {
-                suggestionsContainer.innerHTML = '';
-                matches.forEach((academic, index) => {
-                    const suggestion = document.createElement('div');
-                    suggestion.className = 'suggestion-item';
-                    suggestion.setAttribute('role', 'option');
-                    suggestion.setAttribute('aria-selected', 'false');
-                    suggestion.textContent = academic.name;
-                    suggestion.addEventListener('click', () => {
-                        searchBox.value = academic.name;
-                        suggestionsContainer.innerHTML = '';
-                        handleSearch(academic.name);
-                    });
-                    suggestionsContainer.appendChild(suggestion);
-                });
-                
-                // Add ARIA attributes to suggestions container
-                suggestionsContainer.setAttribute('role', 'listbox');
-                suggestionsContainer.setAttribute('aria-label', 'Search suggestions');
-            } else {
-                suggestionsContainer.innerHTML = '';
-            }
-        }
-    }, 300));
+    // Suggestions while typing, recent searches when the box is empty (see js/search-autocomplete.js)
+    searchAutocomplete.attach(searchBox, suggestionsContainer, {
+        onSearch: handleSearch,
+        getHistory: () => commandHistory
+    });
     
     // Handle form submission
     const searchForm = document.querySelector('#search-form');
@@ -1202,37 +1546,506 @@ function setupSearchListeners() {
             const query = searchBox.value.trim();
             if (query) {
                 handleSearch(query);
-                suggestionsContainer.innerHTML = '';
+                searchAutocomplete.close();
             }
         });
     }
+}
+
+/**
+ * Setup admin panel listeners (export, import, clear)
+ */
+function setupAdminListeners() {
+    const exportButton = document.getElementById('export-database');
+    const importButton = document.getElementById('import-database');
+    const clearButton = document.getElementById('clear-database');
+    const findDuplicatesButton = document.getElementById('find-duplicates');
+    
+    if (findDuplicatesButton) {
+        findDuplicatesButton.addEventListener('click', loadDuplicateCandidates);
+    }
     
-    // Handle keyboard navigation for command history
-    searchBox.addEventListener('keydown', (e) => {
-        if (e.key === 'ArrowUp') {
-            e.preventDefault();
-            if (commandHistory.length > 0) {
-                if (historyIndex === -1) {
-                    historyIndex = commandHistory.length - 1;
-                } else if (historyIndex > 0) {
-                    historyIndex--;
+    const taxonomyCategorySelect = document.getElementById('taxonomy-category');
+    
+    if (taxonomyCategorySelect) {
+        taxonomyCategorySelect.addEventListener('change', loadTaxonomyEditor);
+    }
+    
+    const checkIntegrityButton = document.getElementById('check-integrity');
+    const fixAllIntegrityButton = document.getElementById('fix-all-integrity');
+    
+    if (checkIntegrityButton) {
+        checkIntegrityButton.addEventListener('click', loadIntegrityReport);
+    }
+    
+    if (fixAllIntegrityButton) {
+        fixAllIntegrityButton.addEventListener('click', async () => {
+            if (typeof integrityChecker === 'undefined') return;
+            
+            fixAllIntegrityButton.disabled = true;
+            try {
+                const { fixed, skipped, failed } = await integrityChecker.fixAll();
+                showAdminMessage(`Fixed ${fixed} issue(s); ${skipped} need a manual decision.`, 'success');
+                failed.forEach(({ issue, error }) => {
+                    showAdminMessage(`Could not fix "${issue.message}": ${error.message}`, 'error');
+                });
+            } finally {
+                fixAllIntegrityButton.disabled = false;
+                loadIntegrityReport();
+            }
+        });
+    }
+    
+    if (exportButton) {
+        exportButton.addEventListener('click', () => {
+            if (typeof databaseManager === 'undefined') {
+                displayErrorMessage('Database manager not available', 'database');
+                return;
+            }
+            
+            const data = JSON.stringify(databaseManager.exportData(), null, 2);
+            const blob = new Blob([data], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `killphilosophy-export-${new Date().toISOString().slice(0, 10)}.json`;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            URL.revokeObjectURL(url);
+        });
+    }
+    
+    if (importButton) {
+        importButton.addEventListener('click', () => {
+            if (typeof databaseManager === 'undefined') {
+                displayErrorMessage('Database manager not available', 'database');
+                return;
+            }
+            
+            const fileInput = document.createElement('input');
+            fileInput.type = 'file';
+            fileInput.accept = 'application/json,.json';
+            fileInput.addEventListener('change', async () => {
+                const file = fileInput.files[0];
+                if (!file) return;
+                
+                try {
+                    const data = JSON.parse(await file.text());
+                    const { imported, rejected } = await databaseManager.importData(data);
+                    showAdminMessage(`Imported ${imported} academics from ${file.name}.`, 'success');
+                    
+                    // List records that failed validation with their field errors
+                    rejected.forEach(({ name, errors }) => {
+                        const details = errors.map(error => `${error.field}: ${error.message}`).join('; ');
+                        showAdminMessage(`Skipped "${name}": ${details}`, 'error');
+                    });
+                    
+                    loadAdminPanel();
+                } catch (error) {
+                    showAdminMessage(`Import failed: ${error.message}`, 'error');
                 }
-                searchBox.value = commandHistory[historyIndex];
+            });
+            fileInput.click();
+        });
+    }
+    
+    if (clearButton) {
+        clearButton.addEventListener('click', async () => {
+            if (typeof databaseManager === 'undefined') {
+                displayErrorMessage('Database manager not available', 'database');
+                return;
             }
-        } else if (e.key === 'ArrowDown') {
-            e.preventDefault();
-            if (historyIndex !== -1) {
-                if (historyIndex < commandHistory.length - 1) {
-                    historyIndex++;
-                    searchBox.value = commandHistory[historyIndex];
+            
+            if (!confirm('Delete every academic, favorite, novelty tile and pending submission?')) {
+                return;
+            }
+            
+            try {
+                await databaseManager.clearDatabase();
+                showAdminMessage('Database cleared.', 'success');
+                loadAdminPanel();
+            } catch (error) {
+                showAdminMessage(`Could not clear database: ${error.message}`, 'error');
+            }
+        });
+    }
+}
+
+/**
+ * Show a status message at the top of the admin panel
+ * @param {string} message - Message text
+ * @param {string} type - Message type (success, error, info)
+ */
+function showAdminMessage(message, type = 'info') {
+    const adminContent = document.querySelector('.admin-content');
+    if (!adminContent) return;
+    
+    const messageElement = document.createElement('div');
+    messageElement.className = `${type}-message`;
+    messageElement.textContent = message;
+    adminContent.prepend(messageElement);
+    
+    setTimeout(() => messageElement.remove(), 5000);
+}
+
+/**
+ * Load admin panel data
+ */
+function loadAdminPanel() {
+    const pendingContainer = document.getElementById('pending-submissions');
+    if (!pendingContainer) return;
+    
+    pendingContainer.innerHTML = '';
+    
+    if (typeof databaseManager === 'undefined') {
+        pendingContainer.innerHTML = '<div class="error-message">Database manager not available</div>';
+        return;
+    }
+    
+    const submissions = databaseManager.getPendingSubmissions();
+    
+    if (submissions.length === 0) {
+        pendingContainer.innerHTML = '<div class="info-message">No pending submissions</div>';
+        return;
+    }
+    
+    submissions.forEach(submission => {
+        const item = document.createElement('div');
+        item.className = 'submission-item';
+        
+        const title = document.createElement('h4');
+        title.textContent = `${submission.academicName} (${submission.contributionType})`;
+        item.appendChild(title);
+        
+        const details = document.createElement('div');
+        details.className = 'submission-details';
+        details.textContent = `Submitted ${new Date(submission.timestamp).toLocaleString()}` +
+            (submission.contributorName ? ` by ${submission.contributorName}` : '');
+        item.appendChild(details);
+        
+        const dismissButton = document.createElement('button');
+        dismissButton.className = 'admin-btn';
+        dismissButton.textContent = 'Dismiss';
+        dismissButton.addEventListener('click', () => {
+            databaseManager.removePendingSubmission(submission.id);
+            item.remove();
+            
+            if (!pendingContainer.querySelector('.submission-item')) {
+                pendingContainer.innerHTML = '<div class="info-message">No pending submissions</div>';
+            }
+        });
+        item.appendChild(dismissButton);
+        
+        pendingContainer.appendChild(item);
+    });
+}
+
+/**
+ * List likely duplicate academics, each with a button that opens the merge wizard
+ */
+function loadDuplicateCandidates() {
+    const duplicatesContainer = document.getElementById('duplicates');
+    if (!duplicatesContainer) return;
+    
+    duplicatesContainer.innerHTML = '';
+    
+    if (typeof duplicateFinder === 'undefined' || typeof mergeWizard === 'undefined') {
+        duplicatesContainer.innerHTML = '<div class="error-message">Duplicate finder not available</div>';
+        return;
+    }
+    
+    const pairs = duplicateFinder.findDuplicates();
+    
+    if (pairs.length === 0) {
+        duplicatesContainer.innerHTML = '<div class="info-message">No likely duplicates found</div>';
+        return;
+    }
+    
+    pairs.forEach(({ a, b, score, reasons }) => {
+        const item = document.createElement('div');
+        item.className = 'submission-item';
+        
+        const title = document.createElement('h4');
+        title.textContent = `${a.name} / ${b.name} (${Math.round(score * 100)}% match)`;
+        item.appendChild(title);
+        
+        const details = document.createElement('div');
+        details.className = 'submission-details';
+        details.textContent = reasons.join(' · ');
+        item.appendChild(details);
+        
+        const reviewButton = document.createElement('button');
+        reviewButton.className = 'admin-btn';
+        reviewButton.textContent = 'Review & Merge';
+        reviewButton.addEventListener('click', () => {
+            mergeWizard.render(duplicatesContainer, a, b, {
+                onComplete: ({ survivor, updatedConnections }) => {
+                    showAdminMessage(`Merged into ${survivor.name}. ` +
+                        `Updated connections of ${updatedConnections} other academic(s).`, 'success');
+                    loadDuplicateCandidates();
+                },
+                onCancel: loadDuplicateCandidates
+            });
+        });
+        item.appendChild(reviewButton);
+        
+        duplicatesContainer.appendChild(item);
+    });
+}
+
+/**
+ * List connection integrity issues with one-click fixes
+ */
+function loadIntegrityReport() {
+    const reportContainer = document.getElementById('integrity-report');
+    if (!reportContainer) return;
+    
+    reportContainer.innerHTML = '';
+    
+    if (typeof integrityChecker === 'undefined') {
+        reportContainer.innerHTML = '<div class="error-message">Integrity checker not available</div>';
+        return;
+    }
+    
+    const report = integrityChecker.check();
+    
+    if (report.total === 0) {
+        reportContainer.innerHTML = '<div class="info-message">No connection problems found</div>';
+        return;
+    }
+    
+    // Run a fix, then refresh the report
+    const runFix = async (button, fix) => {
+        button.disabled = true;
+        try {
+            await fix();
+        } catch (error) {
+            showAdminMessage(`Fix failed: ${error.message}`, 'error');
+        }
+        loadIntegrityReport();
+    };
+    
+    const createFixButton = (label, fix) => {
+        const button = document.createElement('button');
+        button.className = 'admin-btn';
+        button.textContent = label;
+        button.addEventListener('click', () => runFix(button, fix));
+        return button;
+    };
+    
+    ['dangling', 'oneSided', 'selfLink'].forEach(kind => {
+        const issues = report[kind];
+        if (issues.length === 0) return;
+        
+        const heading = document.createElement('h4');
+        heading.textContent = `${integrityChecker.issueLabels[kind]}s (${issues.length})`;
+        reportContainer.appendChild(heading);
+        
+        issues.forEach(issue => {
+            const item = document.createElement('div');
+            item.className = 'submission-item';
+            
+            const details = document.createElement('div');
+            details.className = 'submission-details';
+            details.textContent = issue.message;
+            item.appendChild(details);
+            
+            const actions = document.createElement('div');
+            actions.className = 'admin-actions';
+            
+            if (kind === 'dangling') {
+                if (issue.suggestion) {
+                    actions.appendChild(createFixButton(`Link to ${issue.suggestion.name}`,
+                        () => integrityChecker.linkToAcademic(issue, issue.suggestion.id)));
                 } else {
-                    historyIndex = -1;
-                    searchBox.value = '';
+                    actions.appendChild(createFixButton(`Create ${issue.connection.name}`,
+                        () => integrityChecker.createStub(issue)));
                 }
+            } else if (kind === 'oneSided') {
+                actions.appendChild(createFixButton('Add reciprocal', () => integrityChecker.addReciprocal(issue)));
             }
-        } else if (e.key === 'Escape') {
-            suggestionsContainer.innerHTML = '';
+            
+            actions.appendChild(createFixButton('Remove connection', () => integrityChecker.removeConnection(issue)));
+            
+            item.appendChild(actions);
+            reportContainer.appendChild(item);
+        });
+    });
+}
+
+/**
+ * List the terms of the selected taxonomy category as a tree, with forms to add, edit,
+ * deprecate and merge terms
+ */
+function loadTaxonomyEditor() {
+    const editor = document.getElementById('taxonomy-editor');
+    const categorySelect = document.getElementById('taxonomy-category');
+    if (!editor || !categorySelect) return;
+    
+    editor.innerHTML = '';
+    
+    if (typeof taxonomyRegistry === 'undefined') {
+        editor.innerHTML = '<div class="error-message">Taxonomy registry not available</div>';
+        return;
+    }
+    
+    const categories = taxonomyRegistry.getCategories();
+    if (categorySelect.options.length !== categories.length) {
+        const selected = categorySelect.value;
+        categorySelect.innerHTML = '';
+        categories.forEach(category => {
+            const option = document.createElement('option');
+            option.value = category;
+            option.textContent = category.charAt(0).toUpperCase() + category.slice(1);
+            categorySelect.appendChild(option);
+        });
+        if (categories.includes(selected)) categorySelect.value = selected;
+    }
+    
+    const category = categorySelect.value;
+    const activeTree = taxonomyRegistry.getTree(category);
+    
+    const createInput = (placeholder, value = '') => {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.placeholder = placeholder;
+        input.setAttribute('aria-label', placeholder);
+        input.value = value;
+        return input;
+    };
+    
+    // Select of active terms; `exclude` leaves out a term and everything below it
+    const createTermSelect = (emptyLabel, selected = null, exclude = null) => {
+        const excluded = exclude
+            ? new Set([exclude, ...taxonomyRegistry.getDescendants(category, exclude).map(term => term.label)])
+            : new Set();
+        
+        const select = document.createElement('select');
+        select.setAttribute('aria-label', emptyLabel);
+        
+        const empty = document.createElement('option');
+        empty.value = '';
+        empty.textContent = emptyLabel;
+        select.appendChild(empty);
+        
+        activeTree.filter(({ term }) => !excluded.has(term.label)).forEach(({ term, depth }) => {
+            const option = document.createElement('option');
+            option.value = term.label;
+            option.textContent = `${'\u2014 '.repeat(depth)}${term.label}`;
+            select.appendChild(option);
+        });
+        
+        select.value = selected || '';
+        return select;
+    };
+    
+    const readSynonyms = input => input.value.split(',').map(synonym => synonym.trim()).filter(Boolean);
+    
+    // Run a registry change, then refresh the editor
+    const runChange = async (button, change, success) => {
+        button.disabled = true;
+        try {
+            const result = await change();
+            showAdminMessage(success(result), 'success');
+            
+            if (typeof contributionHandler !== 'undefined') {
+                contributionHandler.taxonomyCategories = databaseManager.getAllTaxonomyCategories();
+            }
+            loadTaxonomyEditor();
+        } catch (error) {
+            button.disabled = false;
+            showAdminMessage(error.message, 'error');
+        }
+    };
+    
+    // Add a term
+    const addForm = document.createElement('div');
+    addForm.className = 'admin-actions taxonomy-add';
+    
+    const labelInput = createInput('New term');
+    const parentSelect = createTermSelect('Top-level term');
+    const synonymsInput = createInput('Synonyms (comma-separated)');
+    const descriptionInput = createInput('Description');
+    
+    const addButton = document.createElement('button');
+    addButton.className = 'admin-btn';
+    addButton.textContent = 'Add Term';
+    addButton.addEventListener('click', () => runChange(addButton, () => taxonomyRegistry.addTerm(category, labelInput.value, {
+        parent: parentSelect.value || null,
+        synonyms: readSynonyms(synonymsInput),
+        description: descriptionInput.value
+    }), term => `Added ${category} term "${term.label}".`));
+    
+    [labelInput, parentSelect, synonymsInput, descriptionInput, addButton].forEach(element => addForm.appendChild(element));
+    editor.appendChild(addForm);
+    
+    // Term tree, deprecated terms included
+    taxonomyRegistry.getTree(category, { includeDeprecated: true }).forEach(({ term, depth }) => {
+        const item = document.createElement('div');
+        item.className = `submission-item taxonomy-term${term.deprecated ? ' deprecated' : ''}`;
+        item.style.marginLeft = `${depth * 20}px`;
+        
+        const title = document.createElement('h4');
+        title.textContent = term.label;
+        if (term.deprecated) {
+            title.textContent += term.replacedBy ? ` (merged into ${term.replacedBy})` : ' (deprecated)';
         }
+        item.appendChild(title);
+        
+        const details = document.createElement('div');
+        details.className = 'submission-details';
+        details.textContent = [
+            term.description,
+            term.synonyms.length > 0 ? `Synonyms: ${term.synonyms.join(', ')}` : '',
+            `Used by ${taxonomyRegistry.countUsage(category, term.label)} academic(s)`
+        ].filter(Boolean).join(' · ');
+        item.appendChild(details);
+        
+        if (!term.deprecated) {
+            const actions = document.createElement('div');
+            actions.className = 'admin-actions';
+            
+            // Edit the parent, synonyms and description
+            const editParent = createTermSelect('Top-level term', term.parent, term.label);
+            const editSynonyms = createInput('Synonyms (comma-separated)', term.synonyms.join(', '));
+            const editDescription = createInput('Description', term.description);
+            
+            const saveButton = document.createElement('button');
+            saveButton.className = 'admin-btn';
+            saveButton.textContent = 'Save';
+            saveButton.addEventListener('click', () => runChange(saveButton, () => taxonomyRegistry.updateTerm(category, term.label, {
+                parent: editParent.value || null,
+                synonyms: readSynonyms(editSynonyms),
+                description: editDescription.value
+            }), updated => `Updated "${updated.label}".`));
+            
+            // Deprecate, or merge into another term
+            const mergeSelect = createTermSelect('Deprecate without replacement', null, term.label);
+            
+            const deprecateButton = document.createElement('button');
+            deprecateButton.className = 'admin-btn';
+            deprecateButton.textContent = 'Deprecate';
+            deprecateButton.addEventListener('click', () => {
+                const replacement = mergeSelect.value || null;
+                const question = replacement
+                    ? `Merge "${term.label}" into "${replacement}"? Academics tagged "${term.label}" will be retagged.`
+                    : `Deprecate "${term.label}"? It will no longer be offered to contributors.`;
+                if (!confirm(question)) return;
+                
+                runChange(deprecateButton, () => taxonomyRegistry.deprecateTerm(category, term.label, replacement),
+                    updated => (replacement
+                        ? `Merged "${term.label}" into "${replacement}"; retagged ${updated} academic(s).`
+                        : `Deprecated "${term.label}".`));
+            });
+            
+            [editParent, editSynonyms, editDescription, saveButton, mergeSelect, deprecateButton]
+                .forEach(element => actions.appendChild(element));
+            item.appendChild(actions);
+        }
+        
+        editor.appendChild(item);
     });
 }
 
@@ -1268,6 +2081,7 @@ function checkAdminAccess() {
 // Make all navigation handlers globally available
 window.navSearchHandler = navSearchHandler;
 window.navDatabaseHandler = navDatabaseHandler;
+window.navMapHandler = navMapHandler;
 window.navNoveltyHandler = navNoveltyHandler;
 window.navDeepSearchHandler = navDeepSearchHandler;
 window.navAboutHandler = navAboutHandler;
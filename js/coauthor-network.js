@@ -0,0 +1,471 @@
+/**
+ * Coauthor Network for KillPhilosophy
+ * Who wrote with whom, from the papers listed on every academic in the database, drawn on
+ * the Map tab (D3 v5)
+ *
+ * A paper listed on several academics (same title and year) counts once, and its authors
+ * are the academics it is listed on plus its `coauthors`. Links are weighted by the number
+ * of joint papers, and a year range limits which papers count. Coauthors who are not in the
+ * database yet are shown as hollow placeholder nodes and listed below the graph, each with a
+ * button that creates a stub academic for them.
+ */
+
+class CoauthorNetwork {
+    constructor() {
+        this.state = { from: null, to: null };
+
+        this.radius = { min: 5, max: 16 };
+        this.linkWidth = { min: 1.5, max: 8 };
+        this.height = 450;
+
+        this.container = null;
+        this.simulation = null;
+        this.onOpen = null;
+
+        // Shown above the graph after a stub is created
+        this.status = null;
+
+        this.papers = null;
+        this.papersKey = null;
+    }
+
+    /**
+     * Every paper in the database once, with its authors
+     * Coauthor names are matched to academics when they are unambiguous.
+     * @returns {Array<{title: string, year: *, authors: Array<Object>}>} - Papers; authors are
+     *          `{ id, name, academic }`, with `academic` null and an "external:" ID for people
+     *          not in the database
+     */
+    getPapers() {
+        const key = connectionGraph.getKey();
+        if (this.papers && this.papersKey === key) return this.papers;
+
+        const index = new Map();
+        databaseManager.getAllAcademics().forEach(academic => {
+            (academic.papers || []).forEach(paper => {
+                if (!paper.title) return;
+
+                const paperKey = `${academicIdentity.foldName(paper.title)}|${historicalDates.getKey(paper.year)}`;
+                if (!index.has(paperKey)) index.set(paperKey, { title: paper.title, year: paper.year, authors: new Map() });
+
+                const entry = index.get(paperKey);
+                entry.authors.set(academic.id, { id: academic.id, name: academic.name, academic });
+                (paper.coauthors || []).forEach(name => {
+                    const author = this._resolveAuthor(name);
+                    if (author && !entry.authors.has(author.id)) entry.authors.set(author.id, author);
+                });
+            });
+        });
+
+        this.papers = Array.from(index.values(), entry => ({ ...entry, authors: Array.from(entry.authors.values()) }));
+        this.papersKey = key;
+        return this.papers;
+    }
+
+    /**
+     * Coauthorship graph for a range of years
+     * Papers without a year only count when no range is set.
+     * @param {Object} range - `from` and `to` years (null for open-ended)
+     * @returns {{nodes: Array<Object>, links: Array<Object>, placeholders: Array<Object>, years: Object|null}} -
+     *          Nodes `{ id, name, academic, placeholder, papers }`, links `{ source, target,
+     *          weight, papers }`, the placeholder nodes by number of papers, and the first and
+     *          last year of any joint paper
+     */
+    build({ from = null, to = null } = this.state) {
+        const joint = this.getPapers().filter(paper => paper.authors.length > 1);
+        const inRange = paper => {
+            if (from === null && to === null) return true;
+            const year = historicalDates.toYear(paper.year);
+            return year !== null && (from === null || year >= from) && (to === null || year <= to);
+        };
+
+        const nodes = new Map();
+        const links = new Map();
+        joint.filter(inRange).forEach(paper => {
+            paper.authors.forEach(author => {
+                if (!nodes.has(author.id)) {
+                    nodes.set(author.id, { ...author, placeholder: !author.academic, papers: 0 });
+                }
+                nodes.get(author.id).papers++;
+            });
+
+            paper.authors.forEach((a, index) => {
+                paper.authors.slice(index + 1).forEach(b => {
+                    const [source, target] = [a.id, b.id].sort();
+                    const key = `${source}|${target}`;
+                    if (!links.has(key)) links.set(key, { source, target, weight: 0, papers: [] });
+
+                    const link = links.get(key);
+                    link.weight++;
+                    link.papers.push(paper);
+                });
+            });
+        });
+
+        const years = joint.map(paper => historicalDates.toYear(paper.year)).filter(year => year !== null);
+        const nodeList = Array.from(nodes.values());
+
+        return {
+            nodes: nodeList,
+            links: Array.from(links.values()),
+            placeholders: nodeList.filter(node => node.placeholder)
+                .sort((a, b) => b.papers - a.papers || academicIdentity.compareNames(a.name, b.name)),
+            years: years.length > 0 ? { first: Math.min(...years), last: Math.max(...years) } : null
+        };
+    }
+
+    /**
+     * Create an academic for a coauthor who is not in the database yet
+     * @param {Object} placeholder - Placeholder node
+     * @returns {Promise<Object>} - Stored academic
+     */
+    async createStub(placeholder) {
+        const coauthors = this.getPapers()
+            .filter(paper => paper.authors.some(author => author.id === placeholder.id))
+            .flatMap(paper => paper.authors.filter(author => author.academic).map(author => author.name));
+
+        return databaseManager.saveAcademic({
+            name: placeholder.name,
+            papers: [],
+            events: [],
+            connections: [],
+            taxonomies: {}
+        }, { source: 'edit', summary: `Created as a coauthor of ${Array.from(new Set(coauthors)).join(', ')}` });
+    }
+
+    /**
+     * Render the coauthor network
+     * @param {HTMLElement} container - Element to render into
+     * @param {Object} options - `onOpen(academic)` opens a profile
+     */
+    render(container, { onOpen } = {}) {
+        this.container = container;
+        this.onOpen = onOpen;
+        this._draw();
+    }
+
+    /**
+     * @private
+     */
+    _draw() {
+        this._stop();
+        const container = this.container;
+        container.innerHTML = '';
+
+        const graph = this.build();
+        container.appendChild(this._createFilter(graph));
+
+        if (this.status) {
+            container.appendChild(this.status);
+            this.status = null;
+        }
+
+        if (graph.links.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'info-message';
+            empty.textContent = graph.years
+                ? 'No joint papers in these years'
+                : 'No papers with coauthors are recorded yet';
+            container.appendChild(empty);
+            return;
+        }
+
+        if (typeof d3 === 'undefined') {
+            const error = document.createElement('div');
+            error.className = 'error-message';
+            error.textContent = 'D3.js library not loaded - the coauthor graph is not available';
+            container.appendChild(error);
+        } else {
+            const stage = document.createElement('div');
+            stage.className = 'visualization-content coauthor-stage';
+            container.appendChild(stage);
+            this._renderGraph(stage, graph);
+        }
+
+        if (graph.placeholders.length > 0) container.appendChild(this._createPlaceholderList(graph));
+    }
+
+    /**
+     * Year range and summary
+     * @private
+     * @param {Object} graph - Coauthorship graph
+     * @returns {HTMLElement} - Form
+     */
+    _createFilter(graph) {
+        const form = document.createElement('form');
+        form.className = 'coauthor-filter';
+
+        const createInput = (label, key) => {
+            const wrapper = document.createElement('label');
+            wrapper.textContent = `${label} `;
+
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.step = 1;
+            input.className = 'coauthor-year';
+            input.value = this.state[key] === null ? '' : this.state[key];
+            if (graph.years) input.placeholder = key === 'from' ? graph.years.first : graph.years.last;
+            input.addEventListener('change', () => {
+                const year = parseInt(input.value, 10);
+                this.state = { ...this.state, [key]: isNaN(year) ? null : year };
+                this._draw();
+            });
+
+            wrapper.appendChild(input);
+            return wrapper;
+        };
+
+        form.appendChild(createInput('Papers from', 'from'));
+        form.appendChild(createInput('to', 'to'));
+        form.addEventListener('submit', event => event.preventDefault());
+
+        if (this.state.from !== null || this.state.to !== null) {
+            const reset = document.createElement('button');
+            reset.type = 'button';
+            reset.className = 'admin-btn';
+            reset.textContent = 'All years';
+            reset.addEventListener('click', () => {
+                this.state = { from: null, to: null };
+                this._draw();
+            });
+            form.appendChild(reset);
+        }
+
+        const papers = new Set(graph.links.flatMap(link => link.papers)).size;
+        const summary = document.createElement('span');
+        summary.className = 'coauthor-summary';
+        summary.textContent = `${graph.nodes.length} authors · ${papers} joint ${papers === 1 ? 'paper' : 'papers'} · ` +
+            `${graph.placeholders.length} not in the database`;
+        form.appendChild(summary);
+
+        return form;
+    }
+
+    /**
+     * Draw the graph and start the force layout
+     * @private
+     * @param {HTMLElement} stage - Element to draw into
+     * @param {Object} graph - Coauthorship graph
+     */
+    _renderGraph(stage, graph) {
+        const width = stage.clientWidth || 800;
+        const height = stage.clientHeight || this.height;
+
+        const maxPapers = Math.max(...graph.nodes.map(node => node.papers));
+        const maxWeight = Math.max(...graph.links.map(link => link.weight));
+        const radius = d3.scaleSqrt().domain([1, Math.max(maxPapers, 2)]).range([this.radius.min, this.radius.max]);
+        const linkWidth = d3.scaleLinear().domain([1, Math.max(maxWeight, 2)]).range([this.linkWidth.min, this.linkWidth.max]);
+
+        const svg = d3.select(stage)
+            .append('svg')
+            .attr('class', 'network-svg')
+            .attr('viewBox', `0 0 ${width} ${height}`)
+            .attr('role', 'img')
+            .attr('aria-label', `Coauthorship network of ${graph.nodes.length} authors`);
+
+        const layer = svg.append('g');
+        svg.call(d3.zoom()
+            .scaleExtent([0.2, 4])
+            .on('zoom', () => layer.attr('transform', d3.event.transform)));
+
+        const link = layer.append('g')
+            .selectAll('line')
+            .data(graph.links)
+            .enter()
+            .append('line')
+            .attr('class', 'network-link link-coauthored')
+            .style('stroke-width', d => `${linkWidth(d.weight)}px`);
+        const nodeById = new Map(graph.nodes.map(node => [node.id, node]));
+        link.append('title').text(d => {
+            const names = [d.source, d.target].map(id => nodeById.get(id).name);
+            const titles = d.papers.map(paper => {
+                const year = historicalDates.format(paper.year);
+                return `"${paper.title}"${year ? ` (${year})` : ''}`;
+            });
+            return `${names.join(' and ')}: ${d.weight} joint ${d.weight === 1 ? 'paper' : 'papers'}\n${titles.join('\n')}`;
+        });
+
+        const node = layer.append('g')
+            .selectAll('g')
+            .data(graph.nodes)
+            .enter()
+            .append('g')
+            .attr('class', d => `network-node${d.placeholder ? ' external' : ''}`)
+            .attr('tabindex', 0)
+            .attr('role', 'button')
+            .attr('aria-label', d => (d.placeholder ? `${d.name}: not in the database, create a stub` : `${d.name}: open profile`));
+
+        node.append('circle').attr('r', d => radius(d.papers));
+        node.append('text')
+            .attr('dx', d => radius(d.papers) + 4)
+            .attr('dy', '0.35em')
+            .text(d => d.name);
+        node.append('title').text(d => `${d.name}${d.placeholder ? ' (not in the database)' : ''}\n` +
+            `${d.papers} joint ${d.papers === 1 ? 'paper' : 'papers'}`);
+
+        const activate = d => {
+            if (!d.placeholder) {
+                if (this.onOpen) this.onOpen(d.academic);
+                return;
+            }
+
+            // Placeholders lead to their create button below the graph
+            const button = this.container.querySelector(`[data-placeholder="${CSS.escape(d.id)}"]`);
+            if (button) {
+                button.scrollIntoView({ behavior: 'smooth', block: 'center' });
+                button.focus();
+            }
+        };
+        node.on('click', activate)
+            .on('keydown', d => {
+                if (d3.event.key === 'Enter' || d3.event.key === ' ') {
+                    d3.event.preventDefault();
+                    activate(d);
+                }
+            });
+
+        const simulation = d3.forceSimulation(graph.nodes)
+            .force('link', d3.forceLink(graph.links).id(d => d.id).distance(80))
+            .force('charge', d3.forceManyBody().strength(-200))
+            .force('center', d3.forceCenter(width / 2, height / 2))
+            .force('x', d3.forceX(width / 2).strength(0.05))
+            .force('y', d3.forceY(height / 2).strength(0.05))
+            .force('collide', d3.forceCollide(d => radius(d.papers) + 10));
+
+        node.call(d3.drag()
+            .on('start', d => {
+                if (!d3.event.active) simulation.alphaTarget(0.3).restart();
+                d.fx = d.x;
+                d.fy = d.y;
+            })
+            .on('drag', d => {
+                d.fx = d3.event.x;
+                d.fy = d3.event.y;
+            })
+            .on('end', d => {
+                if (!d3.event.active) simulation.alphaTarget(0);
+                d.fx = null;
+                d.fy = null;
+            }));
+
+        simulation.on('tick', () => {
+            link.attr('x1', d => d.source.x)
+                .attr('y1', d => d.source.y)
+                .attr('x2', d => d.target.x)
+                .attr('y2', d => d.target.y);
+            node.attr('transform', d => `translate(${d.x},${d.y})`);
+        });
+
+        this.simulation = simulation;
+    }
+
+    /**
+     * Coauthors not in the database, each with a button to create them
+     * @private
+     * @param {Object} graph - Coauthorship graph
+     * @returns {HTMLElement} - List
+     */
+    _createPlaceholderList(graph) {
+        const section = document.createElement('div');
+        section.className = 'coauthor-placeholders';
+
+        const heading = document.createElement('h3');
+        heading.textContent = 'Coauthors not in the database';
+        section.appendChild(heading);
+
+        // Link ends are IDs until the force layout replaces them with nodes
+        const nodeById = new Map(graph.nodes.map(node => [node.id, node]));
+        const endId = end => (typeof end === 'object' ? end.id : end);
+
+        const list = document.createElement('ul');
+        graph.placeholders.forEach(placeholder => {
+            const item = document.createElement('li');
+
+            const coauthors = graph.links
+                .filter(link => endId(link.source) === placeholder.id || endId(link.target) === placeholder.id)
+                .map(link => nodeById.get(endId(link.source) === placeholder.id ? endId(link.target) : endId(link.source)).name);
+            item.appendChild(document.createTextNode(
+                `${placeholder.name}, with ${coauthors.join(', ')} (${placeholder.papers} ${placeholder.papers === 1 ? 'paper' : 'papers'}) `));
+
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'admin-btn';
+            button.textContent = 'Create stub academic';
+            button.setAttribute('data-placeholder', placeholder.id);
+            button.addEventListener('click', () => {
+                button.disabled = true;
+                this.createStub(placeholder).then(academic => {
+                    this.status = this._createStatus(academic);
+                    this._draw();
+                }, error => {
+                    console.error('Error creating stub academic:', error);
+                    button.disabled = false;
+                    const message = document.createElement('div');
+                    message.className = 'error-message';
+                    message.textContent = `${placeholder.name} could not be created: ${error.message}`;
+                    item.appendChild(message);
+                });
+            });
+            item.appendChild(button);
+
+            list.appendChild(item);
+        });
+        section.appendChild(list);
+
+        return section;
+    }
+
+    /**
+     * @private
+     * @param {Object} academic - Stub just created
+     * @returns {HTMLElement} - Message with a link to the new profile
+     */
+    _createStatus(academic) {
+        const status = document.createElement('div');
+        status.className = 'success-message';
+        status.setAttribute('role', 'status');
+        status.appendChild(document.createTextNode(`Created ${academic.name}. `));
+
+        const open = document.createElement('button');
+        open.type = 'button';
+        open.className = 'path-academic';
+        open.textContent = 'Open profile to add details';
+        open.addEventListener('click', () => {
+            if (this.onOpen) this.onOpen(academic);
+        });
+        status.appendChild(open);
+
+        return status;
+    }
+
+    /**
+     * @private
+     * @param {string} name - Coauthor as written on the paper
+     * @returns {Object|null} - Author, or null for an empty name
+     */
+    _resolveAuthor(name) {
+        const display = academicIdentity.uninvertName(name).trim();
+        if (!display) return null;
+
+        const academic = databaseManager.findExactMatch(display);
+        if (academic) return { id: academic.id, name: academic.name, academic };
+
+        return { id: `external:${academicIdentity.foldName(display)}`, name: display, academic: null };
+    }
+
+    /**
+     * @private
+     */
+    _stop() {
+        if (this.simulation) {
+            this.simulation.stop();
+            this.simulation = null;
+        }
+    }
+}
+
+// Initialize the coauthor network
+const coauthorNetwork = new CoauthorNetwork();
+
+// Make it available globally
+window.coauthorNetwork = coauthorNetwork;
@@ -0,0 +1,94 @@
+/**
+ * Connection Graph for KillPhilosophy
+ * The whole database as an undirected graph: one node per academic, one link per pair of
+ * academics with at least one connection between them. It is built on first use and kept
+ * until the database or the taxonomy registry changes; the measures over it are in
+ * js/graph-analytics.js.
+ */
+
+class ConnectionGraph {
+    constructor() {
+        this.graph = null;
+        this.graphKey = null;
+    }
+
+    /**
+     * The current graph
+     * Nodes are `{ id, name, academic, group, degree }` and links `{ source, target, types }`
+     * with IDs for source and target; `neighbors` maps an ID to the IDs it is linked to.
+     * Treat the result as read-only: it is shared until the database changes.
+     * @returns {{nodes: Array<Object>, links: Array<Object>, neighbors: Map<string, Set<string>>}} - Graph
+     */
+    get() {
+        const key = this.getKey();
+        if (!this.graph || this.graphKey !== key) {
+            this.graph = this._build();
+            this.graphKey = key;
+        }
+        return this.graph;
+    }
+
+    /**
+     * Colour group of an academic: the broadest term of their first tradition
+     * @param {Object} academic - Academic
+     * @returns {string|null} - Tradition, or null if none is recorded
+     */
+    getGroup(academic) {
+        const tradition = (academic.taxonomies?.tradition || [])[0];
+        if (!tradition) return null;
+
+        const path = taxonomyRegistry.getPath('tradition', tradition);
+        return path.length > 0 ? path[0] : tradition;
+    }
+
+    /**
+     * @returns {string} - Key that changes whenever the graph may have
+     */
+    getKey() {
+        return `${databaseManager.changeCount}:${taxonomyRegistry.changeCount}`;
+    }
+
+    /**
+     * @private
+     * @returns {Object} - Graph
+     */
+    _build() {
+        const academics = databaseManager.getAllAcademics();
+        const neighbors = new Map(academics.map(academic => [academic.id, new Set()]));
+        const links = new Map();
+
+        academics.forEach(academic => {
+            (academic.connections || []).forEach(connection => {
+                const other = databaseManager.getConnectedAcademic(connection);
+                if (!other || other.id === academic.id) return;
+
+                const [source, target] = [academic.id, other.id].sort();
+                const key = `${source}|${target}`;
+                if (!links.has(key)) links.set(key, { source, target, types: [] });
+
+                const type = connectionTypes.types[connection.type] ? connection.type : connectionTypes.defaultType;
+                const link = links.get(key);
+                if (!link.types.includes(type)) link.types.push(type);
+
+                neighbors.get(academic.id).add(other.id);
+                neighbors.get(other.id).add(academic.id);
+            });
+        });
+
+        const nodes = academics.map(academic => ({
+            id: academic.id,
+            name: academic.name,
+            academic,
+            group: this.getGroup(academic),
+            degree: neighbors.get(academic.id).size
+        }));
+
+        return { nodes, links: Array.from(links.values()), neighbors };
+    }
+}
+
+// Initialize the connection graph
+const connectionGraph = new ConnectionGraph();
+
+// Make it available globally
+window.connectionGraph = connectionGraph;
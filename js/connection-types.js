@@ -0,0 +1,166 @@
+/**
+ * Connection Types for KillPhilosophy
+ * Vocabulary of typed, directed relationships between academics and helpers to
+ * describe and compare connection objects
+ *
+ * A connection is stored on the academic it belongs to:
+ *   { target, name, type, direction, startYear, endYear, description, sources }
+ * `target` is the connected academic's ID (null if not in the database), `name` their
+ * display name. `direction` is 'outgoing' (this academic → target, e.g. "taught"),
+ * 'incoming' (target → this academic, e.g. "taught by") or 'mutual'.
+ */
+
+class ConnectionTypes {
+    constructor() {
+        // Each type reads as "<academic> <label> <target>" in the given direction.
+        // Symmetric types only use 'mutual'.
+        this.types = {
+            taught: {
+                symmetric: false,
+                labels: { outgoing: 'Teacher of', incoming: 'Student of' }
+            },
+            influenced: {
+                symmetric: false,
+                labels: { outgoing: 'Influenced', incoming: 'Influenced by' }
+            },
+            critiqued: {
+                symmetric: false,
+                labels: { outgoing: 'Critiqued', incoming: 'Critiqued by' }
+            },
+            translated: {
+                symmetric: false,
+                labels: { outgoing: 'Translated', incoming: 'Translated by' }
+            },
+            collaborated: {
+                symmetric: true,
+                labels: { mutual: 'Collaborated with' }
+            },
+            related: {
+                symmetric: true,
+                labels: { mutual: 'Related to' }
+            }
+        };
+
+        this.directions = ['outgoing', 'incoming', 'mutual'];
+        this.defaultType = 'related';
+    }
+
+    /**
+     * Every type/direction combination, for select boxes
+     * @returns {Array<{value: string, type: string, direction: string, label: string}>} - Options
+     *          whose `value` is "type:direction"
+     */
+    getOptions() {
+        const options = [];
+
+        for (const [type, definition] of Object.entries(this.types)) {
+            for (const [direction, label] of Object.entries(definition.labels)) {
+                options.push({ value: `${type}:${direction}`, type, direction, label });
+            }
+        }
+
+        return options;
+    }
+
+    /**
+     * Human-readable label of a connection, e.g. "Student of"
+     * @param {Object} connection - Connection object
+     * @returns {string} - Label
+     */
+    getLabel(connection) {
+        const definition = this.types[connection.type] || this.types[this.defaultType];
+        return definition.labels[connection.direction] || Object.values(definition.labels)[0];
+    }
+
+    /**
+     * Bring a connection into the current object form
+     * Plain name strings (schema version 3 and earlier) become untyped "related" connections.
+     * @param {string|Object} connection - Connection name or object
+     * @returns {Object} - Connection object
+     */
+    normalize(connection) {
+        if (typeof connection === 'string') {
+            return {
+                target: null,
+                name: connection.trim(),
+                type: this.defaultType,
+                direction: 'mutual'
+            };
+        }
+
+        const type = this.types[connection.type] ? connection.type : this.defaultType;
+        const symmetric = this.types[type].symmetric;
+        let direction = connection.direction;
+
+        if (symmetric) {
+            direction = 'mutual';
+        } else if (direction !== 'outgoing' && direction !== 'incoming') {
+            direction = 'outgoing';
+        }
+
+        return { ...connection, type, direction };
+    }
+
+    /**
+     * The same relationship as seen from the connected academic
+     * "A taught B" stored on A becomes "B taught by A" stored on B; mutual types stay mutual.
+     * @param {Object} connection - Connection stored on `owner`
+     * @param {Object} owner - Academic the connection belongs to
+     * @returns {Object} - Inverse connection, to be stored on the connected academic
+     */
+    invert(connection, owner) {
+        const inverseDirections = { outgoing: 'incoming', incoming: 'outgoing', mutual: 'mutual' };
+
+        const inverse = {
+            target: owner.id,
+            name: owner.name,
+            type: connection.type,
+            direction: inverseDirections[connection.direction] || 'mutual'
+        };
+
+        ['startYear', 'endYear', 'description', 'sources'].forEach(field => {
+            if (connection[field] !== undefined && connection[field] !== null) {
+                inverse[field] = connection[field];
+            }
+        });
+
+        return inverse;
+    }
+
+    /**
+     * Identity key of a connection on one academic: target (or folded name), type and direction.
+     * Two connections with the same key are duplicates.
+     * @param {Object} connection - Connection object
+     * @returns {string} - Key
+     */
+    getKey(connection) {
+        const target = connection.target || academicIdentity.foldName(connection.name);
+        return `${target}|${connection.type}|${connection.direction}`;
+    }
+
+    /**
+     * Format the year range of a connection, e.g. "1950–1954", "from c. 1968" or "until 399 BCE"
+     * @param {Object} connection - Connection object
+     * @returns {string} - Year range, empty if unknown
+     */
+    formatYears(connection) {
+        const { startYear, endYear } = connection;
+        const hasStart = historicalDates.isKnown(startYear);
+        const hasEnd = historicalDates.isKnown(endYear);
+
+        if (hasStart && hasEnd) {
+            return historicalDates.getKey(startYear) === historicalDates.getKey(endYear)
+                ? historicalDates.format(startYear)
+                : historicalDates.formatSpan(startYear, endYear);
+        }
+        if (hasStart) return `from ${historicalDates.format(startYear)}`;
+        if (hasEnd) return `until ${historicalDates.format(endYear)}`;
+        return '';
+    }
+}
+
+// Initialize the connection types
+const connectionTypes = new ConnectionTypes();
+
+// Make it available globally
+window.connectionTypes = connectionTypes;
@@ -116,7 +116,7 @@ class ContributionHandler {
             
             <div class="form-group">
                 <label for="paper-year">Year:</label>
-                <input type="number" id="paper-year" min="1800" max="${new Date().getFullYear()}" placeholder="Publication year">
+                <input type="text" id="paper-year" placeholder="e.g. 1962, c. 380 BCE, fl. 1120–1140">
             </div>
             
             <div class="form-group">
@@ -146,7 +146,7 @@ class ContributionHandler {
             
             <div class="form-group">
                 <label for="event-year">Year:</label>
-                <input type="number" id="event-year" min="1800" max="${new Date().getFullYear()}" placeholder="Event year">
+                <input type="text" id="event-year" placeholder="e.g. 1968, c. 1200, 1120–1125">
             </div>
             
             <div class="form-group">
@@ -175,14 +175,26 @@ class ContributionHandler {
             const academics = databaseManager.getAllAcademics();
             
             academics.forEach(academic => {
-                if (this.currentAcademic && academic.name === this.currentAcademic.name) {
+                if (this.currentAcademic && academic.id === this.currentAcademic.id) {
                     return; // Skip the current academic
                 }
-                options += `<option value="${academic.name}">${academic.name}</option>`;
+                options += `<option value="${academic.id}">${academic.name}</option>`;
             });
         }
         
+        // Relationship types read as "<this academic> <label> <connected academic>"
+        const typeOptions = connectionTypes.getOptions()
+            .map(option => `<option value="${option.value}"${option.type === connectionTypes.defaultType ? ' selected' : ''}>${option.label}</option>`)
+            .join('');
+        
         const formHTML = `
+            <div class="form-group">
+                <label for="connection-type">Relationship:</label>
+                <select id="connection-type">
+                    ${typeOptions}
+                </select>
+            </div>
+            
             <div class="form-group">
                 <label for="connection-academic">Connected Academic:</label>
                 <select id="connection-academic" required>
@@ -195,6 +207,16 @@ class ContributionHandler {
                 <input type="text" id="connection-new-academic" placeholder="New academic name">
             </div>
             
+            <div class="form-group">
+                <label for="connection-start-year">From Year (optional):</label>
+                <input type="text" id="connection-start-year" placeholder="e.g. 1924 or c. 387 BCE">
+            </div>
+            
+            <div class="form-group">
+                <label for="connection-end-year">To Year (optional):</label>
+                <input type="text" id="connection-end-year" placeholder="e.g. 1928 or c. 367 BCE">
+            </div>
+            
             <div class="form-group">
                 <label for="connection-description">Connection Description (optional):</label>
                 <textarea id="connection-description" rows="3" placeholder="Describe the connection"></textarea>
@@ -210,28 +232,25 @@ class ContributionHandler {
      */
     createTaxonomyForm(container) {
         if (!this.taxonomyCategories) {
-            // Use default taxonomy categories if not available from database
-            this.taxonomyCategories = {
-                discipline: ["Philosophy", "Sociology", "Literary Theory", "Political Science", 
-                           "History", "Gender Studies", "Anthropology", "Psychology"],
-                tradition: ["Existentialism", "Post-structuralism", "Phenomenology", 
-                          "Critical Theory", "Marxism", "Hermeneutics", "Pragmatism"],
-                era: ["20th Century", "21st Century", "Contemporary", "Modern", "Ancient", "Medieval"],
-                methodology: ["Textual Analysis", "Dialectical Method", "Genealogy", 
-                            "Deconstruction", "Ethnography", "Discourse Analysis"],
-                theme: ["Power", "Identity", "Language", "Justice", "Ethics", "Consciousness", 
-                      "Embodiment", "Capitalism", "Democracy", "Technology"]
-            };
+            this.taxonomyCategories = databaseManager.getAllTaxonomyCategories();
         }
         
         let taxonomyHTML = '';
         
         // Create form fields for each taxonomy category
         for (const category in this.taxonomyCategories) {
-            const categoryValues = this.taxonomyCategories[category];
+            // Registered terms in tree order, then values the registry does not know yet
+            const tree = taxonomyRegistry.getTree(category);
+            const rows = [
+                ...tree,
+                ...this.taxonomyCategories[category]
+                    .filter(value => !taxonomyRegistry.getTerm(category, value))
+                    .map(value => ({ term: { label: value, description: '' }, depth: 0 }))
+            ];
             
             // Get existing values for the current academic if available
-            const existingValues = this.currentAcademic?.taxonomies?.[category] || [];
+            const existingValues = (this.currentAcademic?.taxonomies?.[category] || [])
+                .map(value => taxonomyRegistry.resolve(category, value));
             
             taxonomyHTML += `
                 <div class="taxonomy-category-field">
@@ -239,11 +258,12 @@ class ContributionHandler {
                     <div class="taxonomy-checkboxes">
             `;
             
-            // Create checkboxes for existing values
-            categoryValues.forEach(value => {
+            // Create checkboxes for existing values; narrower terms are indented under broader ones
+            rows.forEach(({ term, depth }) => {
+                const value = term.label;
                 const isChecked = existingValues.includes(value);
                 taxonomyHTML += `
-                    <div class="checkbox-item">
+                    <div class="checkbox-item" style="margin-left: ${depth * 1.5}em"${term.description ? ` title="${term.description}"` : ''}>
                         <input type="checkbox" id="taxonomy-${category}-${value.replace(/\s+/g, '-')}" 
                             name="taxonomy-${category}" value="${value}" ${isChecked ? 'checked' : ''}>
                         <label for="taxonomy-${category}-${value.replace(/\s+/g, '-')}">${value}</label>
@@ -251,13 +271,22 @@ class ContributionHandler {
                 `;
             });
             
-            // Add field for new value
+            // Add field for new value, placed under a broader term if one is chosen
             taxonomyHTML += `
                     </div>
                     <div class="form-group">
                         <label for="new-${category}">Add new ${category}:</label>
                         <input type="text" id="new-${category}" placeholder="New ${category} value">
                     </div>
+                    <div class="form-group">
+                        <label for="new-${category}-parent">Narrower term of:</label>
+                        <select id="new-${category}-parent">
+                            <option value="">(none)</option>
+                            ${tree.map(({ term, depth }) => `
+                                <option value="${term.label}">${'\u2014 '.repeat(depth)}${term.label}</option>
+                            `).join('')}
+                        </select>
+                    </div>
                 </div>
             `;
         }
@@ -280,12 +309,12 @@ class ContributionHandler {
             
             <div class="form-group">
                 <label for="bio-birth-year">Birth Year (optional):</label>
-                <input type="number" id="bio-birth-year" min="1000" max="${new Date().getFullYear()}" placeholder="Birth year">
+                <input type="text" id="bio-birth-year" placeholder="e.g. 1926, c. 428 BCE or unknown">
             </div>
             
             <div class="form-group">
                 <label for="bio-death-year">Death Year (if applicable):</label>
-                <input type="number" id="bio-death-year" min="1000" max="${new Date().getFullYear()}" placeholder="Death year">
+                <input type="text" id="bio-death-year" placeholder="e.g. 1984, 348 BCE or unknown">
             </div>
         `;
         
@@ -313,8 +342,11 @@ class ContributionHandler {
         const contributorName = contributorNameInput ? contributorNameInput.value.trim() : '';
         const submitToGitHub = githubSubmitCheckbox ? githubSubmitCheckbox.checked : false;
         
+        // Clear errors from a previous attempt
+        this._clearFieldErrors();
+        
         if (!academicName) {
-            this._displayError('Please enter an academic name');
+            this._displayValidationErrors([{ field: 'name', message: 'Please enter an academic name' }]);
             return;
         }
         
@@ -342,7 +374,11 @@ class ContributionHandler {
                     throw new Error('Unknown contribution type');
             }
         } catch (error) {
-            this._displayError(error.message);
+            if (error instanceof ValidationError) {
+                this._displayValidationErrors(error.errors);
+            } else {
+                this._displayError(error.message);
+            }
             return;
         }
         
@@ -352,6 +388,7 @@ class ContributionHandler {
             contributionType,
             contributorName,
             data: contributionData,
+            sources: this._collectSources(contributorName),
             timestamp: new Date().toISOString()
         };
         
@@ -359,6 +396,44 @@ class ContributionHandler {
         this._submitContribution(submission, submitToGitHub);
     }
     
+    /**
+     * Sources backing a contribution: the cited URL or reference and the contributor
+     * @private
+     * @param {string} contributorName - Contributor name, may be empty
+     * @returns {Array<Object>} - Sources
+     */
+    _collectSources(contributorName) {
+        const sourceInput = document.getElementById('contribution-source');
+        const sources = [provenance.parseSource(sourceInput ? sourceInput.value : '')];
+        
+        if (contributorName) {
+            sources.push(provenance.createSource('contributor', contributorName));
+        }
+        
+        return sources.filter(Boolean);
+    }
+    
+    /**
+     * Read a year field, e.g. "1926", "c. 428 BCE" or "fl. 1120–1140"
+     * @private
+     * @param {HTMLInputElement|null} input - Year input
+     * @param {string} field - Field path reported if the text is not a year
+     * @returns {number|Object|null} - Stored form of the date (null if blank or unknown)
+     * @throws {ValidationError}
+     */
+    _readDate(input, field) {
+        try {
+            const value = historicalDates.parse(input ? input.value : '');
+            const problems = historicalDates.validate(value);
+            if (problems.length > 0) {
+                throw new Error(`Year ${problems[0]}`);
+            }
+            return value;
+        } catch (error) {
+            throw new ValidationError([{ field, message: error.message }]);
+        }
+    }
+    
     /**
      * Validate paper contribution
      * @private
@@ -370,20 +445,8 @@ class ContributionHandler {
         const coauthorsInput = document.getElementById('paper-coauthors');
         const urlInput = document.getElementById('paper-url');
         
-        if (!titleInput || !titleInput.value.trim()) {
-            throw new Error('Paper title is required');
-        }
-        
-        const title = titleInput.value.trim();
-        let year = null;
-        
-        if (yearInput && yearInput.value) {
-            year = parseInt(yearInput.value);
-            
-            if (isNaN(year) || year < 1800 || year > new Date().getFullYear()) {
-                throw new Error('Invalid year');
-            }
-        }
+        const title = titleInput ? titleInput.value.trim() : '';
+        const year = this._readDate(yearInput, 'papers[0].year');
         
         const coauthors = coauthorsInput && coauthorsInput.value 
             ? coauthorsInput.value.split(',').map(name => name.trim()).filter(name => name)
@@ -391,14 +454,18 @@ class ContributionHandler {
             
         const url = urlInput && urlInput.value ? urlInput.value.trim() : null;
         
+        const paper = {
+            title,
+            year,
+            coauthors,
+            url
+        };
+        
+        this._assertValid(academicValidator.validateProperty('papers', [paper]));
+        
         return {
             type: 'paper',
-            paper: {
-                title,
-                year,
-                coauthors,
-                url
-            }
+            paper
         };
     }
     
@@ -413,32 +480,24 @@ class ContributionHandler {
         const locationInput = document.getElementById('event-location');
         const descriptionInput = document.getElementById('event-description');
         
-        if (!titleInput || !titleInput.value.trim()) {
-            throw new Error('Event title is required');
-        }
-        
-        const title = titleInput.value.trim();
-        let year = null;
-        
-        if (yearInput && yearInput.value) {
-            year = parseInt(yearInput.value);
-            
-            if (isNaN(year) || year < 1800 || year > new Date().getFullYear()) {
-                throw new Error('Invalid year');
-            }
-        }
+        const title = titleInput ? titleInput.value.trim() : '';
+        const year = this._readDate(yearInput, 'events[0].year');
         
         const location = locationInput && locationInput.value ? locationInput.value.trim() : null;
         const description = descriptionInput && descriptionInput.value ? descriptionInput.value.trim() : null;
         
+        const event = {
+            title,
+            year,
+            location,
+            description
+        };
+        
+        this._assertValid(academicValidator.validateProperty('events', [event]));
+        
         return {
             type: 'event',
-            event: {
-                title,
-                year,
-                location,
-                description
-            }
+            event
         };
     }
     
@@ -448,29 +507,46 @@ class ContributionHandler {
      * @returns {Object} - Validated connection data
      */
     _validateConnectionContribution() {
+        const typeSelect = document.getElementById('connection-type');
         const academicSelect = document.getElementById('connection-academic');
         const newAcademicInput = document.getElementById('connection-new-academic');
+        const startYearInput = document.getElementById('connection-start-year');
+        const endYearInput = document.getElementById('connection-end-year');
         const descriptionInput = document.getElementById('connection-description');
         
         // Either select an existing academic or add a new one
-        let connectedAcademic;
+        let target = null;
+        let name;
         
         if (academicSelect && academicSelect.value) {
-            connectedAcademic = academicSelect.value;
+            target = academicSelect.value;
+            name = databaseManager.getAcademic(target)?.name || academicSelect.options[academicSelect.selectedIndex].text;
         } else if (newAcademicInput && newAcademicInput.value.trim()) {
-            connectedAcademic = newAcademicInput.value.trim();
+            name = newAcademicInput.value.trim();
         } else {
-            throw new Error('Please select or enter a connected academic');
+            throw new ValidationError([{ field: 'connections', message: 'Please select or enter a connected academic' }]);
         }
         
+        const [type, direction] = (typeSelect && typeSelect.value ? typeSelect.value : `${connectionTypes.defaultType}:mutual`).split(':');
+        const startYear = this._readDate(startYearInput, 'connections[0].startYear');
+        const endYear = this._readDate(endYearInput, 'connections[0].endYear');
         const description = descriptionInput && descriptionInput.value ? descriptionInput.value.trim() : null;
         
+        const connection = {
+            target,
+            name,
+            type,
+            direction,
+            startYear,
+            endYear,
+            description
+        };
+        
+        this._assertValid(academicValidator.validateProperty('connections', [connection]));
+        
         return {
             type: 'connection',
-            connection: {
-                connectedAcademic,
-                description
-            }
+            connection
         };
     }
     
@@ -481,6 +557,8 @@ class ContributionHandler {
      */
     _validateTaxonomyContribution() {
         const taxonomies = {};
+        const newTerms = [];
+        const errors = [];
         
         // Process each taxonomy category
         for (const category in this.taxonomyCategories) {
@@ -492,16 +570,39 @@ class ContributionHandler {
                 taxonomies[category].push(checkbox.value);
             });
             
-            // Check for new value
+            // Check for new value; a known term or synonym is stored under its canonical label,
+            // anything else is added to the registry
             const newValueInput = document.getElementById(`new-${category}`);
-            if (newValueInput && newValueInput.value.trim()) {
-                taxonomies[category].push(newValueInput.value.trim());
+            const parentSelect = document.getElementById(`new-${category}-parent`);
+            const newValue = newValueInput ? newValueInput.value.trim() : '';
+            
+            if (newValue) {
+                const value = taxonomyRegistry.resolve(category, newValue);
+                const parent = parentSelect && parentSelect.value ? parentSelect.value : null;
+                
+                if (!taxonomyRegistry.getTerm(category, value)) {
+                    taxonomyRegistry.validateTerm(category, value, { parent }).forEach(({ field, message }) => {
+                        errors.push({ field: field === 'parent' ? `taxonomies.${category}.parent` : `taxonomies.${category}`, message });
+                    });
+                    newTerms.push({ category, label: value, parent });
+                }
+                
+                if (!taxonomies[category].includes(value)) {
+                    taxonomies[category].push(value);
+                }
             }
         }
         
+        errors.push(...academicValidator.validateProperty('taxonomies', taxonomies).errors);
+        
+        if (errors.length > 0) {
+            throw new ValidationError(errors);
+        }
+        
         return {
             type: 'taxonomy',
-            taxonomies
+            taxonomies,
+            newTerms
         };
     }
     
@@ -516,31 +617,21 @@ class ContributionHandler {
         const deathYearInput = document.getElementById('bio-death-year');
         
         if (!bioTextarea || !bioTextarea.value.trim()) {
-            throw new Error('Biography text is required');
+            throw new ValidationError([{ field: 'bio', message: 'Biography text is required' }]);
         }
         
         const bio = bioTextarea.value.trim();
-        let birthYear = null;
-        let deathYear = null;
+        const birthYear = this._readDate(birthYearInput, 'birthYear');
+        const deathYear = this._readDate(deathYearInput, 'deathYear');
         
-        if (birthYearInput && birthYearInput.value) {
-            birthYear = parseInt(birthYearInput.value);
-            
-            if (isNaN(birthYear) || birthYear < 1000 || birthYear > new Date().getFullYear()) {
-                throw new Error('Invalid birth year');
-            }
-        }
+        // Birth/death ordering is checked against the full record on submit
+        const errors = [
+            ...academicValidator.validateProperty('birthYear', birthYear).errors,
+            ...academicValidator.validateProperty('deathYear', deathYear).errors
+        ];
         
-        if (deathYearInput && deathYearInput.value) {
-            deathYear = parseInt(deathYearInput.value);
-            
-            if (isNaN(deathYear) || deathYear < 1000 || deathYear > new Date().getFullYear()) {
-                throw new Error('Invalid death year');
-            }
-            
-            if (birthYear && deathYear && deathYear < birthYear) {
-                throw new Error('Death year cannot be before birth year');
-            }
+        if (errors.length > 0) {
+            throw new ValidationError(errors);
         }
         
         return {
@@ -559,7 +650,7 @@ class ContributionHandler {
      * @param {Object} submission - Contribution data
      * @param {boolean} submitToGitHub - Whether to submit to GitHub
      */
-    _submitContribution(submission, submitToGitHub) {
+    async _submitContribution(submission, submitToGitHub) {
         const contributionResult = document.getElementById('contribution-result');
         
         if (!contributionResult) {
@@ -581,6 +672,11 @@ class ContributionHandler {
                 academic = databaseManager.getAcademic(submission.academicName);
             }
             
+            // Work on a copy so a rejected contribution leaves the cached record untouched
+            if (academic) {
+                academic = JSON.parse(JSON.stringify(academic));
+            }
+            
             // If academic doesn't exist, create it
             if (!academic) {
                 academic = {
@@ -592,20 +688,26 @@ class ContributionHandler {
                 };
             }
             
+            const sources = submission.sources || [];
+            const cite = item => (sources.length > 0 ? { ...item, sources } : item);
+            
+            // New taxonomy terms are registered once the academic has been saved
+            const newTerms = [];
+            
             // Update the academic with the contribution
             switch (submission.data.type) {
                 case 'paper':
                     if (!academic.papers) {
                         academic.papers = [];
                     }
-                    academic.papers.push(submission.data.paper);
+                    academic.papers.push(cite(submission.data.paper));
                     break;
                     
                 case 'event':
                     if (!academic.events) {
                         academic.events = [];
                     }
-                    academic.events.push(submission.data.event);
+                    academic.events.push(cite(submission.data.event));
                     break;
                     
                 case 'connection':
@@ -613,10 +715,22 @@ class ContributionHandler {
                         academic.connections = [];
                     }
                     
-                    const connectedAcademic = submission.data.connection.connectedAcademic;
+                    const connection = submission.data.connection;
+                    const key = connectionTypes.getKey(connection);
+                    const existingIndex = academic.connections.findIndex(existing =>
+                        connectionTypes.getKey(existing) === key
+                    );
                     
-                    if (!academic.connections.includes(connectedAcademic)) {
-                        academic.connections.push(connectedAcademic);
+                    // Re-submitting the same relationship updates its years and description
+                    // and adds to its sources
+                    if (existingIndex === -1) {
+                        academic.connections.push(cite(connection));
+                    } else {
+                        const existingSources = academic.connections[existingIndex].sources;
+                        academic.connections[existingIndex] = cite(connection);
+                        if (existingSources) {
+                            academic.connections[existingIndex].sources = provenance.mergeSources(existingSources, sources);
+                        }
                     }
                     break;
                     
@@ -625,14 +739,34 @@ class ContributionHandler {
                         academic.taxonomies = {};
                     }
                     
+                    // Check new values against the registry as it is now, under the chosen broader term
+                    (submission.data.newTerms || []).forEach(term => {
+                        if (taxonomyRegistry.getTerm(term.category, term.label)) return;
+                        
+                        const errors = taxonomyRegistry.validateTerm(term.category, term.label, { parent: term.parent })
+                            .map(({ field, message }) => ({
+                                field: field === 'parent' ? `taxonomies.${term.category}.parent` : `taxonomies.${term.category}`,
+                                message
+                            }));
+                        this._assertValid({ valid: errors.length === 0, errors });
+                        newTerms.push(term);
+                    });
+                    
                     for (const category in submission.data.taxonomies) {
                         if (!academic.taxonomies[category]) {
                             academic.taxonomies[category] = [];
                         }
                         
                         submission.data.taxonomies[category].forEach(value => {
-                            if (!academic.taxonomies[category].includes(value)) {
-                                academic.taxonomies[category].push(value);
+                            if (academic.taxonomies[category].includes(value)) return;
+                            
+                            academic.taxonomies[category].push(value);
+                            
+                            // Cite the sources for values this contribution adds
+                            if (sources.length > 0) {
+                                academic.taxonomySources = academic.taxonomySources || {};
+                                academic.taxonomySources[category] = academic.taxonomySources[category] || {};
+                                academic.taxonomySources[category][value] = sources;
                             }
                         });
                     }
@@ -641,21 +775,43 @@ class ContributionHandler {
                 case 'bio':
                     academic.bio = submission.data.bio.text;
                     
-                    if (submission.data.bio.birthYear) {
+                    // A new biography replaces the old one along with its sources
+                    if (sources.length > 0) {
+                        academic.bioSources = sources;
+                    } else {
+                        delete academic.bioSources;
+                    }
+                    
+                    if (submission.data.bio.birthYear !== null) {
                         academic.birthYear = submission.data.bio.birthYear;
                     }
                     
-                    if (submission.data.bio.deathYear) {
+                    if (submission.data.bio.deathYear !== null) {
                         academic.deathYear = submission.data.bio.deathYear;
                     }
                     break;
             }
             
+            // Check the updated record against the shared schema before writing it
+            academicValidator.assertValid(academic);
+            
             // Save the academic to the database
             let databaseSuccess = false;
             
             if (typeof databaseManager !== 'undefined') {
-                databaseSuccess = databaseManager.addOrUpdateAcademic(academic);
+                await databaseManager.saveAcademic(academic, {
+                    source: 'contribution',
+                    author: submission.contributorName,
+                    summary: `${submission.data.type} contribution`
+                });
+                databaseSuccess = true;
+                
+                for (const { category, label, parent } of newTerms) {
+                    await taxonomyRegistry.addTerm(category, label, { parent });
+                }
+                if (newTerms.length > 0) {
+                    this.taxonomyCategories = databaseManager.getAllTaxonomyCategories();
+                }
                 
                 // Add to pending submissions if configured
                 databaseManager.addPendingSubmission(submission);
@@ -688,12 +844,17 @@ class ContributionHandler {
             // Clear the form
             const academicNameInput = document.getElementById('academic-name');
             const contributionDetails = document.getElementById('contribution-details');
+            const sourceInput = document.getElementById('contribution-source');
             
             if (academicNameInput && contributionDetails) {
                 academicNameInput.value = '';
                 contributionDetails.innerHTML = '';
             }
             
+            if (sourceInput) {
+                sourceInput.value = '';
+            }
+            
             // Add a novelty tile for the contribution
             if (typeof databaseManager !== 'undefined') {
                 databaseManager.addNoveltyTile({
@@ -704,8 +865,133 @@ class ContributionHandler {
                 });
             }
         } catch (error) {
-            this._displayError(error.message);
+            if (error instanceof ValidationError) {
+                this._displayValidationErrors(error.errors);
+            } else {
+                this._displayError(error.message);
+            }
+        }
+    }
+    
+    /**
+     * Throw a ValidationError for a failed validation result
+     * @private
+     * @param {Object} result - Result from academicValidator
+     */
+    _assertValid(result) {
+        if (!result.valid) {
+            throw new ValidationError(result.errors);
+        }
+    }
+    
+    /**
+     * Map a validator field path to the form input that edits it
+     * @private
+     * @param {string} field - Field path, e.g. "papers[0].year" or "taxonomies.theme[1]"
+     * @returns {string|null} - Input element ID
+     */
+    _inputIdForField(field) {
+        const directFields = {
+            name: 'academic-name',
+            bio: 'bio-text',
+            birthYear: 'bio-birth-year',
+            deathYear: 'bio-death-year'
+        };
+        
+        if (directFields[field]) {
+            return directFields[field];
+        }
+        
+        // Every contribution type shares one source input
+        if (/sources/i.test(field)) return 'contribution-source';
+        
+        let match = field.match(/^papers\[\d+\]\.(\w+)/);
+        if (match) return `paper-${match[1]}`;
+        
+        match = field.match(/^events\[\d+\]\.(\w+)/);
+        if (match) return `event-${match[1]}`;
+        
+        match = field.match(/^connections\[\d+\]\.(\w+)/);
+        if (match && match[1] !== 'name' && match[1] !== 'target') {
+            const connectionFields = {
+                type: 'connection-type',
+                direction: 'connection-type',
+                startYear: 'connection-start-year',
+                endYear: 'connection-end-year',
+                description: 'connection-description'
+            };
+            return connectionFields[match[1]] || null;
         }
+        
+        if (/^connections/.test(field)) {
+            const newAcademicInput = document.getElementById('connection-new-academic');
+            return newAcademicInput && newAcademicInput.value.trim()
+                ? 'connection-new-academic'
+                : 'connection-academic';
+        }
+        
+        match = field.match(/^taxonomies\.(\w+)\.parent$/);
+        if (match) return `new-${match[1]}-parent`;
+        
+        match = field.match(/^taxonomies\.(\w+)/);
+        if (match) return `new-${match[1]}`;
+        
+        return null;
+    }
+    
+    /**
+     * Show field-level validation errors next to the offending inputs
+     * @private
+     * @param {Array<{field: string, message: string}>} errors - Validation errors
+     */
+    _displayValidationErrors(errors) {
+        this._clearFieldErrors();
+        
+        const unplaced = [];
+        
+        errors.forEach(error => {
+            const inputId = this._inputIdForField(error.field);
+            const input = inputId ? document.getElementById(inputId) : null;
+            
+            if (!input) {
+                unplaced.push(error.message);
+                return;
+            }
+            
+            let errorElement = document.getElementById(`${inputId}-error`);
+            if (!errorElement) {
+                errorElement = document.createElement('div');
+                errorElement.className = 'field-error';
+                errorElement.id = `${inputId}-error`;
+                errorElement.setAttribute('role', 'alert');
+                input.insertAdjacentElement('afterend', errorElement);
+            }
+            errorElement.textContent = errorElement.textContent
+                ? `${errorElement.textContent} ${error.message}`
+                : error.message;
+            
+            input.classList.add('input-invalid');
+            input.setAttribute('aria-invalid', 'true');
+            input.setAttribute('aria-describedby', errorElement.id);
+        });
+        
+        const summary = unplaced.length > 0
+            ? unplaced.join('; ')
+            : 'Please correct the highlighted fields';
+        this._displayError(summary);
+    }
+    
+    /**
+     * Remove field-level validation errors from the form
+     * @private
+     */
+    _clearFieldErrors() {
+        document.querySelectorAll('.contribution-form .field-error').forEach(element => element.remove());
+        document.querySelectorAll('.contribution-form .input-invalid').forEach(input => {
+            input.classList.remove('input-invalid');
+            input.removeAttribute('aria-invalid');
+            input.removeAttribute('aria-describedby');
+        });
     }
     
     /**
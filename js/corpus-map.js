@@ -0,0 +1,950 @@
+/**
+ * Corpus Map for KillPhilosophy
+ * The Map tab: every academic in the database as one force-directed graph (D3 v5, drawn on
+ * a canvas so thousands of nodes stay smooth)
+ *
+ * Nodes are pulled towards the centre of their cluster (tradition, or a Louvain community
+ * from js/graph-analytics.js) and sized by degree or another centrality measure. Clusters are labelled when zoomed
+ * out and academics' names appear as you zoom in, the best-connected first. A mini-map shows
+ * where the view is, and the search box zooms to an academic. The view is kept in the URL:
+ * #map?cluster=community&size=betweenness&focus=michel-foucault
+ */
+
+class CorpusMap {
+    constructor() {
+        this.clusterOptions = { tradition: 'Tradition', community: 'Community' };
+        this.sizeOptions = {
+            degree: 'Degree',
+            betweenness: 'Betweenness',
+            pagerank: 'PageRank',
+            eigenvector: 'Eigenvector'
+        };
+        this.defaultSettings = { cluster: 'tradition', size: 'degree' };
+        this.settings = { ...this.defaultSettings };
+
+        this.radius = { min: 3, max: 18 };
+        this.minimapSize = { width: 180, height: 120 };
+
+        // Names shown at zoom 1; the number grows with the square of the zoom
+        this.labelDensity = 12;
+
+        // Cluster names are drawn below this zoom and fade out towards it
+        this.clusterLabelZoom = 1.5;
+
+        // Zoom used when focusing an academic
+        this.focusScale = 3;
+
+        this.container = null;
+        this.canvas = null;
+        this.context = null;
+        this.minimap = null;
+        this.details = null;
+        this.legend = null;
+        this.simulation = null;
+        this.zoom = null;
+        this.transform = null;
+        this.frame = null;
+        this.size = { width: 0, height: 0 };
+        this.pixelRatio = 1;
+
+        this.nodes = [];
+        this.links = [];
+        this.nodeById = new Map();
+        this.neighbors = new Map();
+        this.clusters = [];
+        this.labelOrder = [];
+        this.selectedId = null;
+        this.hoveredId = null;
+        this.interacted = false;
+
+        this.onOpen = null;
+        this.onShowNetwork = null;
+
+        // What the current view was rendered from; a tab switch with the same key reuses it
+        this.renderedKey = null;
+
+        this._handleResize = () => this._resize();
+    }
+
+    /**
+     * Render the map
+     * @param {HTMLElement} container - Element to render into
+     * @param {Object} options - `onOpen(academic)` opens a profile; `onShowNetwork(academic)`
+     *        shows an academic's own network
+     */
+    render(container, { onOpen, onShowNetwork } = {}) {
+        this.onOpen = onOpen;
+        this.onShowNetwork = onShowNetwork;
+
+        let focus = null;
+        if (window.location.hash.startsWith('#map')) {
+            const parsed = this.parseSettings(window.location.hash.slice('#map'.length));
+            focus = parsed.focus;
+            delete parsed.focus;
+            this.settings = parsed;
+        }
+
+        if (typeof d3 === 'undefined') {
+            container.innerHTML = '<div class="error-message">D3.js library not loaded - the map is not available</div>';
+            return;
+        }
+
+        // Coming back to the tab: keep the layout and view if nothing changed
+        if (this.container === container && this.canvas && container.contains(this.canvas) &&
+            this.renderedKey === this._getRenderKey()) {
+            window.addEventListener('resize', this._handleResize);
+            this._resize();
+            if (focus) {
+                this.focus(focus, { animate: false });
+            } else {
+                this._updateUrl();
+            }
+        } else {
+            this.container = container;
+            this._draw({ focus });
+        }
+    }
+
+    /**
+     * Select an academic and zoom to them
+     * @param {string} query - ID, slug, name or search text
+     * @param {Object} options - `animate: false` to jump without a transition
+     * @returns {boolean} - True if the academic is on the map
+     */
+    focus(query, { animate = true } = {}) {
+        const academic = databaseManager.findExactMatch(query) ||
+            databaseManager.getAcademic(query) ||
+            (databaseManager.searchFullText(query, { limit: 1 })[0] || {}).academic;
+        const node = academic ? this.nodeById.get(academic.id) : null;
+        if (!node) return false;
+
+        this._select(node.id);
+        this._zoomTo(node.x, node.y, Math.max(this.transform.k, this.focusScale), animate);
+        return true;
+    }
+
+    /**
+     * Read settings from a URL query string
+     * @param {string} query - e.g. "?cluster=community&focus=michel-foucault"
+     * @returns {Object} - `{ cluster, size, focus }`
+     */
+    parseSettings(query) {
+        const params = new URLSearchParams(query.replace(/^\?/, ''));
+        const cluster = params.get('cluster');
+        const size = params.get('size');
+
+        return {
+            cluster: this.clusterOptions[cluster] ? cluster : this.defaultSettings.cluster,
+            size: this.sizeOptions[size] ? size : this.defaultSettings.size,
+            focus: params.get('focus')
+        };
+    }
+
+    /**
+     * Write settings as a URL query string; defaults are left out
+     * @param {Object} settings - `{ cluster, size, focus }`
+     * @returns {string} - Query string, including "?", or "" for the defaults
+     */
+    serializeSettings(settings) {
+        const params = new URLSearchParams();
+        if (settings.cluster !== this.defaultSettings.cluster) params.set('cluster', settings.cluster);
+        if (settings.size !== this.defaultSettings.size) params.set('size', settings.size);
+        if (settings.focus) params.set('focus', settings.focus);
+
+        const query = params.toString();
+        return query ? `?${query}` : '';
+    }
+
+    /**
+     * @private
+     * @returns {string} - Key that changes whenever the map would be drawn differently
+     */
+    _getRenderKey() {
+        return `${connectionGraph.getKey()}|${this.settings.cluster}|${this.settings.size}`;
+    }
+
+    /**
+     * Build the layout and the view from scratch, once the network measures it needs are ready
+     * @private
+     * @param {Object} options - `focus` (query) or `selectedId` to select afterwards
+     */
+    _draw({ focus = null, selectedId = null } = {}) {
+        const needsAnalytics = this.settings.cluster === 'community' || this.settings.size !== 'degree';
+        if (needsAnalytics && !graphAnalytics.getResults()) {
+            this._stop();
+            this.canvas = null;
+            this.renderedKey = null;
+
+            const container = this.container;
+            container.innerHTML = '<div class="info-message">Computing network measures...</div>';
+            graphAnalytics.compute().then(() => {
+                // Left for another tab meanwhile: the map is drawn when it is shown again
+                if (this.container === container && !this.canvas && container.offsetParent !== null) {
+                    this._draw({ focus, selectedId });
+                }
+            }, error => {
+                console.error('Graph analytics failed:', error);
+                container.innerHTML = '<div class="error-message">Network measures could not be computed</div>';
+            });
+            return;
+        }
+
+        this._stop();
+        this.container.innerHTML = '';
+        this.selectedId = null;
+        this.hoveredId = null;
+        this.interacted = false;
+
+        this._buildLayout();
+
+        const view = document.createElement('div');
+        view.className = 'corpus-map';
+        view.appendChild(this._createSidebar());
+
+        const stage = document.createElement('div');
+        stage.className = 'corpus-map-stage';
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.className = 'corpus-map-canvas';
+        this.canvas.setAttribute('role', 'img');
+        this.canvas.setAttribute('aria-label',
+            `Map of ${this.nodes.length} academics and ${this.links.length} connections in ` +
+            `${this.clusters.length} clusters; use the search box to find an academic`);
+        stage.appendChild(this.canvas);
+
+        this.minimap = document.createElement('canvas');
+        this.minimap.className = 'corpus-map-minimap';
+        this.minimap.setAttribute('aria-hidden', 'true');
+        stage.appendChild(this.minimap);
+
+        view.appendChild(stage);
+        this.container.appendChild(view);
+
+        this.context = this.canvas.getContext('2d');
+        this._setupInteraction();
+        this._resize();
+        window.addEventListener('resize', this._handleResize);
+
+        if (this.nodes.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'info-message corpus-map-empty';
+            empty.textContent = 'No academics in the database yet';
+            stage.appendChild(empty);
+        }
+
+        this._startSimulation();
+        this.renderedKey = this._getRenderKey();
+
+        if (focus && this.focus(focus, { animate: false })) return;
+        if (selectedId && this.nodeById.has(selectedId)) this._select(selectedId);
+        this._updateUrl();
+    }
+
+    /**
+     * Copy the connection graph into nodes and links the simulation can move, and group the
+     * nodes into clusters
+     * @private
+     */
+    _buildLayout() {
+        const graph = connectionGraph.get();
+        const analytics = graphAnalytics.getResults();
+        const size = this.settings.size;
+        const communities = this.settings.cluster === 'community' ? analytics : null;
+
+        const metric = node => (size === 'degree' ? node.degree : analytics.byId.get(node.id)[size]);
+        const highest = Math.max(1e-9, ...graph.nodes.map(metric));
+        const radius = d3.scaleSqrt().domain([0, highest]).range([this.radius.min, this.radius.max]);
+
+        this.nodes = graph.nodes.map(node => ({
+            id: node.id,
+            name: node.name,
+            academic: node.academic,
+            degree: node.degree,
+            metric: metric(node),
+            r: radius(metric(node)),
+            cluster: this._getClusterKey(node, communities)
+        }));
+        this.nodeById = new Map(this.nodes.map(node => [node.id, node]));
+        this.neighbors = graph.neighbors;
+        this.links = graph.links.map(link => ({ source: link.source, target: link.target, types: link.types }));
+
+        // Clusters, largest first, with the ungrouped academics last
+        const clusters = new Map();
+        this.nodes.forEach(node => {
+            if (!clusters.has(node.cluster)) {
+                clusters.set(node.cluster, { key: node.cluster, label: this._getClusterLabel(node.cluster, communities), nodes: [] });
+            }
+            clusters.get(node.cluster).nodes.push(node);
+        });
+        this.clusters = Array.from(clusters.values()).sort((a, b) =>
+            (a.key === null) - (b.key === null) || b.nodes.length - a.nodes.length ||
+            academicIdentity.compareNames(a.label, b.label));
+
+        const keys = this.clusters.filter(cluster => cluster.key !== null).map(cluster => String(cluster.key));
+        this.color = d3.scaleOrdinal(d3.schemeCategory10).domain(keys);
+
+        // Cluster centres on a sunflower spiral, so any number of them packs evenly
+        const spacing = 40 + 6 * Math.sqrt(this.clusters.length ? this.clusters[0].nodes.length : 0);
+        this.clusters.forEach((cluster, index) => {
+            const angle = index * Math.PI * (3 - Math.sqrt(5));
+            const distance = spacing * Math.sqrt(index) * 2;
+            cluster.cx = distance * Math.cos(angle);
+            cluster.cy = distance * Math.sin(angle);
+            cluster.nodes.forEach((node, nodeIndex) => {
+                // Start near the cluster centre rather than at the origin
+                node.x = cluster.cx + Math.cos(nodeIndex) * nodeIndex * 0.5;
+                node.y = cluster.cy + Math.sin(nodeIndex) * nodeIndex * 0.5;
+                node.clusterRef = cluster;
+            });
+        });
+
+        this.labelOrder = this.nodes.slice().sort((a, b) => b.metric - a.metric || b.degree - a.degree);
+    }
+
+    /**
+     * @private
+     * @param {Object} node - Graph node
+     * @param {Object|null} communities - Graph analytics, when clustering by community
+     * @returns {string|number|null} - Cluster key; null for academics in no cluster
+     */
+    _getClusterKey(node, communities) {
+        if (!communities) return node.group;
+
+        // Academics without connections would each be a community of their own
+        return node.degree > 0 ? communities.byId.get(node.id).community : null;
+    }
+
+    /**
+     * @private
+     * @param {string|number|null} key - Cluster key
+     * @param {Object|null} communities - Graph analytics, when clustering by community
+     * @returns {string} - Name shown for the cluster
+     */
+    _getClusterLabel(key, communities) {
+        if (key === null) return communities ? 'Unconnected' : 'No tradition recorded';
+        return communities ? communities.communities[key].label : key;
+    }
+
+    /**
+     * @private
+     * @param {Object} node - Map node
+     * @returns {string} - Fill colour
+     */
+    _getColor(node) {
+        return node.cluster === null ? '#777' : this.color(String(node.cluster));
+    }
+
+    /**
+     * Search box, settings, cluster legend and details of the selected academic
+     * @private
+     * @returns {HTMLElement} - Sidebar
+     */
+    _createSidebar() {
+        const sidebar = document.createElement('div');
+        sidebar.className = 'corpus-map-sidebar';
+
+        const form = document.createElement('form');
+        form.className = 'corpus-map-search';
+        form.setAttribute('role', 'search');
+
+        const input = document.createElement('input');
+        input.type = 'search';
+        input.placeholder = 'Find an academic';
+        input.setAttribute('aria-label', 'Find an academic on the map');
+        input.setAttribute('list', 'corpus-map-names');
+
+        const names = document.createElement('datalist');
+        names.id = 'corpus-map-names';
+        this.nodes.slice().sort((a, b) => academicIdentity.compareNames(a.name, b.name)).forEach(node => {
+            const option = document.createElement('option');
+            option.value = node.name;
+            names.appendChild(option);
+        });
+
+        const button = document.createElement('button');
+        button.type = 'submit';
+        button.className = 'admin-btn';
+        button.textContent = 'Find';
+
+        const message = document.createElement('div');
+        message.className = 'corpus-map-message';
+        message.setAttribute('role', 'status');
+
+        form.addEventListener('submit', e => {
+            e.preventDefault();
+            const query = input.value.trim();
+            if (!query) return;
+            message.textContent = this.focus(query) ? '' : `No academic found for "${query}"`;
+        });
+
+        form.appendChild(input);
+        form.appendChild(names);
+        form.appendChild(button);
+        form.appendChild(message);
+        sidebar.appendChild(form);
+
+        sidebar.appendChild(this._createSelect('Cluster by', 'cluster', this.clusterOptions));
+        sidebar.appendChild(this._createSelect('Size by', 'size', this.sizeOptions));
+
+        const fit = document.createElement('button');
+        fit.type = 'button';
+        fit.className = 'admin-btn';
+        fit.textContent = 'Show all';
+        fit.addEventListener('click', () => this._fit(true));
+        sidebar.appendChild(fit);
+
+        this.details = document.createElement('div');
+        this.details.className = 'corpus-map-details';
+        this.details.setAttribute('aria-live', 'polite');
+        sidebar.appendChild(this.details);
+
+        this.legend = this._createLegend();
+        sidebar.appendChild(this.legend);
+
+        return sidebar;
+    }
+
+    /**
+     * @private
+     * @param {string} label - Label text
+     * @param {string} setting - Key in `this.settings`
+     * @param {Object} options - value -> label
+     * @returns {HTMLElement} - Labelled select
+     */
+    _createSelect(label, setting, options) {
+        const wrapper = document.createElement('label');
+        wrapper.className = 'corpus-map-setting';
+        wrapper.textContent = `${label} `;
+
+        const select = document.createElement('select');
+        Object.entries(options).forEach(([value, text]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = text;
+            select.appendChild(option);
+        });
+        select.value = this.settings[setting];
+        select.addEventListener('change', () => {
+            this.settings = { ...this.settings, [setting]: select.value };
+            this._draw({ selectedId: this.selectedId });
+        });
+
+        wrapper.appendChild(select);
+        return wrapper;
+    }
+
+    /**
+     * Clusters with their colours and sizes; choosing one zooms to it
+     * @private
+     * @returns {HTMLElement} - Legend
+     */
+    _createLegend() {
+        const legend = document.createElement('div');
+        legend.className = 'corpus-map-legend';
+
+        const heading = document.createElement('h3');
+        heading.textContent = `${this.clusters.length} ${this.clusters.length === 1 ? 'cluster' : 'clusters'}`;
+        legend.appendChild(heading);
+
+        const list = document.createElement('ul');
+        this.clusters.forEach(cluster => {
+            const item = document.createElement('li');
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'corpus-map-cluster';
+
+            const swatch = document.createElement('span');
+            swatch.className = 'network-legend-swatch';
+            swatch.style.backgroundColor = this._getColor(cluster.nodes[0]);
+            button.appendChild(swatch);
+            button.appendChild(document.createTextNode(` ${cluster.label} (${cluster.nodes.length})`));
+
+            button.addEventListener('click', () => this._zoomToNodes(cluster.nodes, true));
+            item.appendChild(button);
+            list.appendChild(item);
+        });
+        legend.appendChild(list);
+
+        return legend;
+    }
+
+    /**
+     * Describe the selected academic
+     * @private
+     */
+    _renderDetails() {
+        this.details.innerHTML = '';
+        const node = this.nodeById.get(this.selectedId);
+        if (!node) return;
+
+        const academic = node.academic;
+        const name = document.createElement('h3');
+        name.textContent = academic.name;
+        this.details.appendChild(name);
+
+        const lifespan = historicalDates.formatSpan(academic.birthYear, academic.deathYear);
+        const lines = [
+            lifespan,
+            node.clusterRef.label,
+            `${node.degree} connected ${node.degree === 1 ? 'academic' : 'academics'}`
+        ];
+        if (this.settings.size !== 'degree') {
+            lines.push(`${this.sizeOptions[this.settings.size]} ${node.metric.toFixed(2)}`);
+        }
+
+        lines.filter(Boolean).forEach(text => {
+            const line = document.createElement('div');
+            line.textContent = text;
+            this.details.appendChild(line);
+        });
+
+        const actions = document.createElement('div');
+        actions.className = 'corpus-map-actions';
+
+        const open = document.createElement('button');
+        open.type = 'button';
+        open.className = 'admin-btn';
+        open.textContent = 'Open profile';
+        open.addEventListener('click', () => {
+            if (this.onOpen) this.onOpen(academic);
+        });
+        actions.appendChild(open);
+
+        const network = document.createElement('button');
+        network.type = 'button';
+        network.className = 'admin-btn';
+        network.textContent = 'Network';
+        network.addEventListener('click', () => {
+            if (this.onShowNetwork) this.onShowNetwork(academic);
+        });
+        actions.appendChild(network);
+
+        this.details.appendChild(actions);
+    }
+
+    /**
+     * Zoom and pan on the map, hovering, selecting and the mini-map
+     * @private
+     */
+    _setupInteraction() {
+        this.transform = d3.zoomIdentity;
+        this.zoom = d3.zoom()
+            .scaleExtent([0.05, 12])
+            .on('zoom', () => {
+                this.transform = d3.event.transform;
+                if (d3.event.sourceEvent) this.interacted = true;
+                this._scheduleDraw();
+            });
+
+        const canvas = d3.select(this.canvas);
+        canvas.call(this.zoom).on('dblclick.zoom', null);
+
+        canvas.on('mousemove', () => {
+            const node = this._findNode(d3.mouse(this.canvas));
+            const id = node ? node.id : null;
+            if (id !== this.hoveredId) {
+                this.hoveredId = id;
+                this.canvas.style.cursor = node ? 'pointer' : '';
+                this.canvas.title = node ? node.name : '';
+                this._scheduleDraw();
+            }
+        });
+        canvas.on('mouseleave', () => {
+            this.hoveredId = null;
+            this._scheduleDraw();
+        });
+        canvas.on('click', () => {
+            const node = this._findNode(d3.mouse(this.canvas));
+            this._select(node ? node.id : null);
+        });
+        canvas.on('dblclick', () => {
+            const node = this._findNode(d3.mouse(this.canvas));
+            if (node && this.onOpen) this.onOpen(node.academic);
+        });
+
+        // Dragging on the mini-map moves the view there
+        d3.select(this.minimap).call(d3.drag()
+            .container(function() { return this; })
+            .on('start drag', () => {
+                const [x, y] = this._minimapToWorld(d3.event.x, d3.event.y);
+                this.interacted = true;
+                this._zoomTo(x, y, this.transform.k, false);
+            }));
+    }
+
+    /**
+     * Start (or restart) the force layout
+     * @private
+     */
+    _startSimulation() {
+        const nodes = this.nodes;
+        this.simulation = d3.forceSimulation(nodes)
+            .force('link', d3.forceLink(this.links).id(node => node.id).distance(30).strength(0.2))
+            .force('charge', d3.forceManyBody().strength(-30).distanceMax(300))
+            .force('x', d3.forceX(node => node.clusterRef.cx).strength(0.08))
+            .force('y', d3.forceY(node => node.clusterRef.cy).strength(0.08))
+            .force('collide', d3.forceCollide(node => node.r + 1))
+            .on('tick', () => this._scheduleDraw())
+            .on('end', () => {
+                // Follow the layout as it settles unless the user has moved the view
+                if (this.interacted) return;
+                const selected = this.nodeById.get(this.selectedId);
+                if (selected) {
+                    this._zoomTo(selected.x, selected.y, this.transform.k, false);
+                } else {
+                    this._fit(false);
+                }
+            });
+
+        this._fit(false);
+    }
+
+    /**
+     * Stop the layout and drawing, e.g. before rebuilding or when leaving the tab
+     * @private
+     */
+    _stop() {
+        if (this.simulation) {
+            this.simulation.stop();
+            this.simulation = null;
+        }
+        if (this.frame) {
+            cancelAnimationFrame(this.frame);
+            this.frame = null;
+        }
+        window.removeEventListener('resize', this._handleResize);
+    }
+
+    /**
+     * Size the canvases to their boxes, for sharp drawing on high-density screens
+     * @private
+     */
+    _resize() {
+        if (!this.canvas || !this.canvas.isConnected) {
+            this._stop();
+            return;
+        }
+
+        this.pixelRatio = window.devicePixelRatio || 1;
+        this.size = { width: this.canvas.clientWidth || 800, height: this.canvas.clientHeight || 600 };
+        this.canvas.width = this.size.width * this.pixelRatio;
+        this.canvas.height = this.size.height * this.pixelRatio;
+        this.minimap.width = this.minimapSize.width * this.pixelRatio;
+        this.minimap.height = this.minimapSize.height * this.pixelRatio;
+        this._scheduleDraw();
+    }
+
+    /**
+     * @private
+     */
+    _scheduleDraw() {
+        if (this.frame) return;
+        this.frame = requestAnimationFrame(() => {
+            this.frame = null;
+            this._drawFrame();
+            this._drawMinimap();
+        });
+    }
+
+    /**
+     * Draw links, nodes, cluster names and academics' names
+     * @private
+     */
+    _drawFrame() {
+        const context = this.context;
+        const { width, height } = this.size;
+        const transform = this.transform;
+        const selected = this.nodeById.get(this.selectedId);
+        const highlighted = selected ? this.neighbors.get(selected.id) : null;
+
+        context.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0);
+        context.clearRect(0, 0, width, height);
+
+        context.save();
+        context.translate(transform.x, transform.y);
+        context.scale(transform.k, transform.k);
+
+        // All links in one path; the selected academic's links on top
+        context.lineWidth = 0.6 / transform.k;
+        context.strokeStyle = selected ? 'rgba(120, 160, 120, 0.15)' : 'rgba(120, 160, 120, 0.35)';
+        context.beginPath();
+        this.links.forEach(link => {
+            context.moveTo(link.source.x, link.source.y);
+            context.lineTo(link.target.x, link.target.y);
+        });
+        context.stroke();
+
+        if (selected) {
+            context.lineWidth = 1.5 / transform.k;
+            context.strokeStyle = 'rgba(0, 255, 65, 0.9)';
+            context.beginPath();
+            this.links.forEach(link => {
+                if (link.source === selected || link.target === selected) {
+                    context.moveTo(link.source.x, link.source.y);
+                    context.lineTo(link.target.x, link.target.y);
+                }
+            });
+            context.stroke();
+        }
+
+        this.nodes.forEach(node => {
+            const dimmed = selected && node !== selected && !highlighted.has(node.id);
+            context.globalAlpha = dimmed ? 0.25 : 1;
+            context.fillStyle = this._getColor(node);
+            context.beginPath();
+            context.arc(node.x, node.y, node.r, 0, 2 * Math.PI);
+            context.fill();
+        });
+        context.globalAlpha = 1;
+
+        [selected, this.nodeById.get(this.hoveredId)].filter(Boolean).forEach(node => {
+            context.lineWidth = 2 / transform.k;
+            context.strokeStyle = '#fff';
+            context.beginPath();
+            context.arc(node.x, node.y, node.r + 2 / transform.k, 0, 2 * Math.PI);
+            context.stroke();
+        });
+        context.restore();
+
+        this._drawLabels(selected, highlighted);
+    }
+
+    /**
+     * Names in screen space: cluster names when zoomed out, then more academics the further
+     * in, plus the selected and hovered academic and the selected academic's neighbours
+     * @private
+     * @param {Object|undefined} selected - Selected node
+     * @param {Set<string>|null} highlighted - IDs of its neighbours
+     */
+    _drawLabels(selected, highlighted) {
+        const context = this.context;
+        const transform = this.transform;
+        const { width, height } = this.size;
+        const onScreen = ([x, y]) => x >= -50 && x <= width + 50 && y >= -20 && y <= height + 20;
+
+        context.textBaseline = 'middle';
+        context.lineJoin = 'round';
+
+        if (transform.k < this.clusterLabelZoom) {
+            context.font = 'bold 14px "Courier Prime", monospace';
+            context.textAlign = 'center';
+            context.globalAlpha = Math.min(1, (this.clusterLabelZoom - transform.k) / 0.5);
+            this.clusters.forEach(cluster => {
+                if (cluster.nodes.length < 2) return;
+                const [x, y] = transform.apply(this._getCentroid(cluster.nodes));
+                if (!onScreen([x, y])) return;
+                this._drawText(cluster.label, x, y, '#fff');
+            });
+            context.globalAlpha = 1;
+        }
+
+        const labelled = new Set();
+        const limit = Math.floor(this.labelDensity * transform.k * transform.k);
+        context.font = '11px "Courier Prime", monospace';
+        context.textAlign = 'left';
+
+        const label = node => {
+            if (labelled.has(node.id)) return;
+            const [x, y] = transform.apply([node.x, node.y]);
+            if (!onScreen([x, y])) return;
+            labelled.add(node.id);
+            this._drawText(node.name, x + node.r * transform.k + 3, y, '#cfc');
+        };
+
+        if (transform.k >= this.clusterLabelZoom / 2) {
+            this.labelOrder.slice(0, limit).forEach(label);
+        }
+        if (selected) {
+            highlighted.forEach(id => label(this.nodeById.get(id)));
+            label(selected);
+        }
+        if (this.hoveredId) label(this.nodeById.get(this.hoveredId));
+    }
+
+    /**
+     * @private
+     * @param {string} text - Text
+     * @param {number} x - Screen x
+     * @param {number} y - Screen y
+     * @param {string} color - Fill colour
+     */
+    _drawText(text, x, y, color) {
+        const context = this.context;
+        context.lineWidth = 3;
+        context.strokeStyle = 'rgba(0, 0, 0, 0.85)';
+        context.strokeText(text, x, y);
+        context.fillStyle = color;
+        context.fillText(text, x, y);
+    }
+
+    /**
+     * Every academic as a dot, and a frame around the part of the map in view
+     * @private
+     */
+    _drawMinimap() {
+        const context = this.minimap.getContext('2d');
+        const { width, height } = this.minimapSize;
+        const bounds = this._getBounds(this.nodes);
+        const scale = Math.min(width / bounds.width, height / bounds.height);
+
+        this.minimapTransform = {
+            k: scale,
+            x: (width - bounds.width * scale) / 2 - bounds.x * scale,
+            y: (height - bounds.height * scale) / 2 - bounds.y * scale
+        };
+        const { k, x, y } = this.minimapTransform;
+
+        context.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0);
+        context.clearRect(0, 0, width, height);
+
+        this.nodes.forEach(node => {
+            context.fillStyle = this._getColor(node);
+            context.fillRect(node.x * k + x - 1, node.y * k + y - 1, 2, 2);
+        });
+
+        const [left, top] = this.transform.invert([0, 0]);
+        const [right, bottom] = this.transform.invert([this.size.width, this.size.height]);
+        context.strokeStyle = '#fff';
+        context.lineWidth = 1;
+        context.strokeRect(left * k + x, top * k + y, (right - left) * k, (bottom - top) * k);
+    }
+
+    /**
+     * @private
+     * @param {number} x - Mini-map x
+     * @param {number} y - Mini-map y
+     * @returns {Array<number>} - Map coordinates
+     */
+    _minimapToWorld(x, y) {
+        const { k, x: dx, y: dy } = this.minimapTransform || { k: 1, x: 0, y: 0 };
+        return [(x - dx) / k, (y - dy) / k];
+    }
+
+    /**
+     * The node under a point on the canvas
+     * @private
+     * @param {Array<number>} point - Canvas coordinates
+     * @returns {Object|undefined} - Node
+     */
+    _findNode(point) {
+        const [x, y] = this.transform.invert(point);
+        const slack = 4 / this.transform.k;
+        let found;
+        let nearest = Infinity;
+
+        this.nodes.forEach(node => {
+            const distance = Math.hypot(node.x - x, node.y - y);
+            if (distance <= node.r + slack && distance < nearest) {
+                found = node;
+                nearest = distance;
+            }
+        });
+
+        return found;
+    }
+
+    /**
+     * Select an academic (or nothing, with null)
+     * @private
+     * @param {string|null} id - Academic ID
+     */
+    _select(id) {
+        this.selectedId = id && this.nodeById.has(id) ? id : null;
+        this._renderDetails();
+        this._updateUrl();
+        this._scheduleDraw();
+    }
+
+    /**
+     * Centre the view on a point
+     * @private
+     * @param {number} x - Map x
+     * @param {number} y - Map y
+     * @param {number} k - Zoom
+     * @param {boolean} animate - Whether to transition
+     */
+    _zoomTo(x, y, k, animate) {
+        const target = d3.zoomIdentity
+            .translate(this.size.width / 2, this.size.height / 2)
+            .scale(k)
+            .translate(-x, -y);
+        const selection = d3.select(this.canvas);
+
+        if (animate) {
+            selection.transition().duration(750).call(this.zoom.transform, target);
+        } else {
+            selection.call(this.zoom.transform, target);
+        }
+    }
+
+    /**
+     * Fit a set of nodes into the view
+     * @private
+     * @param {Array<Object>} nodes - Nodes
+     * @param {boolean} animate - Whether to transition
+     */
+    _zoomToNodes(nodes, animate) {
+        if (nodes.length === 0) return;
+
+        const bounds = this._getBounds(nodes);
+        const [minZoom, maxZoom] = this.zoom.scaleExtent();
+        const k = Math.max(minZoom, Math.min(this.focusScale,
+            0.9 * Math.min(this.size.width / bounds.width, this.size.height / bounds.height), maxZoom));
+        this._zoomTo(bounds.x + bounds.width / 2, bounds.y + bounds.height / 2, k, animate);
+    }
+
+    /**
+     * Fit the whole map into the view
+     * @private
+     * @param {boolean} animate - Whether to transition
+     */
+    _fit(animate) {
+        this._zoomToNodes(this.nodes, animate);
+    }
+
+    /**
+     * @private
+     * @param {Array<Object>} nodes - Nodes
+     * @returns {{x: number, y: number, width: number, height: number}} - Bounding box (never empty)
+     */
+    _getBounds(nodes) {
+        const xs = nodes.map(node => node.x);
+        const ys = nodes.map(node => node.y);
+        const x = xs.length ? Math.min(...xs) - this.radius.max : -50;
+        const y = ys.length ? Math.min(...ys) - this.radius.max : -50;
+        const width = xs.length ? Math.max(...xs) + this.radius.max - x : 100;
+        const height = ys.length ? Math.max(...ys) + this.radius.max - y : 100;
+
+        return { x, y, width: Math.max(width, 1), height: Math.max(height, 1) };
+    }
+
+    /**
+     * @private
+     * @param {Array<Object>} nodes - Nodes
+     * @returns {Array<number>} - Mean position
+     */
+    _getCentroid(nodes) {
+        const sum = nodes.reduce((total, node) => [total[0] + node.x, total[1] + node.y], [0, 0]);
+        return [sum[0] / nodes.length, sum[1] / nodes.length];
+    }
+
+    /**
+     * Keep the settings and selection in the address bar without adding history entries
+     * @private
+     */
+    _updateUrl() {
+        const node = this.nodeById.get(this.selectedId);
+        const focus = node ? node.academic.slug || node.id : null;
+        const hash = `#map${this.serializeSettings({ ...this.settings, focus })}`;
+
+        if (window.history && window.location.hash !== hash) {
+            window.history.replaceState(null, '', hash);
+        }
+    }
+}
+
+// Initialize the corpus map
+const corpusMap = new CorpusMap();
+
+// Make it available globally
+window.corpusMap = corpusMap;
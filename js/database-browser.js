@@ -0,0 +1,760 @@
+/**
+ * Database Browser for KillPhilosophy
+ * Faceted browsing of the whole database: a sidebar of taxonomy values with counts,
+ * a life-span range, "has papers/events" toggles, and the matching academics by letter.
+ * The filter state is kept in the URL (#database?tradition=Phenomenology&alive=1900..1950)
+ * so a filtered list can be bookmarked or shared, e.g. as a seminar reading list.
+ *
+ * The listing is virtualized: rows have fixed heights and only those in (or near) the
+ * viewport exist in the DOM, so databases with thousands of academics stay responsive.
+ * The rendered view is kept between visits to the tab unless the data or filters changed.
+ */
+
+class DatabaseBrowser {
+    constructor() {
+        // Filters: selected taxonomy values per category, life-span range and toggles
+        this.filters = this.createEmptyFilters();
+
+        this.toggles = {
+            papers: 'Has papers',
+            events: 'Has events'
+        };
+
+        // Years the range slider offers when no academic has known dates (otherwise the data's extent)
+        this.defaultYearRange = { min: 1800, max: new Date().getFullYear() };
+
+        // Virtual listing: row heights in pixels (must match styles.css) and rows rendered
+        // beyond each edge of the viewport
+        this.rowHeights = { letter: 44, academic: 72 };
+        this.overscan = 6;
+
+        // Rows of the current listing: `{ type: 'letter', letter }` or `{ type: 'academic', academic, position }`,
+        // with the top offset of each row and of each letter section
+        this.rows = [];
+        this.rowOffsets = [];
+        this.letterOffsets = new Map();
+
+        // Row index -> element, for the rows currently in the DOM
+        this.renderedRows = new Map();
+
+        this.container = null;
+        this.viewport = null;
+        this.scrollTop = 0;
+        this.scrollFrame = null;
+
+        // What the current view was rendered from; a tab switch with the same key reuses it
+        this.renderedKey = null;
+
+        // Folded taxonomy values per academic record (records are replaced, never mutated)
+        this.foldedTaxonomies = new WeakMap();
+    }
+
+    /**
+     * @returns {Object} - Filters that match every academic
+     */
+    createEmptyFilters() {
+        return { facets: {}, alive: null, papers: false, events: false };
+    }
+
+    /**
+     * Render the browser
+     * @param {HTMLElement} container - Element to render into
+     * @param {Object} options - `onSelect(academic)` when an academic is chosen
+     */
+    render(container, { onSelect } = {}) {
+        // A #database?… URL (bookmark, shared link or edited address) overrides the current filters
+        if (window.location.hash.startsWith('#database')) {
+            this.filters = this.parseFilters(window.location.hash.slice('#database'.length));
+        }
+
+        this.onSelect = onSelect;
+
+        // Coming back to the tab: keep the rendered view and scroll position if nothing changed
+        if (this.container === container && this.viewport && container.contains(this.viewport) &&
+            this.renderedKey === this._getRenderKey()) {
+            this._updateUrl();
+            this.viewport.scrollTop = this.scrollTop;
+            this._renderVisibleRows();
+            return;
+        }
+
+        this.container = container;
+        this.scrollTop = 0;
+        this._draw();
+    }
+
+    /**
+     * Scroll the listing to the section of a letter
+     * @param {string} letter - A-Z or "#"
+     */
+    jumpToLetter(letter) {
+        if (!this.viewport || !this.letterOffsets.has(letter)) return;
+
+        this.viewport.scrollTop = this.letterOffsets.get(letter);
+        this._renderVisibleRows();
+    }
+
+    /**
+     * Academics passing the filters
+     * @param {Array<Object>} academics - Academics
+     * @param {Object} filters - Filters
+     * @param {string|null} ignoreCategory - Taxonomy category whose selection is not applied
+     *        (facet counts show what choosing another value of the same category would add)
+     * @returns {Array<Object>} - Matching academics
+     */
+    applyFilters(academics, filters, ignoreCategory = null) {
+        const wanted = Object.entries(filters.facets)
+            .filter(([category, values]) => category !== ignoreCategory && values.length > 0)
+            .map(([category, values]) => [category, this._expandValues(category, values)]);
+
+        return academics.filter(academic => {
+            if (filters.papers && !(academic.papers || []).length) return false;
+            if (filters.events && !(academic.events || []).length) return false;
+            if (filters.alive && !this._livedWithin(academic, filters.alive)) return false;
+
+            // Values of one category are alternatives; categories must all match
+            const folded = this._getFoldedTaxonomies(academic);
+            return wanted.every(([category, labels]) =>
+                Array.from(folded[category] || []).some(value => labels.has(value))
+            );
+        });
+    }
+
+    /**
+     * Number of academics per taxonomy value, given the other filters
+     * A broader term counts the academics tagged with its narrower terms too.
+     * @param {Array<Object>} academics - Academics
+     * @param {Object} filters - Filters
+     * @returns {Object} - category -> Array of `{ label, depth, count, selected }` in tree order
+     */
+    getFacetCounts(academics, filters) {
+        const facets = {};
+
+        for (const [category, values] of Object.entries(databaseManager.getAllTaxonomyCategories())) {
+            const candidates = this.applyFilters(academics, filters, category);
+            const folded = candidates.map(academic => this._getFoldedTaxonomies(academic)[category] || new Set());
+            const selected = filters.facets[category] || [];
+
+            // Registered terms in tree order, then values the registry does not know
+            const entries = taxonomyRegistry.getTree(category).map(({ term, depth }) => ({ label: term.label, depth }));
+            const listed = new Set(entries.map(entry => entry.label));
+            values.filter(value => !listed.has(value)).forEach(label => entries.push({ label, depth: 0 }));
+
+            facets[category] = entries
+                .map(entry => {
+                    const labels = Array.from(taxonomyRegistry.expand(category, entry.label));
+                    const count = folded.filter(set => labels.some(label => set.has(label))).length;
+                    return { ...entry, count, selected: selected.includes(entry.label) };
+                })
+                .filter(entry => entry.count > 0 || entry.selected);
+        }
+
+        return facets;
+    }
+
+    /**
+     * Read filters from the query part of a #database URL
+     * @param {string} query - e.g. "?discipline=Philosophy&alive=1900..1950&papers=1"
+     * @returns {Object} - Filters
+     */
+    parseFilters(query) {
+        const params = new URLSearchParams(query.replace(/^\?/, ''));
+        const filters = this.createEmptyFilters();
+
+        params.forEach((value, key) => {
+            if (key === 'alive') {
+                const [from, to] = value.split('..').map(part => (part.trim() === '' ? null : Number(part)));
+                if (Number.isFinite(from) || Number.isFinite(to)) {
+                    filters.alive = {
+                        from: Number.isFinite(from) ? from : null,
+                        to: Number.isFinite(to) ? to : null
+                    };
+                }
+            } else if (key in this.toggles) {
+                filters[key] = value === '1' || value === 'true';
+            } else if (value) {
+                if (!filters.facets[key]) filters.facets[key] = [];
+                if (!filters.facets[key].includes(value)) filters.facets[key].push(value);
+            }
+        });
+
+        return filters;
+    }
+
+    /**
+     * Write filters as the query part of a #database URL
+     * @param {Object} filters - Filters
+     * @returns {string} - e.g. "?discipline=Philosophy&papers=1", or "" without filters
+     */
+    serializeFilters(filters) {
+        const params = new URLSearchParams();
+
+        for (const [category, values] of Object.entries(filters.facets)) {
+            values.forEach(value => params.append(category, value));
+        }
+        if (filters.alive) {
+            params.set('alive', `${filters.alive.from ?? ''}..${filters.alive.to ?? ''}`);
+        }
+        Object.keys(this.toggles).forEach(key => {
+            if (filters[key]) params.set(key, '1');
+        });
+
+        const query = params.toString();
+        return query ? `?${query}` : '';
+    }
+
+    /**
+     * @returns {boolean} - True if any filter is set
+     */
+    hasFilters() {
+        return this.serializeFilters(this.filters) !== '';
+    }
+
+    /**
+     * @private
+     */
+    _draw() {
+        const academics = databaseManager.getAllAcademics();
+        const results = this.applyFilters(academics, this.filters)
+            .sort((a, b) => academicIdentity.compareNames(a.name, b.name));
+
+        this._updateUrl();
+        this.container.innerHTML = '';
+
+        const layout = document.createElement('div');
+        layout.className = 'database-browser';
+
+        layout.appendChild(this._createSidebar(academics));
+
+        const main = document.createElement('div');
+        main.className = 'database-results';
+
+        const summary = document.createElement('div');
+        summary.className = 'database-summary';
+        summary.setAttribute('aria-live', 'polite');
+        summary.textContent = this.hasFilters()
+            ? `${results.length} of ${academics.length} academics`
+            : `${academics.length} academics`;
+
+        if (this.hasFilters()) {
+            const clearButton = document.createElement('button');
+            clearButton.type = 'button';
+            clearButton.className = 'admin-btn';
+            clearButton.textContent = 'Clear filters';
+            clearButton.addEventListener('click', () => {
+                this.filters = this.createEmptyFilters();
+                this._redrawFromTop();
+            });
+            summary.appendChild(clearButton);
+        }
+        main.appendChild(summary);
+
+        this._buildRows(results);
+        this.renderedRows.clear();
+        this.viewport = null;
+
+        if (results.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'info-message';
+            empty.textContent = academics.length === 0
+                ? 'No academics found in the database'
+                : 'No academics match these filters';
+            main.appendChild(empty);
+        } else {
+            main.appendChild(this._createAlphabetNav());
+            main.appendChild(this._createViewport());
+        }
+
+        layout.appendChild(main);
+        this.container.appendChild(layout);
+        this.renderedKey = this._getRenderKey();
+
+        if (this.viewport) {
+            this.viewport.scrollTop = this.scrollTop;
+            this._renderVisibleRows();
+        }
+    }
+
+    /**
+     * Facet sidebar: taxonomy values with counts, life-span range and toggles
+     * @private
+     * @param {Array<Object>} academics - All academics
+     * @returns {HTMLElement} - Sidebar
+     */
+    _createSidebar(academics) {
+        const sidebar = document.createElement('aside');
+        sidebar.className = 'facet-sidebar';
+        sidebar.setAttribute('aria-label', 'Filters');
+
+        sidebar.appendChild(this._createRangeFacet(academics));
+
+        const toggleGroup = this._createFacetGroup('Works');
+        for (const [key, label] of Object.entries(this.toggles)) {
+            const count = this.applyFilters(academics, { ...this.filters, [key]: true }).length;
+            toggleGroup.appendChild(this._createCheckbox(label, count, this.filters[key], checked => {
+                this.filters[key] = checked;
+            }));
+        }
+        sidebar.appendChild(toggleGroup);
+
+        for (const [category, entries] of Object.entries(this.getFacetCounts(academics, this.filters))) {
+            if (entries.length === 0) continue;
+
+            const group = this._createFacetGroup(category.charAt(0).toUpperCase() + category.slice(1));
+            entries.forEach(({ label, depth, count, selected }) => {
+                const option = this._createCheckbox(label, count, selected, checked => {
+                    const values = this.filters.facets[category] || [];
+                    this.filters.facets[category] = checked
+                        ? [...values, label]
+                        : values.filter(value => value !== label);
+                    if (this.filters.facets[category].length === 0) delete this.filters.facets[category];
+                });
+                option.style.paddingLeft = `${depth * 15}px`;
+
+                const term = taxonomyRegistry.getTerm(category, label);
+                if (term && term.description) option.title = term.description;
+
+                group.appendChild(option);
+            });
+            sidebar.appendChild(group);
+        }
+
+        return sidebar;
+    }
+
+    /**
+     * Two sliders for the years an academic lived in (any overlap counts)
+     * @private
+     * @param {Array<Object>} academics - All academics
+     * @returns {HTMLElement} - Facet group
+     */
+    _createRangeFacet(academics) {
+        const group = this._createFacetGroup('Lifetime');
+        const { min, max } = this._getYearExtent(academics);
+        const from = this.filters.alive?.from ?? min;
+        const to = this.filters.alive?.to ?? max;
+
+        const output = document.createElement('div');
+        output.className = 'facet-range-value';
+        const describe = (start, end) => `${historicalDates.format(start)} – ${historicalDates.format(end)}`;
+        output.textContent = describe(from, to);
+
+        const createSlider = (label, value) => {
+            const slider = document.createElement('input');
+            slider.type = 'range';
+            slider.min = min;
+            slider.max = max;
+            slider.step = 1;
+            slider.value = value;
+            slider.setAttribute('aria-label', label);
+            return slider;
+        };
+        const fromSlider = createSlider('Lived after', from);
+        const toSlider = createSlider('Lived before', to);
+
+        // Show the years while dragging; filter when the slider is released
+        const read = () => {
+            const start = Math.min(Number(fromSlider.value), Number(toSlider.value));
+            const end = Math.max(Number(fromSlider.value), Number(toSlider.value));
+            output.textContent = describe(start, end);
+            return { start, end };
+        };
+        [fromSlider, toSlider].forEach(slider => {
+            slider.addEventListener('input', read);
+            slider.addEventListener('change', () => {
+                const { start, end } = read();
+                this.filters.alive = start <= min && end >= max
+                    ? null
+                    : { from: start > min ? start : null, to: end < max ? end : null };
+                this._redrawFromTop();
+            });
+        });
+
+        group.appendChild(output);
+        group.appendChild(fromSlider);
+        group.appendChild(toSlider);
+        return group;
+    }
+
+    /**
+     * @private
+     * @param {string} title - Group heading
+     * @returns {HTMLFieldSetElement} - Facet group
+     */
+    _createFacetGroup(title) {
+        const group = document.createElement('fieldset');
+        group.className = 'facet-group';
+
+        const legend = document.createElement('legend');
+        legend.textContent = title;
+        group.appendChild(legend);
+
+        return group;
+    }
+
+    /**
+     * @private
+     * @param {string} label - Option label
+     * @param {number} count - Academics the option would show
+     * @param {boolean} checked - Whether it is selected
+     * @param {Function} onChange - Updates the filters with the new checked state
+     * @returns {HTMLLabelElement} - Option
+     */
+    _createCheckbox(label, count, checked, onChange) {
+        const option = document.createElement('label');
+        option.className = 'facet-option';
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = checked;
+        checkbox.addEventListener('change', () => {
+            onChange(checkbox.checked);
+            this._redrawFromTop();
+        });
+        option.appendChild(checkbox);
+
+        option.appendChild(document.createTextNode(` ${label} `));
+
+        const countElement = document.createElement('span');
+        countElement.className = 'facet-count';
+        countElement.textContent = `(${count})`;
+        option.appendChild(countElement);
+
+        return option;
+    }
+
+    /**
+     * Re-render after a filter change, back at the top of the listing
+     * @private
+     */
+    _redrawFromTop() {
+        this.scrollTop = 0;
+        this._draw();
+    }
+
+    /**
+     * Lay out the listing: a letter row before each letter's academics
+     * @private
+     * @param {Array<Object>} academics - Matching academics, sorted by name
+     */
+    _buildRows(academics) {
+        // Group academics by first letter ("Élise" under E, "Žižek" under Z, other scripts under #)
+        const groupedAcademics = new Map();
+        academics.forEach(academic => {
+            const firstLetter = academicIdentity.getIndexLetter(academic.name);
+            if (!groupedAcademics.has(firstLetter)) {
+                groupedAcademics.set(firstLetter, []);
+            }
+            groupedAcademics.get(firstLetter).push(academic);
+        });
+
+        // Letters in order, with # (other scripts) last
+        const letters = Array.from(groupedAcademics.keys())
+            .sort((a, b) => (a === '#') - (b === '#') || a.localeCompare(b));
+
+        this.rows = [];
+        this.rowOffsets = [];
+        this.letterOffsets = new Map();
+
+        let offset = 0;
+        let position = 0;
+        const addRow = row => {
+            this.rows.push(row);
+            this.rowOffsets.push(offset);
+            offset += this.rowHeights[row.type];
+        };
+
+        letters.forEach(letter => {
+            this.letterOffsets.set(letter, offset);
+            addRow({ type: 'letter', letter });
+            groupedAcademics.get(letter).forEach(academic => addRow({ type: 'academic', academic, position: ++position }));
+        });
+
+        this.totalHeight = offset;
+    }
+
+    /**
+     * Alphabet navigation; letters jump the virtual scroller
+     * @private
+     * @returns {HTMLElement} - Navigation
+     */
+    _createAlphabetNav() {
+        const alphabetNav = document.createElement('div');
+        alphabetNav.className = 'alphabet-nav';
+
+        // Add all letters A-Z with disabled state for those without academics, and # if used
+        const indexLetters = Array.from({ length: 26 }, (_, i) => String.fromCharCode(65 + i));
+        if (this.letterOffsets.has('#')) indexLetters.push('#');
+
+        indexLetters.forEach(letter => {
+            const letterLink = document.createElement('a');
+            letterLink.textContent = letter;
+            letterLink.href = '#';
+
+            if (!this.letterOffsets.has(letter)) {
+                letterLink.className = 'disabled';
+                letterLink.setAttribute('aria-disabled', 'true');
+            }
+
+            // Scroll without replacing the filters in the URL
+            letterLink.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.jumpToLetter(letter);
+            });
+
+            alphabetNav.appendChild(letterLink);
+        });
+
+        return alphabetNav;
+    }
+
+    /**
+     * Scrolling box with a spacer as tall as the whole listing; rows are added as they come into view
+     * @private
+     * @returns {HTMLElement} - Viewport
+     */
+    _createViewport() {
+        const viewport = document.createElement('div');
+        viewport.className = 'database-viewport';
+        viewport.setAttribute('role', 'list');
+        viewport.setAttribute('aria-label', 'Academics');
+        viewport.tabIndex = 0;
+
+        const spacer = document.createElement('div');
+        spacer.className = 'database-spacer';
+        spacer.style.height = `${this.totalHeight}px`;
+        viewport.appendChild(spacer);
+
+        viewport.addEventListener('scroll', () => {
+            this.scrollTop = viewport.scrollTop;
+            if (this.scrollFrame) return;
+
+            this.scrollFrame = requestAnimationFrame(() => {
+                this.scrollFrame = null;
+                this._renderVisibleRows();
+            });
+        });
+
+        // One listener for every row, rendered or not
+        viewport.addEventListener('click', (e) => {
+            const link = e.target.closest('a[data-row]');
+            if (!link) return;
+
+            e.preventDefault();
+            const row = this.rows[Number(link.dataset.row)];
+            if (row && this.onSelect) this.onSelect(row.academic);
+        });
+
+        this.viewport = viewport;
+        return viewport;
+    }
+
+    /**
+     * Add the rows in and near the viewport and drop the others
+     * @private
+     */
+    _renderVisibleRows() {
+        if (!this.viewport || this.rows.length === 0) return;
+
+        // A hidden tab has no height yet; assume a screenful
+        const height = this.viewport.clientHeight || window.innerHeight;
+        const top = this.viewport.scrollTop;
+        const first = Math.max(this._findRow(top) - this.overscan, 0);
+        const last = Math.min(this._findRow(top + height) + this.overscan, this.rows.length - 1);
+
+        this.renderedRows.forEach((element, index) => {
+            if (index < first || index > last) {
+                element.remove();
+                this.renderedRows.delete(index);
+            }
+        });
+
+        const spacer = this.viewport.firstChild;
+        for (let index = first; index <= last; index++) {
+            if (this.renderedRows.has(index)) continue;
+
+            const element = this._createRow(index);
+            spacer.appendChild(element);
+            this.renderedRows.set(index, element);
+        }
+    }
+
+    /**
+     * Index of the row at a vertical offset
+     * @private
+     * @param {number} offset - Pixels from the top of the listing
+     * @returns {number} - Row index
+     */
+    _findRow(offset) {
+        let low = 0;
+        let high = this.rowOffsets.length - 1;
+        while (low < high) {
+            const middle = (low + high + 1) >> 1;
+            if (this.rowOffsets[middle] <= offset) {
+                low = middle;
+            } else {
+                high = middle - 1;
+            }
+        }
+        return low;
+    }
+
+    /**
+     * @private
+     * @param {number} index - Row index
+     * @returns {HTMLElement} - Positioned row
+     */
+    _createRow(index) {
+        const row = this.rows[index];
+        const element = row.type === 'letter' ? this._createLetterRow(row.letter) : this._createItem(row.academic, index);
+
+        element.classList.add('virtual-row');
+        element.style.top = `${this.rowOffsets[index]}px`;
+
+        if (row.type === 'academic') {
+            element.setAttribute('role', 'listitem');
+            element.setAttribute('aria-posinset', row.position);
+            element.setAttribute('aria-setsize', this.rows.length - this.letterOffsets.size);
+        }
+        return element;
+    }
+
+    /**
+     * @private
+     * @param {string} letter - Letter
+     * @returns {HTMLElement} - Section heading row
+     */
+    _createLetterRow(letter) {
+        const letterHeader = document.createElement('h2');
+        letterHeader.className = 'letter-row';
+        letterHeader.textContent = letter;
+        return letterHeader;
+    }
+
+    /**
+     * @private
+     * @param {Object} academic - Academic
+     * @param {number} index - Row index, for the delegated click handler
+     * @returns {HTMLElement} - Listing entry
+     */
+    _createItem(academic, index) {
+        const academicItem = document.createElement('div');
+        academicItem.className = 'academic-item';
+
+        const academicLink = document.createElement('a');
+        academicLink.textContent = academic.name;
+        academicLink.href = academic.slug ? `#academic/${academic.slug}` : '#';
+        academicLink.dataset.row = index;
+        academicItem.appendChild(academicLink);
+
+        // Life dates and disciplines on one line
+        const details = document.createElement('div');
+        details.className = 'academic-item-details';
+
+        const lifespan = historicalDates.formatSpan(academic.birthYear, academic.deathYear);
+        if (lifespan) {
+            const dates = document.createElement('span');
+            dates.className = 'academic-item-dates';
+            dates.textContent = lifespan;
+            details.appendChild(dates);
+        }
+
+        (academic.taxonomies?.discipline || []).forEach(discipline => {
+            const tag = document.createElement('span');
+            tag.className = 'taxonomy-tag';
+            tag.textContent = discipline;
+            details.appendChild(tag);
+        });
+
+        academicItem.appendChild(details);
+        return academicItem;
+    }
+
+    /**
+     * @private
+     * @param {Object} academic - Academic
+     * @returns {Object} - category -> Set of folded values
+     */
+    _getFoldedTaxonomies(academic) {
+        if (!this.foldedTaxonomies.has(academic)) {
+            const folded = {};
+            for (const [category, values] of Object.entries(academic.taxonomies || {})) {
+                if (Array.isArray(values)) folded[category] = new Set(values.map(value => academicIdentity.foldName(value)));
+            }
+            this.foldedTaxonomies.set(academic, folded);
+        }
+        return this.foldedTaxonomies.get(academic);
+    }
+
+    /**
+     * @private
+     * @returns {string} - Data, taxonomy and filter state the view depends on
+     */
+    _getRenderKey() {
+        return `${databaseManager.changeCount}|${taxonomyRegistry.changeCount}|${this.serializeFilters(this.filters)}`;
+    }
+
+    /**
+     * @private
+     * @param {string} category - Category
+     * @param {Array<string>} values - Selected values
+     * @returns {Set<string>} - Folded labels matching any of them, narrower terms included
+     */
+    _expandValues(category, values) {
+        const labels = new Set();
+        values.forEach(value => taxonomyRegistry.expand(category, value).forEach(label => labels.add(label)));
+        return labels;
+    }
+
+    /**
+     * @private
+     * @param {Object} academic - Academic
+     * @param {Object} range - `{ from, to }` (null for an open end)
+     * @returns {boolean} - True if the academic was alive at some point in the range
+     */
+    _livedWithin(academic, { from, to }) {
+        const birth = historicalDates.bounds(academic.birthYear);
+        if (!birth) return false;
+
+        const death = historicalDates.bounds(academic.deathYear);
+        return (to === null || birth.earliest <= to) && (from === null || !death || death.latest >= from);
+    }
+
+    /**
+     * @private
+     * @param {Array<Object>} academics - All academics
+     * @returns {{min: number, max: number}} - Years the range slider covers
+     */
+    _getYearExtent(academics) {
+        let min = Infinity;
+        let max = -Infinity;
+
+        academics.forEach(academic => {
+            const birth = historicalDates.bounds(academic.birthYear);
+            if (!birth) return;
+
+            const death = historicalDates.bounds(academic.deathYear);
+            min = Math.min(min, birth.earliest);
+            max = Math.max(max, death ? death.latest : this.defaultYearRange.max);
+        });
+
+        return min <= max ? { min, max } : { ...this.defaultYearRange };
+    }
+
+    /**
+     * Keep the filters in the address bar without adding history entries
+     * @private
+     */
+    _updateUrl() {
+        const hash = `#database${this.serializeFilters(this.filters)}`;
+        if (window.history && window.location.hash !== hash) {
+            window.history.replaceState(null, '', hash);
+        }
+    }
+}
+
+// Initialize the database browser
+const databaseBrowser = new DatabaseBrowser();
+
+// Make it available globally
+window.databaseBrowser = databaseBrowser;
@@ -0,0 +1,1516 @@
+/**
+ * Database Manager for KillPhilosophy
+ * Persists academics, favorites, novelty tiles and pending submissions in IndexedDB
+ * and mirrors them in an in-memory cache so existing callers can read synchronously.
+ * Every change to an academic is also appended to a revision log.
+ */
+
+class DatabaseManager {
+    constructor() {
+        this.dbName = 'killphilosophy';
+        this.dbVersion = 2;
+        this.db = null;
+        this.isPersistent = false;
+
+        // In-memory cache; academics are keyed by their permanent ID
+        this.academics = new Map();
+        this.favorites = [];
+        this.noveltyTiles = [];
+        this.pendingSubmissions = [];
+
+        // Revision log of a memory-only session (persistent sessions read it from IndexedDB)
+        this.memoryRevisions = [];
+
+        // Lookup indexes: slug -> ID, and folded name/alias keys -> Set of IDs.
+        // Partial keys (surname, initials) are only used when they match one academic.
+        this.slugIndex = new Map();
+        this.nameIndex = new Map();
+        this.partialNameIndex = new Map();
+
+        this.maxNoveltyTiles = 100;
+
+        // Incremented whenever an academic is added, changed or removed, so views can tell
+        // when to re-render
+        this.changeCount = 0;
+
+        // Resolves once the cache has been filled from IndexedDB
+        this.ready = this.initialize();
+    }
+
+    /**
+     * Open the database and fill the in-memory cache
+     * @returns {Promise<boolean>} - True if data is persisted, false if running in memory only
+     */
+    async initialize() {
+        if (typeof indexedDB === 'undefined') {
+            console.warn('IndexedDB not supported. Data will only be kept for this session.');
+            return false;
+        }
+
+        try {
+            this.db = await this._openDatabase();
+            await this._loadCache();
+            await this._migrateLocalData();
+            await this._migrateFavorites();
+            await this._recordBaselineRevisions();
+            this.isPersistent = true;
+            console.log(`Database loaded: ${this.academics.size} academics`);
+            return true;
+        } catch (error) {
+            console.error('Error opening IndexedDB, falling back to in-memory storage:', error);
+            this.db = null;
+            return false;
+        }
+    }
+
+    /**
+     * Open (and upgrade if needed) the IndexedDB database
+     * @private
+     * @returns {Promise<IDBDatabase>} - Open database
+     */
+    _openDatabase() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+
+                // Academics are keyed out-of-line by their ID (by normalized name before schema version 3)
+                if (!db.objectStoreNames.contains('academics')) {
+                    db.createObjectStore('academics');
+                }
+                if (!db.objectStoreNames.contains('noveltyTiles')) {
+                    db.createObjectStore('noveltyTiles', { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains('pendingSubmissions')) {
+                    db.createObjectStore('pendingSubmissions', { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains('settings')) {
+                    db.createObjectStore('settings');
+                }
+
+                // Append-only revision log (database version 2)
+                if (!db.objectStoreNames.contains('revisions')) {
+                    const revisions = db.createObjectStore('revisions', { keyPath: 'id', autoIncrement: true });
+                    revisions.createIndex('academicId', 'academicId');
+                }
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('Database upgrade blocked by another open tab'));
+        });
+    }
+
+    /**
+     * Read every store into the in-memory cache
+     * @private
+     */
+    async _loadCache() {
+        const [academicEntries, tiles, submissions, favorites] = await Promise.all([
+            this._getAllEntries('academics'),
+            this._getAll('noveltyTiles'),
+            this._getAll('pendingSubmissions'),
+            this.getSetting('favorites')
+        ]);
+
+        this.academics = new Map(academicEntries.map(([key, academic]) => [academic.id || key, academic]));
+        this._rebuildIndexes();
+        this.noveltyTiles = tiles.sort((a, b) => new Date(b.date) - new Date(a.date));
+        this.pendingSubmissions = submissions.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+        this.favorites = Array.isArray(favorites) ? favorites : [];
+    }
+
+    /**
+     * Upgrade cached academics written by an older version of the app
+     * @private
+     */
+    async _migrateLocalData() {
+        if (typeof schemaMigrations === 'undefined') return;
+
+        const storedVersion = await this.getSetting('schemaVersion');
+
+        // Stores created before schema versioning hold version 1 records
+        const fromVersion = storedVersion || (this.academics.size > 0 ? 1 : schemaMigrations.currentVersion);
+
+        if (fromVersion < schemaMigrations.currentVersion) {
+            console.log(`Migrating local data from schema version ${fromVersion} to ${schemaMigrations.currentVersion}`);
+
+            // Two local records can derive the same ID (e.g. "Foucault, Michel" and "Michel Foucault");
+            // keep both until they are merged rather than letting one overwrite the other
+            const seenIds = new Set();
+            const migrated = this.getAllAcademics().map(academic => {
+                const record = schemaMigrations.migrateAcademic(academic, fromVersion);
+                if (seenIds.has(record.id)) {
+                    record.id = academicIdentity.createRandomId();
+                }
+                seenIds.add(record.id);
+                return record;
+            });
+
+            // Store keys change from names to IDs, so rewrite the store from scratch
+            this.academics = new Map();
+            this._rebuildIndexes();
+            await this._transaction('academics', 'readwrite', transaction => {
+                transaction.objectStore('academics').clear();
+            });
+            await this.saveAcademics(migrated, { touch: false, validate: false, reciprocate: false, revision: false });
+        }
+
+        if (storedVersion !== schemaMigrations.currentVersion) {
+            await this.setSetting('schemaVersion', schemaMigrations.currentVersion);
+        }
+    }
+
+    /**
+     * Convert favorites stored by name (before schema version 3) to academic IDs
+     * @private
+     */
+    async _migrateFavorites() {
+        const favorites = this.favorites.map(favorite =>
+            this.academics.has(favorite) ? favorite : (this.getAcademic(favorite)?.id || favorite)
+        );
+
+        if (favorites.some((favorite, index) => favorite !== this.favorites[index])) {
+            this.favorites = Array.from(new Set(favorites));
+            await this.setSetting('favorites', this.favorites);
+        }
+    }
+
+    /**
+     * Log the current version of every academic once, when the revision log is first created,
+     * so changes made afterwards can be undone
+     * @private
+     */
+    async _recordBaselineRevisions() {
+        if (await this.getSetting('revisionBaseline')) return;
+
+        const revisions = this.getAllAcademics().map(academic => this._createRevision(academic, null, {
+            source: 'migration',
+            summary: 'Version stored before revision history was kept'
+        }, academic.updatedAt || new Date().toISOString()));
+
+        await this._transaction(['revisions', 'settings'], 'readwrite', transaction => {
+            this._putRevisions(transaction, revisions);
+            transaction.objectStore('settings').put(true, 'revisionBaseline');
+        });
+    }
+
+    /**
+     * Wrap an IDBRequest in a promise
+     * @private
+     * @param {IDBRequest} request - IndexedDB request
+     * @returns {Promise<*>} - Request result
+     */
+    _promisifyRequest(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Run a callback inside a transaction and resolve when it completes
+     * @private
+     * @param {string|Array<string>} storeNames - Store(s) to include in the transaction
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} callback - Receives the transaction
+     * @returns {Promise<void>}
+     */
+    _transaction(storeNames, mode, callback) {
+        // Memory-only mode: nothing to persist
+        if (!this.db) {
+            return Promise.resolve();
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(storeNames, mode);
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+            callback(transaction);
+        });
+    }
+
+    /**
+     * Get all values of a store
+     * @private
+     * @param {string} storeName - Store name
+     * @returns {Promise<Array>} - Stored values
+     */
+    async _getAll(storeName) {
+        if (!this.db) return [];
+
+        const store = this.db.transaction(storeName, 'readonly').objectStore(storeName);
+        return this._promisifyRequest(store.getAll());
+    }
+
+    /**
+     * Get all [key, value] pairs of a store with out-of-line keys
+     * @private
+     * @param {string} storeName - Store name
+     * @returns {Promise<Array>} - Key/value pairs
+     */
+    async _getAllEntries(storeName) {
+        if (!this.db) return [];
+
+        const store = this.db.transaction(storeName, 'readonly').objectStore(storeName);
+        const [keys, values] = await Promise.all([
+            this._promisifyRequest(store.getAllKeys()),
+            this._promisifyRequest(store.getAll())
+        ]);
+
+        return keys.map((key, index) => [key, values[index]]);
+    }
+
+    /**
+     * Read a value from the settings store
+     * @param {string} key - Setting key
+     * @returns {Promise<*>} - Setting value or undefined
+     */
+    async getSetting(key) {
+        if (!this.db) return undefined;
+
+        const store = this.db.transaction('settings', 'readonly').objectStore('settings');
+        return this._promisifyRequest(store.get(key));
+    }
+
+    /**
+     * Write a value to the settings store
+     * @param {string} key - Setting key
+     * @param {*} value - Setting value
+     * @returns {Promise<void>}
+     */
+    setSetting(key, value) {
+        return this._transaction('settings', 'readwrite', transaction => {
+            transaction.objectStore('settings').put(value, key);
+        });
+    }
+
+    /**
+     * Log a failed background write without interrupting the caller
+     * @private
+     * @param {string} action - Description of the failed write
+     * @returns {Function} - Promise rejection handler
+     */
+    _reportWriteError(action) {
+        return error => {
+            console.error(`Error ${action}:`, error);
+            if (typeof displayErrorMessage === 'function') {
+                displayErrorMessage(`Could not save changes (${action})`, 'database');
+            }
+        };
+    }
+
+    /**
+     * Generate a unique identifier
+     * @private
+     * @returns {string} - Identifier
+     */
+    _generateId() {
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    }
+
+    /* ------------------------------------------------------------------ */
+    /* Academics                                                          */
+    /* ------------------------------------------------------------------ */
+
+    /**
+     * Get all academics
+     * @returns {Array<Object>} - Array of academic objects
+     */
+    getAllAcademics() {
+        return Array.from(this.academics.values());
+    }
+
+    /**
+     * Get an academic by ID, slug, name or alias
+     * Accepts name variants such as "Foucault, Michel"; partial names ("M. Foucault",
+     * "Foucault") resolve only when they match a single academic.
+     * @param {string} query - ID, slug, name or alias
+     * @returns {Object|null} - Academic object or null
+     */
+    getAcademic(query) {
+        if (!query) return null;
+
+        const byId = this.academics.get(query) || this.academics.get(this.slugIndex.get(query));
+        if (byId) return byId;
+
+        const ids = this.resolveAcademicIds(query);
+        if (ids.length === 0) return null;
+
+        // Prefer the academic whose primary name is an exact match
+        const folded = academicIdentity.foldName(academicIdentity.uninvertName(query));
+        const exact = ids.find(id =>
+            academicIdentity.foldName(this.academics.get(id).name) === folded
+        );
+
+        return this.academics.get(exact || ids[0]) || null;
+    }
+
+    /**
+     * Find the academic a query names exactly: its ID, slug, full name or an alias
+     * Unlike getAcademic, partial names and names shared by several academics do not count.
+     * @param {string} query - Search text
+     * @returns {Object|null} - Academic object or null
+     */
+    findExactMatch(query) {
+        if (!query) return null;
+
+        const byId = this.academics.get(query) || this.academics.get(this.slugIndex.get(query));
+        if (byId) return byId;
+
+        const ids = new Set();
+        academicIdentity.nameKeys(query).forEach(key => {
+            (this.nameIndex.get(key) || []).forEach(id => ids.add(id));
+        });
+
+        return ids.size === 1 ? this.academics.get(Array.from(ids)[0]) || null : null;
+    }
+
+    /**
+     * Get an academic by URL slug
+     * @param {string} slug - Slug
+     * @returns {Object|null} - Academic object or null
+     */
+    getAcademicBySlug(slug) {
+        return this.academics.get(this.slugIndex.get(slug)) || null;
+    }
+
+    /**
+     * Find the IDs of every academic a name could refer to
+     * Full names and aliases are tried first; partial names only count when unambiguous.
+     * @param {string} name - Name, alias or name variant
+     * @returns {Array<string>} - Academic IDs (empty if none or ambiguous)
+     */
+    resolveAcademicIds(name) {
+        const ids = new Set();
+
+        academicIdentity.nameKeys(name).forEach(key => {
+            (this.nameIndex.get(key) || []).forEach(id => ids.add(id));
+        });
+
+        if (ids.size === 0) {
+            const folded = academicIdentity.foldName(academicIdentity.uninvertName(name));
+            const partial = this.partialNameIndex.get(folded);
+            if (partial && partial.size === 1) {
+                partial.forEach(id => ids.add(id));
+            }
+        }
+
+        return Array.from(ids);
+    }
+
+    /**
+     * Names an academic can be found by: the primary name followed by its aliases
+     * @param {Object} academic - Academic object
+     * @returns {Array<string>} - Names
+     */
+    getAcademicNames(academic) {
+        return [academic.name, ...(Array.isArray(academic.aliases) ? academic.aliases : [])];
+    }
+
+    /**
+     * Rebuild the slug, name and full-text indexes from the cache
+     * @private
+     */
+    _rebuildIndexes() {
+        this.slugIndex = new Map();
+        this.nameIndex = new Map();
+        this.partialNameIndex = new Map();
+        searchIndex.clear();
+        this.changeCount++;
+
+        this.academics.forEach(academic => this._indexAcademic(academic));
+    }
+
+    /**
+     * Add an academic to the lookup and full-text indexes
+     * @private
+     * @param {Object} academic - Academic object
+     */
+    _indexAcademic(academic) {
+        const add = (index, key) => {
+            if (!index.has(key)) index.set(key, new Set());
+            index.get(key).add(academic.id);
+        };
+
+        if (academic.slug) {
+            this.slugIndex.set(academic.slug, academic.id);
+        }
+
+        this.getAcademicNames(academic).forEach(name => {
+            academicIdentity.nameKeys(name).forEach(key => add(this.nameIndex, key));
+        });
+
+        academicIdentity.partialNameKeys(academic.name).forEach(key => add(this.partialNameIndex, key));
+        searchIndex.add(academic);
+        this.changeCount++;
+    }
+
+    /**
+     * Remove an academic from the lookup and full-text indexes
+     * @private
+     * @param {Object} academic - Academic object
+     */
+    _unindexAcademic(academic) {
+        if (this.slugIndex.get(academic.slug) === academic.id) {
+            this.slugIndex.delete(academic.slug);
+        }
+
+        // Only the keys this version of the academic was indexed under
+        const remove = (index, key) => {
+            const ids = index.get(key);
+            if (!ids) return;
+
+            ids.delete(academic.id);
+            if (ids.size === 0) index.delete(key);
+        };
+
+        this.getAcademicNames(academic).flatMap(name => academicIdentity.nameKeys(name))
+            .forEach(key => remove(this.nameIndex, key));
+        academicIdentity.partialNameKeys(academic.name).forEach(key => remove(this.partialNameIndex, key));
+
+        searchIndex.remove(academic.id);
+        this.changeCount++;
+    }
+
+    /**
+     * Pick a slug that no other academic uses
+     * @private
+     * @param {string} base - Preferred slug
+     * @param {string} id - ID of the academic that will own the slug
+     * @returns {string} - Unique slug
+     */
+    _uniqueSlug(base, id) {
+        let slug = base;
+        let counter = 2;
+
+        while (this.slugIndex.has(slug) && this.slugIndex.get(slug) !== id) {
+            slug = `${base}-${counter++}`;
+        }
+
+        return slug;
+    }
+
+    /**
+     * Work out the ID, slug, aliases and timestamps of a record about to be stored
+     * Records without an ID update the academic with the same full name or alias, if any.
+     * @private
+     * @param {Object} academic - Incoming academic
+     * @param {string} now - ISO timestamp
+     * @param {boolean} touch - Whether to bump updatedAt
+     * @returns {{record: Object, existing: Object|null}} - Prepared record and the one it replaces
+     */
+    _prepareRecord(academic, now, touch) {
+        const name = String(academic.name).trim();
+
+        let id = academic.id;
+        if (!id) {
+            const [matchingId] = academicIdentity.nameKeys(name)
+                .map(key => this.nameIndex.get(key))
+                .filter(ids => ids && ids.size > 0)
+                .map(ids => Array.from(ids)[0]);
+
+            id = matchingId || academicIdentity.createId(name);
+
+            // A different person already owns the name-derived ID
+            if (!matchingId && this.academics.has(id)) {
+                id = academicIdentity.createRandomId();
+            }
+        }
+
+        const existing = this.academics.get(id) || null;
+
+        // Keep the previous name as an alias so old links and searches still resolve
+        const aliases = [...(academic.aliases || existing?.aliases || [])];
+        if (existing && existing.name !== name) {
+            aliases.push(existing.name);
+        }
+        const foldedName = academicIdentity.foldName(name);
+        const uniqueAliases = aliases.filter((alias, index) => {
+            const folded = academicIdentity.foldName(alias);
+            return folded && folded !== foldedName &&
+                aliases.findIndex(other => academicIdentity.foldName(other) === folded) === index;
+        });
+
+        // Slugs are permanent once assigned so shared URLs keep working
+        const slug = existing?.slug || this._uniqueSlug(academic.slug || academicIdentity.slugify(name), id);
+
+        const record = {
+            ...academic,
+            id,
+            slug,
+            name,
+            aliases: uniqueAliases,
+            createdAt: existing?.createdAt || academic.createdAt || now,
+            updatedAt: touch ? now : (academic.updatedAt || now)
+        };
+
+        return { record, existing };
+    }
+
+    /**
+     * Fill in the target ID of connections that only name the connected academic
+     * @private
+     * @param {Array<Object>} connections - Connections
+     * @param {string} ownId - ID of the academic the connections belong to
+     * @returns {Array<Object>} - Connections with targets where they could be resolved
+     */
+    _resolveConnectionTargets(connections, ownId) {
+        if (!Array.isArray(connections)) return connections;
+
+        return connections.map(connection => {
+            if (connection.target) return connection;
+
+            const target = this.getAcademic(connection.name);
+            return { ...connection, target: target && target.id !== ownId ? target.id : null };
+        });
+    }
+
+    /**
+     * Keep the other side of each connection in step with the academics just saved
+     * Every connection to an academic in the database gets the inverse edge on that academic
+     * ("A taught B" adds "B taught by A"); connections removed since the previous version
+     * lose their inverse edge. Connections elsewhere that only name a newly created academic
+     * are pointed at them and get their inverse edge too. Updated academics are cached; the
+     * caller persists them.
+     * @private
+     * @param {Array<Array<Object>>} changes - [record, previous version or null] pairs, already cached
+     * @param {string} now - ISO timestamp
+     * @returns {Array<Object>} - Other academics that were updated
+     */
+    _applyReciprocals(changes, now) {
+        const updated = new Map();
+        const savedIds = new Set(changes.map(([record]) => record.id));
+
+        const update = (academic, connections) => {
+            const record = { ...academic, connections, updatedAt: now };
+            this._cacheRecord(record, academic);
+            updated.set(record.id, record);
+        };
+
+        const createdIds = changes.filter(([, previous]) => !previous).map(([record]) => record.id);
+        if (createdIds.length > 0) {
+            this._linkNamedConnections(createdIds, update);
+        }
+
+        changes.forEach(([saved, previous]) => {
+            const record = this.academics.get(saved.id);
+            const currentKeys = new Set((record.connections || []).map(connection => connectionTypes.getKey(connection)));
+
+            // Connections removed since the previous version
+            (previous?.connections || [])
+                .filter(connection => !currentKeys.has(connectionTypes.getKey(connection)))
+                .forEach(connection => {
+                    const other = this.academics.get(connection.target);
+                    if (!other || other.id === record.id) return;
+
+                    const inverse = connectionTypes.invert(connection, record);
+                    const remaining = (other.connections || []).filter(candidate => !this._matchesInverse(candidate, inverse));
+                    if (remaining.length !== (other.connections || []).length) {
+                        update(other, remaining);
+                    }
+                });
+
+            // Current connections
+            (record.connections || []).forEach(connection => {
+                const other = this.academics.get(connection.target);
+                if (!other || other.id === record.id) return;
+
+                const inverse = connectionTypes.invert(connection, record);
+                const otherConnections = other.connections || [];
+                const index = otherConnections.findIndex(candidate => this._matchesInverse(candidate, inverse));
+
+                if (index === -1) {
+                    update(other, [...otherConnections, inverse]);
+                    return;
+                }
+
+                // Follow renames, fill in unresolved targets and share newly cited sources
+                const current = otherConnections[index];
+                const sources = provenance.mergeSources(current.sources, connection.sources);
+                const renamed = current.target !== record.id || current.name !== record.name;
+
+                if (renamed || sources.length !== (current.sources || []).length) {
+                    const connections = [...otherConnections];
+                    connections[index] = { ...current, target: record.id, name: record.name };
+                    if (sources.length > 0) connections[index].sources = sources;
+                    update(other, connections);
+                }
+            });
+        });
+
+        // Academics saved in this batch are written by the caller anyway
+        return Array.from(updated.values()).filter(academic => !savedIds.has(academic.id));
+    }
+
+    /**
+     * Point connections that only name a newly created academic at them, and give the new
+     * academic the inverse edges
+     * @private
+     * @param {Array<string>} createdIds - IDs of the academics created, already cached
+     * @param {Function} update - Caches an academic with new connections
+     */
+    _linkNamedConnections(createdIds, update) {
+        // Connections without a target by name key, so each new academic is a direct lookup
+        const unresolved = new Map();
+        this.academics.forEach(owner => {
+            (owner.connections || []).forEach((connection, index) => {
+                if (connection.target || !connection.name) return;
+
+                academicIdentity.nameKeys(connection.name).forEach(key => {
+                    if (!unresolved.has(key)) unresolved.set(key, new Map());
+                    unresolved.get(key).set(`${owner.id}|${index}`, { ownerId: owner.id, index });
+                });
+            });
+        });
+        if (unresolved.size === 0) return;
+
+        createdIds.forEach(id => {
+            const candidates = new Map();
+            this.getAcademicNames(this.academics.get(id))
+                .flatMap(name => academicIdentity.nameKeys(name))
+                .forEach(key => (unresolved.get(key) || new Map()).forEach((candidate, candidateKey) => {
+                    candidates.set(candidateKey, candidate);
+                }));
+
+            candidates.forEach(({ ownerId, index }) => {
+                const owner = this.academics.get(ownerId);
+                const connection = owner.connections[index];
+                if (ownerId === id || connection.target) return;
+
+                // Only names that now lead to this academic alone
+                const ids = this.resolveAcademicIds(connection.name);
+                if (ids.length !== 1 || ids[0] !== id) return;
+
+                const connections = [...owner.connections];
+                connections[index] = { ...connection, target: id };
+                update(owner, connections);
+
+                const inverse = connectionTypes.invert(connections[index], owner);
+                const academic = this.academics.get(id);
+                if (!(academic.connections || []).some(candidate => this._matchesInverse(candidate, inverse))) {
+                    update(academic, [...(academic.connections || []), inverse]);
+                }
+            });
+        });
+    }
+
+    /**
+     * Check whether a connection stored on the other academic expresses a given inverse edge
+     * @private
+     * @param {Object} candidate - Connection stored on the connected academic
+     * @param {Object} inverse - Expected inverse connection (from connectionTypes.invert)
+     * @returns {boolean} - True if they describe the same relationship
+     */
+    _matchesInverse(candidate, inverse) {
+        return candidate.type === inverse.type && candidate.direction === inverse.direction &&
+            (candidate.target === inverse.target ||
+                (!candidate.target && this.resolveAcademicIds(candidate.name).includes(inverse.target)));
+    }
+
+    /**
+     * Check whether the connected academic records the other side of a connection
+     * @param {Object} owner - Academic the connection belongs to
+     * @param {Object} connection - Connection stored on `owner`
+     * @returns {boolean} - True if the inverse edge exists (false if the target is not in the database)
+     */
+    hasReciprocal(owner, connection) {
+        const other = this.getConnectedAcademic(connection);
+        if (!other) return false;
+
+        const inverse = connectionTypes.invert(connection, owner);
+        return (other.connections || []).some(candidate => this._matchesInverse(candidate, inverse));
+    }
+
+    /**
+     * Get the academic a connection points to
+     * @param {Object} connection - Connection object
+     * @returns {Object|null} - Connected academic or null if not in the database
+     */
+    getConnectedAcademic(connection) {
+        if (!connection) return null;
+        return this.academics.get(connection.target) || this.getAcademic(connection.name);
+    }
+
+    /**
+     * Put a prepared record into the cache and indexes
+     * @private
+     * @param {Object} record - Prepared record
+     * @param {Object|null} existing - Record it replaces
+     */
+    _cacheRecord(record, existing) {
+        if (existing) {
+            this._unindexAcademic(existing);
+        }
+
+        this.academics.set(record.id, record);
+        this._indexAcademic(record);
+    }
+
+    /**
+     * Search academics by name and taxonomy criteria
+     * All criteria must match. `name` is matched as a substring of the name or any alias,
+     * ignoring case and accents; taxonomy categories are matched against the academic's values.
+     * @param {Object} criteria - e.g. { name: 'fou' } or { tradition: 'Critical Theory' }
+     * @returns {Array<Object>} - Matching academics sorted by name
+     */
+    searchAcademics(criteria = {}) {
+        const entries = Object.entries(criteria).filter(([, value]) =>
+            value !== undefined && value !== null && value !== ''
+        );
+
+        const results = this.getAllAcademics().filter(academic =>
+            entries.every(([field, value]) => {
+                if (field === 'name') {
+                    const query = academicIdentity.foldName(academicIdentity.uninvertName(value));
+                    return this.getAcademicNames(academic).some(name =>
+                        academicIdentity.foldName(name).includes(query)
+                    );
+                }
+
+                const values = academic.taxonomies?.[field];
+                if (!Array.isArray(values)) return false;
+
+                // A broader term also matches its narrower terms and synonyms
+                const wanted = (Array.isArray(value) ? value : [value]).map(v => taxonomyRegistry.expand(field, String(v)));
+                return wanted.every(labels => values.some(existing => labels.has(academicIdentity.foldName(existing))));
+            })
+        );
+
+        return results.sort((a, b) => academicIdentity.compareNames(a.name, b.name));
+    }
+
+    /**
+     * Full-text search over names, aliases, biographies, paper and event titles and taxonomy values
+     * Tolerates typos and unfinished words; see js/search-index.js.
+     * @param {string} query - Free text
+     * @param {Object} options - `limit` and `fields`, see SearchIndex.search
+     * @returns {Array<{academic: Object, score: number, matches: Array<Object>}>} - Results, most relevant first
+     */
+    searchFullText(query, options = {}) {
+        return searchIndex.search(query, options)
+            .map(({ id, score, matches }) => ({ academic: this.academics.get(id), score, matches }))
+            .filter(result => result.academic);
+    }
+
+    /**
+     * Add or update an academic (synchronous; persisted in the background)
+     * @param {Object} academic - Academic object
+     * @param {Object} revision - Who made the change and how, see saveAcademic
+     * @returns {boolean} - Success indicator
+     */
+    addOrUpdateAcademic(academic, revision = {}) {
+        const { valid, errors } = this.validateAcademic(academic);
+        if (!valid) {
+            console.error('Cannot save invalid academic:', errors);
+            return false;
+        }
+
+        this.saveAcademic(academic, revision).catch(this._reportWriteError(`saving ${academic.name}`));
+        return true;
+    }
+
+    /**
+     * Add or update an academic and wait until it is persisted
+     * @param {Object} academic - Academic object
+     * @param {Object} revision - Logged with the change: `source` ('contribution', 'deepsearch',
+     *                            'import', 'github', 'merge', 'restore', 'admin' or 'edit'),
+     *                            `author` and `summary`
+     * @returns {Promise<Object>} - Stored academic
+     */
+    async saveAcademic(academic, revision = {}) {
+        const { valid, errors } = this.validateAcademic(academic);
+        if (!valid) {
+            throw new ValidationError(errors);
+        }
+
+        const now = new Date().toISOString();
+        const { record, existing } = this._prepareRecord(academic, now, true);
+        record.connections = this._resolveConnectionTargets(record.connections, record.id);
+
+        this._cacheRecord(record, existing);
+        const reciprocals = this._applyReciprocals([[record, existing]], now);
+
+        // Reciprocals may have added inverse edges to the record itself
+        const stored = this.academics.get(record.id);
+
+        if (!existing) {
+            this.addNoveltyTile({
+                title: `New Academic: ${record.name}`,
+                content: `${record.name} has been added to the database.`,
+                date: now,
+                type: 'academic'
+            });
+        }
+
+        const revisions = [
+            this._createRevision(stored, existing, revision, now),
+            ...reciprocals.map(other => this._createRevision(other, null, {
+                ...revision,
+                summary: `Connection to ${record.name} kept in step`
+            }, now))
+        ];
+
+        await this._transaction(['academics', 'revisions'], 'readwrite', transaction => {
+            const store = transaction.objectStore('academics');
+            store.put(stored, stored.id);
+            reciprocals.forEach(other => store.put(other, other.id));
+            this._putRevisions(transaction, revisions);
+        });
+
+        return stored;
+    }
+
+    /**
+     * Validate an academic record against the shared schema
+     * @param {Object} academic - Academic object
+     * @returns {{valid: boolean, errors: Array<{field: string, message: string}>}} - Validation result
+     */
+    validateAcademic(academic) {
+        if (!academic || typeof academic !== 'object') {
+            return { valid: false, errors: [{ field: '', message: 'Academic data is missing' }] };
+        }
+
+        if (typeof academicValidator === 'undefined') {
+            const valid = !!(academic.name && String(academic.name).trim());
+            return { valid, errors: valid ? [] : [{ field: 'name', message: 'Name is required' }] };
+        }
+
+        return academicValidator.validate(academic);
+    }
+
+    /**
+     * Add or update many academics in a single transaction
+     * Unlike saveAcademic this does not create novelty tiles, so it suits seeding and imports.
+     * Invalid records are skipped and reported.
+     * @param {Array<Object>} academics - Academic objects
+     * @param {Object} options - `touch: false` keeps existing updatedAt timestamps;
+     *                           `validate: false` stores records as-is (used by migrations);
+     *                           `reciprocate: false` skips adding inverse connections;
+     *                           `revision` describes the change for the log (see saveAcademic),
+     *                           or is false to leave the log alone
+     * @returns {Promise<{saved: number, rejected: Array<{name: string, errors: Array}>}>} - Outcome
+     */
+    async saveAcademics(academics, { touch = true, validate = true, reciprocate = true, revision = {} } = {}) {
+        const now = new Date().toISOString();
+        const rejected = [];
+
+        const saved = academics
+            .filter(academic => {
+                if (!validate) return academic && academic.name;
+
+                const { valid, errors } = this.validateAcademic(academic);
+                if (!valid) {
+                    rejected.push({ name: academic?.name || '(unnamed)', errors });
+                }
+                return valid;
+            })
+            .map(academic => {
+                const { record, existing } = this._prepareRecord(academic, now, touch);
+                this._cacheRecord(record, existing);
+                return [record, existing];
+            });
+
+        // Resolve connections once the whole batch is cached, so records can point at each other
+        saved.forEach(([record]) => {
+            record.connections = this._resolveConnectionTargets(record.connections, record.id);
+        });
+
+        const records = saved.map(([record]) => record);
+        const reciprocals = reciprocate ? this._applyReciprocals(saved, now) : [];
+
+        const revisions = revision === false ? [] : [
+            ...saved.map(([record, existing]) =>
+                this._createRevision(this.academics.get(record.id) || record, existing, revision, now)),
+            ...reciprocals.map(other => this._createRevision(other, null, {
+                ...revision,
+                summary: 'Connection kept in step with another academic'
+            }, now))
+        ];
+
+        await this._transaction(['academics', 'revisions'], 'readwrite', transaction => {
+            const store = transaction.objectStore('academics');
+            records.forEach(record => store.put(this.academics.get(record.id) || record, record.id));
+            reciprocals.forEach(other => store.put(other, other.id));
+            this._putRevisions(transaction, revisions);
+        });
+
+        return { saved: records.length, rejected };
+    }
+
+    /**
+     * Delete an academic
+     * The revision log keeps its earlier versions, so it can be restored.
+     * @param {string} query - ID, slug, name or alias
+     * @param {Object} revision - Who deleted it and why, see saveAcademic
+     * @returns {Promise<boolean>} - True if an academic was removed
+     */
+    async deleteAcademic(query, revision = {}) {
+        const academic = this.getAcademic(query);
+        if (!academic) return false;
+
+        this._unindexAcademic(academic);
+        this.academics.delete(academic.id);
+
+        const deletion = this._createDeletionRevision(academic, revision, new Date().toISOString());
+
+        await this._transaction(['academics', 'revisions'], 'readwrite', transaction => {
+            transaction.objectStore('academics').delete(academic.id);
+            this._putRevisions(transaction, [deletion]);
+        });
+
+        return true;
+    }
+
+    /**
+     * Merge a duplicate academic into a surviving record
+     * The survivor keeps its ID and slug; the duplicate's names become aliases, every other
+     * academic's connections to the duplicate are rewritten to the survivor, and the
+     * duplicate is deleted.
+     * @param {string} survivorId - ID of the academic to keep
+     * @param {string} duplicateId - ID of the academic to merge away
+     * @param {Object} merged - Field values chosen for the survivor (name, bio, papers, ...)
+     * @param {Object} revision - Who merged them, see saveAcademic
+     * @returns {Promise<{survivor: Object, updatedConnections: number}>} - Stored survivor and
+     *          the number of other academics whose connections were rewritten
+     */
+    async mergeAcademics(survivorId, duplicateId, merged = {}, revision = {}) {
+        const survivor = this.academics.get(survivorId);
+        const duplicate = this.academics.get(duplicateId);
+
+        if (!survivor || !duplicate) {
+            throw new Error('Both academics must exist to merge them');
+        }
+        if (survivor.id === duplicate.id) {
+            throw new Error('Cannot merge an academic into itself');
+        }
+
+        const now = new Date().toISOString();
+        const name = String(merged.name || survivor.name).trim();
+
+        // Resolve connections before the indexes change
+        const pointsAt = (connection, id) => connection.target === id ||
+            (!connection.target && this.resolveAcademicIds(connection.name).includes(id));
+        const redirect = connections => {
+            const seen = new Set();
+            return (connections || [])
+                .map(connection => (pointsAt(connection, duplicate.id)
+                    ? { ...connection, target: survivor.id, name }
+                    : connection))
+                .filter(connection => {
+                    const key = connectionTypes.getKey(connection);
+                    if (seen.has(key)) return false;
+                    seen.add(key);
+                    return true;
+                });
+        };
+
+        // Keep every name either record was known by
+        const foldedName = academicIdentity.foldName(name);
+        const aliases = [];
+        [...(merged.aliases || survivor.aliases || []), ...this.getAcademicNames(survivor), ...this.getAcademicNames(duplicate)]
+            .forEach(alias => {
+                const folded = academicIdentity.foldName(alias);
+                if (folded && folded !== foldedName && !aliases.some(other => academicIdentity.foldName(other) === folded)) {
+                    aliases.push(alias);
+                }
+            });
+
+        const record = {
+            ...survivor,
+            ...merged,
+            id: survivor.id,
+            slug: survivor.slug,
+            name,
+            aliases,
+            createdAt: [survivor.createdAt, duplicate.createdAt].filter(Boolean).sort()[0] || now,
+            updatedAt: now
+        };
+        record.connections = redirect(record.connections)
+            .filter(connection => !pointsAt(connection, survivor.id) &&
+                academicIdentity.foldName(connection.name) !== foldedName);
+
+        const { valid, errors } = this.validateAcademic(record);
+        if (!valid) {
+            throw new ValidationError(errors);
+        }
+
+        const updated = this.getAllAcademics()
+            .filter(academic => academic.id !== survivor.id && academic.id !== duplicate.id)
+            .filter(academic => (academic.connections || []).some(connection => pointsAt(connection, duplicate.id)))
+            .map(academic => ({ ...academic, connections: redirect(academic.connections), updatedAt: now }));
+
+        // Apply to the cache
+        this._unindexAcademic(duplicate);
+        this.academics.delete(duplicate.id);
+        this._cacheRecord(record, survivor);
+        updated.forEach(academic => this._cacheRecord(academic, this.academics.get(academic.id)));
+        const reciprocals = this._applyReciprocals([[record, survivor]], now);
+
+        const favoritesChanged = this.favorites.includes(duplicate.id);
+        if (favoritesChanged) {
+            this.favorites = Array.from(new Set(this.favorites.map(id => (id === duplicate.id ? survivor.id : id))));
+        }
+
+        const mergeRevision = { source: 'merge', ...revision };
+        const revisions = [
+            this._createRevision(record, survivor, { ...mergeRevision, summary: `Merged ${duplicate.name} into this record` }, now),
+            this._createDeletionRevision(duplicate, { ...mergeRevision, summary: `Merged into ${record.name}` }, now),
+            ...Array.from(new Set([...updated, ...reciprocals].map(academic => academic.id))).map(id => this._createRevision(this.academics.get(id), null, {
+                ...mergeRevision,
+                summary: `Connections to ${duplicate.name} moved to ${record.name}`
+            }, now))
+        ];
+
+        await this._transaction(['academics', 'settings', 'revisions'], 'readwrite', transaction => {
+            const store = transaction.objectStore('academics');
+            store.delete(duplicate.id);
+            store.put(record, record.id);
+            [...updated, ...reciprocals].forEach(academic => {
+                store.put(this.academics.get(academic.id), academic.id);
+            });
+            this._putRevisions(transaction, revisions);
+
+            if (favoritesChanged) {
+                transaction.objectStore('settings').put(this.favorites, 'favorites');
+            }
+        });
+
+        this.addNoveltyTile({
+            title: `Academics Merged: ${record.name}`,
+            content: `${duplicate.name} has been merged into ${record.name}.`,
+            date: now,
+            type: 'academic'
+        });
+
+        return { survivor: record, updatedConnections: updated.length };
+    }
+
+    /**
+     * Get the taxonomy vocabulary: the registry's active terms plus any value used in the
+     * database that the registry does not know
+     * @returns {Object} - Map of category to sorted values
+     */
+    getAllTaxonomyCategories() {
+        const categories = {};
+
+        for (const [category, values] of Object.entries(taxonomyRegistry.getVocabulary())) {
+            categories[category] = new Set(values);
+        }
+
+        this.academics.forEach(academic => {
+            if (!academic.taxonomies) return;
+
+            for (const [category, values] of Object.entries(academic.taxonomies)) {
+                if (!Array.isArray(values)) continue;
+                if (!categories[category]) {
+                    categories[category] = new Set();
+                }
+                values
+                    .filter(value => !taxonomyRegistry.getTerm(category, value))
+                    .forEach(value => categories[category].add(value));
+            }
+        });
+
+        const result = {};
+        for (const [category, values] of Object.entries(categories)) {
+            result[category] = Array.from(values).sort((a, b) => academicIdentity.compareNames(a, b));
+        }
+        return result;
+    }
+
+    /* ------------------------------------------------------------------ */
+    /* Revisions                                                          */
+    /* ------------------------------------------------------------------ */
+
+    /**
+     * Get the revision log of an academic, oldest first
+     * Each revision is `{ id, academicId, timestamp, source, author, summary, schemaVersion, record }`;
+     * `record` is the full academic as saved, or null for a deletion.
+     * @param {string} academicId - Academic ID
+     * @returns {Promise<Array<Object>>} - Revisions
+     */
+    async getRevisions(academicId) {
+        if (!this.db) {
+            return this.memoryRevisions.filter(revision => revision.academicId === academicId);
+        }
+
+        const index = this.db.transaction('revisions', 'readonly').objectStore('revisions').index('academicId');
+        const revisions = await this._promisifyRequest(index.getAll(academicId));
+        return revisions.sort((a, b) => a.id - b.id);
+    }
+
+    /**
+     * Get one revision
+     * @param {number} revisionId - Revision ID
+     * @returns {Promise<Object|undefined>} - Revision
+     */
+    async getRevision(revisionId) {
+        if (!this.db) {
+            return this.memoryRevisions.find(revision => revision.id === revisionId);
+        }
+
+        const store = this.db.transaction('revisions', 'readonly').objectStore('revisions');
+        return this._promisifyRequest(store.get(revisionId));
+    }
+
+    /**
+     * Make an earlier revision the current version of its academic
+     * The restore is itself logged, so it can be undone in turn.
+     * @param {number} revisionId - Revision ID
+     * @param {Object} revision - Who restored it, see saveAcademic
+     * @returns {Promise<Object>} - Stored academic
+     */
+    async restoreRevision(revisionId, revision = {}) {
+        const stored = await this.getRevision(revisionId);
+        if (!stored || !stored.record) {
+            throw new Error('That revision has no version to restore');
+        }
+
+        // Versions saved under an older schema are upgraded first
+        let record = JSON.parse(JSON.stringify(stored.record));
+        if (typeof schemaMigrations !== 'undefined' && stored.schemaVersion < schemaMigrations.currentVersion) {
+            record = schemaMigrations.migrateAcademic(record, stored.schemaVersion);
+        }
+
+        return this.saveAcademic(record, {
+            source: 'restore',
+            summary: `Restored the version of ${new Date(stored.timestamp).toLocaleString()}`,
+            ...revision
+        });
+    }
+
+    /**
+     * Describe a saved version for the revision log
+     * @private
+     * @param {Object} record - Academic as saved
+     * @param {Object|null} previous - Version it replaces; unchanged records are not logged
+     * @param {Object} revision - `source`, `author` and `summary`
+     * @param {string} timestamp - ISO timestamp
+     * @returns {Object|null} - Revision, or null if nothing changed
+     */
+    _createRevision(record, previous, revision, timestamp) {
+        if (previous && this._fingerprint(previous) === this._fingerprint(record)) return null;
+
+        return this._logRevision({
+            academicId: record.id,
+            timestamp,
+            source: revision.source || 'edit',
+            author: revision.author || null,
+            summary: revision.summary || null,
+            schemaVersion: typeof schemaMigrations !== 'undefined' ? schemaMigrations.currentVersion : 1,
+            record: JSON.parse(JSON.stringify(record))
+        });
+    }
+
+    /**
+     * Describe a deletion for the revision log
+     * @private
+     * @param {Object} academic - Deleted academic
+     * @param {Object} revision - `source`, `author` and `summary`
+     * @param {string} timestamp - ISO timestamp
+     * @returns {Object} - Revision
+     */
+    _createDeletionRevision(academic, revision, timestamp) {
+        return this._logRevision({
+            academicId: academic.id,
+            timestamp,
+            source: revision.source || 'edit',
+            author: revision.author || null,
+            summary: revision.summary || `Deleted ${academic.name}`,
+            schemaVersion: typeof schemaMigrations !== 'undefined' ? schemaMigrations.currentVersion : 1,
+            record: null
+        });
+    }
+
+    /**
+     * Keep a revision in memory when there is no IndexedDB to write it to
+     * @private
+     * @param {Object} revision - Revision
+     * @returns {Object} - The same revision
+     */
+    _logRevision(revision) {
+        if (!this.db) {
+            revision.id = this.memoryRevisions.length + 1;
+            this.memoryRevisions.push(revision);
+        }
+        return revision;
+    }
+
+    /**
+     * Append revisions inside a write transaction that includes the 'revisions' store
+     * @private
+     * @param {IDBTransaction} transaction - Open transaction
+     * @param {Array<Object|null>} revisions - Revisions (nulls are skipped)
+     */
+    _putRevisions(transaction, revisions) {
+        const store = transaction.objectStore('revisions');
+        revisions.filter(Boolean).forEach(revision => store.add(revision));
+    }
+
+    /**
+     * Content of a record for change detection, ignoring key order and timestamps
+     * @private
+     * @param {Object} record - Academic
+     * @returns {string} - Fingerprint
+     */
+    _fingerprint(record) {
+        const stable = value => {
+            if (Array.isArray(value)) return value.map(stable);
+            if (value && typeof value === 'object') {
+                return Object.keys(value).sort()
+                    .filter(key => key !== 'updatedAt' && key !== 'createdAt')
+                    .reduce((result, key) => ({ ...result, [key]: stable(value[key]) }), {});
+            }
+            return value;
+        };
+
+        return JSON.stringify(stable(record));
+    }
+
+    /* ------------------------------------------------------------------ */
+    /* Favorites                                                          */
+    /* ------------------------------------------------------------------ */
+
+    /**
+     * Get favorite academic IDs
+     * @returns {Array<string>} - Favorite IDs
+     */
+    getFavorites() {
+        return [...this.favorites];
+    }
+
+    /**
+     * Add an academic to favorites
+     * @param {string} query - Academic ID or name
+     * @returns {boolean} - Success indicator
+     */
+    addToFavorites(query) {
+        const id = this.getAcademic(query)?.id || query;
+        if (!id || this.favorites.includes(id)) return false;
+
+        this.favorites.push(id);
+        this.setSetting('favorites', this.favorites).catch(this._reportWriteError('saving favorites'));
+        return true;
+    }
+
+    /**
+     * Remove an academic from favorites
+     * @param {string} query - Academic ID or name
+     * @returns {boolean} - Success indicator
+     */
+    removeFromFavorites(query) {
+        const index = this.favorites.indexOf(this.getAcademic(query)?.id || query);
+        if (index === -1) return false;
+
+        this.favorites.splice(index, 1);
+        this.setSetting('favorites', this.favorites).catch(this._reportWriteError('saving favorites'));
+        return true;
+    }
+
+    /* ------------------------------------------------------------------ */
+    /* Novelty tiles                                                      */
+    /* ------------------------------------------------------------------ */
+
+    /**
+     * Get the most recent novelty tiles
+     * @param {number} limit - Maximum number of tiles
+     * @returns {Array<Object>} - Tiles, newest first
+     */
+    getRecentNoveltyTiles(limit = 10) {
+        return this.noveltyTiles.slice(0, limit);
+    }
+
+    /**
+     * Add a novelty tile
+     * @param {Object} tile - Tile with title, content, date and type
+     * @returns {boolean} - Success indicator
+     */
+    addNoveltyTile(tile) {
+        if (!tile || !tile.title) return false;
+
+        const record = {
+            id: this._generateId(),
+            ...tile,
+            date: tile.date || new Date().toISOString()
+        };
+
+        this.noveltyTiles.unshift(record);
+
+        // Drop the oldest tiles once the limit is reached
+        const removed = this.noveltyTiles.splice(this.maxNoveltyTiles);
+
+        this._transaction('noveltyTiles', 'readwrite', transaction => {
+            const store = transaction.objectStore('noveltyTiles');
+            store.put(record);
+            removed.forEach(old => store.delete(old.id));
+        }).catch(this._reportWriteError('saving novelty tile'));
+
+        return true;
+    }
+
+    /* ------------------------------------------------------------------ */
+    /* Pending submissions                                                */
+    /* ------------------------------------------------------------------ */
+
+    /**
+     * Get pending contribution submissions
+     * @returns {Array<Object>} - Submissions, oldest first
+     */
+    getPendingSubmissions() {
+        return [...this.pendingSubmissions];
+    }
+
+    /**
+     * Queue a contribution submission for admin review
+     * @param {Object} submission - Contribution submission
+     * @returns {boolean} - Success indicator
+     */
+    addPendingSubmission(submission) {
+        if (!submission) return false;
+
+        const record = {
+            id: this._generateId(),
+            ...submission,
+            timestamp: submission.timestamp || new Date().toISOString()
+        };
+
+        this.pendingSubmissions.push(record);
+
+        this._transaction('pendingSubmissions', 'readwrite', transaction => {
+            transaction.objectStore('pendingSubmissions').put(record);
+        }).catch(this._reportWriteError('saving pending submission'));
+
+        return true;
+    }
+
+    /**
+     * Remove a pending submission
+     * @param {string} id - Submission ID
+     * @returns {boolean} - Success indicator
+     */
+    removePendingSubmission(id) {
+        const index = this.pendingSubmissions.findIndex(submission => submission.id === id);
+        if (index === -1) return false;
+
+        this.pendingSubmissions.splice(index, 1);
+
+        this._transaction('pendingSubmissions', 'readwrite', transaction => {
+            transaction.objectStore('pendingSubmissions').delete(id);
+        }).catch(this._reportWriteError('removing pending submission'));
+
+        return true;
+    }
+
+    /* ------------------------------------------------------------------ */
+    /* Import / export                                                    */
+    /* ------------------------------------------------------------------ */
+
+    /**
+     * Export the whole database
+     * Academics are keyed by slug, matching data/academics.json
+     * @returns {Object} - Serializable database snapshot
+     */
+    exportData() {
+        const academics = {};
+        this.academics.forEach(academic => {
+            academics[academic.slug || academic.id] = academic;
+        });
+
+        return {
+            schemaVersion: typeof schemaMigrations !== 'undefined' ? schemaMigrations.currentVersion : 1,
+            exportedAt: new Date().toISOString(),
+            academics,
+            taxonomy: taxonomyRegistry.exportTerms(),
+            favorites: this.getFavorites(),
+            noveltyTiles: [...this.noveltyTiles],
+            pendingSubmissions: this.getPendingSubmissions()
+        };
+    }
+
+    /**
+     * Import academics (and optionally taxonomy terms/favorites/tiles/submissions) into the database
+     * Accepts either an export snapshot or a plain map of slug (or name) to academic.
+     * @param {Object} data - Data to import
+     * @returns {Promise<{imported: number, rejected: Array<{name: string, errors: Array}>}>} - Outcome
+     */
+    async importData(data) {
+        if (!data || typeof data !== 'object') {
+            throw new Error('Invalid import data');
+        }
+
+        // Bring older exports up to the current schema
+        if (typeof schemaMigrations !== 'undefined') {
+            data = schemaMigrations.migrateDataset(data);
+        }
+
+        const source = data.academics && typeof data.academics === 'object' ? data.academics : data;
+        const academics = (Array.isArray(source) ? source : Object.values(source))
+            .filter(academic => academic && typeof academic === 'object' && academic.name);
+
+        if (Array.isArray(data.taxonomy)) {
+            await taxonomyRegistry.importTerms(data.taxonomy);
+        }
+
+        const { saved, rejected } = await this.saveAcademics(academics, { revision: { source: 'import' } });
+
+        if (Array.isArray(data.favorites)) {
+            // Older exports list favorites by name
+            data.favorites.forEach(favorite => {
+                const id = this.getAcademic(favorite)?.id;
+                if (id && !this.favorites.includes(id)) this.favorites.push(id);
+            });
+            await this.setSetting('favorites', this.favorites);
+        }
+
+        // Skip tiles and submissions that are already present (re-importing an export)
+        if (Array.isArray(data.noveltyTiles)) {
+            data.noveltyTiles
+                .filter(tile => !this.noveltyTiles.some(existing => existing.id === tile.id))
+                .forEach(tile => this.addNoveltyTile(tile));
+            this.noveltyTiles.sort((a, b) => new Date(b.date) - new Date(a.date));
+        }
+
+        if (Array.isArray(data.pendingSubmissions)) {
+            data.pendingSubmissions
+                .filter(submission => !this.pendingSubmissions.some(existing => existing.id === submission.id))
+                .forEach(submission => this.addPendingSubmission(submission));
+        }
+
+        return { imported: saved, rejected };
+    }
+
+    /**
+     * Remove all data from the database
+     * @returns {Promise<void>}
+     */
+    async clearDatabase() {
+        this.academics.clear();
+        this._rebuildIndexes();
+        this.favorites = [];
+        this.noveltyTiles = [];
+        this.pendingSubmissions = [];
+
+        this.memoryRevisions = [];
+
+        await this._transaction(
+            ['academics', 'noveltyTiles', 'pendingSubmissions', 'revisions', 'settings'],
+            'readwrite',
+            transaction => {
+                ['academics', 'noveltyTiles', 'pendingSubmissions', 'revisions'].forEach(storeName => {
+                    transaction.objectStore(storeName).clear();
+                });
+                transaction.objectStore('settings').delete('favorites');
+                transaction.objectStore('settings').delete('seed');
+            }
+        );
+    }
+}
+
+// Initialize the database manager
+const databaseManager = new DatabaseManager();
+
+// Make it available globally
+window.databaseManager = databaseManager;
@@ -245,10 +245,21 @@ class DeepSearchAPI {
                         const academicA = matches[i].academic;
                         const academicB = matches[j].academic;
                         
-                        // Check for direct connection
-                        const isDirectlyConnected = 
-                            academicA.connections?.includes(academicB.name) || 
-                            academicB.connections?.includes(academicA.name);
+                        // Check for direct, typed connections stored on either academic
+                        const relationships = this._findRelationships(academicA, academicB);
+                        if (relationships.length === 0) {
+                            relationships.push(...this._findRelationships(academicB, academicA));
+                        }
+                        const isDirectlyConnected = relationships.length > 0;
+                        
+                        // Otherwise walk the graph for the shortest chain between them
+                        const [chain] = isDirectlyConnected || typeof pathFinder === 'undefined'
+                            ? []
+                            : pathFinder.findPaths(academicA, academicB, { limit: 1 });
+                        const path = chain ? {
+                            names: chain.academics.map(academic => academic.name),
+                            steps: chain.steps.map(step => step.reasons.map(reason => reason.text).join('; '))
+                        } : null;
                         
                         // Generate a synthetic connection based on shared taxonomies
                         const sharedTaxonomies = [];
@@ -270,13 +281,17 @@ class DeepSearchAPI {
                             }
                         }
                         
-                        if (isDirectlyConnected || sharedTaxonomies.length > 0) {
+                        if (isDirectlyConnected || path || sharedTaxonomies.length > 0) {
                             connections.push({
                                 academicA: academicA.name,
                                 academicB: academicB.name,
                                 isDirectlyConnected,
+                                relationships,
+                                path,
                                 sharedTaxonomies,
-                                strength: (isDirectlyConnected ? 5 : 0) + sharedTaxonomies.length * 2
+                                strength: (isDirectlyConnected ? 5 : 0) +
+                                    (path ? Math.max(1, 5 - path.steps.length) : 0) +
+                                    sharedTaxonomies.length * 2
                             });
                         }
                     }
@@ -359,6 +374,9 @@ The most relevant academic is ${matches[0]?.academic.name || 'none'}.`
                 results = await this.demoSearch(query);
             }
             
+            // Identify this query so saved facts can cite it
+            results.queryId = results.queryId || `ds-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+            
             // Cache the results
             this.searchCache[cacheKey] = results;
             
@@ -436,8 +454,33 @@ The most relevant academic is ${matches[0]?.academic.name || 'none'}.`
         };
     }
     
+    /**
+     * Typed connections stored on one academic that point at another
+     * @private
+     * @param {Object} from - Academic holding the connections
+     * @param {Object} to - Connected academic
+     * @returns {Array<Object>} - Relationships with a readable label, e.g. "Teacher of"
+     */
+    _findRelationships(from, to) {
+        return (from.connections || [])
+            .filter(connection => databaseManager.getConnectedAcademic(connection)?.id === to.id)
+            .map(connection => ({
+                academic: from.name,
+                other: to.name,
+                label: connectionTypes.getLabel(connection),
+                target: to.id,
+                type: connection.type,
+                direction: connection.direction,
+                startYear: connection.startYear ?? null,
+                endYear: connection.endYear ?? null,
+                description: connection.description || null
+            }));
+    }
+    
     /**
      * Process academic search results to database format
+     * Starts from the stored record when the top match is already in the database, so saving
+     * only adds what the search found. Added connections and taxonomy values cite the query.
      * @param {Object} results - Deep search results
      * @returns {Object} - Formatted academic data
      */
@@ -448,45 +491,69 @@ The most relevant academic is ${matches[0]?.academic.name || 'none'}.`
         
         // Get the top match
         const topMatch = results.matches[0];
+        const source = provenance.createSource('deepsearch', results.queryId, results.query);
         
         // Find all connections for this academic
         const connections = results.connections.filter(conn => 
             conn.academicA === topMatch.name || conn.academicB === topMatch.name
         );
         
-        // Extract connection names
-        const connectionNames = connections.map(conn => 
-            conn.academicA === topMatch.name ? conn.academicB : conn.academicA
-        );
+        // Keep the typed connection stored on the top match; other pairs only share taxonomies
+        const typedConnections = connections.map(conn => {
+            const name = conn.academicA === topMatch.name ? conn.academicB : conn.academicA;
+            const stored = (conn.relationships || []).find(relationship => relationship.academic === topMatch.name);
+            
+            if (stored) {
+                const { target, type, direction, startYear, endYear, description } = stored;
+                return { target, name, type, direction, startYear, endYear, description };
+            }
+            
+            const shared = (conn.sharedTaxonomies || []).map(taxonomy => taxonomy.values.join(', ')).join('; ');
+            return {
+                target: databaseManager.getAcademic(name)?.id || null,
+                name,
+                type: connectionTypes.defaultType,
+                direction: 'mutual',
+                description: shared ? `Shares ${shared}` : null
+            };
+        });
+        
+        const existing = typeof databaseManager !== 'undefined' ? databaseManager.getAcademic(topMatch.name) : null;
+        const academic = existing
+            ? JSON.parse(JSON.stringify(existing))
+            : { name: topMatch.name, bio: null, taxonomies: {}, connections: [], papers: [], events: [] };
         
-        // Find taxonomy information
-        const taxonomies = {};
+        academic.taxonomies = academic.taxonomies || {};
+        academic.taxonomySources = academic.taxonomySources || {};
+        academic.connections = academic.connections || [];
         
+        // Merge taxonomy values, citing the query for values it found
         connections.forEach(conn => {
-            if (conn.sharedTaxonomies) {
-                conn.sharedTaxonomies.forEach(taxonomy => {
-                    if (!taxonomies[taxonomy.category]) {
-                        taxonomies[taxonomy.category] = [];
+            (conn.sharedTaxonomies || []).forEach(taxonomy => {
+                const values = academic.taxonomies[taxonomy.category] = academic.taxonomies[taxonomy.category] || [];
+                const valueSources = academic.taxonomySources[taxonomy.category] =
+                    academic.taxonomySources[taxonomy.category] || {};
+                
+                taxonomy.values.forEach(value => {
+                    if (!values.includes(value)) {
+                        values.push(value);
                     }
-                    
-                    taxonomy.values.forEach(value => {
-                        if (!taxonomies[taxonomy.category].includes(value)) {
-                            taxonomies[taxonomy.category].push(value);
-                        }
-                    });
+                    valueSources[value] = provenance.mergeSources(valueSources[value], [source]);
                 });
-            }
+            });
         });
         
-        // Create formatted academic data
-        const academic = {
-            name: topMatch.name,
-            bio: `This academic was found through a DeepSearch query: "${results.query}"`,
-            taxonomies,
-            connections: connectionNames,
-            papers: [],
-            events: []
-        };
+        // Merge connections: known ones gain the query as a source, new ones are added
+        typedConnections.forEach(connection => {
+            const key = connectionTypes.getKey(connection);
+            const current = academic.connections.find(other => connectionTypes.getKey(other) === key);
+            
+            if (current) {
+                current.sources = provenance.mergeSources(current.sources, [source]);
+            } else {
+                academic.connections.push({ ...connection, sources: [source] });
+            }
+        });
         
         return academic;
     }
@@ -709,6 +776,32 @@ document.addEventListener('DOMContentLoaded', () => {
                             }
                             
                             connectionItem.innerHTML = connectionText;
+                            
+                            // Typed relationships, e.g. "Martin Heidegger — Teacher of Hannah Arendt (1924–1925)"
+                            (connection.relationships || []).forEach(relationship => {
+                                const relationshipElement = document.createElement('div');
+                                relationshipElement.className = 'connection-relationship';
+                                
+                                const years = connectionTypes.formatYears(relationship);
+                                relationshipElement.textContent =
+                                    `${relationship.academic} — ${relationship.label} ${relationship.other}` +
+                                    (years ? ` (${years})` : '') +
+                                    (relationship.description ? `: ${relationship.description}` : '');
+                                
+                                connectionItem.appendChild(relationshipElement);
+                            });
+                            
+                            // Chain through other academics, e.g. "A — student of → B — influenced → C"
+                            if (connection.path) {
+                                const pathElement = document.createElement('div');
+                                pathElement.className = 'connection-relationship';
+                                pathElement.textContent = 'Via: ' + connection.path.names
+                                    .map((name, index) => (connection.path.steps[index] ? `${name} — ${connection.path.steps[index]} → ` : name))
+                                    .join('');
+                                
+                                connectionItem.appendChild(pathElement);
+                            }
+                            
                             connectionsList.appendChild(connectionItem);
                         });
                         
@@ -772,7 +865,30 @@ document.addEventListener('DOMContentLoaded', () => {
                             
                             saveButton.addEventListener('click', () => {
                                 if (typeof databaseManager !== 'undefined') {
-                                    const success = databaseManager.addOrUpdateAcademic(academicData);
+                                    // Report schema problems field by field instead of a bare failure
+                                    const validation = databaseManager.validateAcademic(academicData);
+                                    if (!validation.valid) {
+                                        const errorMessage = document.createElement('div');
+                                        errorMessage.className = 'error-message';
+                                        errorMessage.textContent = `Cannot save "${academicData.name}":`;
+                                        
+                                        const errorList = document.createElement('ul');
+                                        errorList.className = 'validation-error-list';
+                                        validation.errors.forEach(error => {
+                                            const errorItem = document.createElement('li');
+                                            errorItem.textContent = `${error.field}: ${error.message}`;
+                                            errorList.appendChild(errorItem);
+                                        });
+                                        errorMessage.appendChild(errorList);
+                                        
+                                        deepSearchResults.appendChild(errorMessage);
+                                        return;
+                                    }
+                                    
+                                    const success = databaseManager.addOrUpdateAcademic(academicData, {
+                                        source: 'deepsearch',
+                                        summary: `Deep Search query "${results.query}" (${results.queryId})`
+                                    });
                                     
                                     if (success) {
                                         const successMessage = document.createElement('div');
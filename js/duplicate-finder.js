@@ -0,0 +1,322 @@
+/**
+ * Duplicate Finder for KillPhilosophy
+ * Scores pairs of academics that are likely to be the same person, using name similarity,
+ * shared papers, shared coauthors, taxonomy overlap and life dates
+ */
+
+class DuplicateFinder {
+    constructor() {
+        // Relative weight of each signal. Signals missing on either side are left out
+        // of the average instead of counting as a mismatch.
+        this.weights = {
+            name: 0.55,
+            papers: 0.2,
+            coauthors: 0.1,
+            taxonomies: 0.1,
+            lifeDates: 0.05
+        };
+
+        // Pairs scoring below this are not reported
+        this.defaultThreshold = 0.6;
+    }
+
+    /**
+     * Find likely duplicate pairs in the database
+     * @param {Object} options - `threshold` (0-1) and `limit` (maximum number of pairs)
+     * @returns {Array<{a: Object, b: Object, score: number, reasons: Array<string>}>} - Pairs, best first
+     */
+    findDuplicates({ threshold = this.defaultThreshold, limit = 100 } = {}) {
+        if (typeof databaseManager === 'undefined') return [];
+
+        const academics = databaseManager.getAllAcademics();
+        const pairs = [];
+
+        this._candidatePairs(academics).forEach(([a, b]) => {
+            const { score, reasons } = this.scorePair(a, b);
+            if (score >= threshold) {
+                pairs.push({ a, b, score, reasons });
+            }
+        });
+
+        return pairs
+            .sort((x, y) => y.score - x.score || academicIdentity.compareNames(x.a.name, y.a.name))
+            .slice(0, limit);
+    }
+
+    /**
+     * Score how likely two academics are the same person
+     * @param {Object} a - Academic
+     * @param {Object} b - Academic
+     * @returns {{score: number, reasons: Array<string>}} - Score between 0 and 1 and a human-readable breakdown
+     */
+    scorePair(a, b) {
+        const signals = {};
+        const reasons = [];
+
+        signals.name = this._nameSimilarity(a, b);
+        reasons.push(`Name similarity ${Math.round(signals.name * 100)}%`);
+
+        const paperOverlap = this._overlap(this._paperKeys(a), this._paperKeys(b));
+        if (paperOverlap) {
+            signals.papers = paperOverlap.score;
+            if (paperOverlap.shared > 0) reasons.push(`${paperOverlap.shared} shared paper(s)`);
+        }
+
+        const coauthorOverlap = this._overlap(this._coauthorKeys(a), this._coauthorKeys(b));
+        if (coauthorOverlap) {
+            signals.coauthors = coauthorOverlap.score;
+            if (coauthorOverlap.shared > 0) reasons.push(`${coauthorOverlap.shared} shared coauthor(s)`);
+        }
+
+        const taxonomyOverlap = this._overlap(this._taxonomyKeys(a), this._taxonomyKeys(b));
+        if (taxonomyOverlap) {
+            signals.taxonomies = taxonomyOverlap.score;
+            if (taxonomyOverlap.shared > 0) reasons.push(`${taxonomyOverlap.shared} shared taxonomy value(s)`);
+        }
+
+        const lifeDates = this._lifeDateAgreement(a, b);
+        if (lifeDates !== null) {
+            signals.lifeDates = lifeDates;
+            reasons.push(lifeDates === 1 ? 'Same life dates' : 'Different life dates');
+        }
+
+        let total = 0;
+        let weight = 0;
+        for (const [signal, value] of Object.entries(signals)) {
+            total += value * this.weights[signal];
+            weight += this.weights[signal];
+        }
+
+        let score = weight > 0 ? total / weight : 0;
+
+        // Conflicting birth or death years are strong evidence of two different people
+        if (lifeDates === 0) {
+            score *= 0.5;
+        }
+
+        return { score: Math.round(score * 100) / 100, reasons };
+    }
+
+    /**
+     * Pairs worth scoring: academics sharing a name token or a paper title.
+     * Avoids comparing every academic with every other one.
+     * @private
+     * @param {Array<Object>} academics - Academics
+     * @returns {Array<Array<Object>>} - Candidate pairs
+     */
+    _candidatePairs(academics) {
+        const blocks = new Map();
+        const addToBlock = (key, index) => {
+            if (!blocks.has(key)) blocks.set(key, new Set());
+            blocks.get(key).add(index);
+        };
+
+        academics.forEach((academic, index) => {
+            databaseManager.getAcademicNames(academic).forEach(name => {
+                academicIdentity.foldName(academicIdentity.uninvertName(name))
+                    .split(' ')
+                    .filter(token => token.length >= 3 && !academicIdentity.surnameParticles.includes(token))
+                    .forEach(token => addToBlock(`name:${token}`, index));
+            });
+            this._paperKeys(academic).forEach(key => addToBlock(`paper:${key}`, index));
+        });
+
+        const seen = new Set();
+        const pairs = [];
+
+        blocks.forEach(indexes => {
+            const members = Array.from(indexes);
+            for (let i = 0; i < members.length; i++) {
+                for (let j = i + 1; j < members.length; j++) {
+                    const key = members[i] < members[j] ? `${members[i]}|${members[j]}` : `${members[j]}|${members[i]}`;
+                    if (seen.has(key)) continue;
+                    seen.add(key);
+                    pairs.push([academics[members[i]], academics[members[j]]]);
+                }
+            }
+        });
+
+        return pairs;
+    }
+
+    /**
+     * Best similarity between any name or alias of one academic and any of the other
+     * @private
+     * @param {Object} a - Academic
+     * @param {Object} b - Academic
+     * @returns {number} - Similarity between 0 and 1
+     */
+    _nameSimilarity(a, b) {
+        let best = 0;
+
+        databaseManager.getAcademicNames(a).forEach(nameA => {
+            databaseManager.getAcademicNames(b).forEach(nameB => {
+                const foldedA = academicIdentity.foldName(academicIdentity.uninvertName(nameA));
+                const foldedB = academicIdentity.foldName(academicIdentity.uninvertName(nameB));
+
+                let similarity = this._jaroWinkler(foldedA, foldedB);
+
+                // "M. Foucault" and "Michel Foucault" share initials and surname
+                if (this._isAbbreviationOf(foldedA, foldedB) || this._isAbbreviationOf(foldedB, foldedA)) {
+                    similarity = Math.max(similarity, 0.9);
+                }
+
+                best = Math.max(best, similarity);
+            });
+        });
+
+        return best;
+    }
+
+    /**
+     * Check whether a folded name is an initialled form of another ("t w adorno" / "theodor w adorno")
+     * @private
+     * @param {string} short - Folded candidate abbreviation
+     * @param {string} full - Folded full name
+     * @returns {boolean} - True if `short` abbreviates `full`
+     */
+    _isAbbreviationOf(short, full) {
+        const shortTokens = short.split(' ');
+        const fullTokens = full.split(' ');
+
+        if (shortTokens.length !== fullTokens.length || short === full) return false;
+        if (shortTokens[shortTokens.length - 1] !== fullTokens[fullTokens.length - 1]) return false;
+
+        return shortTokens.slice(0, -1).every((token, index) =>
+            token === fullTokens[index] || (token.length === 1 && fullTokens[index].startsWith(token))
+        );
+    }
+
+    /**
+     * Jaro-Winkler string similarity
+     * @private
+     * @param {string} s1 - First string
+     * @param {string} s2 - Second string
+     * @returns {number} - Similarity between 0 and 1
+     */
+    _jaroWinkler(s1, s2) {
+        if (s1 === s2) return 1;
+        if (!s1 || !s2) return 0;
+
+        const matchWindow = Math.max(0, Math.floor(Math.max(s1.length, s2.length) / 2) - 1);
+        const matched1 = new Array(s1.length).fill(false);
+        const matched2 = new Array(s2.length).fill(false);
+
+        let matches = 0;
+        for (let i = 0; i < s1.length; i++) {
+            const start = Math.max(0, i - matchWindow);
+            const end = Math.min(s2.length, i + matchWindow + 1);
+            for (let j = start; j < end; j++) {
+                if (matched2[j] || s1[i] !== s2[j]) continue;
+                matched1[i] = true;
+                matched2[j] = true;
+                matches++;
+                break;
+            }
+        }
+
+        if (matches === 0) return 0;
+
+        let transpositions = 0;
+        let k = 0;
+        for (let i = 0; i < s1.length; i++) {
+            if (!matched1[i]) continue;
+            while (!matched2[k]) k++;
+            if (s1[i] !== s2[k]) transpositions++;
+            k++;
+        }
+
+        const jaro = (matches / s1.length + matches / s2.length +
+            (matches - transpositions / 2) / matches) / 3;
+
+        let prefix = 0;
+        while (prefix < 4 && s1[prefix] === s2[prefix]) prefix++;
+
+        return jaro + prefix * 0.1 * (1 - jaro);
+    }
+
+    /**
+     * Jaccard overlap of two key sets
+     * @private
+     * @param {Set<string>} keysA - Keys
+     * @param {Set<string>} keysB - Keys
+     * @returns {{score: number, shared: number}|null} - Overlap, or null if either side is empty
+     */
+    _overlap(keysA, keysB) {
+        if (keysA.size === 0 || keysB.size === 0) return null;
+
+        let shared = 0;
+        keysA.forEach(key => {
+            if (keysB.has(key)) shared++;
+        });
+
+        return { score: shared / (keysA.size + keysB.size - shared), shared };
+    }
+
+    /**
+     * @private
+     * @param {Object} academic - Academic
+     * @returns {Set<string>} - Folded paper titles
+     */
+    _paperKeys(academic) {
+        return new Set((academic.papers || [])
+            .map(paper => academicIdentity.foldName(paper.title))
+            .filter(Boolean));
+    }
+
+    /**
+     * @private
+     * @param {Object} academic - Academic
+     * @returns {Set<string>} - Folded coauthor names
+     */
+    _coauthorKeys(academic) {
+        const keys = new Set();
+        (academic.papers || []).forEach(paper => {
+            (paper.coauthors || []).forEach(coauthor => {
+                const key = academicIdentity.foldName(academicIdentity.uninvertName(coauthor));
+                if (key) keys.add(key);
+            });
+        });
+        return keys;
+    }
+
+    /**
+     * @private
+     * @param {Object} academic - Academic
+     * @returns {Set<string>} - "category:value" keys
+     */
+    _taxonomyKeys(academic) {
+        const keys = new Set();
+        for (const [category, values] of Object.entries(academic.taxonomies || {})) {
+            (values || []).forEach(value => keys.add(`${category}:${String(value).toLowerCase()}`));
+        }
+        return keys;
+    }
+
+    /**
+     * Compare life dates known on both sides (a one-year difference is tolerated, and
+     * approximate dates agree with anything in their range)
+     * @private
+     * @param {Object} a - Academic
+     * @param {Object} b - Academic
+     * @returns {number|null} - 1 if they agree, 0 if they conflict, null if not comparable
+     */
+    _lifeDateAgreement(a, b) {
+        let compared = false;
+
+        for (const field of ['birthYear', 'deathYear']) {
+            const overlaps = historicalDates.overlaps(a[field], b[field], 1);
+            if (overlaps === null) continue;
+            compared = true;
+            if (!overlaps) return 0;
+        }
+
+        return compared ? 1 : null;
+    }
+}
+
+// Initialize the duplicate finder
+const duplicateFinder = new DuplicateFinder();
+
+// Make it available globally
+window.duplicateFinder = duplicateFinder;
@@ -0,0 +1,634 @@
+/**
+ * Genealogy Tree for KillPhilosophy
+ * Intellectual lineage of an academic (D3 v5), shown in #genealogy-container when the ⇅
+ * button on a profile is pressed
+ *
+ * Teachers and influences branch upward from the academic, students and those they
+ * influenced downward, following "taught" and "influenced" connections stored on either
+ * side. Branches can be collapsed and expanded; clicking a name roots the tree there. The
+ * lineage is a graph rather than a tree, so an academic reached a second time is shown as a
+ * leaf: ↺ when the line leads back to someone further up the same branch (a cycle), ↗ when
+ * they already appear on another branch. The tree can be exported as an SVG picture or as
+ * an indented text outline.
+ */
+
+class GenealogyTree {
+    constructor() {
+        // Connection types that hand ideas down a lineage
+        this.lineageTypes = ['taught', 'influenced'];
+        this.typeOptions = { all: 'Teachers and influences', taught: 'Teachers only', influenced: 'Influences only' };
+        this.typeFilter = 'all';
+
+        // Generations open at first; deeper ones start collapsed
+        this.initialDepth = 2;
+
+        // Lineages are followed this far, and no further than this many academics per side
+        this.maxDepth = 12;
+        this.maxNodes = 400;
+
+        this.nodeSize = { width: 150, height: 90 };
+        this.radius = 7;
+
+        this.container = null;
+        this.rootId = null;
+        this.trees = null;
+        this.svg = null;
+        this.layer = null;
+        this.zoom = null;
+        this.available = false;
+
+        this.index = null;
+        this.indexKey = null;
+    }
+
+    /**
+     * Check that D3 is loaded and find the container
+     * @returns {boolean} - True if trees can be drawn
+     */
+    initialize() {
+        this.available = typeof d3 !== 'undefined';
+        this.container = document.getElementById('genealogy-container');
+        return this.available;
+    }
+
+    /**
+     * Direct teachers and influences of an academic, or their students and those they influenced
+     * @param {string} id - Academic ID
+     * @param {string} side - 'ancestors' or 'descendants'
+     * @returns {Array<Object>} - `{ id, name, academic, types, titles }`, by name; `academic`
+     *          is null for people not in the database, whose ID starts with "external:"
+     */
+    getLineage(id, side) {
+        const entries = this._getIndex().get(id);
+        if (!entries) return [];
+
+        return Array.from(entries[side].values())
+            .filter(entry => this.typeFilter === 'all' || entry.types.includes(this.typeFilter))
+            .sort((a, b) => academicIdentity.compareNames(a.name, b.name));
+    }
+
+    /**
+     * Follow one side of an academic's lineage
+     * Breadth-first, so an academic reached along several lines is expanded where they are
+     * nearest the root and shown as a leaf elsewhere.
+     * @param {Object} academic - Academic at the root
+     * @param {string} side - 'ancestors' or 'descendants'
+     * @returns {{root: Object, truncated: boolean}} - Tree of `{ id, name, academic, types,
+     *          titles, children, cycle, repeated }`
+     */
+    buildTree(academic, side) {
+        const root = { id: academic.id, name: academic.name, academic, types: [], titles: [], children: [] };
+        const seen = new Set([academic.id]);
+        const queue = [{ node: root, branch: new Set([academic.id]), depth: 0 }];
+        let truncated = false;
+
+        while (queue.length > 0) {
+            const { node, branch, depth } = queue.shift();
+            if (depth >= this.maxDepth) {
+                truncated = truncated || this.getLineage(node.id, side).length > 0;
+                continue;
+            }
+
+            this.getLineage(node.id, side).forEach(entry => {
+                const child = { ...entry, children: [] };
+
+                if (branch.has(entry.id)) {
+                    child.cycle = true;
+                } else if (seen.has(entry.id)) {
+                    child.repeated = true;
+                } else if (seen.size >= this.maxNodes) {
+                    truncated = true;
+                    return;
+                } else {
+                    seen.add(entry.id);
+                    if (entry.academic) {
+                        queue.push({ node: child, branch: new Set(branch).add(entry.id), depth: depth + 1 });
+                    }
+                }
+
+                node.children.push(child);
+            });
+        }
+
+        return { root, truncated };
+    }
+
+    /**
+     * Show the genealogy of an academic
+     * @param {Object} academic - Academic at the root
+     */
+    show(academic) {
+        if (!this.container) this.initialize();
+        if (!this.container) return;
+
+        this.rootId = academic.id;
+        this.container.innerHTML = '';
+        this.container.style.display = 'block';
+
+        if (!this.available) {
+            const error = document.createElement('div');
+            error.className = 'error-message';
+            error.textContent = 'D3.js library not loaded - the genealogy tree is not available';
+            this.container.appendChild(error);
+            return;
+        }
+
+        const ancestors = this.buildTree(academic, 'ancestors');
+        const descendants = this.buildTree(academic, 'descendants');
+        this.trees = { academic, ancestors, descendants };
+
+        const count = tree => this._countNodes(tree.root) - 1;
+        this.container.setAttribute('data-description',
+            `Intellectual genealogy of ${academic.name}: ${count(ancestors)} teachers and influences above, ` +
+            `${count(descendants)} students and influenced academics below`);
+
+        this.container.appendChild(this._createToolbar(academic));
+
+        if (ancestors.root.children.length === 0 && descendants.root.children.length === 0) {
+            const message = document.createElement('div');
+            message.className = 'info-message network-empty';
+            message.textContent = `No teachers, students or influences are recorded for ${academic.name} yet`;
+            this.container.appendChild(message);
+        } else {
+            this._render();
+        }
+
+        this.container.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+
+    /**
+     * Hide the tree
+     */
+    close() {
+        this.rootId = null;
+        this.trees = null;
+        this.svg = null;
+
+        if (this.container) {
+            this.container.innerHTML = '';
+            this.container.style.display = 'none';
+        }
+    }
+
+    /**
+     * Download the tree as drawn, with its styles inlined so it stands on its own
+     */
+    exportSvg() {
+        if (!this.svg) return;
+
+        const source = this.svg.node();
+        const copy = source.cloneNode(true);
+        const bounds = this.layer.node().getBBox();
+        const margin = 20;
+
+        copy.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+        copy.setAttribute('viewBox', [bounds.x - margin, bounds.y - margin, bounds.width + 2 * margin, bounds.height + 2 * margin].join(' '));
+        copy.setAttribute('width', bounds.width + 2 * margin);
+        copy.setAttribute('height', bounds.height + 2 * margin);
+        copy.querySelector('g').removeAttribute('transform');
+
+        const properties = ['fill', 'stroke', 'stroke-width', 'stroke-dasharray', 'stroke-opacity', 'opacity',
+            'font-family', 'font-size', 'font-weight', 'paint-order', 'text-anchor'];
+        const originals = source.querySelectorAll('*');
+        copy.querySelectorAll('*').forEach((element, index) => {
+            const style = window.getComputedStyle(originals[index]);
+            element.setAttribute('style', properties.map(property => `${property}:${style.getPropertyValue(property)}`).join(';'));
+            element.removeAttribute('tabindex');
+        });
+
+        const background = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+        background.setAttribute('x', bounds.x - margin);
+        background.setAttribute('y', bounds.y - margin);
+        background.setAttribute('width', bounds.width + 2 * margin);
+        background.setAttribute('height', bounds.height + 2 * margin);
+        background.setAttribute('fill', '#000');
+        copy.insertBefore(background, copy.firstChild);
+
+        this._download(new XMLSerializer().serializeToString(copy), 'image/svg+xml', 'svg');
+    }
+
+    /**
+     * Download the whole lineage, collapsed branches included, as an indented outline
+     */
+    exportOutline() {
+        if (!this.trees) return;
+        this._download(this.toOutline(), 'text/plain', 'txt');
+    }
+
+    /**
+     * The lineage as an indented outline
+     * @returns {string} - Text
+     */
+    toOutline() {
+        const { academic, ancestors, descendants } = this.trees;
+        const lines = [`Intellectual genealogy of ${academic.name}`];
+
+        const write = (node, depth) => {
+            node.children.forEach(child => {
+                const marks = [
+                    child.types.join(', '),
+                    child.cycle ? 'cycle' : '',
+                    child.repeated ? 'shown elsewhere' : '',
+                    child.academic ? '' : 'not in the database'
+                ].filter(Boolean);
+                lines.push(`${'  '.repeat(depth)}- ${this._formatName(child)} (${marks.join('; ')})`);
+                write(child, depth + 1);
+            });
+        };
+
+        lines.push('', 'Teachers and influences (upward):');
+        write(ancestors.root, 1);
+        lines.push('', 'Students and influenced (downward):');
+        write(descendants.root, 1);
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Title, filter, export, profile and close buttons
+     * @private
+     * @param {Object} academic - Academic at the root
+     * @returns {HTMLElement} - Toolbar
+     */
+    _createToolbar(academic) {
+        const toolbar = document.createElement('div');
+        toolbar.className = 'visualization-toolbar';
+
+        const title = document.createElement('h3');
+        title.className = 'visualization-title';
+        title.textContent = `Genealogy of ${academic.name}`;
+        toolbar.appendChild(title);
+
+        const filterLabel = document.createElement('label');
+        filterLabel.className = 'network-option';
+        filterLabel.textContent = 'Follow ';
+        const filter = document.createElement('select');
+        Object.entries(this.typeOptions).forEach(([value, text]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = text;
+            filter.appendChild(option);
+        });
+        filter.value = this.typeFilter;
+        filter.addEventListener('change', () => {
+            this.typeFilter = filter.value;
+            this.show(academic);
+        });
+        filterLabel.appendChild(filter);
+        toolbar.appendChild(filterLabel);
+
+        const addButton = (text, handler) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'admin-btn';
+            button.textContent = text;
+            button.addEventListener('click', handler);
+            toolbar.appendChild(button);
+        };
+        addButton('Export SVG', () => this.exportSvg());
+        addButton('Export outline', () => this.exportOutline());
+        addButton('Open profile', () => {
+            displayAcademic(academic);
+            const profile = document.querySelector('#results-container .academic-profile');
+            if (profile) profile.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        });
+
+        if (this.trees.ancestors.truncated || this.trees.descendants.truncated) {
+            const note = document.createElement('span');
+            note.className = 'network-note';
+            note.textContent = `Lineages cut off after ${this.maxNodes} academics or ${this.maxDepth} generations`;
+            toolbar.appendChild(note);
+        }
+
+        const closeButton = document.createElement('button');
+        closeButton.type = 'button';
+        closeButton.className = 'close-visualization-btn';
+        closeButton.textContent = '×';
+        closeButton.title = 'Close genealogy';
+        closeButton.setAttribute('aria-label', 'Close genealogy');
+        closeButton.addEventListener('click', () => this.close());
+        toolbar.appendChild(closeButton);
+
+        return toolbar;
+    }
+
+    /**
+     * @private
+     * @returns {HTMLElement} - Legend of link types and leaf markers
+     */
+    _createLegend() {
+        const legend = document.createElement('div');
+        legend.className = 'network-legend';
+
+        [['taught', 'Taught'], ['influenced', 'Influenced']].forEach(([type, label]) => {
+            const entry = document.createElement('div');
+            entry.className = 'network-legend-entry';
+
+            const swatch = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+            swatch.setAttribute('class', 'network-legend-line');
+            swatch.setAttribute('width', '24');
+            swatch.setAttribute('height', '8');
+            const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+            line.setAttribute('class', `network-link link-${type}`);
+            line.setAttribute('x1', '0');
+            line.setAttribute('y1', '4');
+            line.setAttribute('x2', '24');
+            line.setAttribute('y2', '4');
+            swatch.appendChild(line);
+
+            entry.appendChild(swatch);
+            entry.appendChild(document.createTextNode(` ${label}`));
+            legend.appendChild(entry);
+        });
+
+        ['↺ leads back up the same line', '↗ shown on another branch', '+n collapsed academics'].forEach(text => {
+            const entry = document.createElement('div');
+            entry.className = 'network-legend-entry';
+            entry.textContent = text;
+            legend.appendChild(entry);
+        });
+
+        return legend;
+    }
+
+    /**
+     * Set up the drawing and draw both sides
+     * @private
+     */
+    _render() {
+        const width = this.container.clientWidth || 800;
+        const height = this.container.clientHeight || 500;
+
+        this.container.appendChild(this._createLegend());
+
+        this.svg = d3.select(this.container)
+            .append('svg')
+            .attr('class', 'network-svg genealogy-svg')
+            .attr('viewBox', `0 0 ${width} ${height}`)
+            .attr('role', 'img')
+            .attr('aria-label', this.container.getAttribute('data-description'));
+
+        this.layer = this.svg.append('g');
+        this.zoom = d3.zoom()
+            .scaleExtent([0.1, 3])
+            .on('zoom', () => this.layer.attr('transform', d3.event.transform));
+        this.svg.call(this.zoom).on('dblclick.zoom', null);
+
+        // Hierarchies keep collapsed children in `_children`
+        const hierarchy = tree => {
+            const root = d3.hierarchy(tree.root);
+            root.descendants().forEach(d => {
+                if (d.depth >= this.initialDepth && d.children) {
+                    d._children = d.children;
+                    d.children = null;
+                }
+            });
+            return root;
+        };
+        this.hierarchies = { ancestors: hierarchy(this.trees.ancestors), descendants: hierarchy(this.trees.descendants) };
+
+        this._update();
+
+        // Start with the root in the middle, zoomed out just enough to fit what is open
+        const bounds = this.layer.node().getBBox();
+        const scale = Math.min(1, (width - 40) / Math.max(bounds.width, 1), (height - 80) / Math.max(bounds.height, 1));
+        const centerY = bounds.y + bounds.height / 2;
+        this.svg.call(this.zoom.transform, d3.zoomIdentity
+            .translate(width / 2, height / 2 + 20)
+            .scale(Math.max(scale, 0.3))
+            .translate(0, -centerY));
+    }
+
+    /**
+     * Lay out and draw the open part of both sides, the root shared between them
+     * @private
+     */
+    _update() {
+        this.layer.selectAll('*').remove();
+        const layout = d3.tree().nodeSize([this.nodeSize.width, this.nodeSize.height]);
+
+        const links = this.layer.append('g').attr('class', 'genealogy-links');
+        const nodes = this.layer.append('g').attr('class', 'genealogy-nodes');
+
+        Object.entries(this.hierarchies).forEach(([side, root]) => {
+            layout(root);
+            const sign = side === 'ancestors' ? -1 : 1;
+            root.each(d => {
+                d.px = d.x;
+                d.py = sign * d.y;
+            });
+
+            links.selectAll(null)
+                .data(root.links())
+                .enter()
+                .append('path')
+                .attr('class', d => `network-link link-${d.target.data.types[0]}`)
+                .attr('d', d3.linkVertical().x(d => d.px).y(d => d.py))
+                .append('title')
+                .text(d => d.target.data.titles.join('\n'));
+
+            this._drawNodes(nodes, root.descendants().filter(d => side === 'ancestors' || d.depth > 0), side);
+        });
+    }
+
+    /**
+     * @private
+     * @param {Object} group - D3 selection to draw into
+     * @param {Array<Object>} data - Hierarchy nodes
+     * @param {string} side - 'ancestors' or 'descendants'
+     */
+    _drawNodes(group, data, side) {
+        const expandable = d => d.depth > 0 && Boolean(d.children || d._children);
+
+        const node = group.selectAll(null)
+            .data(data)
+            .enter()
+            .append('g')
+            .attr('class', d => [
+                'network-node',
+                'genealogy-node',
+                d.depth === 0 ? 'center' : '',
+                d.data.academic ? '' : 'external',
+                d.data.cycle ? 'cycle' : '',
+                d.data.repeated ? 'repeated' : '',
+                d._children ? 'collapsed' : ''
+            ].filter(Boolean).join(' '))
+            .attr('transform', d => `translate(${d.px},${d.py})`);
+
+        // The circle opens and closes a branch
+        node.append('circle')
+            .attr('r', d => (d.depth === 0 ? this.radius * 1.6 : this.radius))
+            .attr('tabindex', d => (expandable(d) ? 0 : null))
+            .attr('role', d => (expandable(d) ? 'button' : null))
+            .attr('aria-expanded', d => (expandable(d) ? String(Boolean(d.children)) : null))
+            .attr('aria-label', d => (expandable(d) ? `${d._children ? 'Expand' : 'Collapse'} ${d.data.name}` : null))
+            .on('click', d => this._toggle(d))
+            .on('keydown', d => this._onKey(d, () => this._toggle(d)));
+
+        // Names go on the far side from the root; clicking one roots the tree there
+        const above = side === 'ancestors';
+        node.append('text')
+            .attr('class', 'genealogy-name')
+            .attr('dy', d => (above && d.depth > 0 ? '-1.2em' : '2em'))
+            .attr('text-anchor', 'middle')
+            .attr('tabindex', d => (d.data.academic && d.depth > 0 ? 0 : null))
+            .attr('role', d => (d.data.academic && d.depth > 0 ? 'link' : null))
+            .attr('aria-label', d => (d.data.academic && d.depth > 0 ? `Show the genealogy of ${d.data.name}` : null))
+            .text(d => this._formatName(d.data) + (d._children ? ` +${this._countNodes(d.data) - 1}` : ''))
+            .on('click', d => this._reroot(d))
+            .on('keydown', d => this._onKey(d, () => this._reroot(d)));
+
+        node.append('title').text(d => {
+            if (d.data.cycle) return `${d.data.name} also appears further up this line`;
+            if (d.data.repeated) return `${d.data.name} is shown on another branch`;
+            if (!d.data.academic) return `${d.data.name} (not in the database)`;
+            const lifespan = historicalDates.formatSpan(d.data.academic.birthYear, d.data.academic.deathYear);
+            return d.data.name + (lifespan ? ` (${lifespan})` : '');
+        });
+    }
+
+    /**
+     * @private
+     * @param {Object} d - Hierarchy node
+     */
+    _toggle(d) {
+        if (d.depth === 0) return;
+
+        if (d.children) {
+            d._children = d.children;
+            d.children = null;
+        } else if (d._children) {
+            d.children = d._children;
+            d._children = null;
+        } else {
+            return;
+        }
+        this._update();
+    }
+
+    /**
+     * @private
+     * @param {Object} d - Hierarchy node
+     */
+    _reroot(d) {
+        if (d.data.academic && d.depth > 0) this.show(d.data.academic);
+    }
+
+    /**
+     * Enter or Space on a focusable part of a node
+     * @private
+     * @param {Object} d - Hierarchy node
+     * @param {Function} action - What to do
+     */
+    _onKey(d, action) {
+        if (d3.event.key === 'Enter' || d3.event.key === ' ') {
+            d3.event.preventDefault();
+            action();
+        }
+    }
+
+    /**
+     * @private
+     * @param {Object} node - Tree node
+     * @returns {string} - Name with the cycle or repeat marker
+     */
+    _formatName(node) {
+        if (node.cycle) return `↺ ${node.name}`;
+        if (node.repeated) return `↗ ${node.name}`;
+        return node.name;
+    }
+
+    /**
+     * @private
+     * @param {Object} node - Tree node
+     * @returns {number} - Nodes in the tree
+     */
+    _countNodes(node) {
+        return node.children.reduce((sum, child) => sum + this._countNodes(child), 1);
+    }
+
+    /**
+     * Lineage links of every academic, from the connections stored on either side, kept until
+     * the database changes
+     * @private
+     * @returns {Map<string, {ancestors: Map, descendants: Map}>} - Entries by academic ID
+     */
+    _getIndex() {
+        const key = connectionGraph.getKey();
+        if (this.index && this.indexKey === key) return this.index;
+
+        const index = new Map();
+        const entriesOf = id => {
+            if (!index.has(id)) index.set(id, { ancestors: new Map(), descendants: new Map() });
+            return index.get(id);
+        };
+        const add = (ownerId, side, person, connection, title) => {
+            const entries = entriesOf(ownerId)[side];
+            if (!entries.has(person.id)) entries.set(person.id, { ...person, types: [], titles: [] });
+
+            const entry = entries.get(person.id);
+            if (!entry.types.includes(connection.type)) entry.types.push(connection.type);
+            if (!entry.titles.includes(title)) entry.titles.push(title);
+        };
+
+        databaseManager.getAllAcademics().forEach(academic => {
+            (academic.connections || []).forEach(connection => {
+                if (!this.lineageTypes.includes(connection.type) || connection.direction === 'mutual') return;
+
+                const other = databaseManager.getConnectedAcademic(connection);
+                if (other && other.id === academic.id) return;
+
+                const self = { id: academic.id, name: academic.name, academic };
+                const person = other
+                    ? { id: other.id, name: other.name, academic: other }
+                    : { id: `external:${academicIdentity.foldName(connection.name)}`, name: connection.name, academic: null };
+
+                const [actor, acted] = connection.direction === 'outgoing' ? [self, person] : [person, self];
+                const years = connectionTypes.formatYears(connection);
+                const title = `${actor.name} ${connection.type} ${acted.name}${years ? ` (${years})` : ''}`;
+
+                if (actor.academic) add(actor.id, 'descendants', acted, connection, title);
+                if (acted.academic) add(acted.id, 'ancestors', actor, connection, title);
+            });
+        });
+
+        this.index = index;
+        this.indexKey = key;
+        return index;
+    }
+
+    /**
+     * @private
+     * @param {string} content - File contents
+     * @param {string} type - MIME type
+     * @param {string} extension - File extension
+     */
+    _download(content, type, extension) {
+        const blob = new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `genealogy-${this.trees.academic.slug || this.trees.academic.id}.${extension}`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+}
+
+// Initialize the genealogy tree
+const genealogyTree = new GenealogyTree();
+
+// Make it available globally
+window.genealogyTree = genealogyTree;
+
+/**
+ * Show the genealogy of an academic; used by the ⇅ button on profiles
+ * @param {Object} academic - Academic
+ */
+function showGenealogy(academic) {
+    genealogyTree.show(academic);
+}
+
+window.showGenealogy = showGenealogy;
@@ -436,33 +436,47 @@ class GitHubAPIManager {
                 throw new Error('Invalid academic data');
             }
             
-            const normalizedName = academic.name.toLowerCase().replace(/\s+/g, '-').replace(/[^\w-]/g, '');
+            // Entries in academics.json are keyed by slug
+            const slug = academic.slug || academicIdentity.slugify(academic.name);
             
             // Get current academics.json file
-            let academicsData = {};
+            let academicsData = { schemaVersion: schemaMigrations.currentVersion, academics: {} };
             let fileSha = '';
             
+            let fileData = null;
+            
             try {
-                const fileData = await this._makeRequest(`/repos/${this.repoOwner}/${this.repoName}/contents/data/academics.json`);
-                fileSha = fileData.sha;
-                
-                // Decode the content
-                const content = atob(fileData.content);
-                academicsData = JSON.parse(content);
+                fileData = await this._makeRequest(`/repos/${this.repoOwner}/${this.repoName}/contents/data/academics.json`);
             } catch (error) {
                 // File might not exist yet, create it
                 this._log('academics.json not found, will create new file', 'info');
             }
             
-            // Add or update the academic entry
-            academicsData[normalizedName] = academic;
+            if (fileData) {
+                fileSha = fileData.sha;
+                
+                // Decode the content
+                const content = decodeURIComponent(escape(atob(fileData.content)));
+                
+                // Upgrade older files so the whole dataset stays in one schema version.
+                // Throws for files in a newer schema rather than overwriting them.
+                academicsData = schemaMigrations.migrateDataset(JSON.parse(content));
+            }
+            
+            // Add or update the academic entry, dropping any copy stored under another key
+            for (const [key, existing] of Object.entries(academicsData.academics)) {
+                if (academic.id && existing.id === academic.id && key !== slug) {
+                    delete academicsData.academics[key];
+                }
+            }
+            academicsData.academics[slug] = academic;
             
             // Prepare the file content
             const content = JSON.stringify(academicsData, null, 2);
             const base64Content = btoa(unescape(encodeURIComponent(content)));
             
             // Create branch for the contribution
-            const branchName = `contribution/${normalizedName}-${Date.now()}`;
+            const branchName = `contribution/${slug}-${Date.now()}`;
             
             // Get the default branch to use as base
             const repoInfo = await this._makeRequest(`/repos/${this.repoOwner}/${this.repoName}`);
@@ -0,0 +1,11 @@
+/**
+ * Graph Analytics Worker for KillPhilosophy
+ * Runs the graph metrics (js/graph-metrics.js) off the main thread for js/graph-analytics.js:
+ * receives `{ neighbors, credits }` and posts back the results of graphMetrics.computeAll()
+ */
+
+importScripts('graph-metrics.js');
+
+self.onmessage = (event) => {
+    self.postMessage(graphMetrics.computeAll(event.data));
+};
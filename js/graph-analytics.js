@@ -0,0 +1,480 @@
+/**
+ * Graph Analytics for KillPhilosophy
+ * Centrality, bridges and communities of the connection graph, worked out in a Web Worker
+ * (js/graph-analytics-worker.js) and kept until the database changes, and the Network
+ * Analytics panel on the Map tab that lists them
+ *
+ * - Degree: number of connected academics
+ * - Betweenness: how often an academic lies on the shortest chains between two others
+ * - PageRank: follows links to the academics others draw on (teachers, influences, those
+ *   critiqued or translated), so academics drawn on by influential academics rank highest
+ * - Eigenvector: academics linked to well-linked academics score highest
+ * - Bridging: how evenly an academic's links spread over communities; cut points are
+ *   academics whose removal would split the network
+ * - Communities: Louvain modularity optimisation
+ */
+
+class GraphAnalytics {
+    constructor() {
+        this.workerUrl = 'js/graph-analytics-worker.js';
+
+        // Measures in table order; all but degree are scaled so the highest is 1
+        this.measures = {
+            degree: 'Degree',
+            betweenness: 'Betweenness',
+            pagerank: 'PageRank',
+            eigenvector: 'Eigenvector',
+            bridging: 'Bridging'
+        };
+
+        // Which side of a directed connection the other academic draws on
+        this.creditedSide = { taught: 'actor', influenced: 'actor', critiqued: 'target', translated: 'target' };
+
+        this.pageSize = 25;
+        this.maxCommunitiesListed = 10;
+
+        this.results = null;
+        this.resultsKey = null;
+        this.pending = null;
+        this.pendingKey = null;
+
+        // Panel state, kept across tab switches
+        this.state = { sort: 'betweenness', descending: true, page: 0, cutPointsOnly: false };
+        this.container = null;
+        this.onSelect = null;
+    }
+
+    /**
+     * Work out every measure for the current graph
+     * @returns {Promise<Object>} - Results: `byId` (ID -> `{ degree, betweenness, pagerank,
+     *          eigenvector, bridging, cutPoint, community }`), `communities` (`{ index, label,
+     *          members }`, largest first, members best-connected first), `modularity`,
+     *          `cutPoints` and `maxDegree`
+     */
+    compute() {
+        const key = connectionGraph.getKey();
+        if (this.results && this.resultsKey === key) return Promise.resolve(this.results);
+        if (this.pending && this.pendingKey === key) return this.pending;
+
+        const graph = connectionGraph.get();
+        const input = this._prepare(graph);
+
+        this.pendingKey = key;
+        this.pending = this._run(input).then(raw => {
+            const results = this._wrap(graph, raw);
+            if (this.pendingKey === key) {
+                this.results = results;
+                this.resultsKey = key;
+                this.pending = null;
+            }
+            return results;
+        }, error => {
+            if (this.pendingKey === key) this.pending = null;
+            throw error;
+        });
+
+        return this.pending;
+    }
+
+    /**
+     * Results for the current graph if they are ready
+     * @returns {Object|null} - Results (see compute()), or null
+     */
+    getResults() {
+        return this.results && this.resultsKey === connectionGraph.getKey() ? this.results : null;
+    }
+
+    /**
+     * A measure for one academic, from 0 to 1
+     * @param {string} id - Academic ID
+     * @param {string} measure - Key of `this.measures`
+     * @returns {number|null} - Score, or null if the results are not ready
+     */
+    getScore(id, measure) {
+        const results = this.getResults();
+        const scores = results && results.byId.get(id);
+        if (!scores) return null;
+
+        return measure === 'degree' ? scores.degree / Math.max(results.maxDegree, 1) : scores[measure];
+    }
+
+    /**
+     * Render the analytics panel
+     * @param {HTMLElement} container - Element to render into
+     * @param {Object} options - `onSelect(academic)` when an academic is chosen
+     */
+    render(container, { onSelect } = {}) {
+        this.container = container;
+        this.onSelect = onSelect;
+
+        const results = this.getResults();
+        if (results) {
+            this._draw(results);
+            return;
+        }
+
+        container.innerHTML = '<div class="info-message">Computing network measures...</div>';
+        this.compute().then(computed => {
+            if (this.container === container) this._draw(computed);
+        }, error => {
+            console.error('Graph analytics failed:', error);
+            if (this.container === container) {
+                container.innerHTML = '<div class="error-message">Network measures could not be computed</div>';
+            }
+        });
+    }
+
+    /**
+     * Index-based adjacency for the metrics: undirected links, and who draws on whom
+     * @private
+     * @param {Object} graph - Connection graph
+     * @returns {{neighbors: Array<Array<number>>, credits: Array<Array<number>>}} - Input
+     */
+    _prepare(graph) {
+        const indexOf = new Map(graph.nodes.map((node, index) => [node.id, index]));
+        const neighbors = graph.nodes.map(node => Array.from(graph.neighbors.get(node.id), id => indexOf.get(id)));
+        const credits = graph.nodes.map(() => new Set());
+
+        graph.nodes.forEach(node => {
+            (node.academic.connections || []).forEach(connection => {
+                const other = databaseManager.getConnectedAcademic(connection);
+                if (!other || !indexOf.has(other.id) || other.id === node.id) return;
+
+                const self = indexOf.get(node.id);
+                const target = indexOf.get(other.id);
+                const side = this.creditedSide[connection.type];
+
+                if (connection.direction === 'mutual' || !side) {
+                    credits[self].add(target);
+                    credits[target].add(self);
+                    return;
+                }
+
+                const [actor, acted] = connection.direction === 'outgoing' ? [self, target] : [target, self];
+                if (side === 'actor') {
+                    credits[acted].add(actor);
+                } else {
+                    credits[actor].add(acted);
+                }
+            });
+        });
+
+        return { neighbors, credits: credits.map(set => Array.from(set)) };
+    }
+
+    /**
+     * Run the metrics in a worker, or on the page where workers are unavailable (e.g. when
+     * index.html is opened from the file system)
+     * @private
+     * @param {Object} input - Adjacency
+     * @returns {Promise<Object>} - Raw results of graphMetrics.computeAll()
+     */
+    _run(input) {
+        const runHere = () => {
+            console.warn('Web Workers not available. Computing network measures on the page.');
+            return graphMetrics.computeAll(input);
+        };
+
+        if (typeof Worker === 'undefined') return Promise.resolve().then(runHere);
+
+        return new Promise((resolve, reject) => {
+            let worker;
+            try {
+                worker = new Worker(this.workerUrl);
+            } catch (error) {
+                resolve(runHere());
+                return;
+            }
+
+            worker.onmessage = (event) => {
+                worker.terminate();
+                resolve(event.data);
+            };
+            worker.onerror = (event) => {
+                event.preventDefault();
+                worker.terminate();
+                try {
+                    resolve(runHere());
+                } catch (error) {
+                    reject(error);
+                }
+            };
+            worker.postMessage(input);
+        });
+    }
+
+    /**
+     * Key the raw results by academic and name the communities
+     * @private
+     * @param {Object} graph - Connection graph the results are for
+     * @param {Object} raw - Raw results
+     * @returns {Object} - Results
+     */
+    _wrap(graph, raw) {
+        const members = new Map();
+        graph.nodes.forEach((node, index) => {
+            const community = raw.community[index];
+            if (!members.has(community)) members.set(community, []);
+            members.get(community).push(node);
+        });
+
+        // Largest first; within a community, best-connected first
+        const communities = Array.from(members.values())
+            .map(nodes => nodes.sort((a, b) => b.degree - a.degree || academicIdentity.compareNames(a.name, b.name)))
+            .sort((a, b) => b.length - a.length || academicIdentity.compareNames(a[0].name, b[0].name))
+            .map((nodes, index) => ({
+                index,
+                label: nodes.length > 1 ? `Around ${nodes[0].name}` : nodes[0].name,
+                members: nodes.map(node => node.id)
+            }));
+
+        const communityOf = new Map();
+        communities.forEach(community => {
+            community.members.forEach(id => communityOf.set(id, community.index));
+        });
+
+        const byId = new Map(graph.nodes.map((node, index) => [node.id, {
+            degree: raw.degree[index],
+            betweenness: raw.betweenness[index],
+            pagerank: raw.pagerank[index],
+            eigenvector: raw.eigenvector[index],
+            bridging: raw.bridging[index],
+            cutPoint: raw.articulation[index],
+            community: communityOf.get(node.id)
+        }]));
+
+        return {
+            byId,
+            communities,
+            modularity: raw.modularity,
+            cutPoints: raw.articulation.filter(Boolean).length,
+            maxDegree: raw.degree.reduce((max, value) => Math.max(max, value), 0)
+        };
+    }
+
+    /**
+     * @private
+     * @param {Object} results - Results
+     */
+    _draw(results) {
+        const container = this.container;
+        container.innerHTML = '';
+
+        const graph = connectionGraph.get();
+        const grouped = results.communities.filter(community => community.members.length > 1).length;
+
+        const summary = document.createElement('div');
+        summary.className = 'analytics-summary';
+        summary.textContent = `${graph.nodes.length} academics · ${graph.links.length} links · ` +
+            `${grouped} ${grouped === 1 ? 'community' : 'communities'} (modularity ${results.modularity.toFixed(2)}) · ` +
+            `${results.cutPoints} ${results.cutPoints === 1 ? 'cut point' : 'cut points'}`;
+        container.appendChild(summary);
+
+        const filter = document.createElement('label');
+        filter.className = 'analytics-filter';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = this.state.cutPointsOnly;
+        checkbox.addEventListener('change', () => {
+            this.state.cutPointsOnly = checkbox.checked;
+            this.state.page = 0;
+            this._draw(results);
+        });
+        filter.appendChild(checkbox);
+        filter.appendChild(document.createTextNode(' Only cut points (academics whose removal splits the network)'));
+        container.appendChild(filter);
+
+        container.appendChild(this._createTable(graph, results));
+        container.appendChild(this._createCommunityList(results));
+    }
+
+    /**
+     * Sortable table of every measure, a page at a time
+     * @private
+     * @param {Object} graph - Connection graph
+     * @param {Object} results - Results
+     * @returns {HTMLElement} - Table and pagination
+     */
+    _createTable(graph, results) {
+        const { sort, descending, cutPointsOnly } = this.state;
+        const rows = graph.nodes
+            .filter(node => !cutPointsOnly || results.byId.get(node.id).cutPoint)
+            .map(node => ({ node, scores: results.byId.get(node.id) }));
+
+        const compareNames = (a, b) => academicIdentity.compareNames(a.node.name, b.node.name);
+        rows.sort((a, b) => {
+            if (sort === 'name') return descending ? compareNames(b, a) : compareNames(a, b);
+            if (sort === 'community') {
+                return (descending ? b.scores.community - a.scores.community : a.scores.community - b.scores.community) ||
+                    compareNames(a, b);
+            }
+            return (descending ? b.scores[sort] - a.scores[sort] : a.scores[sort] - b.scores[sort]) || compareNames(a, b);
+        });
+
+        const pageCount = Math.max(Math.ceil(rows.length / this.pageSize), 1);
+        const page = Math.min(this.state.page, pageCount - 1);
+        const first = page * this.pageSize;
+
+        const wrapper = document.createElement('div');
+        wrapper.className = 'analytics-table-wrapper';
+
+        const table = document.createElement('table');
+        table.className = 'analytics-table';
+
+        const caption = document.createElement('caption');
+        caption.textContent = 'Network measures per academic; choose a column heading to sort';
+        table.appendChild(caption);
+
+        const columns = [['name', 'Academic'], ...Object.entries(this.measures), ['community', 'Community']];
+        const head = document.createElement('thead');
+        const headRow = document.createElement('tr');
+        columns.forEach(([key, label]) => {
+            const th = document.createElement('th');
+            th.scope = 'col';
+            if (key === sort) th.setAttribute('aria-sort', descending ? 'descending' : 'ascending');
+
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'analytics-sort';
+            button.textContent = label + (key === sort ? (descending ? ' ▼' : ' ▲') : '');
+            button.addEventListener('click', () => {
+                // Names start A-Z and community numbers from the largest; measures highest first
+                const ascendingFirst = key === 'name' || key === 'community';
+                this.state = {
+                    ...this.state,
+                    sort: key,
+                    descending: key === sort ? !descending : !ascendingFirst,
+                    page: 0
+                };
+                this._draw(results);
+            });
+            th.appendChild(button);
+            headRow.appendChild(th);
+        });
+        head.appendChild(headRow);
+        table.appendChild(head);
+
+        const body = document.createElement('tbody');
+        rows.slice(first, first + this.pageSize).forEach(({ node, scores }) => {
+            const row = document.createElement('tr');
+
+            const nameCell = document.createElement('th');
+            nameCell.scope = 'row';
+            const name = document.createElement('button');
+            name.type = 'button';
+            name.className = 'path-academic';
+            name.textContent = node.name;
+            name.addEventListener('click', () => {
+                if (this.onSelect) this.onSelect(node.academic);
+            });
+            nameCell.appendChild(name);
+            if (scores.cutPoint) {
+                const marker = document.createElement('span');
+                marker.className = 'analytics-cut-point';
+                marker.title = 'Cut point';
+                marker.textContent = ' ◆';
+                nameCell.appendChild(marker);
+            }
+            row.appendChild(nameCell);
+
+            Object.keys(this.measures).forEach(measure => {
+                const cell = document.createElement('td');
+                cell.textContent = measure === 'degree' ? scores.degree : scores[measure].toFixed(3);
+                row.appendChild(cell);
+            });
+
+            const community = document.createElement('td');
+            const members = results.communities[scores.community].members.length;
+            community.textContent = members > 1 ? `${scores.community + 1}` : '–';
+            community.title = members > 1 ? results.communities[scores.community].label : 'No community';
+            row.appendChild(community);
+
+            body.appendChild(row);
+        });
+        table.appendChild(body);
+        wrapper.appendChild(table);
+
+        if (pageCount > 1) {
+            const nav = document.createElement('nav');
+            nav.className = 'search-results-pagination';
+            nav.setAttribute('aria-label', 'Network measure pages');
+
+            const createButton = (label, target, disabled) => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'admin-btn';
+                button.textContent = label;
+                button.disabled = disabled;
+                button.addEventListener('click', () => {
+                    this.state.page = target;
+                    this._draw(results);
+                });
+                return button;
+            };
+
+            nav.appendChild(createButton('‹ Previous', page - 1, page === 0));
+            const position = document.createElement('span');
+            position.className = 'search-results-page';
+            position.textContent = `Page ${page + 1} of ${pageCount}`;
+            nav.appendChild(position);
+            nav.appendChild(createButton('Next ›', page + 1, page === pageCount - 1));
+            wrapper.appendChild(nav);
+        }
+
+        return wrapper;
+    }
+
+    /**
+     * The largest communities with their best-connected members
+     * @private
+     * @param {Object} results - Results
+     * @returns {HTMLElement} - Section
+     */
+    _createCommunityList(results) {
+        const section = document.createElement('div');
+        section.className = 'analytics-communities';
+
+        const heading = document.createElement('h3');
+        heading.textContent = 'Largest communities';
+        section.appendChild(heading);
+
+        const list = document.createElement('ol');
+        results.communities
+            .filter(community => community.members.length > 1)
+            .slice(0, this.maxCommunitiesListed)
+            .forEach(community => {
+                const item = document.createElement('li');
+                item.value = community.index + 1;
+
+                const label = document.createElement('strong');
+                label.textContent = `${community.label} (${community.members.length}): `;
+                item.appendChild(label);
+
+                community.members.slice(0, 8).forEach((id, index) => {
+                    const academic = databaseManager.getAcademic(id);
+                    if (index > 0) item.appendChild(document.createTextNode(', '));
+
+                    const name = document.createElement('button');
+                    name.type = 'button';
+                    name.className = 'path-academic';
+                    name.textContent = academic.name;
+                    name.addEventListener('click', () => {
+                        if (this.onSelect) this.onSelect(academic);
+                    });
+                    item.appendChild(name);
+                });
+                if (community.members.length > 8) item.appendChild(document.createTextNode(', …'));
+
+                list.appendChild(item);
+            });
+        section.appendChild(list);
+
+        return section;
+    }
+}
+
+// Initialize the graph analytics
+const graphAnalytics = new GraphAnalytics();
+
+// Make it available globally
+window.graphAnalytics = graphAnalytics;
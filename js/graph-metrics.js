@@ -0,0 +1,384 @@
+/**
+ * Graph Metrics for KillPhilosophy
+ * Measures over the connection graph, as plain functions of arrays so they can run in a Web
+ * Worker (js/graph-analytics-worker.js) as well as on the page (js/graph-analytics.js)
+ *
+ * Graphs are given by index: `neighbors[i]` lists the academics linked to academic i, and
+ * `credits[i]` the academics i draws on (teachers, influences, those critiqued or translated).
+ */
+
+class GraphMetrics {
+    constructor() {
+        this.pageRankDamping = 0.85;
+        this.maxIterations = 100;
+        this.tolerance = 1e-9;
+
+        // Louvain stops when a pass improves modularity by less than this
+        this.minModularityGain = 1e-7;
+    }
+
+    /**
+     * Every measure at once
+     * @param {Object} graph - `{ neighbors, credits }`
+     * @returns {Object} - Arrays indexed like the graph (`degree`, `betweenness`, `pagerank`,
+     *          `eigenvector`, `community`, `bridging`, `articulation`) and `modularity`
+     */
+    computeAll({ neighbors, credits }) {
+        const { community, modularity } = this.louvain(neighbors);
+
+        return {
+            degree: neighbors.map(list => list.length),
+            betweenness: this.betweenness(neighbors),
+            pagerank: this.pageRank(credits),
+            eigenvector: this.eigenvector(neighbors),
+            community,
+            modularity,
+            bridging: this.participation(neighbors, community),
+            articulation: this.articulationPoints(neighbors)
+        };
+    }
+
+    /**
+     * Betweenness centrality (Brandes): how often an academic lies on the shortest chains
+     * between two others
+     * @param {Array<Array<number>>} neighbors - Undirected adjacency
+     * @returns {Array<number>} - Scores, scaled so the highest is 1
+     */
+    betweenness(neighbors) {
+        const count = neighbors.length;
+        const totals = new Float64Array(count);
+        const paths = new Float64Array(count);
+        const dependency = new Float64Array(count);
+        const distance = new Int32Array(count);
+        const order = new Int32Array(count);
+
+        for (let source = 0; source < count; source++) {
+            distance.fill(-1);
+            paths.fill(0);
+            dependency.fill(0);
+            distance[source] = 0;
+            paths[source] = 1;
+            order[0] = source;
+            let visited = 1;
+
+            for (let head = 0; head < visited; head++) {
+                const current = order[head];
+                neighbors[current].forEach(neighbor => {
+                    if (distance[neighbor] === -1) {
+                        distance[neighbor] = distance[current] + 1;
+                        order[visited++] = neighbor;
+                    }
+                    if (distance[neighbor] === distance[current] + 1) paths[neighbor] += paths[current];
+                });
+            }
+
+            // Back from the farthest academics, passing each one's share to its predecessors
+            for (let position = visited - 1; position > 0; position--) {
+                const current = order[position];
+                neighbors[current].forEach(predecessor => {
+                    if (distance[predecessor] === distance[current] - 1) {
+                        dependency[predecessor] += (paths[predecessor] / paths[current]) * (1 + dependency[current]);
+                    }
+                });
+                totals[current] += dependency[current];
+            }
+        }
+
+        return this._scaleToMax(Array.from(totals));
+    }
+
+    /**
+     * PageRank over who draws on whom: academics drawn on by academics who are themselves
+     * drawn on rank highest
+     * @param {Array<Array<number>>} credits - Directed adjacency
+     * @returns {Array<number>} - Scores, scaled so the highest is 1
+     */
+    pageRank(credits) {
+        const count = credits.length;
+        if (count === 0) return [];
+
+        const damping = this.pageRankDamping;
+        let rank = new Float64Array(count).fill(1 / count);
+
+        for (let iteration = 0; iteration < this.maxIterations; iteration++) {
+            const next = new Float64Array(count);
+            let dangling = 0;
+
+            credits.forEach((targets, index) => {
+                if (targets.length === 0) {
+                    dangling += rank[index];
+                    return;
+                }
+                const share = rank[index] / targets.length;
+                targets.forEach(target => {
+                    next[target] += share;
+                });
+            });
+
+            // Academics who credit no one spread their rank evenly
+            const base = (1 - damping) / count + (damping * dangling) / count;
+            let change = 0;
+            for (let index = 0; index < count; index++) {
+                next[index] = base + damping * next[index];
+                change += Math.abs(next[index] - rank[index]);
+            }
+
+            rank = next;
+            if (change < this.tolerance) break;
+        }
+
+        return this._scaleToMax(Array.from(rank));
+    }
+
+    /**
+     * Eigenvector centrality: academics linked to well-linked academics score highest
+     * @param {Array<Array<number>>} neighbors - Undirected adjacency
+     * @returns {Array<number>} - Scores, scaled so the highest is 1
+     */
+    eigenvector(neighbors) {
+        const count = neighbors.length;
+        let vector = new Float64Array(count).fill(1);
+
+        for (let iteration = 0; iteration < this.maxIterations; iteration++) {
+            // Iterate with A + I so the power method also settles on bipartite graphs
+            const next = Float64Array.from(vector);
+            neighbors.forEach((list, index) => {
+                list.forEach(neighbor => {
+                    next[index] += vector[neighbor];
+                });
+            });
+
+            const norm = Math.sqrt(next.reduce((sum, value) => sum + value * value, 0)) || 1;
+            let change = 0;
+            for (let index = 0; index < count; index++) {
+                next[index] /= norm;
+                change += Math.abs(next[index] - vector[index]);
+            }
+
+            vector = next;
+            if (change < this.tolerance) break;
+        }
+
+        // Academics without links keep only their own share; they are not central
+        return this._scaleToMax(Array.from(vector, (value, index) => (neighbors[index].length > 0 ? value : 0)));
+    }
+
+    /**
+     * Louvain communities: move academics between communities while modularity improves, then
+     * merge each community into one node and repeat
+     * @param {Array<Array<number>>} neighbors - Undirected adjacency
+     * @returns {{community: Array<number>, modularity: number}} - Community of each academic
+     *          (numbered from 0) and the modularity of the split
+     */
+    louvain(neighbors) {
+        const count = neighbors.length;
+
+        // Weighted graph: weights[i] maps j to the weight of i–j; a self-loop holds twice the
+        // weight inside a merged community, so every node's degree is the sum of its row
+        let weights = neighbors.map(list => {
+            const row = new Map();
+            list.forEach(neighbor => row.set(neighbor, 1));
+            return row;
+        });
+        let membership = Array.from({ length: count }, (_, index) => index);
+
+        while (true) {
+            const assignment = this._louvainPass(weights);
+            const communities = Math.max(-1, ...assignment) + 1;
+            if (communities === weights.length) break;
+
+            membership = membership.map(node => assignment[node]);
+
+            const merged = Array.from({ length: communities }, () => new Map());
+            weights.forEach((row, node) => {
+                row.forEach((weight, neighbor) => {
+                    const from = assignment[node];
+                    const to = assignment[neighbor];
+                    merged[from].set(to, (merged[from].get(to) || 0) + weight);
+                });
+            });
+            weights = merged;
+        }
+
+        return { community: membership, modularity: this.modularity(neighbors, membership) };
+    }
+
+    /**
+     * Modularity of a split into communities
+     * @param {Array<Array<number>>} neighbors - Undirected adjacency
+     * @param {Array<number>} community - Community of each academic
+     * @returns {number} - Modularity, from -0.5 to 1
+     */
+    modularity(neighbors, community) {
+        const total = neighbors.reduce((sum, list) => sum + list.length, 0);
+        if (total === 0) return 0;
+
+        const inside = new Map();
+        const degrees = new Map();
+        neighbors.forEach((list, node) => {
+            const own = community[node];
+            degrees.set(own, (degrees.get(own) || 0) + list.length);
+            list.forEach(neighbor => {
+                if (community[neighbor] === own) inside.set(own, (inside.get(own) || 0) + 1);
+            });
+        });
+
+        let result = 0;
+        degrees.forEach((degree, id) => {
+            result += (inside.get(id) || 0) / total - (degree / total) ** 2;
+        });
+        return result;
+    }
+
+    /**
+     * Participation coefficient: how evenly an academic's links spread over communities
+     * (0 when all fall in one community, close to 1 when spread over many)
+     * @param {Array<Array<number>>} neighbors - Undirected adjacency
+     * @param {Array<number>} community - Community of each academic
+     * @returns {Array<number>} - Scores
+     */
+    participation(neighbors, community) {
+        return neighbors.map(list => {
+            if (list.length === 0) return 0;
+
+            const counts = new Map();
+            list.forEach(neighbor => counts.set(community[neighbor], (counts.get(community[neighbor]) || 0) + 1));
+
+            let sum = 0;
+            counts.forEach(value => {
+                sum += (value / list.length) ** 2;
+            });
+            return 1 - sum;
+        });
+    }
+
+    /**
+     * Cut points (articulation points): academics whose removal splits a group of connected
+     * academics in two
+     * @param {Array<Array<number>>} neighbors - Undirected adjacency
+     * @returns {Array<boolean>} - Whether each academic is one
+     */
+    articulationPoints(neighbors) {
+        const count = neighbors.length;
+        const discovered = new Int32Array(count).fill(-1);
+        const low = new Int32Array(count);
+        const parent = new Int32Array(count).fill(-1);
+        const result = new Array(count).fill(false);
+        let time = 0;
+
+        // Iterative depth-first search (Tarjan), so long chains cannot overflow the stack
+        for (let root = 0; root < count; root++) {
+            if (discovered[root] !== -1) continue;
+
+            let rootChildren = 0;
+            const stack = [[root, 0]];
+            discovered[root] = low[root] = time++;
+
+            while (stack.length > 0) {
+                const frame = stack[stack.length - 1];
+                const [node, next] = frame;
+
+                if (next < neighbors[node].length) {
+                    frame[1]++;
+                    const neighbor = neighbors[node][next];
+
+                    if (discovered[neighbor] === -1) {
+                        parent[neighbor] = node;
+                        discovered[neighbor] = low[neighbor] = time++;
+                        if (node === root) rootChildren++;
+                        stack.push([neighbor, 0]);
+                    } else if (neighbor !== parent[node]) {
+                        low[node] = Math.min(low[node], discovered[neighbor]);
+                    }
+                } else {
+                    stack.pop();
+                    const up = parent[node];
+                    if (up !== -1) {
+                        low[up] = Math.min(low[up], low[node]);
+                        if (up !== root && low[node] >= discovered[up]) result[up] = true;
+                    }
+                }
+            }
+
+            if (rootChildren > 1) result[root] = true;
+        }
+
+        return result;
+    }
+
+    /**
+     * One Louvain level: move nodes to the neighbouring community that gains most modularity
+     * until no move helps
+     * @private
+     * @param {Array<Map<number, number>>} weights - Weighted adjacency
+     * @returns {Array<number>} - Community of each node, numbered from 0 in order of appearance
+     */
+    _louvainPass(weights) {
+        const count = weights.length;
+        const degree = weights.map(row => Array.from(row.values()).reduce((sum, weight) => sum + weight, 0));
+        const total = degree.reduce((sum, value) => sum + value, 0);
+        const community = Array.from({ length: count }, (_, index) => index);
+        const communityDegree = degree.slice();
+
+        if (total > 0) {
+            let moved = true;
+            while (moved) {
+                moved = false;
+                let gained = 0;
+
+                for (let node = 0; node < count; node++) {
+                    const own = community[node];
+                    const links = new Map();
+                    weights[node].forEach((weight, neighbor) => {
+                        if (neighbor === node) return;
+                        links.set(community[neighbor], (links.get(community[neighbor]) || 0) + weight);
+                    });
+
+                    communityDegree[own] -= degree[node];
+                    const gain = target => (links.get(target) || 0) - (communityDegree[target] * degree[node]) / total;
+
+                    let best = own;
+                    let bestGain = gain(own);
+                    links.forEach((_, target) => {
+                        const value = gain(target);
+                        if (value > bestGain) {
+                            best = target;
+                            bestGain = value;
+                        }
+                    });
+
+                    communityDegree[best] += degree[node];
+                    if (best !== own) {
+                        gained += bestGain - gain(own);
+                        community[node] = best;
+                        moved = true;
+                    }
+                }
+
+                if (gained * 2 / total < this.minModularityGain) break;
+            }
+        }
+
+        const numbers = new Map();
+        return community.map(id => {
+            if (!numbers.has(id)) numbers.set(id, numbers.size);
+            return numbers.get(id);
+        });
+    }
+
+    /**
+     * @private
+     * @param {Array<number>} values - Values
+     * @returns {Array<number>} - Values divided by the highest (unchanged if all are 0)
+     */
+    _scaleToMax(values) {
+        const highest = values.reduce((max, value) => Math.max(max, value), 0);
+        return highest > 0 ? values.map(value => value / highest) : values;
+    }
+}
+
+// Initialize the graph metrics
+const graphMetrics = new GraphMetrics();
+
+// Make it available globally; `self` is the window on the page and the global scope in the worker
+self.graphMetrics = graphMetrics;
@@ -0,0 +1,262 @@
+/**
+ * Historical Dates for KillPhilosophy
+ * Reading, comparing and formatting the years stored on academics, papers, events and
+ * connections, including BCE years, approximate dates, ranges and unknowns
+ *
+ * A date is stored as one of:
+ *   1926                                   an exact year
+ *   -428                                   428 BCE (there is no year 0: -1 is 1 BCE, 1 is 1 CE)
+ *   { year: -428, circa: true }            c. 428 BCE
+ *   { year: 1120, to: 1140, floruit: true } fl. 1120–1140
+ *   null                                   unknown
+ */
+
+class HistoricalDates {
+    constructor() {
+        // How far either side of a "circa" year the real date may lie
+        this.circaMargin = 5;
+    }
+
+    /**
+     * Read a date typed by a person, e.g. "1926", "428 BCE", "c. 1200", "fl. 1120–1140" or "unknown"
+     * @param {string} text - Date text
+     * @returns {number|Object|null} - Stored form of the date (null if blank or unknown)
+     * @throws {Error} - If the text is not a date
+     */
+    parse(text) {
+        let rest = String(text ?? '').trim().toLowerCase();
+        if (!rest || /^(\?|unknown|n\/?a)$/.test(rest)) return null;
+
+        const date = {};
+
+        const qualifier = rest.match(/^(circa|ca\.?|c\.?|~|floruit|fl\.?)\s*/);
+        if (qualifier) {
+            if (qualifier[1].startsWith('f')) {
+                date.floruit = true;
+            } else {
+                date.circa = true;
+            }
+            rest = rest.slice(qualifier[0].length);
+        }
+
+        const era = '(bce|bc|b\\.c\\.e\\.|b\\.c\\.|ce|ad|a\\.d\\.|c\\.e\\.)';
+        const match = rest.match(new RegExp(
+            `^(${era}\\s*)?(\\d{1,4})(\\s*${era})?(\\s*(?:–|—|-|to)\\s*(${era}\\s*)?(\\d{1,4})(\\s*${era})?)?$`
+        ));
+        if (!match) {
+            throw new Error(`"${String(text).trim()}" is not a year (try "1926", "428 BCE", "c. 1200" or "fl. 1120–1140")`);
+        }
+
+        const isBce = value => Boolean(value) && value.replace(/[.\s]/g, '').startsWith('b');
+        const endEra = match[8] || match[11];
+        // "470–399 BCE": the start of a range takes the era written after its end
+        const startEra = match[2] || match[5] || (match[6] ? endEra : null);
+
+        date.year = Number(match[3]) * (isBce(startEra) ? -1 : 1);
+        if (match[6]) {
+            date.to = Number(match[9]) * (isBce(endEra) ? -1 : 1);
+        }
+
+        return this.normalize(date);
+    }
+
+    /**
+     * Bring a date into its simplest stored form: plain years stay integers
+     * @param {number|Object|null} value - Date
+     * @returns {number|Object|null} - Date
+     */
+    normalize(value) {
+        if (value === undefined || value === null) return null;
+        if (typeof value === 'number') return value;
+
+        const date = { year: value.year };
+        if (Number.isInteger(value.to) && value.to !== value.year) date.to = value.to;
+        if (value.circa) date.circa = true;
+        if (value.floruit) date.floruit = true;
+
+        return Object.keys(date).length === 1 ? date.year : date;
+    }
+
+    /**
+     * Check whether a value holds a known date
+     * @param {*} value - Date
+     * @returns {boolean} - True unless the date is missing or unknown
+     */
+    isKnown(value) {
+        return Number.isInteger(value) || (value !== null && typeof value === 'object' && Number.isInteger(value.year));
+    }
+
+    /**
+     * Earliest and latest year a date may stand for
+     * @param {number|Object|null} value - Date
+     * @returns {{earliest: number, latest: number}|null} - Bounds, or null if unknown
+     */
+    bounds(value) {
+        if (!this.isKnown(value)) return null;
+        if (typeof value === 'number') return { earliest: value, latest: value };
+
+        const margin = value.circa ? this.circaMargin : 0;
+        const end = Number.isInteger(value.to) ? value.to : value.year;
+
+        return {
+            earliest: Math.min(value.year, end) - margin,
+            latest: Math.max(value.year, end) + margin
+        };
+    }
+
+    /**
+     * Single representative year, for features that need one number (e.g. timelines)
+     * @param {number|Object|null} value - Date
+     * @returns {number|null} - Year (midpoint of a range), or null if unknown
+     */
+    toYear(value) {
+        if (!this.isKnown(value)) return null;
+        if (typeof value === 'number') return value;
+
+        return Number.isInteger(value.to) ? Math.round((value.year + value.to) / 2) : value.year;
+    }
+
+    /**
+     * Compare two dates for ascending sorting; unknown dates sort last
+     * @param {number|Object|null} a - Date
+     * @param {number|Object|null} b - Date
+     * @returns {number} - Negative, zero or positive
+     */
+    compare(a, b) {
+        const boundsA = this.bounds(a);
+        const boundsB = this.bounds(b);
+
+        if (!boundsA || !boundsB) return (boundsA ? 0 : 1) - (boundsB ? 0 : 1);
+        return this.toYear(a) - this.toYear(b) || boundsA.earliest - boundsB.earliest;
+    }
+
+    /**
+     * Check whether two dates can refer to the same time
+     * @param {number|Object|null} a - Date
+     * @param {number|Object|null} b - Date
+     * @param {number} tolerance - Years of disagreement to ignore
+     * @returns {boolean|null} - Null if either date is unknown
+     */
+    overlaps(a, b, tolerance = 0) {
+        const boundsA = this.bounds(a);
+        const boundsB = this.bounds(b);
+        if (!boundsA || !boundsB) return null;
+
+        return boundsA.earliest <= boundsB.latest + tolerance && boundsB.earliest <= boundsA.latest + tolerance;
+    }
+
+    /**
+     * Check whether date `a` is certainly earlier than date `b`, e.g. a death before a birth
+     * @param {number|Object|null} a - Date
+     * @param {number|Object|null} b - Date
+     * @returns {boolean} - True only if `a` is certainly earlier than `b`
+     */
+    isBefore(a, b) {
+        const boundsA = this.bounds(a);
+        const boundsB = this.bounds(b);
+        return Boolean(boundsA && boundsB) && boundsA.latest < boundsB.earliest;
+    }
+
+    /**
+     * Format a date for display, e.g. "1926", "428 BCE", "c. 1200" or "fl. 1120–1140"
+     * @param {number|Object|null} value - Date
+     * @returns {string} - Formatted date, empty if unknown
+     */
+    format(value) {
+        if (!this.isKnown(value)) return '';
+        if (typeof value === 'number') return this._formatYear(value);
+
+        const prefix = value.floruit ? 'fl. ' : value.circa ? 'c. ' : '';
+        if (!Number.isInteger(value.to)) {
+            return `${prefix}${this._formatYear(value.year)}`;
+        }
+
+        return `${prefix}${this._formatSpan(value.year, value.to)}`;
+    }
+
+    /**
+     * Format two dates as a span, e.g. life dates "c. 428–348 BCE" or "1926–1984"
+     * @param {number|Object|null} start - Start date
+     * @param {number|Object|null} end - End date
+     * @returns {string} - Formatted span ("?" for a missing side), empty if both are unknown
+     */
+    formatSpan(start, end) {
+        if (!this.isKnown(start) && !this.isKnown(end)) return '';
+        if (!this.isKnown(end)) return `${this.format(start)}–?`;
+        if (!this.isKnown(start)) return `?–${this.format(end)}`;
+
+        // Share the era between plain (or circa) years: "470–399 BCE" rather than "470 BCE–399 BCE"
+        const isSimple = value => typeof value === 'number' || (!Number.isInteger(value.to) && !value.floruit);
+        if (isSimple(start) && isSimple(end)) {
+            const circa = value => (typeof value === 'object' && value.circa ? 'c. ' : '');
+            const startYear = this.toYear(start);
+            const endYear = this.toYear(end);
+
+            if (startYear < 0 && endYear < 0) {
+                return `${circa(start)}${-startYear}–${circa(end)}${-endYear} BCE`;
+            }
+            if (startYear > 0 && endYear > 0) {
+                return `${circa(start)}${startYear}–${circa(end)}${endYear}`;
+            }
+        }
+
+        return `${this.format(start)}–${this.format(end)}`;
+    }
+
+    /**
+     * Identity key of a date, for spotting duplicate papers and events
+     * @param {number|Object|null} value - Date
+     * @returns {string} - Key, empty if unknown
+     */
+    getKey(value) {
+        return this.format(this.normalize(value));
+    }
+
+    /**
+     * Problems with a stored date that the schema cannot express
+     * @param {number|Object|null} value - Date
+     * @returns {Array<string>} - Messages
+     */
+    validate(value) {
+        if (!this.isKnown(value)) return [];
+
+        const messages = [];
+        const years = typeof value === 'number' ? [value] : [value.year, value.to].filter(Number.isInteger);
+
+        if (years.includes(0)) {
+            messages.push('cannot be 0: there is no year 0 (1 BCE is -1, 1 CE is 1)');
+        }
+        if (typeof value === 'object' && Number.isInteger(value.to) && value.to < value.year) {
+            messages.push('range cannot end before it starts');
+        }
+
+        return messages;
+    }
+
+    /**
+     * @private
+     * @param {number} year - Year
+     * @returns {string} - "428 BCE" or "1926"
+     */
+    _formatYear(year) {
+        return year < 0 ? `${-year} BCE` : String(year);
+    }
+
+    /**
+     * @private
+     * @param {number} start - First year
+     * @param {number} end - Last year
+     * @returns {string} - "1120–1140", "470–399 BCE" or "10 BCE–5 CE"
+     */
+    _formatSpan(start, end) {
+        if (start < 0 && end < 0) return `${-start}–${-end} BCE`;
+        if (start < 0) return `${-start} BCE–${end} CE`;
+        return `${start}–${end}`;
+    }
+}
+
+// Initialize the historical dates helper
+const historicalDates = new HistoricalDates();
+
+// Make it available globally
+window.historicalDates = historicalDates;
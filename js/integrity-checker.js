@@ -0,0 +1,223 @@
+/**
+ * Integrity Checker for KillPhilosophy
+ * Reports connection problems across the database (dangling targets, one-sided links,
+ * self-links) and applies the fixes offered in the admin panel
+ */
+
+class IntegrityChecker {
+    constructor() {
+        this.issueLabels = {
+            dangling: 'Dangling target',
+            oneSided: 'One-sided link',
+            selfLink: 'Self-link'
+        };
+    }
+
+    /**
+     * Check every connection in the database
+     * @returns {{dangling: Array<Object>, oneSided: Array<Object>, selfLink: Array<Object>, total: number}} - Issues by kind.
+     *          Each issue has `kind`, `academicId`, `academicName`, `connection`, `message` and, for
+     *          dangling targets that match an academic by name, a `suggestion`.
+     */
+    check() {
+        const report = { dangling: [], oneSided: [], selfLink: [], total: 0 };
+        if (typeof databaseManager === 'undefined') return report;
+
+        databaseManager.getAllAcademics().forEach(academic => {
+            const ownNames = new Set(databaseManager.getAcademicNames(academic).map(name => academicIdentity.foldName(name)));
+
+            (academic.connections || []).forEach(connection => {
+                const issue = kind => ({
+                    kind,
+                    academicId: academic.id,
+                    academicName: academic.name,
+                    connection,
+                    connectionKey: connectionTypes.getKey(connection)
+                });
+                const label = `${connectionTypes.getLabel(connection)} ${connection.name}`;
+
+                if (connection.target === academic.id || ownNames.has(academicIdentity.foldName(connection.name))) {
+                    report.selfLink.push({ ...issue('selfLink'), message: `${academic.name} is connected to themselves (${label})` });
+                    return;
+                }
+
+                const target = connection.target ? databaseManager.getAcademic(connection.target) : null;
+
+                if (!target) {
+                    const match = databaseManager.getAcademic(connection.name);
+                    const suggestion = match && match.id !== academic.id ? match : null;
+                    const reason = connection.target
+                        ? `points at a deleted academic (${connection.target})`
+                        : suggestion
+                            ? 'is not linked to an academic'
+                            : 'names an academic who is not in the database';
+
+                    report.dangling.push({
+                        ...issue('dangling'),
+                        suggestion,
+                        message: `${academic.name}: "${label}" ${reason}` +
+                            (suggestion ? `; ${suggestion.name} matches by name` : '')
+                    });
+                    return;
+                }
+
+                if (!databaseManager.hasReciprocal(academic, connection)) {
+                    const inverse = connectionTypes.invert(connection, academic);
+                    report.oneSided.push({
+                        ...issue('oneSided'),
+                        targetId: target.id,
+                        message: `${academic.name}: "${label}" has no matching ` +
+                            `"${connectionTypes.getLabel(inverse)} ${academic.name}" on ${target.name}`
+                    });
+                }
+            });
+        });
+
+        report.total = report.dangling.length + report.oneSided.length + report.selfLink.length;
+        return report;
+    }
+
+    /**
+     * Apply the recommended fix for an issue
+     * Self-links are removed, one-sided links get their reciprocal and dangling targets
+     * are relinked when an academic matches by name.
+     * @param {Object} issue - Issue from check()
+     * @returns {Promise<boolean>} - False if the issue needs a manual decision
+     */
+    async fix(issue) {
+        switch (issue.kind) {
+            case 'selfLink':
+                return this.removeConnection(issue);
+            case 'oneSided':
+                return this.addReciprocal(issue);
+            case 'dangling':
+                return issue.suggestion ? this.linkToAcademic(issue, issue.suggestion.id) : false;
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Apply the recommended fix to every issue that has one
+     * @returns {Promise<{fixed: number, skipped: number, failed: Array<{issue: Object, error: Error}>}>} - Outcome
+     */
+    async fixAll() {
+        const report = this.check();
+        const outcome = { fixed: 0, skipped: 0, failed: [] };
+
+        // Re-checking between fixes is unnecessary: each fix re-reads the current record
+        for (const issue of [...report.selfLink, ...report.dangling, ...report.oneSided]) {
+            try {
+                if (await this.fix(issue)) {
+                    outcome.fixed++;
+                } else {
+                    outcome.skipped++;
+                }
+            } catch (error) {
+                outcome.failed.push({ issue, error });
+            }
+        }
+
+        return outcome;
+    }
+
+    /**
+     * Remove the connection an issue refers to
+     * @param {Object} issue - Issue from check()
+     * @returns {Promise<boolean>} - True if the connection was removed
+     */
+    async removeConnection(issue) {
+        return this._updateConnection(issue, () => null);
+    }
+
+    /**
+     * Point a dangling connection at an existing academic
+     * @param {Object} issue - Dangling-target issue
+     * @param {string} academicId - ID of the academic to link to
+     * @returns {Promise<boolean>} - True if the connection was updated
+     */
+    async linkToAcademic(issue, academicId) {
+        const target = databaseManager.getAcademic(academicId);
+        if (!target) return false;
+
+        return this._updateConnection(issue, connection => ({ ...connection, target: target.id, name: target.name }));
+    }
+
+    /**
+     * Create a minimal academic for a dangling connection and link to it
+     * @param {Object} issue - Dangling-target issue
+     * @returns {Promise<boolean>} - True if the stub was created and linked
+     */
+    async createStub(issue) {
+        const stub = await databaseManager.saveAcademic({
+            name: issue.connection.name,
+            papers: [],
+            events: [],
+            connections: [],
+            taxonomies: {}
+        }, { source: 'admin', summary: `Created for a connection from ${issue.academicName}` });
+
+        return this.linkToAcademic(issue, stub.id);
+    }
+
+    /**
+     * Add the missing inverse edge to the connected academic
+     * @param {Object} issue - One-sided-link issue
+     * @returns {Promise<boolean>} - True if the reciprocal was added
+     */
+    async addReciprocal(issue) {
+        const owner = databaseManager.getAcademic(issue.academicId);
+        const target = owner && databaseManager.getAcademic(issue.targetId);
+        if (!owner || !target) return false;
+
+        const connection = (owner.connections || []).find(existing =>
+            connectionTypes.getKey(existing) === issue.connectionKey
+        );
+        if (!connection || databaseManager.hasReciprocal(owner, connection)) return false;
+
+        const updated = JSON.parse(JSON.stringify(target));
+        updated.connections = [...(updated.connections || []), connectionTypes.invert(connection, owner)];
+
+        await databaseManager.saveAcademic(updated, { source: 'admin', summary: 'Integrity fix: added reciprocal connection' });
+        return true;
+    }
+
+    /**
+     * Replace or remove one connection on the academic an issue belongs to
+     * @private
+     * @param {Object} issue - Issue from check()
+     * @param {Function} change - Receives the connection, returns its replacement or null to remove it
+     * @returns {Promise<boolean>} - True if the academic was saved
+     */
+    async _updateConnection(issue, change) {
+        const academic = databaseManager.getAcademic(issue.academicId);
+        if (!academic) return false;
+
+        const updated = JSON.parse(JSON.stringify(academic));
+        const index = (updated.connections || []).findIndex(connection =>
+            connectionTypes.getKey(connection) === issue.connectionKey
+        );
+        if (index === -1) return false;
+
+        const replacement = change(updated.connections[index]);
+        const replacementKey = replacement && connectionTypes.getKey(replacement);
+        const alreadyListed = replacement && updated.connections.some((connection, other) =>
+            other !== index && connectionTypes.getKey(connection) === replacementKey
+        );
+
+        if (replacement && !alreadyListed) {
+            updated.connections[index] = replacement;
+        } else {
+            updated.connections.splice(index, 1);
+        }
+
+        await databaseManager.saveAcademic(updated, { source: 'admin', summary: `Integrity fix: ${this.issueLabels[issue.kind].toLowerCase()}` });
+        return true;
+    }
+}
+
+// Initialize the integrity checker
+const integrityChecker = new IntegrityChecker();
+
+// Make it available globally
+window.integrityChecker = integrityChecker;
@@ -0,0 +1,366 @@
+/**
+ * Merge Wizard for KillPhilosophy
+ * Admin form that compares two academic records field by field, lets the admin pick
+ * or combine values, and merges the duplicate into the surviving record
+ */
+
+class MergeWizard {
+    constructor() {
+        // Fields offered for a choice between the two records
+        this.singleFields = [
+            { field: 'name', label: 'Name' },
+            { field: 'bio', label: 'Biography' },
+            { field: 'birthYear', label: 'Birth year' },
+            { field: 'deathYear', label: 'Death year' }
+        ];
+
+        // List fields, which can also be combined
+        this.listFields = [
+            { field: 'aliases', label: 'Aliases' },
+            { field: 'taxonomies', label: 'Taxonomies' },
+            { field: 'papers', label: 'Papers' },
+            { field: 'events', label: 'Events' },
+            { field: 'connections', label: 'Connections' }
+        ];
+    }
+
+    /**
+     * Render the wizard for a pair of academics
+     * @param {HTMLElement} container - Element to render into
+     * @param {Object} a - First academic
+     * @param {Object} b - Second academic
+     * @param {Object} options - `onComplete(result)` after a merge, `onCancel()` when dismissed
+     */
+    render(container, a, b, { onComplete, onCancel } = {}) {
+        container.innerHTML = '';
+
+        const form = document.createElement('form');
+        form.className = 'merge-wizard';
+        form.setAttribute('aria-label', `Merge ${a.name} and ${b.name}`);
+
+        const table = document.createElement('table');
+        table.className = 'merge-table';
+        table.innerHTML = `
+            <thead>
+                <tr>
+                    <th scope="col">Field</th>
+                    <th scope="col">A</th>
+                    <th scope="col">B</th>
+                    <th scope="col">Keep</th>
+                </tr>
+            </thead>
+        `;
+        const body = document.createElement('tbody');
+
+        // The survivor keeps its ID and profile link; default to the older record
+        const olderIsB = b.createdAt && a.createdAt && b.createdAt < a.createdAt;
+        body.appendChild(this._createRow(
+            'Keep ID and link of',
+            `${a.slug || a.id}`,
+            `${b.slug || b.id}`,
+            this._createChoice('survivor', [['a', 'A'], ['b', 'B']], olderIsB ? 'b' : 'a')
+        ));
+
+        this.singleFields.forEach(({ field, label }) => {
+            const valueA = a[field];
+            const valueB = b[field];
+            const defaultChoice = this._isEmpty(valueA) && !this._isEmpty(valueB) ? 'b' : 'a';
+
+            body.appendChild(this._createRow(
+                label,
+                this._formatValue(field, valueA),
+                this._formatValue(field, valueB),
+                this._createChoice(field, [['a', 'A'], ['b', 'B']], defaultChoice)
+            ));
+        });
+
+        this.listFields.forEach(({ field, label }) => {
+            body.appendChild(this._createRow(
+                label,
+                this._formatValue(field, a[field]),
+                this._formatValue(field, b[field]),
+                this._createChoice(field, [['union', 'Both'], ['a', 'A'], ['b', 'B']], 'union')
+            ));
+        });
+
+        table.appendChild(body);
+        form.appendChild(table);
+
+        const result = document.createElement('div');
+        result.className = 'merge-result';
+        result.setAttribute('aria-live', 'polite');
+        form.appendChild(result);
+
+        const actions = document.createElement('div');
+        actions.className = 'admin-actions';
+
+        const mergeButton = document.createElement('button');
+        mergeButton.type = 'submit';
+        mergeButton.className = 'admin-btn';
+        mergeButton.textContent = 'Merge';
+        actions.appendChild(mergeButton);
+
+        const cancelButton = document.createElement('button');
+        cancelButton.type = 'button';
+        cancelButton.className = 'admin-btn';
+        cancelButton.textContent = 'Cancel';
+        cancelButton.addEventListener('click', () => {
+            container.innerHTML = '';
+            if (onCancel) onCancel();
+        });
+        actions.appendChild(cancelButton);
+
+        form.appendChild(actions);
+
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+
+            const choices = {};
+            new FormData(form).forEach((value, key) => {
+                choices[key] = value;
+            });
+
+            const [survivor, duplicate] = choices.survivor === 'b' ? [b, a] : [a, b];
+            const merged = this.buildMergedRecord(a, b, choices);
+
+            mergeButton.disabled = true;
+            result.innerHTML = '';
+
+            try {
+                const outcome = await databaseManager.mergeAcademics(survivor.id, duplicate.id, merged);
+                container.innerHTML = '';
+                if (onComplete) onComplete(outcome);
+            } catch (error) {
+                mergeButton.disabled = false;
+                result.appendChild(this._createErrorMessage(error));
+            }
+        });
+
+        container.appendChild(form);
+    }
+
+    /**
+     * Build the merged field values from the admin's choices
+     * @param {Object} a - First academic
+     * @param {Object} b - Second academic
+     * @param {Object} choices - Map of field to 'a', 'b' or 'union'
+     * @returns {Object} - Field values for the surviving record
+     */
+    buildMergedRecord(a, b, choices) {
+        const merged = {};
+
+        this.singleFields.forEach(({ field }) => {
+            const value = choices[field] === 'b' ? b[field] : a[field];
+            if (value !== undefined) merged[field] = value;
+        });
+
+        this.listFields.forEach(({ field }) => {
+            if (choices[field] === 'a') {
+                merged[field] = a[field];
+            } else if (choices[field] === 'b') {
+                merged[field] = b[field];
+            } else {
+                merged[field] = this._union(field, a[field], b[field]);
+            }
+
+            if (merged[field] === undefined) delete merged[field];
+        });
+
+        // Sources follow the values they cite
+        merged.bioSources = (choices.bio === 'b' ? b.bioSources : a.bioSources) || [];
+        if (choices.taxonomies === 'a' || choices.taxonomies === 'b') {
+            merged.taxonomySources = (choices.taxonomies === 'b' ? b.taxonomySources : a.taxonomySources) || {};
+        } else {
+            merged.taxonomySources = provenance.mergeTaxonomySources(a.taxonomySources, b.taxonomySources);
+        }
+
+        return merged;
+    }
+
+    /**
+     * Combine the values of a list field from both records
+     * @private
+     * @param {string} field - Field name
+     * @param {*} valueA - Value from A
+     * @param {*} valueB - Value from B
+     * @returns {*} - Combined value
+     */
+    _union(field, valueA, valueB) {
+        if (field === 'taxonomies') {
+            const taxonomies = {};
+            [valueA || {}, valueB || {}].forEach(source => {
+                for (const [category, values] of Object.entries(source)) {
+                    taxonomies[category] = this._unionBy(taxonomies[category], values, value => value);
+                }
+            });
+            return taxonomies;
+        }
+
+        const keyFns = {
+            papers: paper => `${academicIdentity.foldName(paper.title)}|${historicalDates.getKey(paper.year)}`,
+            events: event => `${academicIdentity.foldName(event.title)}|${historicalDates.getKey(event.year)}`,
+            aliases: alias => academicIdentity.foldName(alias),
+            connections: connection => connectionTypes.getKey(connection)
+        };
+
+        return this._unionBy(valueA, valueB, keyFns[field] || (value => JSON.stringify(value)));
+    }
+
+    /**
+     * Combine two lists, keeping the first occurrence of each key
+     * An item listed by both records keeps the sources cited by either.
+     * @private
+     * @param {Array} first - Preferred list
+     * @param {Array} second - Additional list
+     * @param {Function} keyFn - Returns the identity key of an item
+     * @returns {Array} - Combined list
+     */
+    _unionBy(first, second, keyFn) {
+        const kept = new Map();
+
+        [...(first || []), ...(second || [])].forEach(item => {
+            const key = String(keyFn(item)).toLowerCase();
+            const existing = kept.get(key);
+
+            if (!existing) {
+                kept.set(key, item);
+            } else if (existing.sources || item.sources) {
+                kept.set(key, { ...existing, sources: provenance.mergeSources(existing.sources, item.sources) });
+            }
+        });
+
+        return Array.from(kept.values());
+    }
+
+    /**
+     * @private
+     * @param {string} label - Field label
+     * @param {string} textA - Formatted value of A
+     * @param {string} textB - Formatted value of B
+     * @param {HTMLElement} choice - Choice control
+     * @returns {HTMLTableRowElement} - Table row
+     */
+    _createRow(label, textA, textB, choice) {
+        const row = document.createElement('tr');
+
+        const header = document.createElement('th');
+        header.scope = 'row';
+        header.textContent = label;
+        row.appendChild(header);
+
+        [textA, textB].forEach(text => {
+            const cell = document.createElement('td');
+            cell.className = 'merge-value';
+            cell.textContent = text;
+            row.appendChild(cell);
+        });
+
+        const choiceCell = document.createElement('td');
+        choiceCell.appendChild(choice);
+        row.appendChild(choiceCell);
+
+        return row;
+    }
+
+    /**
+     * @private
+     * @param {string} name - Radio group name
+     * @param {Array<Array<string>>} options - [value, label] pairs
+     * @param {string} selected - Initially selected value
+     * @returns {HTMLElement} - Radio group
+     */
+    _createChoice(name, options, selected) {
+        const group = document.createElement('div');
+        group.className = 'merge-choice';
+        group.setAttribute('role', 'radiogroup');
+
+        options.forEach(([value, label]) => {
+            const option = document.createElement('label');
+            const input = document.createElement('input');
+            input.type = 'radio';
+            input.name = name;
+            input.value = value;
+            input.checked = value === selected;
+            option.appendChild(input);
+            option.appendChild(document.createTextNode(` ${label}`));
+            group.appendChild(option);
+        });
+
+        return group;
+    }
+
+    /**
+     * Format a field value for the comparison table
+     * @private
+     * @param {string} field - Field name
+     * @param {*} value - Value
+     * @returns {string} - Display text
+     */
+    _formatValue(field, value) {
+        if (this._isEmpty(value)) return '—';
+
+        switch (field) {
+            case 'papers':
+            case 'events':
+                return value.map(item => (historicalDates.isKnown(item.year)
+                    ? `${item.title} (${historicalDates.format(item.year)})`
+                    : item.title)).join('\n');
+            case 'birthYear':
+            case 'deathYear':
+                return historicalDates.format(value) || '—';
+            case 'connections':
+                return value.map(connection => `${connectionTypes.getLabel(connection)} ${connection.name}`).join('\n');
+            case 'taxonomies':
+                return Object.entries(value)
+                    .filter(([, values]) => values && values.length > 0)
+                    .map(([category, values]) => `${category}: ${values.join(', ')}`)
+                    .join('\n');
+            default:
+                return Array.isArray(value) ? value.join('\n') : String(value);
+        }
+    }
+
+    /**
+     * @private
+     * @param {*} value - Value
+     * @returns {boolean} - True for missing values, empty strings, lists and objects
+     */
+    _isEmpty(value) {
+        if (value === undefined || value === null || value === '') return true;
+        if (Array.isArray(value)) return value.length === 0;
+        if (typeof value === 'object') return Object.keys(value).length === 0;
+        return false;
+    }
+
+    /**
+     * @private
+     * @param {Error} error - Merge error
+     * @returns {HTMLElement} - Error message, listing field errors for a ValidationError
+     */
+    _createErrorMessage(error) {
+        const message = document.createElement('div');
+        message.className = 'error-message';
+        message.textContent = 'Cannot merge: ';
+
+        if (error instanceof ValidationError) {
+            const list = document.createElement('ul');
+            list.className = 'validation-error-list';
+            error.errors.forEach(({ field, message: text }) => {
+                const item = document.createElement('li');
+                item.textContent = field ? `${field}: ${text}` : text;
+                list.appendChild(item);
+            });
+            message.appendChild(list);
+        } else {
+            message.textContent += error.message;
+        }
+
+        return message;
+    }
+}
+
+// Initialize the merge wizard
+const mergeWizard = new MergeWizard();
+
+// Make it available globally
+window.mergeWizard = mergeWizard;
@@ -0,0 +1,954 @@
+/**
+ * Network Visualization for KillPhilosophy
+ * Force-directed ego network (D3 v5) of an academic's connections, shown in
+ * #visualization-container when the ◉ button on a profile is pressed
+ *
+ * The selected academic sits in the centre with their neighbours up to a chosen number of
+ * hops. Nodes are coloured by tradition (narrower terms take the colour of their broadest
+ * term) or by community, and can be sized by a centrality measure (see js/graph-analytics.js);
+ * links are styled by connection type (see styles.css) and point from the academic
+ * who did something to the one it was done to. Clicking a node recentres the network on it;
+ * clicking the centre opens its profile. The view can be zoomed, panned and nodes dragged.
+ *
+ * A chain found by the path finder can be shown the same way, highlighted among the
+ * connections of the academics along it.
+ *
+ * In the timeline layouts nodes are pinned left to right by life span or by active years
+ * (papers and events) and only settle vertically; a slider replays the network decade by
+ * decade.
+ */
+
+class NetworkVisualization {
+    constructor() {
+        // Hops from the centre the depth selector offers
+        this.depthOptions = [1, 2, 3];
+        this.depth = 1;
+
+        // Larger neighbourhoods are cut off here to keep the layout readable
+        this.maxNodes = 150;
+
+        this.nodeRadius = { center: 14, academic: 8, external: 6 };
+
+        // Node size and colour; anything but the defaults needs the graph analytics
+        this.sizeOptions = {
+            standard: 'Standard',
+            degree: 'Degree',
+            betweenness: 'Betweenness',
+            pagerank: 'PageRank',
+            eigenvector: 'Eigenvector',
+            bridging: 'Bridging'
+        };
+        this.colorOptions = { tradition: 'Tradition', community: 'Community' };
+        this.sizeBy = 'standard';
+        this.colorBy = 'tradition';
+
+        // Radius range when sized by a measure
+        this.scoreRadius = { min: 4, max: 16 };
+
+        // Timelines place academics by their dates; years are grouped into decades on the slider
+        this.layoutOptions = { force: 'Network', lifespan: 'Timeline: life span', active: 'Timeline: active years' };
+        this.layout = 'force';
+        this.timeStep = 10;
+        this.playDelay = 700;
+
+        // Used for academics with only one life date
+        this.typicalLifespan = 70;
+
+        // Legend names of the links drawn for path steps that are not connections
+        this.stepLinkLabels = { coauthored: 'Co-authored', event: 'Shared event' };
+
+        this.container = null;
+        this.simulation = null;
+        this.timer = null;
+        this.centerId = null;
+        this.available = false;
+    }
+
+    /**
+     * Check that D3 is loaded and find the container
+     * @returns {boolean} - True if networks can be drawn
+     */
+    initialize() {
+        this.available = typeof d3 !== 'undefined';
+        this.container = document.getElementById('visualization-container');
+
+        if (!this.available) {
+            console.warn('D3.js not loaded. Network visualization will not be available.');
+        }
+        return this.available;
+    }
+
+    /**
+     * Collect an academic's neighbourhood
+     * Connections to people who are not in the database become leaf nodes.
+     * @param {Object} center - Academic in the centre
+     * @param {number} depth - Number of hops
+     * @returns {{nodes: Array<Object>, links: Array<Object>, truncated: boolean}} - Graph
+     */
+    buildGraph(center, depth) {
+        return this._collect([center], depth);
+    }
+
+    /**
+     * Collect a chain of academics (see js/path-finder.js) with their direct connections
+     * Nodes and links of the chain are marked `onPath`; steps that are not connections
+     * (co-authorship, shared events) get links of their own.
+     * @param {Object} path - `{ academics, steps }`
+     * @returns {Object} - Graph, with `path` listing the IDs along the chain
+     */
+    buildPathGraph(path) {
+        const ids = path.academics.map(academic => academic.id);
+        const graph = this._collect(path.academics, 1);
+
+        graph.path = ids;
+        graph.nodes.forEach(node => {
+            node.onPath = ids.includes(node.id);
+        });
+
+        path.steps.forEach((step, index) => {
+            const pair = [ids[index], ids[index + 1]].sort().join('|');
+            const links = graph.links.filter(link => link.key.startsWith(`${pair}|`));
+            if (links.length > 0) {
+                links.forEach(link => {
+                    link.onPath = true;
+                });
+                return;
+            }
+
+            const [reason] = step.reasons;
+            graph.links.push({
+                key: `${pair}|${reason.kind}`,
+                source: ids[index],
+                target: ids[index + 1],
+                type: reason.kind === 'event' ? 'event' : 'coauthored',
+                directed: false,
+                onPath: true,
+                title: `${path.academics[index].name}: ${step.reasons.map(item => item.text).join('; ')} ${path.academics[index + 1].name}`
+            });
+        });
+
+        return graph;
+    }
+
+    /**
+     * Show the network around an academic
+     * @param {Object} academic - Academic
+     * @param {Object} options - `depth` in hops (defaults to the last one chosen)
+     */
+    visualize(academic, { depth = this.depth } = {}) {
+        if (!this.container) this.initialize();
+
+        this.depth = depth;
+        const graph = this.available ? this.buildGraph(academic, depth) : null;
+
+        this._show(academic, graph, {
+            title: `Network of ${academic.name}`,
+            description: graph && `Network of ${academic.name}: ${graph.nodes.length - 1} connected academics ` +
+                `within ${depth} ${depth === 1 ? 'hop' : 'hops'}, ${graph.links.length} connections`,
+            empty: `${academic.name} has no recorded connections yet`,
+            showDepth: true,
+            redraw: () => this.visualize(academic)
+        });
+    }
+
+    /**
+     * Show a chain between two academics, laid out from left to right and highlighted among
+     * the academics' other connections
+     * @param {Object} path - `{ academics, steps }` from pathFinder.findPaths()
+     */
+    visualizePath(path) {
+        if (!this.container) this.initialize();
+
+        const first = path.academics[0];
+        const last = path.academics[path.academics.length - 1];
+        const steps = path.steps.length;
+        const graph = this.available ? this.buildPathGraph(path) : null;
+
+        const chain = path.academics.map((academic, index) => {
+            const step = path.steps[index];
+            return step ? `${academic.name}, ${step.reasons.map(reason => reason.text).join('; ')},` : academic.name;
+        });
+
+        this._show(first, graph, {
+            title: `${first.name} to ${last.name}: ${steps} ${steps === 1 ? 'step' : 'steps'}`,
+            description: `Chain from ${first.name} to ${last.name}: ${chain.join(' ')}`,
+            showDepth: false,
+            redraw: () => this.visualizePath(path)
+        });
+    }
+
+    /**
+     * Replace the contents of the container with a graph
+     * @private
+     * @param {Object} academic - Academic the view belongs to (its profile keeps it open)
+     * @param {Object|null} graph - Graph, or null if D3 is missing
+     * @param {Object} options - `title`, `description` for screen readers, `empty` message for
+     *        a lone node, `showDepth` to offer the depth selector, and `redraw()` to show the
+     *        same view again when the size or colour changes
+     */
+    _show(academic, graph, { title, description, empty = '', showDepth, redraw }) {
+        if (!this.container) return;
+
+        this.centerId = academic.id;
+        this._stopSimulation();
+
+        this.container.innerHTML = '';
+        this.container.style.display = 'block';
+
+        if (!this.available) {
+            const error = document.createElement('div');
+            error.className = 'error-message';
+            error.textContent = 'D3.js library not loaded - network visualization is not available';
+            this.container.appendChild(error);
+            return;
+        }
+
+        this.container.setAttribute('data-description', description);
+        this.container.appendChild(this._createToolbar(academic, graph, { title, showDepth, redraw }));
+
+        const needsAnalytics = this.sizeBy !== 'standard' || this.colorBy !== 'tradition';
+        if (needsAnalytics && graph.nodes.length > 1 && !graphAnalytics.getResults()) {
+            const message = document.createElement('div');
+            message.className = 'info-message network-empty';
+            message.textContent = 'Computing network measures...';
+            this.container.appendChild(message);
+
+            graphAnalytics.compute().then(() => {
+                if (this.centerId === academic.id && this.container.contains(message)) redraw();
+            }, error => {
+                console.error('Graph analytics failed:', error);
+                message.className = 'error-message network-empty';
+                message.textContent = 'Network measures could not be computed';
+            });
+        } else if (graph.nodes.length === 1) {
+            const message = document.createElement('div');
+            message.className = 'info-message network-empty';
+            message.textContent = empty;
+            this.container.appendChild(message);
+        } else {
+            if (needsAnalytics) this._applyAnalytics(graph);
+            this._render(graph);
+        }
+
+        this.container.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+
+    /**
+     * Breadth-first collection from some academics, all of them at depth 0
+     * @private
+     * @param {Array<Object>} seeds - Academics to start from
+     * @param {number} depth - Number of hops
+     * @returns {{nodes: Array<Object>, links: Array<Object>, truncated: boolean}} - Graph
+     */
+    _collect(seeds, depth) {
+        const nodes = new Map(seeds.map(academic => [academic.id, this._createNode(academic, 0)]));
+        const links = new Map();
+        const queue = seeds.slice();
+        let truncated = false;
+
+        while (queue.length > 0) {
+            const academic = queue.shift();
+            const hops = nodes.get(academic.id).depth;
+
+            (academic.connections || []).forEach(connection => {
+                const target = databaseManager.getConnectedAcademic(connection);
+                const id = target ? target.id : `external:${academicIdentity.foldName(connection.name)}`;
+                if (id === academic.id) return;
+
+                if (!nodes.has(id)) {
+                    // Links between nodes already shown are kept at the outer edge; new nodes are not
+                    if (hops >= depth) return;
+                    if (nodes.size >= this.maxNodes) {
+                        truncated = true;
+                        return;
+                    }
+
+                    nodes.set(id, target
+                        ? this._createNode(target, hops + 1)
+                        : { id, name: connection.name, depth: hops + 1, external: true, group: null });
+                    if (target) queue.push(target);
+                }
+
+                const link = this._createLink(academic, id, connection);
+                if (!links.has(link.key)) links.set(link.key, link);
+            });
+        }
+
+        return { nodes: Array.from(nodes.values()), links: Array.from(links.values()), truncated };
+    }
+
+    /**
+     * Colour nodes by community and size them by the chosen measure
+     * @private
+     * @param {Object} graph - Graph; its nodes get `group` and `score`
+     */
+    _applyAnalytics(graph) {
+        const results = graphAnalytics.getResults();
+
+        graph.nodes.forEach(node => {
+            const scores = node.external ? null : results.byId.get(node.id);
+
+            if (this.colorBy === 'community') {
+                const community = scores && results.communities[scores.community];
+                node.group = community && community.members.length > 1 ? community.label : null;
+            }
+            node.score = scores && this.sizeBy !== 'standard' ? graphAnalytics.getScore(node.id, this.sizeBy) : null;
+        });
+    }
+
+    /**
+     * Hide the network
+     */
+    close() {
+        this._stopSimulation();
+        this.centerId = null;
+
+        if (this.container) {
+            this.container.innerHTML = '';
+            this.container.style.display = 'none';
+        }
+    }
+
+    /**
+     * @private
+     * @param {Object} academic - Academic
+     * @param {number} depth - Hops from the centre
+     * @returns {Object} - Node
+     */
+    _createNode(academic, depth) {
+        return { id: academic.id, name: academic.name, academic, depth, external: false, group: connectionGraph.getGroup(academic) };
+    }
+
+    /**
+     * Link for a connection, pointing from the academic who acted to the one acted on
+     * @private
+     * @param {Object} owner - Academic the connection is stored on
+     * @param {string} otherId - Node ID of the connected academic
+     * @param {Object} connection - Connection
+     * @returns {Object} - Link with a `key` shared by both sides of a reciprocal pair
+     */
+    _createLink(owner, otherId, connection) {
+        const type = connectionTypes.types[connection.type] ? connection.type : connectionTypes.defaultType;
+        const directed = connection.direction !== 'mutual';
+        const [source, target] = connection.direction === 'incoming' ? [otherId, owner.id] : [owner.id, otherId];
+        const years = connectionTypes.formatYears(connection);
+
+        return {
+            key: `${[source, target].sort().join('|')}|${type}`,
+            source,
+            target,
+            type,
+            directed,
+            year: historicalDates.toYear(connection.startYear),
+            title: `${owner.name}: ${connectionTypes.getLabel(connection)} ${connection.name}${years ? ` (${years})` : ''}`
+        };
+    }
+
+    /**
+     * Title, depth selector, profile and close buttons
+     * @private
+     * @param {Object} academic - Academic the view belongs to
+     * @param {Object} graph - Graph being shown
+     * @param {Object} options - `title`, `showDepth` to offer the depth selector, and `redraw()`
+     * @returns {HTMLElement} - Toolbar
+     */
+    _createToolbar(academic, graph, { title: titleText, showDepth, redraw }) {
+        const toolbar = document.createElement('div');
+        toolbar.className = 'visualization-toolbar';
+
+        const title = document.createElement('h3');
+        title.className = 'visualization-title';
+        title.textContent = titleText;
+        toolbar.appendChild(title);
+
+        if (showDepth) toolbar.appendChild(this._createDepthSelector(academic));
+        toolbar.appendChild(this._createOptionSelector('Size', 'sizeBy', this.sizeOptions, redraw));
+        toolbar.appendChild(this._createOptionSelector('Colour', 'colorBy', this.colorOptions, redraw));
+        toolbar.appendChild(this._createOptionSelector('Layout', 'layout', this.layoutOptions, redraw));
+
+        const profileButton = document.createElement('button');
+        profileButton.type = 'button';
+        profileButton.className = 'admin-btn';
+        profileButton.textContent = 'Open profile';
+        profileButton.addEventListener('click', () => this._openProfile(academic));
+        toolbar.appendChild(profileButton);
+
+        if (graph.truncated) {
+            const note = document.createElement('span');
+            note.className = 'network-note';
+            note.textContent = `Showing the first ${this.maxNodes} academics`;
+            toolbar.appendChild(note);
+        }
+
+        const closeButton = document.createElement('button');
+        closeButton.type = 'button';
+        closeButton.className = 'close-visualization-btn';
+        closeButton.textContent = '×';
+        closeButton.title = 'Close network';
+        closeButton.setAttribute('aria-label', 'Close network');
+        closeButton.addEventListener('click', () => this.close());
+        toolbar.appendChild(closeButton);
+
+        return toolbar;
+    }
+
+    /**
+     * @private
+     * @param {Object} academic - Academic in the centre
+     * @returns {HTMLElement} - Labelled select for the number of hops
+     */
+    _createDepthSelector(academic) {
+        const depthLabel = document.createElement('label');
+        depthLabel.className = 'network-depth';
+        depthLabel.textContent = 'Depth ';
+
+        const depthSelect = document.createElement('select');
+        this.depthOptions.forEach(value => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = `${value} ${value === 1 ? 'hop' : 'hops'}`;
+            depthSelect.appendChild(option);
+        });
+        depthSelect.value = this.depth;
+        depthSelect.addEventListener('change', () => {
+            this.visualize(academic, { depth: Number(depthSelect.value) });
+        });
+        depthLabel.appendChild(depthSelect);
+        return depthLabel;
+    }
+
+    /**
+     * @private
+     * @param {string} label - Label text
+     * @param {string} setting - Property it sets (`sizeBy` or `colorBy`)
+     * @param {Object} options - Values and their names
+     * @param {Function} redraw - Shows the view again
+     * @returns {HTMLElement} - Labelled select
+     */
+    _createOptionSelector(label, setting, options, redraw) {
+        const wrapper = document.createElement('label');
+        wrapper.className = 'network-option';
+        wrapper.textContent = `${label} `;
+
+        const select = document.createElement('select');
+        Object.entries(options).forEach(([value, text]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = text;
+            select.appendChild(option);
+        });
+        select.value = this[setting];
+        select.addEventListener('change', () => {
+            this[setting] = select.value;
+            redraw();
+        });
+        wrapper.appendChild(select);
+        return wrapper;
+    }
+
+    /**
+     * Legend of the traditions or communities and connection types in view
+     * @private
+     * @param {Object} graph - Graph
+     * @param {Function} color - Colour scale for groups
+     * @returns {HTMLElement} - Legend
+     */
+    _createLegend(graph, color) {
+        const legend = document.createElement('div');
+        legend.className = 'network-legend';
+
+        const addEntry = (swatch, label) => {
+            const entry = document.createElement('div');
+            entry.className = 'network-legend-entry';
+            entry.appendChild(swatch);
+            entry.appendChild(document.createTextNode(` ${label}`));
+            legend.appendChild(entry);
+        };
+
+        const groups = Array.from(new Set(graph.nodes.map(node => node.group)))
+            .sort((a, b) => (a === null) - (b === null) || academicIdentity.compareNames(a, b));
+        groups.forEach(group => {
+            const swatch = document.createElement('span');
+            swatch.className = 'network-legend-swatch';
+            swatch.style.backgroundColor = group === null ? '' : color(group);
+            if (group === null) swatch.classList.add('unclassified');
+            addEntry(swatch, group || (this.colorBy === 'community' ? 'No community' : 'No tradition recorded'));
+        });
+
+        Array.from(new Set(graph.links.map(link => link.type))).forEach(type => {
+            const swatch = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+            swatch.setAttribute('class', 'network-legend-line');
+            swatch.setAttribute('width', '24');
+            swatch.setAttribute('height', '8');
+
+            const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+            line.setAttribute('class', `network-link link-${type}`);
+            line.setAttribute('x1', '0');
+            line.setAttribute('y1', '4');
+            line.setAttribute('x2', '24');
+            line.setAttribute('y2', '4');
+            swatch.appendChild(line);
+
+            addEntry(swatch, this.stepLinkLabels[type] || type.charAt(0).toUpperCase() + type.slice(1));
+        });
+
+        return legend;
+    }
+
+    /**
+     * Draw the graph and start the force layout
+     * @private
+     * @param {Object} graph - Graph
+     */
+    _render(graph) {
+        const width = this.container.clientWidth || 800;
+        const height = this.container.clientHeight || 500;
+
+        const groups = Array.from(new Set(graph.nodes.map(node => node.group).filter(Boolean))).sort();
+        const color = d3.scaleOrdinal(d3.schemeCategory10).domain(groups);
+
+        this.container.appendChild(this._createLegend(graph, color));
+
+        const svg = d3.select(this.container)
+            .append('svg')
+            .attr('class', `network-svg${graph.path ? ' path-mode' : ''}`)
+            .attr('viewBox', `0 0 ${width} ${height}`)
+            .attr('role', 'img')
+            .attr('aria-label', this.container.getAttribute('data-description') || 'Network of connections');
+
+        // Arrowheads, one per type so they take the link colour
+        svg.append('defs')
+            .selectAll('marker')
+            .data(Object.keys(connectionTypes.types))
+            .enter()
+            .append('marker')
+            .attr('id', type => `network-arrow-${type}`)
+            .attr('class', type => `network-arrow link-${type}`)
+            .attr('viewBox', '0 -5 10 10')
+            .attr('refX', 10)
+            .attr('markerWidth', 6)
+            .attr('markerHeight', 6)
+            .attr('orient', 'auto')
+            .append('path')
+            .attr('d', 'M0,-5L10,0L0,5');
+
+        const layer = svg.append('g');
+        svg.call(d3.zoom()
+            .scaleExtent([0.2, 4])
+            .on('zoom', () => layer.attr('transform', d3.event.transform)));
+
+        const timeline = this.layout !== 'force' ? this._createTimeScale(graph, width) : null;
+        const periods = timeline ? this._drawTimeAxis(layer, graph, timeline, height) : null;
+
+        const link = layer.append('g')
+            .attr('class', 'network-links')
+            .selectAll('line')
+            .data(graph.links)
+            .enter()
+            .append('line')
+            .attr('class', d => `network-link link-${d.type}${d.onPath ? ' on-path' : ''}`)
+            .attr('marker-end', d => (d.directed ? `url(#network-arrow-${d.type})` : null));
+        link.append('title').text(d => d.title);
+
+        const node = layer.append('g')
+            .attr('class', 'network-nodes')
+            .selectAll('g')
+            .data(graph.nodes)
+            .enter()
+            .append('g')
+            .attr('class', d => `network-node${d.depth === 0 ? ' center' : ''}${d.onPath ? ' on-path' : ''}${d.external ? ' external' : ''}`)
+            .attr('tabindex', d => (d.external ? null : 0))
+            .attr('role', d => (d.external ? null : 'button'))
+            .attr('aria-label', d => (d.id === this.centerId ? `${d.name}: open profile` : d.external ? null : `Centre on ${d.name}`));
+
+        node.append('circle')
+            .attr('r', d => this._getRadius(d))
+            .attr('fill', d => (d.group ? color(d.group) : null));
+
+        node.append('text')
+            .attr('dx', d => this._getRadius(d) + 4)
+            .attr('dy', '0.35em')
+            .text(d => d.name);
+
+        node.append('title').text(d => {
+            if (d.external) return `${d.name} (not in the database)`;
+            const lifespan = historicalDates.formatSpan(d.academic.birthYear, d.academic.deathYear);
+            const score = typeof d.score === 'number' ? `${this.sizeOptions[this.sizeBy]} ${d.score.toFixed(2)}` : null;
+            return [d.name + (lifespan ? ` (${lifespan})` : ''), d.group, score].filter(Boolean).join('\n');
+        });
+
+        node.on('click', d => this._activate(d))
+            .on('keydown', d => {
+                if (d3.event.key === 'Enter' || d3.event.key === ' ') {
+                    d3.event.preventDefault();
+                    this._activate(d);
+                }
+            });
+
+        // The centre, or the chain from left to right, stays put; the rest settles around it
+        if (graph.path) {
+            const margin = 60;
+            const spacing = (width - 2 * margin) / Math.max(1, graph.path.length - 1);
+            graph.path.forEach((id, index) => {
+                const pinned = graph.nodes.find(d => d.id === id);
+                pinned.fx = margin + index * spacing;
+                pinned.fy = height / 2;
+            });
+        } else {
+            const center = graph.nodes.find(d => d.depth === 0);
+            center.fx = width / 2;
+            center.fy = height / 2;
+        }
+
+        // On a timeline every node keeps its place in time and only moves up and down
+        if (timeline) {
+            graph.nodes.forEach(d => {
+                d.fx = timeline.x(d);
+            });
+        }
+
+        const simulation = d3.forceSimulation(graph.nodes)
+            .force('link', d3.forceLink(graph.links).id(d => d.id).distance(d => 60 + 30 * Math.max(d.source.depth, d.target.depth)))
+            .force('charge', d3.forceManyBody().strength(-250))
+            .force('center', d3.forceCenter(width / 2, height / 2))
+            .force('collide', d3.forceCollide(d => this._getRadius(d) + 12));
+        if (timeline) simulation.force('y', d3.forceY(height / 2).strength(0.05));
+
+        node.call(d3.drag()
+            .on('start', d => {
+                if (!d3.event.active) simulation.alphaTarget(0.3).restart();
+                d.fx = d.x;
+                d.fy = d.y;
+            })
+            .on('drag', d => {
+                d.fx = timeline ? timeline.x(d) : d3.event.x;
+                d.fy = d3.event.y;
+            })
+            .on('end', d => {
+                if (!d3.event.active) simulation.alphaTarget(0);
+                if (d.depth !== 0) {
+                    d.fx = timeline ? timeline.x(d) : null;
+                    d.fy = null;
+                }
+            }));
+
+        simulation.on('tick', () => {
+            link.each(function(d) {
+                // Stop directed links at the edge of the target circle so the arrowhead shows
+                const dx = d.target.x - d.source.x;
+                const dy = d.target.y - d.source.y;
+                const length = Math.sqrt(dx * dx + dy * dy) || 1;
+                const inset = d.directed ? networkVisualization._getRadius(d.target) + 2 : 0;
+
+                d3.select(this)
+                    .attr('x1', d.source.x)
+                    .attr('y1', d.source.y)
+                    .attr('x2', d.target.x - (dx / length) * inset)
+                    .attr('y2', d.target.y - (dy / length) * inset);
+            });
+            node.attr('transform', d => `translate(${d.x},${d.y})`);
+            if (periods) {
+                periods.attr('y1', d => d.y).attr('y2', d => d.y);
+            }
+        });
+
+        this.simulation = simulation;
+
+        if (timeline) {
+            this.container.appendChild(this._createTimeSlider(timeline, year => {
+                // Academics appear when their period starts, connections when both ends are
+                // shown and the connection has begun; undated ones are always shown
+                const hidden = d => d.period !== null && d.period.start > year + this.timeStep - 1;
+                node.classed('network-hidden', hidden);
+                periods.classed('network-hidden', hidden);
+                link.classed('network-hidden', d => hidden(d.source) || hidden(d.target) ||
+                    (d.year !== null && d.year !== undefined && d.year > year + this.timeStep - 1));
+            }));
+        }
+    }
+
+    /**
+     * Period of each node and a horizontal scale for them
+     * @private
+     * @param {Object} graph - Graph; its nodes get `period` (`{ start, end }` or null)
+     * @param {number} width - Drawing width
+     * @returns {Object} - `scale`, `x(node)` (undated nodes go to a column on the right),
+     *          `undatedX`, and the first and last decade (all null if nothing is dated)
+     */
+    _createTimeScale(graph, width) {
+        const margin = 60;
+        graph.nodes.forEach(d => {
+            d.period = d.external ? null : this.getPeriod(d.academic, this.layout);
+        });
+
+        const dated = graph.nodes.filter(d => d.period);
+        if (dated.length === 0) {
+            return { scale: null, x: () => width / 2, undatedX: null, first: null, last: null };
+        }
+
+        const undated = dated.length < graph.nodes.length;
+        const first = Math.floor(Math.min(...dated.map(d => d.period.start)) / this.timeStep) * this.timeStep;
+        const last = Math.floor(Math.max(...dated.map(d => d.period.end)) / this.timeStep) * this.timeStep;
+
+        const right = width - margin - (undated ? 80 : 0);
+        const scale = d3.scaleLinear().domain([first, last + this.timeStep]).range([margin, right]);
+        const undatedX = width - margin;
+
+        return {
+            scale,
+            x: d => (d.period ? scale((d.period.start + d.period.end) / 2) : undatedX),
+            undatedX: undated ? undatedX : null,
+            first,
+            last
+        };
+    }
+
+    /**
+     * Time axis and a bar for each academic's period
+     * @private
+     * @param {Object} layer - D3 selection to draw into
+     * @param {Object} graph - Graph
+     * @param {Object} timeline - Time scale
+     * @param {number} height - Drawing height
+     * @returns {Object|null} - D3 selection of the period bars, or null with no dated nodes
+     */
+    _drawTimeAxis(layer, graph, timeline, height) {
+        if (timeline.first === null) return null;
+
+        layer.append('g')
+            .attr('class', 'network-axis')
+            .attr('transform', `translate(0,${height - 20})`)
+            .call(d3.axisBottom(timeline.scale)
+                .ticks(Math.min(10, (timeline.last - timeline.first) / this.timeStep + 1))
+                .tickFormat(year => historicalDates.format(year)));
+
+        if (timeline.undatedX !== null) {
+            layer.append('text')
+                .attr('class', 'network-axis-label')
+                .attr('x', timeline.undatedX)
+                .attr('y', height - 6)
+                .attr('text-anchor', 'middle')
+                .text('Undated');
+        }
+
+        return layer.append('g')
+            .attr('class', 'network-periods')
+            .selectAll('line')
+            .data(graph.nodes.filter(d => d.period))
+            .enter()
+            .append('line')
+            .attr('class', 'network-period')
+            .attr('x1', d => timeline.scale(d.period.start))
+            .attr('x2', d => timeline.scale(d.period.end));
+    }
+
+    /**
+     * Slider to replay the network decade by decade, with a play button
+     * @private
+     * @param {Object} timeline - Time scale
+     * @param {Function} apply - Shows what existed up to the given decade
+     * @returns {HTMLElement} - Slider
+     */
+    _createTimeSlider(timeline, apply) {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'network-timeline';
+        if (timeline.first === null) return wrapper;
+
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.min = timeline.first;
+        slider.max = timeline.last;
+        slider.step = this.timeStep;
+        slider.value = timeline.last;
+        slider.setAttribute('aria-label', 'Show the network up to decade');
+
+        const output = document.createElement('output');
+        output.className = 'network-timeline-decade';
+
+        const playButton = document.createElement('button');
+        playButton.type = 'button';
+        playButton.className = 'admin-btn';
+
+        const update = () => {
+            const year = Number(slider.value);
+            const decade = this._formatDecade(year);
+            output.textContent = year >= timeline.last ? `${decade} (all)` : decade;
+            slider.setAttribute('aria-valuetext', `Up to the ${decade}`);
+            apply(year);
+        };
+
+        const setPlaying = playing => {
+            this._stopTimer();
+            playButton.textContent = playing ? '❚❚ Pause' : '▶ Play';
+            if (!playing) return;
+
+            if (Number(slider.value) >= timeline.last) slider.value = timeline.first;
+            update();
+            this.timer = setInterval(() => {
+                if (Number(slider.value) >= timeline.last) {
+                    setPlaying(false);
+                    return;
+                }
+                slider.value = Number(slider.value) + this.timeStep;
+                update();
+            }, this.playDelay);
+        };
+
+        slider.addEventListener('input', () => {
+            setPlaying(false);
+            update();
+        });
+        playButton.addEventListener('click', () => setPlaying(this.timer === null));
+
+        const label = document.createElement('label');
+        label.textContent = 'Up to ';
+        label.appendChild(output);
+
+        wrapper.appendChild(playButton);
+        wrapper.appendChild(slider);
+        wrapper.appendChild(label);
+
+        setPlaying(false);
+        update();
+        return wrapper;
+    }
+
+    /**
+     * Period an academic is placed by on a timeline, falling back to the other kind of period
+     * when the dates for the chosen one are missing
+     * @param {Object} academic - Academic
+     * @param {string} layout - 'lifespan' or 'active'
+     * @returns {{start: number, end: number}|null} - Years, or null if nothing is dated
+     */
+    getPeriod(academic, layout) {
+        const lifespan = this._getLifespan(academic);
+        const active = this._getActiveYears(academic);
+        return layout === 'active' ? active || lifespan : lifespan || active;
+    }
+
+    /**
+     * @private
+     * @param {Object} academic - Academic
+     * @returns {{start: number, end: number}|null} - Life span; one missing date is estimated
+     */
+    _getLifespan(academic) {
+        const birth = historicalDates.toYear(academic.birthYear);
+        const death = historicalDates.toYear(academic.deathYear);
+
+        if (birth === null && death === null) return null;
+        if (birth === null) return { start: death - this.typicalLifespan, end: death };
+        if (death === null) {
+            // Probably still alive, or the death date is not recorded
+            return { start: birth, end: Math.max(birth, Math.min(birth + this.typicalLifespan, new Date().getFullYear())) };
+        }
+        return { start: Math.min(birth, death), end: Math.max(birth, death) };
+    }
+
+    /**
+     * @private
+     * @param {Object} academic - Academic
+     * @returns {{start: number, end: number}|null} - First to last year of papers and events
+     */
+    _getActiveYears(academic) {
+        const years = [...(academic.papers || []), ...(academic.events || [])]
+            .map(item => historicalDates.toYear(item.year))
+            .filter(year => year !== null);
+
+        return years.length > 0 ? { start: Math.min(...years), end: Math.max(...years) } : null;
+    }
+
+    /**
+     * @private
+     * @param {number} year - First year of a decade
+     * @returns {string} - e.g. "1930s", "400s BCE"
+     */
+    _formatDecade(year) {
+        return year >= 0 ? `${year}s` : `${-year}s BCE`;
+    }
+
+    /**
+     * Click or Enter on a node: recentre on it, or open the profile the view belongs to
+     * @private
+     * @param {Object} node - Node
+     */
+    _activate(node) {
+        if (node.external) return;
+
+        if (node.id === this.centerId) {
+            this._openProfile(node.academic);
+        } else {
+            this.visualize(node.academic);
+        }
+    }
+
+    /**
+     * @private
+     * @param {Object} academic - Academic
+     */
+    _openProfile(academic) {
+        displayAcademic(academic);
+
+        const profile = document.querySelector('#results-container .academic-profile');
+        if (profile) profile.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+
+    /**
+     * @private
+     * @param {Object} node - Node
+     * @returns {number} - Circle radius
+     */
+    _getRadius(node) {
+        if (typeof node.score === 'number') {
+            return this.scoreRadius.min + (this.scoreRadius.max - this.scoreRadius.min) * Math.sqrt(node.score);
+        }
+        if (node.depth === 0) return this.nodeRadius.center;
+        return node.external ? this.nodeRadius.external : this.nodeRadius.academic;
+    }
+
+    /**
+     * @private
+     */
+    _stopSimulation() {
+        if (this.simulation) {
+            this.simulation.stop();
+            this.simulation = null;
+        }
+        this._stopTimer();
+    }
+
+    /**
+     * Stop replaying the timeline
+     * @private
+     */
+    _stopTimer() {
+        if (this.timer !== null) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+}
+
+// Initialize the network visualization
+const networkVisualization = new NetworkVisualization();
+
+// Make it available globally
+window.networkVisualization = networkVisualization;
+
+/**
+ * Called once at startup (see js/app.js)
+ * @returns {boolean} - True if D3 is available
+ */
+function initializeNetworkVisualization() {
+    return networkVisualization.initialize();
+}
+
+/**
+ * Show the network of an academic; used by the ◉ button on profiles
+ * @param {Object} academic - Academic
+ */
+function visualizeAcademic(academic) {
+    networkVisualization.visualize(academic);
+}
+
+window.initializeNetworkVisualization = initializeNetworkVisualization;
+window.visualizeAcademic = visualizeAcademic;
@@ -0,0 +1,459 @@
+/**
+ * Path Finder for KillPhilosophy
+ * Degrees of separation: the shortest chains between two academics through connections,
+ * co-authored papers and shared events, each step explained ("student of", "co-authored
+ * 'Dialectic of Enlightenment' (1944)")
+ *
+ * Several chains are found with Yen's k-shortest simple paths over an unweighted graph. The
+ * graph is rebuilt only when the database changes.
+ */
+
+class PathFinder {
+    constructor() {
+        // How two academics can be linked, in the order a step's reasons are listed
+        this.kinds = {
+            connection: 'Connections',
+            coauthor: 'Co-authorship',
+            event: 'Shared events'
+        };
+
+        this.limitOptions = [1, 3, 5];
+        this.defaultLimit = 3;
+
+        // Longest chain looked for
+        this.maxSteps = 8;
+
+        this.relations = null;
+        this.relationsKey = null;
+
+        // Form state, kept when the Deep Search tab is re-rendered
+        this.state = { from: '', to: '', kinds: Object.keys(this.kinds), limit: this.defaultLimit };
+        this.container = null;
+        this.onOpen = null;
+        this.onShowPath = null;
+    }
+
+    /**
+     * Everything linking one academic to others
+     * @param {string} id - Academic ID
+     * @returns {Map<string, Array<Object>>} - Other academic's ID -> reasons (`{ kind, text }`,
+     *          read from this academic: "student of")
+     */
+    getRelations(id) {
+        return this._getRelations().get(id) || new Map();
+    }
+
+    /**
+     * Shortest chains between two academics
+     * @param {Object} from - Academic to start from
+     * @param {Object} to - Academic to reach
+     * @param {Object} options - `limit` chains at most; `kinds` of step allowed (see `this.kinds`)
+     * @returns {Array<Object>} - Paths, shortest first: `{ academics, steps }`, where step i
+     *          leads from academics[i] to academics[i + 1] and has `reasons`
+     */
+    findPaths(from, to, { limit = this.defaultLimit, kinds = Object.keys(this.kinds) } = {}) {
+        if (!from || !to || from.id === to.id) return [];
+
+        const allowed = new Set(kinds);
+        const relations = this._getRelations();
+        const neighbors = id => {
+            const result = [];
+            (relations.get(id) || new Map()).forEach((reasons, other) => {
+                if (reasons.some(reason => allowed.has(reason.kind))) result.push(other);
+            });
+            return result;
+        };
+
+        // Yen's algorithm: each next path deviates from an earlier one at some step
+        // Every chain, the shortest included, is held to maxSteps
+        const first = this._shortestPath(from.id, to.id, neighbors, new Set(), new Set());
+        if (!first || first.length - 1 > this.maxSteps) return [];
+
+        const found = [first];
+        const candidates = [];
+        const seen = new Set([first.join('|')]);
+
+        while (found.length < limit) {
+            const previous = found[found.length - 1];
+
+            for (let i = 0; i < previous.length - 1; i++) {
+                const root = previous.slice(0, i + 1);
+                const blockedEdges = new Set();
+                found.forEach(path => {
+                    if (path.length > i + 1 && root.every((id, index) => path[index] === id)) {
+                        blockedEdges.add(`${path[i]}|${path[i + 1]}`);
+                    }
+                });
+
+                const spur = this._shortestPath(previous[i], to.id, neighbors, new Set(root.slice(0, -1)), blockedEdges);
+                if (!spur) continue;
+
+                const path = root.slice(0, -1).concat(spur);
+                const key = path.join('|');
+                if (path.length - 1 <= this.maxSteps && !seen.has(key)) {
+                    seen.add(key);
+                    candidates.push(path);
+                }
+            }
+
+            if (candidates.length === 0) break;
+
+            candidates.sort((a, b) => a.length - b.length);
+            found.push(candidates.shift());
+        }
+
+        return found.map(ids => this._describePath(ids, allowed));
+    }
+
+    /**
+     * Render the path finder form, and the chains for the last query
+     * @param {HTMLElement} container - Element to render into
+     * @param {Object} options - `onOpen(academic)` opens a profile; `onShowPath(path)` shows a
+     *        chain in the network visualization
+     */
+    render(container, { onOpen, onShowPath } = {}) {
+        this.container = container;
+        this.onOpen = onOpen;
+        this.onShowPath = onShowPath;
+        container.innerHTML = '';
+
+        const form = document.createElement('form');
+        form.className = 'path-finder-form';
+
+        const names = document.createElement('datalist');
+        names.id = 'path-finder-names';
+        databaseManager.getAllAcademics()
+            .map(academic => academic.name)
+            .sort(academicIdentity.compareNames)
+            .forEach(name => {
+                const option = document.createElement('option');
+                option.value = name;
+                names.appendChild(option);
+            });
+        form.appendChild(names);
+
+        const inputs = {};
+        [['from', 'From'], ['to', 'To']].forEach(([field, label]) => {
+            const group = document.createElement('div');
+            group.className = 'form-group';
+
+            const labelElement = document.createElement('label');
+            labelElement.htmlFor = `path-finder-${field}`;
+            labelElement.textContent = `${label}:`;
+
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.id = `path-finder-${field}`;
+            input.className = 'path-finder-input';
+            input.placeholder = 'Academic name';
+            input.setAttribute('list', names.id);
+            input.value = this.state[field];
+
+            group.appendChild(labelElement);
+            group.appendChild(input);
+            form.appendChild(group);
+            inputs[field] = input;
+        });
+
+        const kinds = document.createElement('fieldset');
+        kinds.className = 'path-finder-kinds';
+        const legend = document.createElement('legend');
+        legend.textContent = 'Through';
+        kinds.appendChild(legend);
+
+        const checkboxes = Object.entries(this.kinds).map(([kind, label]) => {
+            const option = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = kind;
+            checkbox.checked = this.state.kinds.includes(kind);
+            option.appendChild(checkbox);
+            option.appendChild(document.createTextNode(` ${label}`));
+            kinds.appendChild(option);
+            return checkbox;
+        });
+        form.appendChild(kinds);
+
+        const limitLabel = document.createElement('label');
+        limitLabel.className = 'path-finder-limit';
+        limitLabel.textContent = 'Chains: ';
+        const limit = document.createElement('select');
+        this.limitOptions.forEach(value => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = value;
+            limit.appendChild(option);
+        });
+        limit.value = this.state.limit;
+        limitLabel.appendChild(limit);
+        form.appendChild(limitLabel);
+
+        const submit = document.createElement('button');
+        submit.type = 'submit';
+        submit.className = 'run-deep-search-btn';
+        submit.textContent = 'Find Chains';
+        form.appendChild(submit);
+
+        const results = document.createElement('div');
+        results.className = 'path-finder-results';
+        results.setAttribute('aria-live', 'polite');
+
+        form.addEventListener('submit', e => {
+            e.preventDefault();
+            this.state = {
+                from: inputs.from.value.trim(),
+                to: inputs.to.value.trim(),
+                kinds: checkboxes.filter(checkbox => checkbox.checked).map(checkbox => checkbox.value),
+                limit: Number(limit.value)
+            };
+            this._renderResults(results);
+        });
+
+        container.appendChild(form);
+        container.appendChild(results);
+
+        if (this.state.from && this.state.to) this._renderResults(results);
+    }
+
+    /**
+     * @private
+     * @param {HTMLElement} results - Element to render into
+     */
+    _renderResults(results) {
+        results.innerHTML = '';
+
+        const showMessage = (className, text) => {
+            const message = document.createElement('div');
+            message.className = className;
+            message.textContent = text;
+            results.appendChild(message);
+        };
+
+        const { from: fromQuery, to: toQuery, kinds, limit } = this.state;
+        if (!fromQuery || !toQuery) {
+            showMessage('error-message', 'Enter two academics');
+            return;
+        }
+
+        const from = databaseManager.findExactMatch(fromQuery) || databaseManager.getAcademic(fromQuery);
+        const to = databaseManager.findExactMatch(toQuery) || databaseManager.getAcademic(toQuery);
+        const missing = [[from, fromQuery], [to, toQuery]].find(([academic]) => !academic);
+        if (missing) {
+            showMessage('error-message', `No academic found for "${missing[1]}"`);
+            return;
+        }
+        if (from.id === to.id) {
+            showMessage('error-message', 'Pick two different academics');
+            return;
+        }
+        if (kinds.length === 0) {
+            showMessage('error-message', 'Tick at least one kind of link');
+            return;
+        }
+
+        const paths = this.findPaths(from, to, { limit, kinds });
+        if (paths.length === 0) {
+            showMessage('info-message', `No chain of up to ${this.maxSteps} steps links ${from.name} and ${to.name}`);
+            return;
+        }
+
+        const steps = paths[0].steps.length;
+        showMessage('path-finder-summary',
+            `${from.name} and ${to.name} are ${steps} ${steps === 1 ? 'step' : 'steps'} apart`);
+
+        const list = document.createElement('ol');
+        list.className = 'path-list';
+        paths.forEach(path => list.appendChild(this._createPathItem(path)));
+        results.appendChild(list);
+    }
+
+    /**
+     * One chain: names linked by the reasons for each step
+     * @private
+     * @param {Object} path - Path
+     * @returns {HTMLElement} - List item
+     */
+    _createPathItem(path) {
+        const item = document.createElement('li');
+        item.className = 'path-item';
+
+        const chain = document.createElement('div');
+        chain.className = 'path-chain';
+
+        path.academics.forEach((academic, index) => {
+            const name = document.createElement('button');
+            name.type = 'button';
+            name.className = 'path-academic';
+            name.textContent = academic.name;
+            name.addEventListener('click', () => {
+                if (this.onOpen) this.onOpen(academic);
+            });
+            chain.appendChild(name);
+
+            const step = path.steps[index];
+            if (!step) return;
+
+            const hop = document.createElement('span');
+            hop.className = 'path-step';
+            hop.textContent = ` — ${step.reasons.map(reason => reason.text).join('; ')} → `;
+            chain.appendChild(hop);
+        });
+        item.appendChild(chain);
+
+        const show = document.createElement('button');
+        show.type = 'button';
+        show.className = 'admin-btn';
+        show.textContent = 'Show in network';
+        show.addEventListener('click', () => {
+            if (this.onShowPath) this.onShowPath(path);
+        });
+        item.appendChild(show);
+
+        return item;
+    }
+
+    /**
+     * Breadth-first search avoiding some academics and steps
+     * @private
+     * @param {string} from - Start ID
+     * @param {string} to - Goal ID
+     * @param {Function} neighbors - ID -> IDs reachable in one step
+     * @param {Set<string>} blockedNodes - IDs not to pass through
+     * @param {Set<string>} blockedEdges - "from|to" steps not to take
+     * @returns {Array<string>|null} - IDs from start to goal, or null if unreachable
+     */
+    _shortestPath(from, to, neighbors, blockedNodes, blockedEdges) {
+        const previous = new Map([[from, null]]);
+        const queue = [from];
+
+        for (let head = 0; head < queue.length; head++) {
+            const current = queue[head];
+            if (current === to) break;
+
+            for (const next of neighbors(current)) {
+                if (previous.has(next) || blockedNodes.has(next) || blockedEdges.has(`${current}|${next}`)) continue;
+                previous.set(next, current);
+                queue.push(next);
+            }
+        }
+
+        if (!previous.has(to)) return null;
+
+        const path = [];
+        for (let id = to; id !== null; id = previous.get(id)) path.unshift(id);
+        return path;
+    }
+
+    /**
+     * @private
+     * @param {Array<string>} ids - Academic IDs along the path
+     * @param {Set<string>} allowed - Kinds of step allowed
+     * @returns {Object} - Path with academics and explained steps
+     */
+    _describePath(ids, allowed) {
+        const academics = ids.map(id => databaseManager.getAcademic(id));
+        const steps = ids.slice(0, -1).map((id, index) => ({
+            reasons: this.getRelations(id).get(ids[index + 1]).filter(reason => allowed.has(reason.kind))
+        }));
+
+        return { academics, steps };
+    }
+
+    /**
+     * @private
+     * @returns {Map<string, Map<string, Array<Object>>>} - Relations of every academic
+     */
+    _getRelations() {
+        const key = connectionGraph.getKey();
+        if (!this.relations || this.relationsKey !== key) {
+            this.relations = this._buildRelations();
+            this.relationsKey = key;
+        }
+        return this.relations;
+    }
+
+    /**
+     * @private
+     * @returns {Map<string, Map<string, Array<Object>>>} - Relations of every academic
+     */
+    _buildRelations() {
+        const relations = new Map();
+        const kindOrder = Object.keys(this.kinds);
+
+        const add = (a, b, kind, textFromA, textFromB) => {
+            if (!a || !b || a.id === b.id) return;
+            [[a, b, textFromA], [b, a, textFromB]].forEach(([self, other, text]) => {
+                if (!relations.has(self.id)) relations.set(self.id, new Map());
+                const byOther = relations.get(self.id);
+                if (!byOther.has(other.id)) byOther.set(other.id, []);
+
+                const reasons = byOther.get(other.id);
+                if (!reasons.some(reason => reason.text === text)) reasons.push({ kind, text });
+            });
+        };
+
+        const describeItem = item => {
+            const year = historicalDates.format(item.year);
+            return `"${item.title}"${year ? ` (${year})` : ''}`;
+        };
+
+        // Papers and events with the same title and year, listed on several academics
+        const sharedPapers = new Map();
+        const sharedEvents = new Map();
+        const collect = (index, academic, item) => {
+            const key = `${academicIdentity.foldName(item.title || '')}|${historicalDates.getKey(item.year)}`;
+            if (!index.has(key)) index.set(key, { item, academics: [] });
+            const entry = index.get(key);
+            if (!entry.academics.includes(academic)) entry.academics.push(academic);
+        };
+
+        databaseManager.getAllAcademics().forEach(academic => {
+            (academic.connections || []).forEach(connection => {
+                const other = databaseManager.getConnectedAcademic(connection);
+                if (!other) return;
+
+                const years = connectionTypes.formatYears(connection);
+                const suffix = years ? ` (${years})` : '';
+                add(academic, other, 'connection',
+                    connectionTypes.getLabel(connection).toLowerCase() + suffix,
+                    connectionTypes.getLabel(connectionTypes.invert(connection, academic)).toLowerCase() + suffix);
+            });
+
+            (academic.papers || []).forEach(paper => {
+                if (!paper.title) return;
+                collect(sharedPapers, academic, paper);
+
+                const text = `co-authored ${describeItem(paper)}`;
+                (paper.coauthors || []).forEach(name => {
+                    add(academic, databaseManager.getAcademic(name), 'coauthor', text, text);
+                });
+            });
+
+            (academic.events || []).forEach(event => {
+                if (event.title) collect(sharedEvents, academic, event);
+            });
+        });
+
+        [[sharedPapers, 'coauthor', 'co-authored'], [sharedEvents, 'event', 'both at']].forEach(([index, kind, verb]) => {
+            index.forEach(({ item, academics }) => {
+                const text = `${verb} ${describeItem(item)}`;
+                academics.forEach((a, i) => {
+                    academics.slice(i + 1).forEach(b => add(a, b, kind, text, text));
+                });
+            });
+        });
+
+        // Connections first, then co-authorship, then events
+        relations.forEach(byOther => {
+            byOther.forEach(reasons => reasons.sort((a, b) => kindOrder.indexOf(a.kind) - kindOrder.indexOf(b.kind)));
+        });
+
+        return relations;
+    }
+}
+
+// Initialize the path finder
+const pathFinder = new PathFinder();
+
+// Make it available globally
+window.pathFinder = pathFinder;
@@ -0,0 +1,194 @@
+/**
+ * Provenance for KillPhilosophy
+ * Source references attached to facts (bio, taxonomy values, papers, events, connections)
+ * and the footnote list the profile renders from them
+ *
+ * A source is stored as:
+ *   { type, value, label, date }
+ * `type` is 'url', 'reference' (bibliographic citation), 'contributor' or 'deepsearch'.
+ * `value` is the URL, citation text, contributor name or Deep Search query ID; `label` is
+ * optional display text (the query for Deep Search) and `date` the ISO date it was recorded.
+ */
+
+class Provenance {
+    constructor() {
+        this.types = {
+            url: 'Web page',
+            reference: 'Reference',
+            contributor: 'Contributor',
+            deepsearch: 'Deep Search query'
+        };
+    }
+
+    /**
+     * Create a source dated today
+     * @param {string} type - Source type
+     * @param {string} value - URL, citation, contributor name or query ID
+     * @param {string} label - Optional display text
+     * @returns {Object} - Source
+     */
+    createSource(type, value, label = null) {
+        const source = { type, value: String(value).trim(), date: new Date().toISOString().slice(0, 10) };
+        if (label) source.label = label;
+        return source;
+    }
+
+    /**
+     * Turn free text from a form into a source: a URL if it parses as one, otherwise a citation
+     * @param {string} text - URL or bibliographic reference
+     * @returns {Object|null} - Source, or null for blank input
+     */
+    parseSource(text) {
+        const value = (text || '').trim();
+        if (!value) return null;
+
+        return this.createSource(/^https?:\/\//i.test(value) ? 'url' : 'reference', value);
+    }
+
+    /**
+     * Identity key of a source; the same URL cited twice is one source
+     * @param {Object} source - Source
+     * @returns {string} - Key
+     */
+    getKey(source) {
+        const value = source.type === 'url' ? source.value : academicIdentity.foldName(source.value);
+        return `${source.type}|${value}`;
+    }
+
+    /**
+     * Combine source lists, keeping the first occurrence of each source
+     * @param {...Array<Object>} lists - Source lists (missing lists are skipped)
+     * @returns {Array<Object>} - Combined list
+     */
+    mergeSources(...lists) {
+        const seen = new Set();
+        return lists.flat().filter(source => {
+            if (!source) return false;
+            const key = this.getKey(source);
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+    }
+
+    /**
+     * Combine the per-value taxonomy sources of two records
+     * @param {Object} first - `taxonomySources` of the preferred record
+     * @param {Object} second - `taxonomySources` of the other record
+     * @returns {Object} - Map of category to value to sources
+     */
+    mergeTaxonomySources(first, second) {
+        const merged = {};
+
+        [first || {}, second || {}].forEach(taxonomySources => {
+            for (const [category, values] of Object.entries(taxonomySources)) {
+                merged[category] = merged[category] || {};
+                for (const [value, sources] of Object.entries(values || {})) {
+                    merged[category][value] = this.mergeSources(merged[category][value], sources);
+                }
+            }
+        });
+
+        return merged;
+    }
+
+    /**
+     * Plain-text description of a source, e.g. "Contributed by Jane Doe (2024-05-01)"
+     * @param {Object} source - Source
+     * @returns {string} - Description
+     */
+    describe(source) {
+        const date = source.date ? ` (${source.date})` : '';
+
+        switch (source.type) {
+            case 'contributor':
+                return `Contributed by ${source.value}${date}`;
+            case 'deepsearch':
+                return `Deep Search query${source.label ? ` “${source.label}”` : ''} (${source.value})` +
+                    (source.date ? `, ${source.date}` : '');
+            case 'url':
+                return `${source.label || source.value}${source.date ? ` (accessed ${source.date})` : ''}`;
+            default:
+                return source.value;
+        }
+    }
+
+    /**
+     * Start a footnote list for one profile
+     * `cite(sources)` returns the `[n]` markers to place after a fact; sources cited again reuse
+     * their number. `render()` returns the numbered list, or null when nothing was cited.
+     * @returns {{cite: Function, render: Function}} - Footnote list
+     */
+    createFootnotes() {
+        const notes = [];
+        const numbers = new Map();
+
+        const cite = sources => {
+            const markers = document.createElement('span');
+            markers.className = 'footnote-refs';
+
+            (sources || []).forEach(source => {
+                const key = this.getKey(source);
+                if (!numbers.has(key)) {
+                    notes.push(source);
+                    numbers.set(key, notes.length);
+                }
+
+                const number = numbers.get(key);
+                const marker = document.createElement('sup');
+                const link = document.createElement('a');
+                link.href = `#fn-${number}`;
+                link.className = 'footnote-ref';
+                link.textContent = `[${number}]`;
+                link.title = this.describe(source);
+                link.addEventListener('click', (e) => {
+                    // Keep the #academic/<slug> route in the address bar
+                    e.preventDefault();
+                    const note = document.getElementById(`fn-${number}`);
+                    if (note) note.scrollIntoView({ behavior: 'smooth', block: 'center' });
+                });
+                marker.appendChild(link);
+                markers.appendChild(marker);
+            });
+
+            return markers;
+        };
+
+        const render = () => {
+            if (notes.length === 0) return null;
+
+            const list = document.createElement('ol');
+            list.className = 'footnotes';
+
+            notes.forEach((source, index) => {
+                const item = document.createElement('li');
+                item.id = `fn-${index + 1}`;
+                item.className = `footnote footnote-${source.type}`;
+
+                if (source.type === 'url') {
+                    const link = document.createElement('a');
+                    link.href = source.value;
+                    link.target = '_blank';
+                    link.rel = 'noopener noreferrer';
+                    link.textContent = source.label || source.value;
+                    item.appendChild(link);
+                    if (source.date) item.appendChild(document.createTextNode(` (accessed ${source.date})`));
+                } else {
+                    item.textContent = this.describe(source);
+                }
+
+                list.appendChild(item);
+            });
+
+            return list;
+        };
+
+        return { cite, render };
+    }
+}
+
+// Initialize provenance
+const provenance = new Provenance();
+
+// Make it available globally
+window.provenance = provenance;
@@ -0,0 +1,608 @@
+/**
+ * Query Language for KillPhilosophy
+ * Parses the terminal search box's structured queries into an AST and runs them against the store
+ *
+ * Syntax:
+ *   power                        free text (full-text search, see js/search-index.js)
+ *   "critical theory"            quoted phrase
+ *   tradition:"Critical Theory"  field match; taxonomy fields also match narrower terms
+ *   year:1960..1980              date range (open-ended: 1960.. or ..1980; BCE: "400 BCE..300 BCE")
+ *   -discipline:Psychology       NOT (also written NOT discipline:Psychology)
+ *   a OR b                       either; terms next to each other must all match (AND)
+ *   (a OR b) c                   grouping
+ *
+ * AST nodes:
+ *   { type: 'and' | 'or', children }   { type: 'not', child }
+ *   { type: 'text', value }            { type: 'field', field, value }
+ *   { type: 'range', field, from, to } (`from`/`to` are years or null)
+ */
+
+class QueryError extends Error {
+    /**
+     * @param {string} message - What is wrong
+     * @param {number} position - Index in the query where the problem starts
+     * @param {number} length - Length of the offending text
+     */
+    constructor(message, position, length = 1) {
+        super(message);
+        this.name = 'QueryError';
+        this.position = position;
+        this.length = Math.max(length, 1);
+    }
+}
+
+class QueryLanguage {
+    constructor() {
+        // Fields other than the taxonomy categories
+        this.fields = {
+            name: 'Name or alias',
+            bio: 'Biography',
+            paper: 'Paper title',
+            event: 'Event title',
+            year: 'Year of a paper or event, or within the lifetime',
+            born: 'Birth year',
+            died: 'Death year',
+            coauthor: 'Co-author of a paper, or collaborator',
+            connected: 'Any connection'
+        };
+
+        // Connection fields: every connection type (either direction), plus directed aliases:
+        // student:X finds X's teachers, teacher:X finds X's students
+        this.connectionFieldAliases = {
+            student: { type: 'taught', direction: 'outgoing' },
+            teacher: { type: 'taught', direction: 'incoming' }
+        };
+
+        this.dateFields = ['year', 'born', 'died'];
+    }
+
+    /**
+     * Field names the parser accepts
+     * @returns {Array<string>} - Field names
+     */
+    getFieldNames() {
+        return [
+            ...Object.keys(this.fields),
+            ...taxonomyRegistry.getCategories(),
+            ...Object.keys(connectionTypes.types),
+            ...Object.keys(this.connectionFieldAliases)
+        ];
+    }
+
+    /**
+     * Check whether a query uses any of the structured syntax (fields, operators, quotes, groups)
+     * Plain names such as "Jean-Paul Sartre" are not structured.
+     * @param {string} query - Query text
+     * @returns {boolean} - True if the query should be parsed rather than looked up by name
+     */
+    isStructured(query) {
+        try {
+            return this._tokenize(query).some(token => token.type !== 'word' || token.negated || token.field);
+        } catch (error) {
+            // Malformed syntax (e.g. an unclosed quote) is structured; parse() reports it
+            return true;
+        }
+    }
+
+    /**
+     * Parse a query into an AST
+     * @param {string} query - Query text
+     * @returns {Object} - Root node
+     * @throws {QueryError}
+     */
+    parse(query) {
+        const tokens = this._tokenize(query);
+        if (tokens.length === 0) {
+            throw new QueryError('Type a search, e.g. tradition:"Critical Theory" year:1960..1980', 0, 0);
+        }
+
+        let index = 0;
+        const peek = () => tokens[index];
+        const next = () => tokens[index++];
+
+        const parseOr = () => {
+            const children = [parseAnd()];
+            while (peek() && peek().type === 'or') {
+                const operator = next();
+                if (!peek() || peek().type === 'or' || peek().type === 'close') {
+                    throw new QueryError('Expected a search term after OR', operator.position, operator.length);
+                }
+                children.push(parseAnd());
+            }
+            return children.length === 1 ? children[0] : { type: 'or', children };
+        };
+
+        const parseAnd = () => {
+            const children = [];
+            while (peek() && peek().type !== 'or' && peek().type !== 'close') {
+                if (peek().type === 'and') {
+                    const operator = next();
+                    if (children.length === 0 || !peek() || ['or', 'and', 'close'].includes(peek().type)) {
+                        throw new QueryError('AND needs a search term on both sides', operator.position, operator.length);
+                    }
+                    continue;
+                }
+                children.push(parseUnary());
+            }
+
+            if (children.length === 0) {
+                const token = peek();
+                throw token
+                    ? new QueryError(`Expected a search term before ${token.type === 'or' ? 'OR' : '")"'}`, token.position, token.length)
+                    : new QueryError('Expected a search term', query.length, 0);
+            }
+            return children.length === 1 ? children[0] : { type: 'and', children };
+        };
+
+        const parseUnary = () => {
+            const token = peek();
+            if (token.type === 'not') {
+                next();
+                if (!peek() || ['or', 'and', 'close'].includes(peek().type)) {
+                    throw new QueryError('Expected a search term after NOT', token.position, token.length);
+                }
+                return { type: 'not', child: parseUnary() };
+            }
+            return parsePrimary();
+        };
+
+        const parsePrimary = () => {
+            const token = next();
+
+            if (token.type === 'open') {
+                if (!peek()) throw new QueryError('Missing ")"', token.position, token.length);
+                const inner = parseOr();
+                const close = next();
+                if (!close || close.type !== 'close') {
+                    throw new QueryError('Missing ")"', token.position, token.length);
+                }
+                return token.negated ? { type: 'not', child: inner } : inner;
+            }
+
+            const node = token.field
+                ? this._createFieldNode(token)
+                : { type: 'text', value: token.value };
+            return token.negated ? { type: 'not', child: node } : node;
+        };
+
+        const root = parseOr();
+        if (peek()) {
+            const token = peek();
+            throw new QueryError('Unmatched ")"', token.position, token.length);
+        }
+        return root;
+    }
+
+    /**
+     * Parse and run a query
+     * Results are ranked by the full-text relevance of their free-text terms, then by name.
+     * @param {string} query - Query text
+     * @returns {{ast: Object, results: Array<{academic: Object, score: number, matches: Array<Object>}>}}
+     *          AST and matching academics, with what matched (see explain)
+     * @throws {QueryError}
+     */
+    run(query) {
+        const ast = this.parse(query);
+        const textScores = new Map();
+
+        const results = databaseManager.getAllAcademics()
+            .filter(academic => this.matches(academic, ast, textScores))
+            .map(academic => ({
+                academic,
+                score: this._score(academic, ast, textScores),
+                matches: this.explain(academic, ast, textScores)
+            }))
+            .sort((a, b) => b.score - a.score || academicIdentity.compareNames(a.academic.name, b.academic.name));
+
+        return { ast, results };
+    }
+
+    /**
+     * Check whether an academic matches a node
+     * @param {Object} academic - Academic
+     * @param {Object} node - AST node
+     * @param {Map} textScores - Cache of full-text results per text value (filled on demand)
+     * @returns {boolean} - True if it matches
+     */
+    matches(academic, node, textScores = new Map()) {
+        switch (node.type) {
+            case 'and':
+                return node.children.every(child => this.matches(academic, child, textScores));
+            case 'or':
+                return node.children.some(child => this.matches(academic, child, textScores));
+            case 'not':
+                return !this.matches(academic, node.child, textScores);
+            case 'text':
+                return this._getTextScores(node.value, textScores).has(academic.id);
+            case 'range':
+                return this._matchesRange(academic, node);
+            case 'field':
+                return this._matchesField(academic, node);
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * What made a matching academic match, for highlighting: the positive terms it satisfies
+     * @param {Object} academic - Academic
+     * @param {Object} node - AST node
+     * @param {Map} textScores - Cache
+     * @returns {Array<Object>} - `{ field, words }` for text and field terms (field as in
+     *          js/search-index.js), `{ field: 'year', from, to }` for year ranges
+     */
+    explain(academic, node, textScores = new Map()) {
+        switch (node.type) {
+            case 'and':
+            case 'or':
+                return node.children
+                    .filter(child => this.matches(academic, child, textScores))
+                    .flatMap(child => this.explain(academic, child, textScores));
+            case 'text': {
+                const result = this._getTextScores(node.value, textScores).get(academic.id);
+                return result ? result.matches.map(({ field, word }) => ({ field, words: [word] })) : [];
+            }
+            case 'range':
+                return node.field === 'year' ? [{ field: 'year', from: node.from, to: node.to }] : [];
+            case 'field':
+                return this._explainField(node);
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * Human-readable form of an AST, e.g. for the search status line
+     * @param {Object} node - AST node
+     * @returns {string} - Description
+     */
+    describe(node) {
+        switch (node.type) {
+            case 'and':
+                return node.children.map(child => this._describeGroup(child, 'and')).join(' AND ');
+            case 'or':
+                return node.children.map(child => this._describeGroup(child, 'or')).join(' OR ');
+            case 'not':
+                return `NOT ${this._describeGroup(node.child, 'not')}`;
+            case 'text':
+                return `"${node.value}"`;
+            case 'range': {
+                const from = node.from === null ? '' : historicalDates.format(node.from);
+                const to = node.to === null ? '' : historicalDates.format(node.to);
+                return `${node.field}:${from === to ? from : `${from}..${to}`}`;
+            }
+            default:
+                return `${node.field}:"${node.value}"`;
+        }
+    }
+
+    /**
+     * @private
+     * @param {Object} node - Child node
+     * @param {string} parentType - Type of the enclosing node
+     * @returns {string} - Description, parenthesised where needed
+     */
+    _describeGroup(node, parentType) {
+        const text = this.describe(node);
+        return (node.type === 'or' && parentType !== 'or') || (node.type === 'and' && parentType === 'not')
+            ? `(${text})`
+            : text;
+    }
+
+    /**
+     * Split a query into tokens
+     * Tokens: open/close parentheses, OR/AND/NOT operators, and words (bare or quoted,
+     * optionally `field:` prefixed and `-` negated).
+     * @private
+     * @param {string} query - Query text
+     * @returns {Array<Object>} - Tokens with `type`, `position` and `length`
+     * @throws {QueryError}
+     */
+    _tokenize(query) {
+        const tokens = [];
+        const text = String(query || '');
+        let position = 0;
+
+        const readValue = () => {
+            if (text[position] === '"') {
+                const close = text.indexOf('"', position + 1);
+                if (close === -1) {
+                    throw new QueryError('Missing closing quote', position, text.length - position);
+                }
+                const value = text.slice(position + 1, close);
+                position = close + 1;
+                return { value, quoted: true };
+            }
+
+            const valueStart = position;
+            while (position < text.length && !/[\s()"]/.test(text[position])) position++;
+            return { value: text.slice(valueStart, position), quoted: false };
+        };
+
+        while (position < text.length) {
+            const char = text[position];
+
+            if (/\s/.test(char)) {
+                position++;
+                continue;
+            }
+
+            const start = position;
+
+            if (char === '(' || char === ')') {
+                tokens.push({ type: char === '(' ? 'open' : 'close', position: start, length: 1 });
+                position++;
+                continue;
+            }
+
+            // "-term" negates; a lone "-" is not a term
+            let negated = false;
+            if (char === '-' && position + 1 < text.length && !/\s/.test(text[position + 1])) {
+                negated = true;
+                position++;
+            }
+
+            if (negated && text[position] === '(') {
+                tokens.push({ type: 'open', negated: true, position: start, length: 1 });
+                position++;
+                continue;
+            }
+
+            // field:value (the field name is letters only)
+            const fieldMatch = text.slice(position).match(/^([A-Za-z]+):/);
+            if (fieldMatch) {
+                position += fieldMatch[0].length;
+                if (position >= text.length || /[\s()]/.test(text[position])) {
+                    throw new QueryError(`Expected a value after "${fieldMatch[0]}"`, start, position - start);
+                }
+                const { value } = readValue();
+                tokens.push({
+                    type: 'word',
+                    field: fieldMatch[1].toLowerCase(),
+                    value,
+                    negated,
+                    position: start,
+                    length: position - start
+                });
+                continue;
+            }
+
+            const { value, quoted } = readValue();
+            if (!quoted && !negated && /^(OR|AND|NOT)$/.test(value)) {
+                tokens.push({ type: value.toLowerCase(), position: start, length: value.length });
+                continue;
+            }
+            if (!quoted && !value) {
+                throw new QueryError(`Unexpected "${text[position]}"`, position, 1);
+            }
+
+            tokens.push({ type: quoted ? 'phrase' : 'word', value, negated, position: start, length: position - start });
+        }
+
+        return tokens;
+    }
+
+    /**
+     * @private
+     * @param {Object} token - `field:value` token
+     * @returns {Object} - Field or range node
+     * @throws {QueryError}
+     */
+    _createFieldNode(token) {
+        const field = token.field;
+
+        if (!this.getFieldNames().includes(token.field)) {
+            throw new QueryError(
+                `Unknown field "${token.field}" (try ${this.getFieldNames().join(', ')})`,
+                token.position + (token.negated ? 1 : 0),
+                token.field.length
+            );
+        }
+
+        if (this.dateFields.includes(field)) {
+            return { type: 'range', field, ...this._parseRange(token) };
+        }
+
+        if (!token.value.trim()) {
+            throw new QueryError(`Expected a value after "${token.field}:"`, token.position, token.length);
+        }
+
+        return { type: 'field', field, value: token.value.trim() };
+    }
+
+    /**
+     * @private
+     * @param {Object} token - Date field token, e.g. year:1960..1980
+     * @returns {{from: number|null, to: number|null}} - Range bounds
+     * @throws {QueryError}
+     */
+    _parseRange(token) {
+        const parts = token.value.split('..');
+        if (parts.length > 2) {
+            throw new QueryError(`"${token.value}" is not a year range (try 1960..1980)`, token.position, token.length);
+        }
+
+        const read = text => {
+            if (!text.trim()) return null;
+            try {
+                const date = historicalDates.parse(text);
+                const bounds = historicalDates.bounds(date);
+                if (!bounds) throw new Error('unknown');
+                return bounds;
+            } catch (error) {
+                throw new QueryError(`"${text.trim()}" is not a year (try 1960, 428 BCE or 1960..1980)`, token.position, token.length);
+            }
+        };
+
+        const from = read(parts[0]);
+        const to = parts.length === 2 ? read(parts[1]) : from;
+        if (!from && !to) {
+            throw new QueryError(`Expected a year after "${token.field}:"`, token.position, token.length);
+        }
+
+        const range = { from: from ? from.earliest : null, to: to ? to.latest : null };
+        if (range.from !== null && range.to !== null && range.to < range.from) {
+            throw new QueryError('Range cannot end before it starts', token.position, token.length);
+        }
+        return range;
+    }
+
+    /**
+     * @private
+     * @param {Object} academic - Academic
+     * @param {Object} node - Field node
+     * @returns {boolean} - True if it matches
+     */
+    _matchesField(academic, node) {
+        const wanted = academicIdentity.foldName(node.value);
+        const contains = text => academicIdentity.foldName(text).includes(wanted);
+
+        switch (node.field) {
+            case 'name':
+                return databaseManager.getAcademicNames(academic).some(contains);
+            case 'bio':
+                return contains(academic.bio || '');
+            case 'paper':
+                return (academic.papers || []).some(paper => contains(paper.title));
+            case 'event':
+                return (academic.events || []).some(event => contains(event.title));
+            case 'connected':
+                return (academic.connections || []).some(connection => this._matchesConnectionTarget(connection, wanted));
+            case 'coauthor':
+                return (academic.papers || []).some(paper => (paper.coauthors || []).some(contains)) ||
+                    (academic.connections || []).some(connection =>
+                        connection.type === 'collaborated' && this._matchesConnectionTarget(connection, wanted)
+                    );
+        }
+
+        const alias = this.connectionFieldAliases[node.field];
+        if (alias || connectionTypes.types[node.field]) {
+            const type = alias ? alias.type : node.field;
+            return (academic.connections || []).some(connection =>
+                connection.type === type &&
+                (!alias || connection.direction === alias.direction) &&
+                this._matchesConnectionTarget(connection, wanted)
+            );
+        }
+
+        // Taxonomy category: the term, its narrower terms and synonyms
+        const labels = taxonomyRegistry.expand(node.field, node.value);
+        return (academic.taxonomies?.[node.field] || []).some(value => labels.has(academicIdentity.foldName(value)));
+    }
+
+    /**
+     * @private
+     * @param {Object} node - Field node
+     * @returns {Array<{field: string, words: Array<string>}>} - Where a field term shows on a profile
+     */
+    _explainField(node) {
+        const words = searchIndex.tokenize(node.value);
+
+        switch (node.field) {
+            case 'name':
+                return [{ field: 'name', words }, { field: 'aliases', words }];
+            case 'bio':
+                return [{ field: 'bio', words }];
+            case 'paper':
+                return [{ field: 'papers', words }];
+            case 'event':
+                return [{ field: 'events', words }];
+            case 'coauthor':
+                return [{ field: 'papers', words }, { field: 'connections', words }];
+        }
+
+        if (node.field === 'connected' || this.connectionFieldAliases[node.field] || connectionTypes.types[node.field]) {
+            return [{ field: 'connections', words }];
+        }
+
+        // Taxonomy category: highlight whichever of the expanded terms the academic has
+        const labels = Array.from(taxonomyRegistry.expand(node.field, node.value));
+        return [{ field: 'taxonomies', words: labels.flatMap(label => searchIndex.tokenize(label)) }];
+    }
+
+    /**
+     * @private
+     * @param {Object} connection - Connection
+     * @param {string} wanted - Folded name fragment
+     * @returns {boolean} - True if the connected academic's name or an alias contains it
+     */
+    _matchesConnectionTarget(connection, wanted) {
+        const target = connection.target ? databaseManager.getAcademic(connection.target) : null;
+        const names = target ? databaseManager.getAcademicNames(target) : [connection.name];
+        return names.some(name => academicIdentity.foldName(name).includes(wanted));
+    }
+
+    /**
+     * @private
+     * @param {Object} academic - Academic
+     * @param {Object} node - Range node
+     * @returns {boolean} - True if a relevant date falls in the range
+     */
+    _matchesRange(academic, node) {
+        const inRange = value => {
+            const bounds = historicalDates.bounds(value);
+            if (!bounds) return false;
+            return (node.from === null || bounds.latest >= node.from) && (node.to === null || bounds.earliest <= node.to);
+        };
+
+        switch (node.field) {
+            case 'born':
+                return inRange(academic.birthYear);
+            case 'died':
+                return inRange(academic.deathYear);
+            default: {
+                const dated = [...(academic.papers || []), ...(academic.events || [])];
+                if (dated.some(item => inRange(item.year))) return true;
+
+                // Alive at some point in the range
+                const birth = historicalDates.bounds(academic.birthYear);
+                if (!birth) return false;
+                const death = historicalDates.bounds(academic.deathYear);
+                return (node.to === null || birth.earliest <= node.to) &&
+                    (node.from === null || !death || death.latest >= node.from);
+            }
+        }
+    }
+
+    /**
+     * Full-text results for a text term, cached per query run
+     * @private
+     * @param {string} value - Text
+     * @param {Map} textScores - Cache
+     * @returns {Map<string, {score: number, matches: Array<Object>}>} - Academic ID -> score and matches
+     */
+    _getTextScores(value, textScores) {
+        if (!textScores.has(value)) {
+            const results = databaseManager.searchFullText(value, { limit: Infinity });
+            textScores.set(value, new Map(results.map(({ academic, score, matches }) => [academic.id, { score, matches }])));
+        }
+        return textScores.get(value);
+    }
+
+    /**
+     * Relevance of a matching academic: the sum of its scores for free-text terms outside NOT
+     * @private
+     * @param {Object} academic - Academic
+     * @param {Object} node - AST node
+     * @param {Map} textScores - Cache
+     * @returns {number} - Score
+     */
+    _score(academic, node, textScores) {
+        switch (node.type) {
+            case 'and':
+            case 'or':
+                return node.children.reduce((total, child) => total + this._score(academic, child, textScores), 0);
+            case 'text':
+                return this._getTextScores(node.value, textScores).get(academic.id)?.score || 0;
+            default:
+                return 0;
+        }
+    }
+}
+
+// Initialize the query language
+const queryLanguage = new QueryLanguage();
+
+// Make it available globally
+window.queryLanguage = queryLanguage;
+window.QueryError = QueryError;
@@ -0,0 +1,373 @@
+/**
+ * Revision History for KillPhilosophy
+ * Compares saved versions of an academic and renders the profile's History tab, from
+ * which any earlier version can be restored
+ */
+
+class RevisionHistory {
+    constructor() {
+        // Where a change came from (the `source` of a revision)
+        this.sourceLabels = {
+            contribution: 'Contribution',
+            deepsearch: 'Deep Search',
+            import: 'Import',
+            github: 'GitHub sync',
+            merge: 'Merge',
+            restore: 'Restore',
+            admin: 'Admin',
+            migration: 'Migration',
+            edit: 'Edit'
+        };
+
+        // Fields compared between versions, in display order
+        this.fields = [
+            { field: 'name', label: 'Name' },
+            { field: 'aliases', label: 'Aliases' },
+            { field: 'birthYear', label: 'Birth year' },
+            { field: 'deathYear', label: 'Death year' },
+            { field: 'bio', label: 'Biography' },
+            { field: 'bioSources', label: 'Biography sources' },
+            { field: 'taxonomies', label: 'Taxonomies' },
+            { field: 'papers', label: 'Papers' },
+            { field: 'events', label: 'Events' },
+            { field: 'connections', label: 'Connections' }
+        ];
+    }
+
+    /**
+     * Changes between two versions of an academic
+     * List fields are compared item by item; an item whose identity is unchanged but whose
+     * details differ (e.g. a paper with a corrected year) is reported as changed.
+     * @param {Object|null} before - Earlier version (null for the first version)
+     * @param {Object|null} after - Later version (null for a deletion)
+     * @returns {Array<{field: string, label: string, change: string, before: string, after: string}>} - Changes;
+     *          `change` is 'added', 'removed' or 'changed'
+     */
+    diff(before, after) {
+        const changes = [];
+
+        this.fields.forEach(({ field, label }) => {
+            const valueBefore = before ? before[field] : undefined;
+            const valueAfter = after ? after[field] : undefined;
+
+            switch (field) {
+                case 'aliases':
+                    changes.push(...this._diffList(field, label, valueBefore, valueAfter,
+                        alias => academicIdentity.foldName(alias), alias => alias));
+                    break;
+                case 'bioSources':
+                    changes.push(...this._diffList(field, label, valueBefore, valueAfter,
+                        source => provenance.getKey(source), source => provenance.describe(source)));
+                    break;
+                case 'taxonomies':
+                    changes.push(...this._diffList(field, label, this._taxonomyEntries(valueBefore),
+                        this._taxonomyEntries(valueAfter), entry => entry.toLowerCase(), entry => entry));
+                    break;
+                case 'papers':
+                case 'events':
+                    changes.push(...this._diffList(field, label, valueBefore, valueAfter,
+                        item => `${academicIdentity.foldName(item.title)}|${historicalDates.getKey(item.year)}`,
+                        item => this._formatItem(field, item)));
+                    break;
+                case 'connections':
+                    changes.push(...this._diffList(field, label, valueBefore, valueAfter,
+                        connection => connectionTypes.getKey(connection),
+                        connection => this._formatItem(field, connection)));
+                    break;
+                default: {
+                    const textBefore = this._formatScalar(field, valueBefore);
+                    const textAfter = this._formatScalar(field, valueAfter);
+                    if (textBefore === textAfter) break;
+
+                    const change = !textBefore ? 'added' : !textAfter ? 'removed' : 'changed';
+                    changes.push({ field, label, change, before: textBefore, after: textAfter });
+                }
+            }
+        });
+
+        return changes;
+    }
+
+    /**
+     * Render the revision log of an academic, newest first
+     * @param {HTMLElement} container - Element to render into
+     * @param {Object} academic - Academic
+     * @param {Object} options - `onRestore(record)` after a version has been restored
+     * @returns {Promise<void>}
+     */
+    async render(container, academic, { onRestore } = {}) {
+        container.innerHTML = '<div class="info-message">Loading history...</div>';
+
+        let revisions;
+        try {
+            revisions = await databaseManager.getRevisions(academic.id);
+        } catch (error) {
+            container.innerHTML = '';
+            const message = document.createElement('div');
+            message.className = 'error-message';
+            message.textContent = `Could not load history: ${error.message}`;
+            container.appendChild(message);
+            return;
+        }
+
+        container.innerHTML = '';
+
+        if (revisions.length === 0) {
+            container.innerHTML = '<div class="info-message">No changes have been recorded for this academic yet.</div>';
+            return;
+        }
+
+        const result = document.createElement('div');
+        result.className = 'history-result';
+        result.setAttribute('aria-live', 'polite');
+        container.appendChild(result);
+
+        const list = document.createElement('ol');
+        list.className = 'revision-list';
+        list.setAttribute('reversed', '');
+
+        for (let index = revisions.length - 1; index >= 0; index--) {
+            const revision = revisions[index];
+            const previous = index > 0 ? revisions[index - 1].record : null;
+            const isCurrent = index === revisions.length - 1;
+
+            list.appendChild(this._createRevisionItem(revision, previous, isCurrent, async (button) => {
+                const when = new Date(revision.timestamp).toLocaleString();
+                if (!confirm(`Restore ${academic.name} to the version of ${when}? The current version stays in the history.`)) {
+                    return;
+                }
+
+                button.disabled = true;
+                result.innerHTML = '';
+
+                try {
+                    const restored = await databaseManager.restoreRevision(revision.id);
+                    if (onRestore) onRestore(restored);
+                } catch (error) {
+                    button.disabled = false;
+                    const message = document.createElement('div');
+                    message.className = 'error-message';
+                    message.textContent = error instanceof ValidationError
+                        ? `Cannot restore: ${error.errors.map(({ field, message: text }) => `${field}: ${text}`).join('; ')}`
+                        : `Cannot restore: ${error.message}`;
+                    result.appendChild(message);
+                }
+            }));
+        }
+
+        container.appendChild(list);
+    }
+
+    /**
+     * @private
+     * @param {Object} revision - Revision
+     * @param {Object|null} previous - Record of the revision before it
+     * @param {boolean} isCurrent - True for the newest revision
+     * @param {Function} onRestore - Called with the restore button when clicked
+     * @returns {HTMLLIElement} - Revision entry
+     */
+    _createRevisionItem(revision, previous, isCurrent, onRestore) {
+        const item = document.createElement('li');
+        item.className = `revision-item revision-source-${revision.source}`;
+
+        const header = document.createElement('div');
+        header.className = 'revision-header';
+
+        const date = document.createElement('time');
+        date.className = 'revision-date';
+        date.dateTime = revision.timestamp;
+        date.textContent = new Date(revision.timestamp).toLocaleString();
+        header.appendChild(date);
+
+        const source = document.createElement('span');
+        source.className = 'revision-source';
+        source.textContent = this.sourceLabels[revision.source] || revision.source;
+        header.appendChild(source);
+
+        if (revision.author) {
+            const author = document.createElement('span');
+            author.className = 'revision-author';
+            author.textContent = `by ${revision.author}`;
+            header.appendChild(author);
+        }
+
+        if (isCurrent && revision.record) {
+            const current = document.createElement('span');
+            current.className = 'revision-current';
+            current.textContent = 'Current version';
+            header.appendChild(current);
+        }
+
+        item.appendChild(header);
+
+        if (revision.summary) {
+            const summary = document.createElement('div');
+            summary.className = 'revision-summary';
+            summary.textContent = revision.summary;
+            item.appendChild(summary);
+        }
+
+        item.appendChild(this._createDiff(previous, revision.record));
+
+        if (!isCurrent && revision.record) {
+            const restoreButton = document.createElement('button');
+            restoreButton.type = 'button';
+            restoreButton.className = 'admin-btn restore-revision-btn';
+            restoreButton.textContent = 'Restore this version';
+            restoreButton.addEventListener('click', () => onRestore(restoreButton));
+            item.appendChild(restoreButton);
+        }
+
+        return item;
+    }
+
+    /**
+     * @private
+     * @param {Object|null} before - Earlier record
+     * @param {Object|null} after - Later record
+     * @returns {HTMLElement} - Collapsible list of changes
+     */
+    _createDiff(before, after) {
+        const changes = this.diff(before, after);
+        const details = document.createElement('details');
+        details.className = 'revision-diff';
+
+        const summary = document.createElement('summary');
+        if (!after) {
+            summary.textContent = 'Deleted';
+        } else if (!before) {
+            summary.textContent = 'First recorded version';
+        } else {
+            summary.textContent = changes.length === 1 ? '1 change' : `${changes.length} changes`;
+        }
+        details.appendChild(summary);
+
+        const list = document.createElement('ul');
+        list.className = 'diff-list';
+
+        changes.forEach(({ label, change, before: textBefore, after: textAfter }) => {
+            const line = document.createElement('li');
+            line.className = `diff-line diff-${change}`;
+
+            const field = document.createElement('span');
+            field.className = 'diff-field';
+            field.textContent = `${label}: `;
+            line.appendChild(field);
+
+            if (textBefore) {
+                const removed = document.createElement('del');
+                removed.textContent = textBefore;
+                line.appendChild(removed);
+            }
+            if (textBefore && textAfter) {
+                line.appendChild(document.createTextNode(' → '));
+            }
+            if (textAfter) {
+                const added = document.createElement('ins');
+                added.textContent = textAfter;
+                line.appendChild(added);
+            }
+
+            list.appendChild(line);
+        });
+
+        if (changes.length === 0 && before && after) {
+            const line = document.createElement('li');
+            line.className = 'diff-line';
+            line.textContent = 'Only sources or internal fields changed';
+            list.appendChild(line);
+        }
+
+        details.appendChild(list);
+        return details;
+    }
+
+    /**
+     * Compare two keyed lists
+     * @private
+     * @param {string} field - Field name
+     * @param {string} label - Field label
+     * @param {Array|undefined} before - Earlier list
+     * @param {Array|undefined} after - Later list
+     * @param {Function} keyFn - Identity key of an item
+     * @param {Function} formatFn - Display text of an item
+     * @returns {Array<Object>} - Changes
+     */
+    _diffList(field, label, before, after, keyFn, formatFn) {
+        const index = list => new Map((list || []).map(item => [keyFn(item), item]));
+        const itemsBefore = index(before);
+        const itemsAfter = index(after);
+        const changes = [];
+
+        itemsBefore.forEach((item, key) => {
+            if (!itemsAfter.has(key)) {
+                changes.push({ field, label, change: 'removed', before: formatFn(item), after: '' });
+            } else if (JSON.stringify(item) !== JSON.stringify(itemsAfter.get(key))) {
+                const textBefore = formatFn(item);
+                const textAfter = formatFn(itemsAfter.get(key));
+                changes.push({
+                    field,
+                    label,
+                    change: 'changed',
+                    before: textBefore,
+                    after: textAfter === textBefore ? `${textAfter} (details or sources changed)` : textAfter
+                });
+            }
+        });
+
+        itemsAfter.forEach((item, key) => {
+            if (!itemsBefore.has(key)) {
+                changes.push({ field, label, change: 'added', before: '', after: formatFn(item) });
+            }
+        });
+
+        return changes;
+    }
+
+    /**
+     * @private
+     * @param {Object|undefined} taxonomies - Taxonomies
+     * @returns {Array<string>} - "category: value" entries
+     */
+    _taxonomyEntries(taxonomies) {
+        const entries = [];
+        for (const [category, values] of Object.entries(taxonomies || {})) {
+            (values || []).forEach(value => entries.push(`${category}: ${value}`));
+        }
+        return entries;
+    }
+
+    /**
+     * @private
+     * @param {string} field - 'papers', 'events' or 'connections'
+     * @param {Object} item - List item
+     * @returns {string} - Display text
+     */
+    _formatItem(field, item) {
+        if (field === 'connections') {
+            const years = connectionTypes.formatYears(item);
+            return `${connectionTypes.getLabel(item)} ${item.name}${years ? ` (${years})` : ''}`;
+        }
+
+        const year = historicalDates.format(item.year);
+        return year ? `${item.title} (${year})` : item.title;
+    }
+
+    /**
+     * @private
+     * @param {string} field - Field name
+     * @param {*} value - Value
+     * @returns {string} - Display text, empty for missing values
+     */
+    _formatScalar(field, value) {
+        if (value === undefined || value === null || value === '') return '';
+        if (field === 'birthYear' || field === 'deathYear') return historicalDates.format(value);
+        return String(value);
+    }
+}
+
+// Initialize the revision history
+const revisionHistory = new RevisionHistory();
+
+// Make it available globally
+window.revisionHistory = revisionHistory;
@@ -0,0 +1,138 @@
+/**
+ * Schema Migrations for KillPhilosophy
+ * Upgrades academic records and datasets (data/academics.json, imports, the local store)
+ * from older schema versions to the current one
+ */
+
+class SchemaMigrations {
+    constructor() {
+        // Ordered list of migrations. Each one upgrades a single academic record
+        // from `version - 1` to `version`. Never edit a released migration; add a new one.
+        this.migrations = [
+            {
+                version: 2,
+                description: 'Add birthYear/deathYear to every academic',
+                migrate: academic => ({
+                    ...academic,
+                    birthYear: this._toYear(academic.birthYear),
+                    deathYear: this._toYear(academic.deathYear)
+                })
+            },
+            {
+                version: 3,
+                description: 'Add permanent id, URL slug and aliases to every academic',
+                migrate: academic => ({
+                    ...academic,
+                    id: academic.id || academicIdentity.createId(academic.name),
+                    slug: academic.slug || academicIdentity.slugify(academic.name),
+                    aliases: Array.isArray(academic.aliases) ? academic.aliases : []
+                })
+            },
+            {
+                version: 4,
+                description: 'Turn connection name strings into typed, directed connection objects',
+                migrate: academic => ({
+                    ...academic,
+                    connections: (Array.isArray(academic.connections) ? academic.connections : [])
+                        .filter(connection => connection && (typeof connection === 'object' || String(connection).trim()))
+                        .map(connection => connectionTypes.normalize(connection))
+                })
+            },
+            {
+                version: 5,
+                description: 'Drop placeholder biographies written by Deep Search saves; sources are recorded per fact',
+                migrate: academic => ({
+                    ...academic,
+                    bio: /^This academic was found through a DeepSearch query: ".*"$/s.test(academic.bio || '')
+                        ? null
+                        : academic.bio
+                })
+            }
+        ];
+
+        this.currentVersion = this.migrations.length > 0
+            ? this.migrations[this.migrations.length - 1].version
+            : 1;
+    }
+
+    /**
+     * Coerce a year-like value to an integer or null
+     * @private
+     * @param {*} value - Year value
+     * @returns {number|null} - Year or null
+     */
+    _toYear(value) {
+        if (value === undefined || value === null || value === '') return null;
+
+        const year = parseInt(value, 10);
+        return isNaN(year) ? null : year;
+    }
+
+    /**
+     * Determine the schema version of a dataset
+     * Datasets without a `schemaVersion` field are the original flat name-to-academic map (version 1).
+     * @param {Object} data - Dataset
+     * @returns {number} - Schema version
+     */
+    getDatasetVersion(data) {
+        if (!data || typeof data !== 'object') return 1;
+
+        const version = parseInt(data.schemaVersion, 10);
+        return isNaN(version) ? 1 : version;
+    }
+
+    /**
+     * Upgrade a single academic record
+     * @param {Object} academic - Academic record
+     * @param {number} fromVersion - Schema version the record is in
+     * @returns {Object} - Record in the current schema version
+     */
+    migrateAcademic(academic, fromVersion) {
+        if (fromVersion > this.currentVersion) {
+            throw new Error(`Schema version ${fromVersion} is newer than supported version ${this.currentVersion}`);
+        }
+
+        return this.migrations
+            .filter(migration => migration.version > fromVersion)
+            .reduce((record, migration) => migration.migrate(record), academic);
+    }
+
+    /**
+     * Upgrade a whole dataset to the current schema version
+     * Accepts a legacy flat map or a `{ schemaVersion, academics }` envelope; other envelope
+     * fields (favorites, novelty tiles, ...) are preserved.
+     * @param {Object} data - Dataset
+     * @returns {Object} - `{ schemaVersion, academics }` envelope in the current version
+     */
+    migrateDataset(data) {
+        if (!data || typeof data !== 'object') {
+            throw new Error('Invalid dataset');
+        }
+
+        const fromVersion = this.getDatasetVersion(data);
+        const isEnvelope = 'schemaVersion' in data || (data.academics && typeof data.academics === 'object');
+        const source = isEnvelope ? (data.academics || {}) : data;
+
+        const academics = {};
+        const entries = Array.isArray(source)
+            ? source.map(academic => [null, academic])
+            : Object.entries(source);
+
+        entries.forEach(([key, academic]) => {
+            if (!academic || typeof academic !== 'object' || !academic.name) return;
+            academics[key || academic.name] = this.migrateAcademic(academic, fromVersion);
+        });
+
+        return {
+            ...(isEnvelope ? data : {}),
+            schemaVersion: this.currentVersion,
+            academics
+        };
+    }
+}
+
+// Initialize the schema migrations
+const schemaMigrations = new SchemaMigrations();
+
+// Make it available globally
+window.schemaMigrations = schemaMigrations;
@@ -0,0 +1,297 @@
+/**
+ * Search Autocomplete for KillPhilosophy
+ * Turns the search box into a combobox (WAI-ARIA "list autocomplete"): matching academics
+ * as the user types, recent searches when the box is empty, arrow keys to move through
+ * the options, Enter to pick one and Escape to close the list
+ */
+
+class SearchAutocomplete {
+    constructor() {
+        this.maxSuggestions = 5;
+        this.maxHistory = 10;
+
+        // Shortest query that gets suggestions
+        this.minQueryLength = 2;
+
+        this.input = null;
+        this.listbox = null;
+        this.onSearch = null;
+        this.getHistory = () => [];
+
+        // Options currently listed: `{ value, academic }`, and the highlighted one
+        this.options = [];
+        this.activeIndex = -1;
+        this.mode = null; // 'suggestions' or 'history'
+        this.updateTimer = null;
+    }
+
+    /**
+     * Wire up a search box and its suggestion list
+     * @param {HTMLInputElement} input - Search box
+     * @param {HTMLElement} listbox - Element the options are listed in
+     * @param {Object} options - `onSearch(query)` runs a search; `getHistory()` returns past
+     *        queries, oldest first
+     */
+    attach(input, listbox, { onSearch, getHistory } = {}) {
+        this.input = input;
+        this.listbox = listbox;
+        this.onSearch = onSearch;
+        if (getHistory) this.getHistory = getHistory;
+
+        if (!listbox.id) listbox.id = 'search-suggestions';
+        listbox.setAttribute('role', 'listbox');
+
+        input.setAttribute('role', 'combobox');
+        input.setAttribute('aria-autocomplete', 'list');
+        input.setAttribute('aria-controls', listbox.id);
+        input.setAttribute('aria-expanded', 'false');
+        input.setAttribute('autocomplete', 'off');
+
+        input.addEventListener('input', () => this._scheduleUpdate());
+        input.addEventListener('focus', () => {
+            if (!input.value.trim()) this.update();
+        });
+        input.addEventListener('blur', () => this.close());
+        input.addEventListener('keydown', (e) => this._handleKeydown(e));
+
+        // Keep focus in the search box when an option is clicked
+        listbox.addEventListener('mousedown', (e) => e.preventDefault());
+    }
+
+    /**
+     * List the options for the current contents of the search box
+     */
+    update() {
+        clearTimeout(this.updateTimer);
+        const query = this.input.value.trim();
+
+        if (!query) {
+            const history = this.getHistory().slice(-this.maxHistory).reverse();
+            this._render('history', history.map(value => ({ value })), '');
+        } else if (query.length >= this.minQueryLength && typeof databaseManager !== 'undefined') {
+            const results = databaseManager.searchFullText(query, { limit: this.maxSuggestions });
+            this._render('suggestions', results.map(result => ({ value: result.academic.name, ...result })), query);
+        } else {
+            this.close();
+        }
+    }
+
+    /**
+     * Hide the list
+     */
+    close() {
+        clearTimeout(this.updateTimer);
+        this.options = [];
+        this.activeIndex = -1;
+        this.mode = null;
+
+        if (!this.listbox) return;
+        this.listbox.innerHTML = '';
+        this.listbox.removeAttribute('aria-label');
+        this.input.setAttribute('aria-expanded', 'false');
+        this.input.removeAttribute('aria-activedescendant');
+    }
+
+    /**
+     * @returns {boolean} - True if options are listed
+     */
+    isOpen() {
+        return this.options.length > 0;
+    }
+
+    /**
+     * @private
+     */
+    _scheduleUpdate() {
+        clearTimeout(this.updateTimer);
+
+        // An emptied box shows the history straight away; typing waits for a pause
+        if (!this.input.value.trim()) {
+            this.update();
+            return;
+        }
+        this.updateTimer = setTimeout(() => this.update(), 300);
+    }
+
+    /**
+     * @private
+     * @param {KeyboardEvent} e - Key event on the search box
+     */
+    _handleKeydown(e) {
+        switch (e.key) {
+            case 'ArrowDown':
+            case 'ArrowUp': {
+                e.preventDefault();
+                if (!this.isOpen()) {
+                    this.update();
+                    if (this.isOpen()) this._setActive(e.key === 'ArrowDown' ? 0 : this.options.length - 1);
+                    return;
+                }
+
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                const count = this.options.length;
+                // Wrap around, passing through "nothing highlighted" so the typed text can be kept
+                const next = this.activeIndex === -1
+                    ? (step === 1 ? 0 : count - 1)
+                    : this.activeIndex + step;
+                this._setActive(next >= 0 && next < count ? next : -1);
+                break;
+            }
+            case 'Enter':
+                if (this.isOpen() && this.activeIndex !== -1) {
+                    e.preventDefault();
+                    this._select(this.activeIndex);
+                } else {
+                    this.close();
+                }
+                break;
+            case 'Escape':
+                if (this.isOpen()) {
+                    e.preventDefault();
+                    this.close();
+                }
+                break;
+            case 'Tab':
+                this.close();
+                break;
+            default:
+                break;
+        }
+    }
+
+    /**
+     * @private
+     * @param {string} mode - 'suggestions' or 'history'
+     * @param {Array<Object>} options - Options to list
+     * @param {string} query - Typed query, for highlighting
+     */
+    _render(mode, options, query) {
+        this.listbox.innerHTML = '';
+        this.options = options;
+        this.activeIndex = -1;
+        this.mode = mode;
+
+        if (options.length === 0) {
+            this.close();
+            return;
+        }
+
+        this.listbox.setAttribute('aria-label', mode === 'history' ? 'Recent searches' : 'Search suggestions');
+
+        const words = searchIndex.tokenize(query);
+        options.forEach((option, index) => {
+            const item = mode === 'history'
+                ? this._createHistoryOption(option)
+                : this._createSuggestionOption(option, words);
+
+            item.id = `${this.listbox.id}-option-${index}`;
+            item.setAttribute('role', 'option');
+            item.setAttribute('aria-selected', 'false');
+            item.addEventListener('click', () => this._select(index));
+            item.addEventListener('mousemove', () => {
+                if (this.activeIndex !== index) this._setActive(index);
+            });
+            this.listbox.appendChild(item);
+        });
+
+        this.input.setAttribute('aria-expanded', 'true');
+        this.input.removeAttribute('aria-activedescendant');
+    }
+
+    /**
+     * A suggestion row: the name with the typed words highlighted, life dates, primary
+     * tradition, and where it matched when that was not the name
+     * @private
+     * @param {Object} option - `{ academic, matches }`
+     * @param {Array<string>} words - Folded query words
+     * @returns {HTMLElement} - Option element
+     */
+    _createSuggestionOption({ academic, matches }, words) {
+        const item = document.createElement('div');
+        item.className = 'suggestion-item';
+
+        const name = document.createElement('span');
+        name.className = 'suggestion-name';
+        searchResults.appendParts(name, searchResults.highlight(academic.name, words));
+        item.appendChild(name);
+
+        const details = [
+            historicalDates.formatSpan(academic.birthYear, academic.deathYear),
+            (academic.taxonomies?.tradition || [])[0]
+        ].filter(Boolean);
+        if (details.length > 0) {
+            const meta = document.createElement('span');
+            meta.className = 'suggestion-meta';
+            meta.textContent = ` ${details.join(' · ')}`;
+            item.appendChild(meta);
+        }
+
+        // Show what matched when it was not the name, e.g. an alias or a paper title
+        if (!matches.some(match => match.field === 'name')) {
+            const [snippet] = searchResults.getSnippets(academic, matches);
+            if (snippet) {
+                const hint = document.createElement('span');
+                hint.className = 'suggestion-alias';
+                hint.appendChild(document.createTextNode(` — ${snippet.label}: `));
+                searchResults.appendParts(hint, snippet.parts);
+                item.appendChild(hint);
+            }
+        }
+
+        return item;
+    }
+
+    /**
+     * @private
+     * @param {Object} option - `{ value }`
+     * @returns {HTMLElement} - Option element
+     */
+    _createHistoryOption({ value }) {
+        const item = document.createElement('div');
+        item.className = 'suggestion-item suggestion-history';
+        item.textContent = value;
+        return item;
+    }
+
+    /**
+     * Highlight an option (or none, with -1) and point the combobox at it
+     * @private
+     * @param {number} index - Option index
+     */
+    _setActive(index) {
+        const items = this.listbox.querySelectorAll('[role="option"]');
+        items.forEach((item, itemIndex) => {
+            const active = itemIndex === index;
+            item.classList.toggle('active', active);
+            item.setAttribute('aria-selected', active ? 'true' : 'false');
+        });
+
+        this.activeIndex = index;
+        if (index === -1) {
+            this.input.removeAttribute('aria-activedescendant');
+            return;
+        }
+
+        this.input.setAttribute('aria-activedescendant', items[index].id);
+        items[index].scrollIntoView({ block: 'nearest' });
+    }
+
+    /**
+     * @private
+     * @param {number} index - Option index
+     */
+    _select(index) {
+        const option = this.options[index];
+        if (!option) return;
+
+        this.input.value = option.value;
+        this.close();
+        if (this.onSearch) this.onSearch(option.value);
+    }
+}
+
+// Initialize the search autocomplete
+const searchAutocomplete = new SearchAutocomplete();
+
+// Make it available globally
+window.searchAutocomplete = searchAutocomplete;
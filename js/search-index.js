@@ -0,0 +1,326 @@
+/**
+ * Search Index for KillPhilosophy
+ * In-browser inverted index over names, aliases, biographies, paper and event titles and
+ * taxonomy values, with prefix and typo-tolerant matching and relevance ranking.
+ * The database manager keeps it up to date as academics are written.
+ */
+
+class SearchIndex {
+    constructor() {
+        // How much a match in each field counts towards relevance
+        this.fieldWeights = {
+            name: 10,
+            aliases: 8,
+            taxonomies: 4,
+            papers: 3,
+            events: 2,
+            bio: 1
+        };
+
+        // Score multipliers for the ways a query word can match an indexed word
+        this.matchFactors = {
+            exact: 1,
+            prefix: 0.6,
+            fuzzy: 0.4
+        };
+
+        // Words too common to be worth indexing
+        this.stopWords = new Set([
+            'a', 'an', 'and', 'as', 'at', 'by', 'for', 'from', 'in', 'is', 'it', 'of', 'on',
+            'or', 'the', 'to', 'was', 'were', 'which', 'with'
+        ]);
+
+        // word -> Map of academic ID -> Map of field -> occurrences
+        this.postings = new Map();
+
+        // academic ID -> Set of words, so an academic can be removed without a full scan
+        this.documentWords = new Map();
+
+        // Sorted word list for prefix lookups; rebuilt lazily after changes
+        this.sortedWords = null;
+    }
+
+    /**
+     * Split text into indexable words: folded (lowercase, no accents or punctuation), stop words dropped
+     * @param {string} text - Text
+     * @returns {Array<string>} - Words
+     */
+    tokenize(text) {
+        return academicIdentity.foldName(text)
+            .split(' ')
+            .filter(word => word && !this.stopWords.has(word));
+    }
+
+    /**
+     * Remove every academic from the index
+     */
+    clear() {
+        this.postings.clear();
+        this.documentWords.clear();
+        this.sortedWords = null;
+    }
+
+    /**
+     * Index an academic, replacing any earlier version of it
+     * @param {Object} academic - Academic
+     */
+    add(academic) {
+        this.remove(academic.id);
+
+        const words = new Set();
+        for (const [field, texts] of Object.entries(this._getFieldTexts(academic))) {
+            texts.forEach(text => {
+                this.tokenize(text).forEach(word => {
+                    if (!this.postings.has(word)) {
+                        this.postings.set(word, new Map());
+                        this.sortedWords = null;
+                    }
+
+                    const documents = this.postings.get(word);
+                    if (!documents.has(academic.id)) documents.set(academic.id, new Map());
+
+                    const fields = documents.get(academic.id);
+                    fields.set(field, (fields.get(field) || 0) + 1);
+                    words.add(word);
+                });
+            });
+        }
+
+        this.documentWords.set(academic.id, words);
+    }
+
+    /**
+     * Remove an academic from the index
+     * @param {string} academicId - Academic ID
+     */
+    remove(academicId) {
+        const words = this.documentWords.get(academicId);
+        if (!words) return;
+
+        words.forEach(word => {
+            const documents = this.postings.get(word);
+            if (!documents) return;
+
+            documents.delete(academicId);
+            if (documents.size === 0) {
+                this.postings.delete(word);
+                this.sortedWords = null;
+            }
+        });
+
+        this.documentWords.delete(academicId);
+    }
+
+    /**
+     * Find academics matching every word of a query
+     * Each query word matches indexed words exactly, as a prefix ("fouc" finds "foucault") or
+     * within a small edit distance ("foucalt" finds "foucault"). Results are ranked by field
+     * weight, how rare the matched word is and how closely it matched.
+     * @param {string} query - Free text
+     * @param {Object} options - `limit` (default 50) and `fields` to restrict the searched fields
+     * @returns {Array<{id: string, score: number, matches: Array<{field: string, word: string, queryWord: string, kind: string}>}>}
+     *          Ranked results; `kind` is 'exact', 'prefix' or 'fuzzy'
+     */
+    search(query, { limit = 50, fields = null } = {}) {
+        const queryWords = this.tokenize(query);
+        if (queryWords.length === 0) return [];
+
+        const documentCount = Math.max(this.documentWords.size, 1);
+        let results = null;
+
+        for (const queryWord of queryWords) {
+            const wordResults = new Map();
+
+            this._expandWord(queryWord).forEach(({ word, kind, distance }) => {
+                const documents = this.postings.get(word);
+                const rarity = Math.log(1 + documentCount / documents.size);
+                const factor = this.matchFactors[kind] / (1 + distance);
+
+                documents.forEach((fieldCounts, id) => {
+                    fieldCounts.forEach((count, field) => {
+                        if (fields && !fields.includes(field)) return;
+
+                        const score = this.fieldWeights[field] * (1 + Math.log(count)) * rarity * factor;
+                        const best = wordResults.get(id);
+                        if (!best || score > best.score) {
+                            wordResults.set(id, { score, match: { field, word, queryWord, kind } });
+                        }
+                    });
+                });
+            });
+
+            // Every query word has to match
+            if (results === null) {
+                results = new Map(Array.from(wordResults, ([id, { score, match }]) => [id, { id, score, matches: [match] }]));
+            } else {
+                results.forEach((result, id) => {
+                    const wordResult = wordResults.get(id);
+                    if (!wordResult) {
+                        results.delete(id);
+                        return;
+                    }
+                    result.score += wordResult.score;
+                    result.matches.push(wordResult.match);
+                });
+            }
+
+            if (results.size === 0) break;
+        }
+
+        // Romanized names may be typed as syllables or as one word ("lao tzu" for "Laozi")
+        if (results.size === 0) {
+            return queryWords.length > 1 ? this.search(queryWords.join(''), { limit, fields }) : [];
+        }
+
+        // Names that start with or equal the query rank above incidental matches
+        const foldedQuery = queryWords.join(' ');
+        results.forEach(result => {
+            const academic = databaseManager.getAcademic(result.id);
+            if (!academic) return;
+
+            const names = databaseManager.getAcademicNames(academic).map(name => this.tokenize(name).join(' '));
+            if (names.includes(foldedQuery)) {
+                result.score *= 3;
+            } else if (names.some(name => name.startsWith(foldedQuery) || name.includes(` ${foldedQuery}`))) {
+                result.score *= 1.5;
+            }
+        });
+
+        const nameOf = id => databaseManager.getAcademic(id)?.name || id;
+        return Array.from(results.values())
+            .sort((a, b) => b.score - a.score || academicIdentity.compareNames(nameOf(a.id), nameOf(b.id)))
+            .slice(0, limit);
+    }
+
+    /**
+     * Indexed words a query word can stand for
+     * @private
+     * @param {string} queryWord - Folded query word
+     * @returns {Array<{word: string, kind: string, distance: number}>} - Candidates
+     */
+    _expandWord(queryWord) {
+        const candidates = new Map();
+        const add = (word, kind, distance) => {
+            const existing = candidates.get(word);
+            const rank = this.matchFactors[kind] / (1 + distance);
+            if (!existing || rank > this.matchFactors[existing.kind] / (1 + existing.distance)) {
+                candidates.set(word, { word, kind, distance });
+            }
+        };
+
+        if (this.postings.has(queryWord)) {
+            add(queryWord, 'exact', 0);
+        }
+
+        // Prefix matches, but not for single letters, which would match most of the index
+        if (queryWord.length >= 2) {
+            this._wordsWithPrefix(queryWord).forEach(word => {
+                if (word !== queryWord) add(word, 'prefix', 0);
+            });
+        }
+
+        // Typos: one edit for words of 4+ letters, two for 8+
+        const maxDistance = queryWord.length >= 8 ? 2 : queryWord.length >= 4 ? 1 : 0;
+        if (maxDistance > 0) {
+            this.postings.forEach((documents, word) => {
+                if (word === queryWord || Math.abs(word.length - queryWord.length) > maxDistance) return;
+
+                const distance = this.editDistance(queryWord, word, maxDistance);
+                if (distance <= maxDistance) add(word, 'fuzzy', distance);
+            });
+        }
+
+        return Array.from(candidates.values());
+    }
+
+    /**
+     * Indexed words starting with a prefix
+     * @private
+     * @param {string} prefix - Prefix
+     * @returns {Array<string>} - Words
+     */
+    _wordsWithPrefix(prefix) {
+        if (!this.sortedWords) {
+            this.sortedWords = Array.from(this.postings.keys()).sort();
+        }
+
+        // Binary search for the first word >= prefix
+        let low = 0;
+        let high = this.sortedWords.length;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (this.sortedWords[middle] < prefix) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+
+        const words = [];
+        for (let index = low; index < this.sortedWords.length && this.sortedWords[index].startsWith(prefix); index++) {
+            words.push(this.sortedWords[index]);
+        }
+        return words;
+    }
+
+    /**
+     * Edit distance between two words, counting a swap of neighbouring letters as one edit
+     * @param {string} a - Word
+     * @param {string} b - Word
+     * @param {number} max - Stop early once the distance exceeds this
+     * @returns {number} - Distance (max + 1 if it exceeds max)
+     */
+    editDistance(a, b, max = Infinity) {
+        if (a === b) return 0;
+        if (Math.abs(a.length - b.length) > max) return max + 1;
+
+        let previousRow = null;
+        let row = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+        for (let i = 1; i <= a.length; i++) {
+            const nextRow = [i];
+            let rowMinimum = i;
+
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                let distance = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+
+                if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    distance = Math.min(distance, previousRow[j - 2] + 1);
+                }
+
+                nextRow.push(distance);
+                rowMinimum = Math.min(rowMinimum, distance);
+            }
+
+            if (rowMinimum > max) return max + 1;
+            previousRow = row;
+            row = nextRow;
+        }
+
+        return Math.min(row[b.length], max + 1);
+    }
+
+    /**
+     * Text of each indexed field of an academic
+     * @private
+     * @param {Object} academic - Academic
+     * @returns {Object} - Map of field to list of texts
+     */
+    _getFieldTexts(academic) {
+        return {
+            name: [academic.name],
+            aliases: academic.aliases || [],
+            bio: academic.bio ? [academic.bio] : [],
+            papers: (academic.papers || []).map(paper => paper.title),
+            events: (academic.events || []).map(event => event.title),
+            taxonomies: Object.values(academic.taxonomies || {}).flat()
+        };
+    }
+}
+
+// Initialize the search index
+const searchIndex = new SearchIndex();
+
+// Make it available globally
+window.searchIndex = searchIndex;
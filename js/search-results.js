@@ -0,0 +1,420 @@
+/**
+ * Search Results for KillPhilosophy
+ * Ranked results view for searches that match more than one academic: result counts,
+ * snippets showing where each match occurred, sorting and pagination
+ *
+ * A result is `{ academic, score, matches }`. Each match is `{ field, words }` (folded words
+ * to highlight in the field; see js/search-index.js) or `{ field: 'year', from, to }`.
+ */
+
+class SearchResults {
+    constructor() {
+        this.pageSize = 10;
+
+        this.sortOptions = {
+            relevance: 'Relevance',
+            name: 'Name (A–Z)',
+            born: 'Birth year',
+            updated: 'Recently updated'
+        };
+
+        this.fieldLabels = {
+            aliases: 'Also known as',
+            bio: 'Biography',
+            papers: 'Paper',
+            events: 'Event',
+            connections: 'Connection',
+            year: 'Dated'
+        };
+
+        // How much of the text around a biography match to show
+        this.snippetContext = 60;
+
+        // Current view: query, heading, results, sort and page
+        this.state = null;
+    }
+
+    /**
+     * Render a set of results
+     * @param {HTMLElement} container - Element to render into
+     * @param {Object} view - `heading` (e.g. the query as understood) and `results`, most relevant first
+     * @param {Object} options - `onSelect(academic)` when a result is chosen
+     */
+    render(container, { heading, results }, { onSelect } = {}) {
+        this.state = { container, heading, results, onSelect, sort: 'relevance', page: 0 };
+        this._draw();
+    }
+
+    /**
+     * Results in the selected order
+     * @param {Array<Object>} results - Results, most relevant first
+     * @param {string} sort - Key of sortOptions
+     * @returns {Array<Object>} - Sorted copy
+     */
+    sortResults(results, sort) {
+        const byName = (a, b) => academicIdentity.compareNames(a.academic.name, b.academic.name);
+
+        switch (sort) {
+            case 'name':
+                return [...results].sort(byName);
+            case 'born':
+                return [...results].sort((a, b) =>
+                    historicalDates.compare(a.academic.birthYear, b.academic.birthYear) || byName(a, b)
+                );
+            case 'updated':
+                return [...results].sort((a, b) =>
+                    String(b.academic.updatedAt || '').localeCompare(String(a.academic.updatedAt || '')) || byName(a, b)
+                );
+            default:
+                return [...results];
+        }
+    }
+
+    /**
+     * Snippets showing where an academic matched, most telling first
+     * @param {Object} academic - Academic
+     * @param {Array<Object>} matches - Matches
+     * @returns {Array<{label: string, parts: Array<{text: string, highlight: boolean}>}>} - Snippets
+     */
+    getSnippets(academic, matches) {
+        const snippets = [];
+        const seen = new Set();
+        const add = (label, text, words) => {
+            const key = `${label}|${text}`;
+            if (seen.has(key)) return;
+            seen.add(key);
+            snippets.push({ label, parts: this.highlight(text, words) });
+        };
+
+        // Group the words of each field so one snippet can highlight several of them
+        const wordsByField = new Map();
+        const ranges = [];
+        (matches || []).forEach(match => {
+            if (match.field === 'year') {
+                ranges.push(match);
+                return;
+            }
+            if (!wordsByField.has(match.field)) wordsByField.set(match.field, new Set());
+            (match.words || [match.word]).forEach(word => {
+                if (word) wordsByField.get(match.field).add(word);
+            });
+        });
+
+        wordsByField.forEach((wordSet, field) => {
+            const words = Array.from(wordSet);
+            const contains = text => searchIndex.tokenize(text).some(token => this._isMatch(token, words));
+
+            switch (field) {
+                case 'aliases':
+                    (academic.aliases || []).filter(contains).forEach(alias => add(this.fieldLabels.aliases, alias, words));
+                    break;
+                case 'taxonomies':
+                    for (const [category, values] of Object.entries(academic.taxonomies || {})) {
+                        (values || []).filter(contains).forEach(value => {
+                            add(category.charAt(0).toUpperCase() + category.slice(1), value, words);
+                        });
+                    }
+                    break;
+                case 'papers':
+                case 'events':
+                    (academic[field] || [])
+                        .map(item => this._describeItem(item))
+                        .filter(contains)
+                        .slice(0, 2)
+                        .forEach(text => add(this.fieldLabels[field], text, words));
+                    break;
+                case 'connections':
+                    (academic.connections || [])
+                        .map(connection => `${connectionTypes.getLabel(connection)} ${connection.name}`)
+                        .filter(contains)
+                        .slice(0, 2)
+                        .forEach(text => add(this.fieldLabels.connections, text, words));
+                    break;
+                case 'bio':
+                    if (academic.bio) add(this.fieldLabels.bio, this._excerpt(academic.bio, words), words);
+                    break;
+                default:
+                    // The name is shown as the result title
+                    break;
+            }
+        });
+
+        // Papers and events in a searched year range, unless already shown for another match
+        const shown = new Set(snippets.map(({ parts }) => parts.map(part => part.text).join('')));
+        ranges.forEach(range => {
+            this._getDatedItems(academic, range)
+                .filter(text => !shown.has(text))
+                .forEach(text => add(this.fieldLabels.year, text, []));
+        });
+
+        return snippets.slice(0, 4);
+    }
+
+    /**
+     * @private
+     */
+    _draw() {
+        const { container, heading, results, onSelect, sort, page } = this.state;
+        container.innerHTML = '';
+
+        const sorted = this.sortResults(results, sort);
+        const pageCount = Math.max(Math.ceil(sorted.length / this.pageSize), 1);
+        const currentPage = Math.min(page, pageCount - 1);
+        const first = currentPage * this.pageSize;
+        const pageResults = sorted.slice(first, first + this.pageSize);
+
+        // Heading and count
+        const summary = document.createElement('div');
+        summary.className = 'search-results-summary';
+
+        const title = document.createElement('h2');
+        title.textContent = heading;
+        summary.appendChild(title);
+
+        const count = document.createElement('div');
+        count.className = 'search-results-count';
+        count.setAttribute('aria-live', 'polite');
+        count.textContent = results.length === 1
+            ? '1 result'
+            : `${results.length} results` + (pageCount > 1
+                ? ` (showing ${first + 1}–${first + pageResults.length})`
+                : '');
+        summary.appendChild(count);
+
+        // Sort order
+        const sortLabel = document.createElement('label');
+        sortLabel.className = 'search-results-sort';
+        sortLabel.textContent = 'Sort by ';
+
+        const sortSelect = document.createElement('select');
+        for (const [value, label] of Object.entries(this.sortOptions)) {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            sortSelect.appendChild(option);
+        }
+        sortSelect.value = sort;
+        sortSelect.addEventListener('change', () => {
+            this.state.sort = sortSelect.value;
+            this.state.page = 0;
+            this._draw();
+        });
+        sortLabel.appendChild(sortSelect);
+        summary.appendChild(sortLabel);
+
+        container.appendChild(summary);
+
+        // Results
+        const list = document.createElement('ol');
+        list.className = 'search-results-list';
+        list.start = first + 1;
+
+        pageResults.forEach(({ academic, matches }) => {
+            list.appendChild(this._createResultItem(academic, matches, onSelect));
+        });
+
+        container.appendChild(list);
+
+        if (pageCount > 1) {
+            container.appendChild(this._createPagination(currentPage, pageCount));
+        }
+    }
+
+    /**
+     * @private
+     * @param {Object} academic - Academic
+     * @param {Array<Object>} matches - Matches
+     * @param {Function} onSelect - Selection handler
+     * @returns {HTMLLIElement} - Result entry
+     */
+    _createResultItem(academic, matches, onSelect) {
+        const item = document.createElement('li');
+        item.className = 'search-result';
+
+        const link = document.createElement('a');
+        link.className = 'search-result-name';
+        link.href = academic.slug ? `#academic/${academic.slug}` : '#';
+        link.textContent = academic.name;
+        link.addEventListener('click', (e) => {
+            e.preventDefault();
+            if (onSelect) onSelect(academic);
+        });
+        item.appendChild(link);
+
+        const lifespan = historicalDates.formatSpan(academic.birthYear, academic.deathYear);
+        if (lifespan) {
+            const dates = document.createElement('span');
+            dates.className = 'search-result-dates';
+            dates.textContent = ` (${lifespan})`;
+            item.appendChild(dates);
+        }
+
+        const disciplines = academic.taxonomies?.discipline || [];
+        if (disciplines.length > 0) {
+            const tags = document.createElement('div');
+            tags.className = 'taxonomy-tags';
+            disciplines.slice(0, 3).forEach(discipline => {
+                const tag = document.createElement('span');
+                tag.className = 'taxonomy-tag';
+                tag.textContent = discipline;
+                tags.appendChild(tag);
+            });
+            item.appendChild(tags);
+        }
+
+        this.getSnippets(academic, matches).forEach(({ label, parts }) => {
+            const snippet = document.createElement('div');
+            snippet.className = 'search-result-snippet';
+
+            const snippetLabel = document.createElement('span');
+            snippetLabel.className = 'snippet-label';
+            snippetLabel.textContent = `${label}: `;
+            snippet.appendChild(snippetLabel);
+
+            this.appendParts(snippet, parts);
+            item.appendChild(snippet);
+        });
+
+        return item;
+    }
+
+    /**
+     * @private
+     * @param {number} currentPage - Zero-based page
+     * @param {number} pageCount - Number of pages
+     * @returns {HTMLElement} - Page navigation
+     */
+    _createPagination(currentPage, pageCount) {
+        const nav = document.createElement('nav');
+        nav.className = 'search-results-pagination';
+        nav.setAttribute('aria-label', 'Search result pages');
+
+        const createButton = (label, targetPage, disabled) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'admin-btn';
+            button.textContent = label;
+            button.disabled = disabled;
+            button.addEventListener('click', () => {
+                this.state.page = targetPage;
+                this._draw();
+                this.state.container.scrollIntoView({ behavior: 'smooth', block: 'start' });
+            });
+            return button;
+        };
+
+        nav.appendChild(createButton('‹ Previous', currentPage - 1, currentPage === 0));
+
+        const position = document.createElement('span');
+        position.className = 'search-results-page';
+        position.textContent = `Page ${currentPage + 1} of ${pageCount}`;
+        nav.appendChild(position);
+
+        nav.appendChild(createButton('Next ›', currentPage + 1, currentPage === pageCount - 1));
+        return nav;
+    }
+
+    /**
+     * Split text into parts, marking the words that matched
+     * @param {string} text - Text
+     * @param {Array<string>} words - Folded words to highlight; also matched as word prefixes
+     * @returns {Array<{text: string, highlight: boolean}>} - Parts
+     */
+    highlight(text, words) {
+        const parts = [];
+        let last = 0;
+
+        for (const match of text.matchAll(/[\p{L}\p{N}]+/gu)) {
+            if (!this._isMatch(academicIdentity.foldName(match[0]), words)) continue;
+
+            if (match.index > last) parts.push({ text: text.slice(last, match.index), highlight: false });
+            parts.push({ text: match[0], highlight: true });
+            last = match.index + match[0].length;
+        }
+
+        if (last < text.length) parts.push({ text: text.slice(last), highlight: false });
+        return parts;
+    }
+
+    /**
+     * Append highlighted text to an element, wrapping the matched words in <mark>
+     * @param {HTMLElement} element - Element
+     * @param {Array<{text: string, highlight: boolean}>} parts - Parts from highlight()
+     */
+    appendParts(element, parts) {
+        parts.forEach(({ text, highlight }) => {
+            if (highlight) {
+                const mark = document.createElement('mark');
+                mark.textContent = text;
+                element.appendChild(mark);
+            } else {
+                element.appendChild(document.createTextNode(text));
+            }
+        });
+    }
+
+    /**
+     * @private
+     * @param {string} token - Folded word of the text
+     * @param {Array<string>} words - Folded matched words; field terms match as prefixes ("fouc")
+     * @returns {boolean} - True if the word should be highlighted
+     */
+    _isMatch(token, words) {
+        return words.some(word => token === word || (word.length >= 2 && token.startsWith(word)));
+    }
+
+    /**
+     * The part of a long text around its first matching word
+     * @private
+     * @param {string} text - Text
+     * @param {Array<string>} words - Folded words
+     * @returns {string} - Excerpt, with ellipses where it was cut
+     */
+    _excerpt(text, words) {
+        const match = Array.from(text.matchAll(/[\p{L}\p{N}]+/gu))
+            .find(token => this._isMatch(academicIdentity.foldName(token[0]), words));
+        if (!match) return text.length > this.snippetContext * 2 ? `${text.slice(0, this.snippetContext * 2)}…` : text;
+
+        const start = Math.max(text.lastIndexOf(' ', Math.max(match.index - this.snippetContext, 0)), 0);
+        const endSpace = text.indexOf(' ', match.index + match[0].length + this.snippetContext);
+        const end = endSpace === -1 ? text.length : endSpace;
+
+        return `${start > 0 ? '…' : ''}${text.slice(start, end).trim()}${end < text.length ? '…' : ''}`;
+    }
+
+    /**
+     * @private
+     * @param {Object} item - Paper or event
+     * @returns {string} - e.g. "Dialectic of Enlightenment (1947) with Max Horkheimer"
+     */
+    _describeItem(item) {
+        const year = historicalDates.format(item.year);
+        let text = year ? `${item.title} (${year})` : item.title;
+        if (item.coauthors && item.coauthors.length > 0) text += ` with ${item.coauthors.join(', ')}`;
+        return text;
+    }
+
+    /**
+     * Papers and events dated within a year range
+     * @private
+     * @param {Object} academic - Academic
+     * @param {Object} match - `{ from, to }` (null for an open end)
+     * @returns {Array<string>} - Up to two descriptions
+     */
+    _getDatedItems(academic, { from, to }) {
+        return [...(academic.papers || []), ...(academic.events || [])]
+            .filter(item => {
+                const bounds = historicalDates.bounds(item.year);
+                return bounds && (from === null || bounds.latest >= from) && (to === null || bounds.earliest <= to);
+            })
+            .sort((a, b) => historicalDates.compare(a.year, b.year))
+            .slice(0, 2)
+            .map(item => this._describeItem(item));
+    }
+}
+
+// Initialize the search results view
+const searchResults = new SearchResults();
+
+// Make it available globally
+window.searchResults = searchResults;
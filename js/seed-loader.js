@@ -0,0 +1,230 @@
+/**
+ * Seed Loader for KillPhilosophy
+ * Loads the bundled data/academics.json at startup, upgrades it to the current schema
+ * and merges it into the local database without overwriting local edits. The upstream
+ * records of the last merge are kept with the `seed` setting, so items removed or
+ * corrected locally are not brought back.
+ */
+
+class SeedLoader {
+    constructor() {
+        this.seedUrl = 'data/academics.json';
+        this.isLoaded = false;
+    }
+
+    /**
+     * Fetch the bundled dataset and merge it into the local database
+     * Skipped when the file has not changed since the last successful merge.
+     * @param {Object} options - `force: true` merges even if the file is unchanged
+     * @returns {Promise<number>} - Number of academics merged (0 if skipped)
+     */
+    async load({ force = false } = {}) {
+        if (typeof databaseManager === 'undefined' || typeof schemaMigrations === 'undefined') {
+            throw new Error('Database manager not available');
+        }
+
+        await databaseManager.ready;
+
+        let text;
+        try {
+            const response = await fetch(this.seedUrl, { cache: 'no-cache' });
+            if (!response.ok) {
+                throw new Error(`Request failed with status ${response.status}`);
+            }
+            text = await response.text();
+        } catch (error) {
+            // Opening index.html from the file system blocks fetch; the app still works with local data
+            console.warn(`Seed data not loaded from ${this.seedUrl}: ${error.message}`);
+            return 0;
+        }
+
+        const checksum = this._checksum(text);
+        const previous = await databaseManager.getSetting('seed');
+
+        if (!force && previous && previous.checksum === checksum &&
+            previous.schemaVersion === schemaMigrations.currentVersion) {
+            this.isLoaded = true;
+            return 0;
+        }
+
+        const data = JSON.parse(text);
+        const version = schemaMigrations.getDatasetVersion(data);
+
+        if (version > schemaMigrations.currentVersion) {
+            console.warn(`Seed data uses schema version ${version}, but this app only understands ` +
+                `version ${schemaMigrations.currentVersion}. Skipping seed merge.`);
+            return 0;
+        }
+
+        const dataset = schemaMigrations.migrateDataset(data);
+        const bases = previous && previous.academics
+            ? schemaMigrations.migrateDataset({ schemaVersion: previous.schemaVersion, academics: previous.academics }).academics
+            : {};
+
+        const merged = [];
+        Object.entries(dataset.academics).forEach(([key, upstream]) => {
+            const local = databaseManager.getAcademic(upstream.id) || databaseManager.getAcademic(upstream.name);
+
+            // Merged before and deleted locally since
+            if (!local && bases[key]) return;
+
+            merged.push(this._mergeAcademic(local, upstream, bases[key] || null));
+        });
+
+        const { saved: count, rejected } = await databaseManager.saveAcademics(merged, {
+            touch: false,
+            revision: { source: 'github', summary: `Repository data (${this.seedUrl})` }
+        });
+        rejected.forEach(({ name, errors }) => {
+            console.warn(`Seed record "${name}" skipped:`, errors.map(error => error.message).join('; '));
+        });
+
+        // A rejected record keeps the base of the last merge that did go through
+        const rejectedNames = new Set(rejected.map(({ name }) => name));
+        const academics = {};
+        Object.entries(dataset.academics).forEach(([key, upstream]) => {
+            const base = rejectedNames.has(upstream.name) ? bases[key] : upstream;
+            if (base) academics[key] = base;
+        });
+
+        await databaseManager.setSetting('seed', {
+            checksum,
+            schemaVersion: schemaMigrations.currentVersion,
+            sourceVersion: version,
+            loadedAt: new Date().toISOString(),
+            academics
+        });
+
+        this.isLoaded = true;
+        console.log(`Seed data merged: ${count} academics (schema version ${version})`);
+        return count;
+    }
+
+    /**
+     * Merge an upstream academic into the local copy
+     * A three-way merge against the upstream record of the last merge (`base`): single
+     * fields take the upstream value only when it changed upstream and the local value is
+     * empty or unchanged; list items are added only when they are new upstream, so items
+     * removed or corrected locally stay that way. Without a base, local values win and
+     * lists are combined.
+     * @private
+     * @param {Object|null} local - Local academic
+     * @param {Object} upstream - Upstream academic
+     * @param {Object|null} base - Upstream academic as of the last merge
+     * @returns {Object} - Merged academic
+     */
+    _mergeAcademic(local, upstream, base = null) {
+        if (!local) return { ...upstream };
+
+        const merged = { ...upstream, ...local };
+        const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+        const isEmpty = value => value === undefined || value === null || value === '';
+
+        for (const [field, value] of Object.entries(upstream)) {
+            const changedUpstream = !base || !same(base[field], value);
+            const unchangedLocally = base && same(local[field], base[field]);
+            if (changedUpstream && (isEmpty(local[field]) || unchangedLocally)) {
+                merged[field] = value;
+            }
+        }
+
+        merged.papers = this._mergeList(local.papers, upstream.papers, base?.papers, paper => `${paper.title}|${historicalDates.getKey(paper.year)}`);
+        merged.events = this._mergeList(local.events, upstream.events, base?.events, event => `${event.title}|${historicalDates.getKey(event.year)}`);
+        merged.connections = this._mergeList(local.connections, upstream.connections, base?.connections, connection => connectionTypes.getKey(connection));
+        merged.aliases = this._mergeList(local.aliases, upstream.aliases, base?.aliases, alias => alias);
+
+        // The local record keeps its own ID and slug so existing links stay valid
+        merged.id = local.id;
+        merged.slug = local.slug;
+
+        merged.taxonomies = { ...(upstream.taxonomies || {}), ...(local.taxonomies || {}) };
+        for (const [category, values] of Object.entries(upstream.taxonomies || {})) {
+            merged.taxonomies[category] = this._mergeList(local.taxonomies?.[category], values, base?.taxonomies?.[category], value => value);
+        }
+
+        // Sources follow the values they cite
+        const bioSources = merged.bio === local.bio ? local.bioSources : upstream.bioSources;
+        if (bioSources) {
+            merged.bioSources = bioSources;
+        } else {
+            delete merged.bioSources;
+        }
+        merged.taxonomySources = provenance.mergeTaxonomySources(local.taxonomySources, upstream.taxonomySources);
+        for (const [category, values] of Object.entries(merged.taxonomySources)) {
+            for (const value of Object.keys(values)) {
+                if (!(merged.taxonomies[category] || []).includes(value)) delete values[value];
+            }
+            if (Object.keys(values).length === 0) delete merged.taxonomySources[category];
+        }
+
+        return merged;
+    }
+
+    /**
+     * Add the items that are new upstream since the last merge to a local list
+     * Items the base already had are left out unless the local list still has them
+     * (their sources are then combined), so local removals and corrections stick.
+     * @private
+     * @param {Array} local - Local list
+     * @param {Array} upstream - Upstream list
+     * @param {Array|undefined} base - Upstream list as of the last merge
+     * @param {Function} keyFn - Returns the identity key of an item
+     * @returns {Array} - Merged list
+     */
+    _mergeList(local, upstream, base, keyFn) {
+        const key = item => String(keyFn(item)).toLowerCase();
+        const localKeys = new Set((local || []).map(key));
+        const baseKeys = new Set((base || []).map(key));
+
+        const added = (upstream || []).filter(item => localKeys.has(key(item)) || !baseKeys.has(key(item)));
+        return this._unionBy(local, added, keyFn);
+    }
+
+    /**
+     * Combine two lists, keeping the first occurrence of each key
+     * An item listed on both sides keeps the sources cited by either.
+     * @private
+     * @param {Array} first - Preferred list
+     * @param {Array} second - Additional list
+     * @param {Function} keyFn - Returns the identity key of an item
+     * @returns {Array} - Combined list
+     */
+    _unionBy(first, second, keyFn) {
+        const seen = new Map();
+        const result = [];
+
+        [...(first || []), ...(second || [])].forEach(item => {
+            const key = String(keyFn(item)).toLowerCase();
+            const index = seen.get(key);
+
+            if (index === undefined) {
+                seen.set(key, result.length);
+                result.push(item);
+            } else if (result[index].sources || item.sources) {
+                result[index] = { ...result[index], sources: provenance.mergeSources(result[index].sources, item.sources) };
+            }
+        });
+
+        return result;
+    }
+
+    /**
+     * Cheap string hash used to detect changes to the seed file
+     * @private
+     * @param {string} text - File contents
+     * @returns {string} - Hash
+     */
+    _checksum(text) {
+        let hash = 5381;
+        for (let i = 0; i < text.length; i++) {
+            hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+        }
+        return `${text.length}:${(hash >>> 0).toString(16)}`;
+    }
+}
+
+// Initialize the seed loader
+const seedLoader = new SeedLoader();
+
+// Make it available globally
+window.seedLoader = seedLoader;
@@ -0,0 +1,539 @@
+/**
+ * Taxonomy Registry for KillPhilosophy
+ * The managed vocabulary of taxonomy terms (discipline, tradition, era, methodology, theme):
+ * parent/child terms, synonyms, descriptions, and deprecating or merging terms
+ *
+ * A term is stored as:
+ *   { category, label, parent, synonyms, description, deprecated, replacedBy }
+ * `parent` and `replacedBy` are labels of other terms in the same category. Academics keep
+ * storing plain labels in `taxonomies`; the registry gives those labels their structure.
+ */
+
+class TaxonomyRegistry {
+    constructor() {
+        // Vocabulary used until an admin edits the registry; `children` nest narrower terms
+        this.defaultTerms = {
+            discipline: [
+                'Philosophy', 'Sociology', 'Literary Theory', 'Political Science',
+                'History', 'Gender Studies', 'Anthropology', 'Psychology'
+            ],
+            tradition: [
+                {
+                    label: 'Phenomenology',
+                    description: 'The study of structures of experience and consciousness as they are lived',
+                    children: ['Existential Phenomenology', 'Hermeneutic Phenomenology']
+                },
+                'Existentialism',
+                { label: 'Post-structuralism', synonyms: ['Poststructuralism'] },
+                { label: 'Critical Theory', children: ['Frankfurt School'] },
+                { label: 'Marxism', children: ['Western Marxism'] },
+                'Hermeneutics',
+                'Pragmatism',
+                'Feminism'
+            ],
+            era: ['20th Century', '21st Century', 'Contemporary', 'Modern', 'Ancient', 'Medieval'],
+            methodology: [
+                'Textual Analysis', 'Dialectical Method', 'Genealogy',
+                'Deconstruction', 'Ethnography', 'Discourse Analysis',
+                {
+                    label: 'Phenomenological Method',
+                    children: ['Phenomenological Description', 'Phenomenological Reduction']
+                }
+            ],
+            theme: [
+                'Power', 'Identity', 'Language', 'Justice', 'Ethics', 'Consciousness',
+                'Embodiment', 'Capitalism', 'Democracy', 'Technology'
+            ]
+        };
+
+        // Terms keyed by `${category}|${folded label}`
+        this.terms = new Map();
+
+        // Folded synonyms -> key of the term they stand for
+        this.synonymIndex = new Map();
+
+        // Incremented on every change to the terms, so views can tell when to re-render
+        this.changeCount = 0;
+
+        this._loadTerms(this._flattenDefaults());
+    }
+
+    /**
+     * Read the registry from the database and register values academics use but the
+     * registry does not know yet (as top-level terms an admin can then place)
+     * @returns {Promise<void>}
+     */
+    async load() {
+        const stored = await databaseManager.getSetting('taxonomy');
+        if (Array.isArray(stored)) {
+            this._loadTerms(stored);
+        }
+
+        databaseManager.getAllAcademics().forEach(academic => {
+            for (const [category, values] of Object.entries(academic.taxonomies || {})) {
+                (Array.isArray(values) ? values : []).forEach(value => {
+                    if (!this.getTerm(category, value)) {
+                        this._setTerm(this._createTerm(category, value));
+                    }
+                });
+            }
+        });
+    }
+
+    /**
+     * Get the categories, in registry order
+     * @returns {Array<string>} - Category names
+     */
+    getCategories() {
+        return Array.from(new Set(Array.from(this.terms.values()).map(term => term.category)));
+    }
+
+    /**
+     * Look up a term by its label or one of its synonyms
+     * @param {string} category - Category
+     * @param {string} value - Label or synonym
+     * @returns {Object|null} - Term
+     */
+    getTerm(category, value) {
+        const key = this._getKey(category, value);
+        return this.terms.get(key) || this.terms.get(this.synonymIndex.get(key)) || null;
+    }
+
+    /**
+     * Canonical label for a value: synonyms become their term and merged terms their replacement
+     * @param {string} category - Category
+     * @param {string} value - Label or synonym
+     * @returns {string} - Canonical label (the trimmed value if the registry does not know it)
+     */
+    resolve(category, value) {
+        let term = this.getTerm(category, value);
+        const seen = new Set();
+
+        while (term && term.replacedBy && !seen.has(term.label)) {
+            seen.add(term.label);
+            term = this.getTerm(category, term.replacedBy) || term;
+        }
+
+        return term ? term.label : String(value).trim();
+    }
+
+    /**
+     * Get the terms directly below a term (or the top-level terms)
+     * @param {string} category - Category
+     * @param {string|null} label - Parent label, or null for top-level terms
+     * @param {Object} options - `includeDeprecated` to list deprecated terms too
+     * @returns {Array<Object>} - Terms, sorted by label
+     */
+    getChildren(category, label = null, { includeDeprecated = false } = {}) {
+        const parentKey = label ? this._getKey(category, label) : null;
+
+        return Array.from(this.terms.values())
+            .filter(term => term.category === category)
+            .filter(term => includeDeprecated || !term.deprecated)
+            .filter(term => (term.parent ? this._getKey(category, term.parent) : null) === parentKey)
+            .sort((a, b) => academicIdentity.compareNames(a.label, b.label));
+    }
+
+    /**
+     * Get every term below a term, at any depth
+     * @param {string} category - Category
+     * @param {string} label - Label
+     * @returns {Array<Object>} - Terms
+     */
+    getDescendants(category, label) {
+        const descendants = [];
+        const visit = parent => {
+            this.getChildren(category, parent, { includeDeprecated: true }).forEach(child => {
+                if (descendants.includes(child)) return;
+                descendants.push(child);
+                visit(child.label);
+            });
+        };
+
+        const term = this.getTerm(category, label);
+        if (term) visit(term.label);
+        return descendants;
+    }
+
+    /**
+     * Get the labels from the top-level term down to a term, e.g. ["Phenomenology", "Existential Phenomenology"]
+     * @param {string} category - Category
+     * @param {string} value - Label or synonym
+     * @returns {Array<string>} - Labels (just the value if the registry does not know it)
+     */
+    getPath(category, value) {
+        const path = [];
+        let term = this.getTerm(category, value);
+        if (!term) return [String(value)];
+
+        while (term && !path.includes(term.label)) {
+            path.unshift(term.label);
+            term = term.parent ? this.getTerm(category, term.parent) : null;
+        }
+
+        return path;
+    }
+
+    /**
+     * Every folded label that a search for a term should match: the term, its descendants,
+     * their synonyms and the terms merged into any of them
+     * @param {string} category - Category
+     * @param {string} value - Label or synonym searched for
+     * @returns {Set<string>} - Folded labels
+     */
+    expand(category, value) {
+        const term = this.getTerm(category, this.resolve(category, value));
+        if (!term) return new Set([academicIdentity.foldName(value)]);
+
+        const matched = [term, ...this.getDescendants(category, term.label)];
+        const labels = new Set(matched.map(({ label }) => label));
+
+        // Deprecated terms still found on records that were not rewritten
+        this.terms.forEach(other => {
+            if (other.category === category && other.replacedBy && labels.has(this.resolve(category, other.label))) {
+                matched.push(other);
+            }
+        });
+
+        const folded = new Set();
+        matched.forEach(({ label, synonyms }) => {
+            [label, ...synonyms].forEach(name => folded.add(academicIdentity.foldName(name)));
+        });
+        return folded;
+    }
+
+    /**
+     * Active (non-deprecated) labels of every category
+     * @returns {Object} - Map of category to sorted labels
+     */
+    getVocabulary() {
+        const vocabulary = {};
+        this.getCategories().forEach(category => {
+            vocabulary[category] = Array.from(this.terms.values())
+                .filter(term => term.category === category && !term.deprecated)
+                .map(term => term.label)
+                .sort((a, b) => academicIdentity.compareNames(a, b));
+        });
+        return vocabulary;
+    }
+
+    /**
+     * Terms of a category as a tree, for forms and the admin editor
+     * @param {string} category - Category
+     * @param {Object} options - `includeDeprecated` to include deprecated terms
+     * @returns {Array<{term: Object, depth: number}>} - Terms in tree order with their depth
+     */
+    getTree(category, { includeDeprecated = false } = {}) {
+        const rows = [];
+        const visit = (parent, depth) => {
+            this.getChildren(category, parent, { includeDeprecated }).forEach(term => {
+                if (rows.some(row => row.term === term)) return;
+                rows.push({ term, depth });
+                visit(term.label, depth + 1);
+            });
+        };
+
+        visit(null, 0);
+        return rows;
+    }
+
+    /**
+     * Check a new or edited term
+     * @param {string} category - Category
+     * @param {string} label - Label
+     * @param {Object} fields - `parent` and `synonyms`
+     * @param {string|null} existingLabel - Label of the term being edited, if any
+     * @returns {Array<{field: string, message: string}>} - Errors
+     */
+    validateTerm(category, label, { parent = null, synonyms = [] } = {}, existingLabel = null) {
+        const errors = [];
+        const text = String(label || '').trim();
+        const ownKey = existingLabel ? this._getKey(category, existingLabel) : null;
+        const isTaken = name => {
+            const other = this.getTerm(category, name);
+            return other && this._getKey(category, other.label) !== ownKey;
+        };
+
+        if (!text) {
+            errors.push({ field: 'label', message: 'Term cannot be empty' });
+        } else if (text.length > 100) {
+            errors.push({ field: 'label', message: 'Term must be at most 100 characters' });
+        } else if (isTaken(text)) {
+            errors.push({ field: 'label', message: `"${text}" is already a ${category} term or synonym` });
+        }
+
+        if (parent) {
+            const parentTerm = this.getTerm(category, parent);
+            if (!parentTerm) {
+                errors.push({ field: 'parent', message: `"${parent}" is not a ${category} term` });
+            } else if (parentTerm.deprecated) {
+                errors.push({ field: 'parent', message: `"${parentTerm.label}" is deprecated` });
+            } else if (existingLabel && this.getPath(category, parentTerm.label).some(name =>
+                this._getKey(category, name) === ownKey
+            )) {
+                errors.push({ field: 'parent', message: 'A term cannot be placed under itself or one of its narrower terms' });
+            }
+        }
+
+        (synonyms || []).forEach(synonym => {
+            if (isTaken(synonym)) {
+                errors.push({ field: 'synonyms', message: `"${synonym}" is already a ${category} term or synonym` });
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * Add a term
+     * The registry updates immediately; the returned promise resolves once it is persisted.
+     * @param {string} category - Category
+     * @param {string} label - Label
+     * @param {Object} fields - `parent`, `synonyms` and `description`
+     * @returns {Promise<Object>} - New term
+     * @throws {ValidationError}
+     */
+    async addTerm(category, label, fields = {}) {
+        const errors = this.validateTerm(category, label, fields);
+        if (errors.length > 0) {
+            throw new ValidationError(errors);
+        }
+
+        const term = this._createTerm(category, label, fields);
+        this._setTerm(term);
+        await this._save();
+        return term;
+    }
+
+    /**
+     * Change the parent, synonyms or description of a term
+     * @param {string} category - Category
+     * @param {string} label - Label of the term
+     * @param {Object} changes - `parent`, `synonyms` and/or `description`
+     * @returns {Promise<Object>} - Updated term
+     * @throws {ValidationError}
+     */
+    async updateTerm(category, label, changes) {
+        const term = this.getTerm(category, label);
+        if (!term) {
+            throw new Error(`Unknown ${category} term: ${label}`);
+        }
+
+        const updated = this._createTerm(category, term.label, { ...term, ...changes });
+        const errors = this.validateTerm(category, term.label, updated, term.label);
+        if (errors.length > 0) {
+            throw new ValidationError(errors);
+        }
+
+        this._setTerm(updated);
+        await this._save();
+        return updated;
+    }
+
+    /**
+     * Deprecate a term, optionally merging it into another one
+     * A merged term's label is rewritten to the replacement on every academic that uses it
+     * (logged as an admin revision). Narrower terms move up to the replacement, or to the
+     * deprecated term's own parent.
+     * @param {string} category - Category
+     * @param {string} label - Term to deprecate
+     * @param {string|null} replacement - Term to merge it into
+     * @returns {Promise<number>} - Number of academics updated
+     * @throws {ValidationError}
+     */
+    async deprecateTerm(category, label, replacement = null) {
+        const term = this.getTerm(category, label);
+        if (!term) {
+            throw new Error(`Unknown ${category} term: ${label}`);
+        }
+
+        const target = replacement ? this.getTerm(category, replacement) : null;
+        if (replacement && (!target || target.deprecated)) {
+            throw new ValidationError([{ field: 'replacedBy', message: `"${replacement}" is not an active ${category} term` }]);
+        }
+        if (target && (target === term || this.getDescendants(category, term.label).includes(target))) {
+            throw new ValidationError([{ field: 'replacedBy', message: 'A term cannot be merged into itself or one of its narrower terms' }]);
+        }
+
+        const newParent = target ? target.label : term.parent;
+        this.getChildren(category, term.label, { includeDeprecated: true }).forEach(child => {
+            this._setTerm({ ...child, parent: newParent });
+        });
+        this._setTerm({ ...term, deprecated: true, replacedBy: target ? target.label : null });
+
+        await this._save();
+        return target ? this._relabelAcademics(category, term.label, target.label) : 0;
+    }
+
+    /**
+     * Number of academics tagged with a term (the term itself, not its descendants)
+     * @param {string} category - Category
+     * @param {string} label - Label
+     * @returns {number} - Count
+     */
+    countUsage(category, label) {
+        const term = this.getTerm(category, label);
+        const names = new Set([label, ...(term ? [term.label, ...term.synonyms] : [])]
+            .map(name => academicIdentity.foldName(name)));
+
+        return databaseManager.getAllAcademics().filter(academic =>
+            (academic.taxonomies?.[category] || []).some(value => names.has(academicIdentity.foldName(value)))
+        ).length;
+    }
+
+    /**
+     * Every term, for exports and the settings store
+     * @returns {Array<Object>} - Terms
+     */
+    exportTerms() {
+        return Array.from(this.terms.values()).map(term => ({ ...term, synonyms: [...term.synonyms] }));
+    }
+
+    /**
+     * Add the terms of an export that the registry does not know yet
+     * @param {Array<Object>} terms - Terms
+     * @returns {Promise<number>} - Number of terms added
+     */
+    async importTerms(terms) {
+        let added = 0;
+        (Array.isArray(terms) ? terms : []).forEach(term => {
+            if (!term || !term.category || !term.label || this.getTerm(term.category, term.label)) return;
+            this._setTerm(this._createTerm(term.category, term.label, term));
+            added++;
+        });
+
+        if (added > 0) await this._save();
+        return added;
+    }
+
+    /**
+     * Rewrite a merged label to its replacement on every academic
+     * @private
+     * @param {string} category - Category
+     * @param {string} from - Merged label
+     * @param {string} to - Replacement label
+     * @returns {Promise<number>} - Number of academics updated
+     */
+    async _relabelAcademics(category, from, to) {
+        const folded = academicIdentity.foldName(from);
+
+        const changed = databaseManager.getAllAcademics()
+            .filter(academic => (academic.taxonomies?.[category] || []).some(value => academicIdentity.foldName(value) === folded))
+            .map(academic => {
+                const updated = JSON.parse(JSON.stringify(academic));
+                const values = updated.taxonomies[category];
+                const sources = updated.taxonomySources?.[category] || {};
+
+                updated.taxonomies[category] = Array.from(new Set(
+                    values.map(value => (academicIdentity.foldName(value) === folded ? to : value))
+                ));
+
+                // Sources of the merged value now back the replacement
+                for (const value of Object.keys(sources)) {
+                    if (academicIdentity.foldName(value) !== folded) continue;
+                    sources[to] = provenance.mergeSources(sources[to], sources[value]);
+                    delete sources[value];
+                }
+
+                return updated;
+            });
+
+        if (changed.length === 0) return 0;
+
+        const { saved } = await databaseManager.saveAcademics(changed, {
+            revision: { source: 'admin', summary: `Taxonomy term "${from}" merged into "${to}"` }
+        });
+        return saved;
+    }
+
+    /**
+     * Replace the registry with stored terms
+     * @private
+     * @param {Array<Object>} terms - Terms
+     */
+    _loadTerms(terms) {
+        this.terms.clear();
+        this.synonymIndex.clear();
+        terms.forEach(term => this._setTerm(this._createTerm(term.category, term.label, term)));
+    }
+
+    /**
+     * @private
+     * @returns {Array<Object>} - Default terms as a flat list
+     */
+    _flattenDefaults() {
+        const terms = [];
+        const add = (category, entry, parent) => {
+            const { label, children = [], ...fields } = typeof entry === 'string' ? { label: entry } : entry;
+            terms.push({ category, label, parent, ...fields });
+            children.forEach(child => add(category, child, label));
+        };
+
+        for (const [category, entries] of Object.entries(this.defaultTerms)) {
+            entries.forEach(entry => add(category, entry, null));
+        }
+        return terms;
+    }
+
+    /**
+     * @private
+     * @param {string} category - Category
+     * @param {string} label - Label
+     * @param {Object} fields - Other term fields
+     * @returns {Object} - Term with every field present
+     */
+    _createTerm(category, label, fields = {}) {
+        const text = String(label).trim();
+        return {
+            category,
+            label: text,
+            parent: fields.parent ? this.resolve(category, fields.parent) : null,
+            synonyms: Array.from(new Set((fields.synonyms || []).map(synonym => String(synonym).trim()).filter(Boolean)))
+                .filter(synonym => academicIdentity.foldName(synonym) !== academicIdentity.foldName(text)),
+            description: (fields.description || '').trim(),
+            deprecated: Boolean(fields.deprecated),
+            replacedBy: fields.replacedBy || null
+        };
+    }
+
+    /**
+     * Add or replace a term and re-index its synonyms
+     * @private
+     * @param {Object} term - Term
+     */
+    _setTerm(term) {
+        const key = this._getKey(term.category, term.label);
+
+        this.synonymIndex.forEach((termKey, synonymKey) => {
+            if (termKey === key) this.synonymIndex.delete(synonymKey);
+        });
+
+        this.terms.set(key, term);
+        this.changeCount++;
+        term.synonyms.forEach(synonym => this.synonymIndex.set(this._getKey(term.category, synonym), key));
+    }
+
+    /**
+     * @private
+     * @param {string} category - Category
+     * @param {string} value - Label or synonym
+     * @returns {string} - Map key
+     */
+    _getKey(category, value) {
+        return `${category}|${academicIdentity.foldName(value)}`;
+    }
+
+    /**
+     * @private
+     * @returns {Promise<void>}
+     */
+    _save() {
+        return databaseManager.setSetting('taxonomy', this.exportTerms());
+    }
+}
+
+// Initialize the taxonomy registry
+const taxonomyRegistry = new TaxonomyRegistry();
+
+// Make it available globally
+window.taxonomyRegistry = taxonomyRegistry;